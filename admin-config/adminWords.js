@@ -7,19 +7,36 @@ systemDictionary = {
     "Additional npm modules:": {                     "en": "Additional npm modules",                          "de": "Zusätzliche NPM-Module",                          "ru": "Дополнительные NPM Модули",                       "pt": "Módulos npm adicionais",                          "nl": "Extra npm-modules",                               "fr": "Modules NPM supplémentaires",                     "it": "Moduli aggiuntivi di npm",                        "es": "Módulos npm adicionales",                         "pl": "Additional npm modules",                          "zh-cn": "添加外部npm模块"},
     "Allow self signed certificates for URL requests": {"en": "Allow self signed certificates for URL requests", "de": "Erlaube selbstsignierte Zertifikate für URL-Anfragen", "ru": "Разрешить самоподписанные сертификаты для запросов URL", "pt": "Permitir certificados autoassinados para solicitações de URL", "nl": "Sta zelf ondertekende certificaten toe voor URL-verzoeken", "fr": "Autoriser les certificats auto-signés pour les demandes d'URL", "it": "Consenti certificati autofirmati per richieste URL", "es": "Permitir certificados autofirmados para solicitudes de URL", "pl": "Zezwalaj na samopodpisane certyfikaty dla żądań URL", "zh-cn": "允许URL请求的自签名证书"},
     "Astro settings": {                              "en": "Astro settings",                                  "de": "Astro-Einstellungen",                             "ru": "Настройки астро-функций",                         "pt": "Configurações Astro",                             "nl": "Astro-instellingen",                              "fr": "Paramètres Astro",                                "it": "Impostazioni Astro",                              "es": "Configuración de Astro",                          "pl": "Astro settings",                                  "zh-cn": "Astro设置"},
+    "Austria": {                                     "en": "Austria",                                         "de": "Österreich",                                      "ru": "Австрия",                                         "pt": "Áustria",                                         "nl": "Oostenrijk",                                      "fr": "Autriche",                                        "it": "Austria",                                         "es": "Austria",                                         "pl": "Austria",                                         "zh-cn": "奥地利"},
+    "Catch up missed schedules within (minutes):": { "en": "Catch up missed schedules within (minutes):",     "de": "Verpasste Zeitpläne nachholen innerhalb von (Minuten):", "ru": "Выполнять пропущенные расписания в течение (минут):", "pt": "Recuperar agendamentos perdidos dentro de (minutos):", "nl": "Gemiste schema's inhalen binnen (minuten):",      "fr": "Rattraper les planifications manquées dans un délai de (minutes) :", "it": "Recupera le pianificazioni perse entro (minuti):", "es": "Recuperar programaciones perdidas dentro de (minutos):", "pl": "Nadrabiaj pominięte harmonogramy w ciągu (minut):", "zh-cn": "补执行错过的计划（分钟内）："},
     "Do not subscribe all states on start:": {       "en": "Do not subscribe all states on start",            "de": "Nicht alle Zustände beim Start abonnieren",       "ru": "Оптимизация состояний",                           "pt": "Não inscreva todos os estados no início",         "nl": "Abonneer u niet op alle staten bij het begin",    "fr": "Ne souscrivez pas tous les états au début",       "it": "Non iscriversi tutti gli stati all'avvio",        "es": "No suscriba todos los estados al inicio",         "pl": "Do not subscribe all states on start",            "zh-cn": "不要在开始时订阅所有状态"},
     "Enable command \"exec\":": {                    "en": "Enable command \"exec\"",                         "de": "Erlaube das Kommando \"exec\"",                   "ru": "Разрешить команду \"exec\"",                      "pt": "Ativar comando \"exec\"",                         "nl": "Schakel het commando \"exec\" in",                "fr": "Activer la commande \"exec\"",                    "it": "Abilita il comando \"exec\"",                     "es": "Habilite el comando \"exec\"",                    "pl": "Enable command \"exec\"",                         "zh-cn": "启用命令\"exec\""},
     "Enable command \"sendToHost\":": {              "en": "Enable command \"sendToHost\"",                   "de": "Erlaube das Kommando \"sendToHost\"",             "ru": "Разрешить команду \"sendToHost\"",                "pt": "Ativar comando \"sendToHost\"",                   "nl": "Schakel het commando \"sendToHost\" in",          "fr": "Activer la commande \"sendToHost\"",              "it": "Abilita il comando \"sendToHost\"",               "es": "Habilitar el comando \"sendToHost\"",             "pl": "Enable command \"sendToHost\"",                   "zh-cn": "启用命令\"sendToHost\""},
     "Enable command \"setObject\":": {               "en": "Enable command \"setObject\"",                    "de": "Erlaube das Kommando \"setObject\"",              "ru": "Разрешить команду \"setObject\"",                 "pt": "Ativar comando \"setObject\"",                    "nl": "Schakel het commando \"setObject\" in",           "fr": "Activer la commande \"setObject\"",               "it": "Abilita il comando \"setObject\"",                "es": "Habilitar el comando \"setObject\"",              "pl": "Enable command \"setObject\"",                    "zh-cn": "启用命令\"setObject\""},
+    "First restart after (seconds, doubled every time):": {"en": "First restart after (seconds, doubled every time):", "de": "Erster Neustart nach (Sekunden, wird jedes Mal verdoppelt):", "ru": "Первый перезапуск через (секунд, каждый раз удваивается):", "pt": "Primeiro reinício após (segundos, duplicado a cada vez):", "nl": "Eerste herstart na (seconden, elke keer verdubbeld):", "fr": "Premier redémarrage après (secondes, doublé à chaque fois):", "it": "Primo riavvio dopo (secondi, raddoppiato ogni volta):", "es": "Primer reinicio después de (segundos, se duplica cada vez):", "pl": "Pierwszy restart po (sekundy, podwajane za każdym razem):", "zh-cn": "首次重启间隔（秒，每次加倍）："},
+    "Germany": {                                     "en": "Germany",                                         "de": "Deutschland",                                     "ru": "Германия",                                        "pt": "Alemanha",                                        "nl": "Duitsland",                                       "fr": "Allemagne",                                       "it": "Germania",                                        "es": "Alemania",                                        "pl": "Niemcy",                                          "zh-cn": "德国"},
     "Help": {                                        "en": "Use form with 49.1245 and <b>not</b> 49°34'0\". Elsewise it will be converted automatically.", "de": "Benutze das Format mit 49.1245 und <b>nicht</b> 49°34'0\", sonst wird es automatisch umgerechnet", "ru": "Используйте формат 49.1245, а <b>не</b> 49°34'0\", иначе градусы автоматически переведутся в нужный формат", "pt": "Use o formulário com 49.1245 e <b>não</b> 49°34'0\". Além disso, ele será convertido automaticamente.", "nl": "Gebruik het formulier met 49.1245 en <b>niet</b> 49°34'0 \". Anders wordt het automatisch geconverteerd.", "fr": "Utilisez le formulaire avec 49.1245 et <b>pas</b> 49°34'0\", sinon il sera converti automatiquement.", "it": "Usa il modulo con 49.1245 e <b> non </b> 49°34'0\". Altrimenti sarà convertito automaticamente.", "es": "Use el formulario con 49.1245 y <b>no</b> 49°34'0 \". De lo contrario, se convertirá automáticamente.", "pl": "Use form with 49.1245 and <b>not</b> 49°34'0\". Elsewise it will be converted automatically.", "zh-cn": "使用这样的格式49.1245, <b>而不是</b> 49°34'0\"。否则，它会被自动转换。"},
+    "Install TypeScript typings of the additional npm modules:": {"en": "Install TypeScript typings of the additional npm modules:", "de": "TypeScript-Typings der zusätzlichen npm-Module installieren:", "ru": "Установить типизацию TypeScript для дополнительных модулей npm:", "pt": "Instalar tipagens TypeScript dos módulos npm adicionais:", "nl": "TypeScript-typeringen van de extra npm-modules installeren:", "fr": "Installer les typages TypeScript des modules npm supplémentaires :", "it": "Installa le tipizzazioni TypeScript dei moduli npm aggiuntivi:", "es": "Instalar los tipados de TypeScript de los módulos npm adicionales:", "pl": "Zainstaluj typy TypeScript dodatkowych modułów npm:", "zh-cn": "安装附加npm模块的TypeScript类型定义："},
     "Invalid format. Use A°B'C\"D": {                "en": "Invalid format. Use A°B'C\"D",                    "de": "Falsches Format. korrekt: A°B'C\"D",              "ru": "Неправильный формат. Используется г°м'с\"Н",      "pt": "Formato Inválido. Use A°B'C\"D",                  "nl": "Ongeldige indeling. Gebruik A°B'C\"D",            "fr": "Format invalide. Utilisez A°B'C\"D",              "it": "Formato non valido. Utilizzare A°B'C \"D",        "es": "Formato inválido. Use A°B'C\"D",                  "pl": "Invalid format. Use A°B'C\"D",                    "zh-cn": "格式无效。 使用A°B'C\"D这样的格式"},
     "Javascript scripts adapter settings": {         "en": "Javascript scripts adapter settings",             "de": "Adapter-Einstellungen Javascript",                "ru": "Настройки скриптов Javascript",                   "pt": "Configurações do adaptador de scripts Javascript", "nl": "Javascript scripts adapter-instellingen",         "fr": "Paramètres de l'adaptateur de scripts Javascript", "it": "Impostazioni della scheda script JavaScript",     "es": "Configuración del adaptador de scripts de Javascript", "pl": "Javascript scripts adapter settings",             "zh-cn": "Javascript脚本适配器设置"},
     "Latitude °:": {                                 "en": "Latitude °",                                      "de": "Breite °",                                        "ru": "Широта °",                                        "pt": "Latitude °",                                      "nl": "Breedtegraad °",                                  "fr": "Latitude °",                                      "it": "Latitudine °",                                    "es": "Latitud °",                                       "pl": "Latitude °",                                      "zh-cn": "纬度°"},
     "Longitude °:": {                                "en": "Longitude °",                                     "de": "Länge °",                                         "ru": "Долгота °",                                       "pt": "Longitude °",                                     "nl": "Lengtegraad °",                                   "fr": "Longitude °",                                     "it": "Longitudine °",                                   "es": "Longitud °",                                      "pl": "Longitude °",                                     "zh-cn": "经度°"},
     "Module names": {                                "en": "Module names",                                    "de": "Modulnamen",                                      "ru": "Имена модулей",                                   "pt": "Nomes de módulos",                                "nl": "Module namen",                                    "fr": "Noms de modules",                                 "it": "Nomi dei moduli",                                 "es": "Nombres de módulos",                              "pl": "Nazwy modułów",                                   "zh-cn": "模块名称"},
+    "Public holidays of:": {                         "en": "Public holidays of",                              "de": "Feiertage von",                                   "ru": "Праздники страны",                                "pt": "Feriados de",                                     "nl": "Feestdagen van",                                  "fr": "Jours fériés de",                                 "it": "Festività di",                                    "es": "Días festivos de",                                "pl": "Święta państwowe",                                "zh-cn": "公共假日"},
+    "Restart stopped scripts instead of disabling:": {"en": "Restart stopped scripts instead of disabling:",   "de": "Gestoppte Skripte neu starten statt deaktivieren:", "ru": "Перезапускать остановленные скрипты вместо отключения:", "pt": "Reiniciar scripts parados em vez de desativar:",  "nl": "Gestopte scripts herstarten in plaats van uitschakelen:", "fr": "Redémarrer les scripts arrêtés au lieu de les désactiver:", "it": "Riavvia gli script arrestati invece di disattivarli:", "es": "Reiniciar los scripts detenidos en lugar de desactivarlos:", "pl": "Uruchamiaj ponownie zatrzymane skrypty zamiast wyłączać:", "zh-cn": "重新启动已停止的脚本而不是禁用："},
+    "Run scripts in own threads:": {                 "en": "Run scripts in own threads",                      "de": "Skripte in eigenen Threads ausführen",            "ru": "Выполнять скрипты в отдельных потоках",           "pt": "Executar scripts em threads próprios",            "nl": "Scripts in eigen threads uitvoeren",              "fr": "Exécuter les scripts dans leurs propres threads", "it": "Esegui gli script in thread propri",              "es": "Ejecutar scripts en hilos propios",               "pl": "Uruchamiaj skrypty we własnych wątkach",          "zh-cn": "在独立线程中运行脚本"},
     "Security relevant": {                           "en": "Security relevant",                               "de": "sicherheitsrelevant",                             "ru": "Безопасность уменшена",                           "pt": "Segurança relevante",                             "nl": "Beveiliging relevant",                            "fr": "Sécurité pertinente",                             "it": "Sicurezza rilevante",                             "es": "Seguridad relevante",                             "pl": "Security relevant",                               "zh-cn": "安全相关"},
     "Settings": {                                    "en": "Settings",                                        "de": "Einstellungen",                                   "ru": "Настройки",                                       "pt": "Configurações",                                   "nl": "instellingen",                                    "fr": "Paramètres",                                      "it": "impostazioni",                                    "es": "Configuraciones",                                 "pl": "Settings",                                        "zh-cn": "设置"},
+    "State or canton (e.g. BY):": {                  "en": "State or canton (e.g. BY)",                       "de": "Bundesland oder Kanton (z.B. BY)",                "ru": "Земля или кантон (напр. BY)",                     "pt": "Estado ou cantão (por exemplo, BY)",              "nl": "Deelstaat of kanton (bijv. BY)",                  "fr": "Land ou canton (par ex. BY)",                     "it": "Stato o cantone (ad es. BY)",                     "es": "Estado o cantón (p. ej. BY)",                     "pl": "Kraj związkowy lub kanton (np. BY)",              "zh-cn": "联邦州或州（例如 BY）"},
+    "Stop scripts after errors (0 - never):": {      "en": "Stop scripts after errors (0 - never):",          "de": "Skripte nach Fehlern stoppen (0 - nie):",         "ru": "Останавливать скрипты после ошибок (0 - никогда):", "pt": "Parar scripts após erros (0 - nunca):",           "nl": "Scripts stoppen na fouten (0 - nooit):",          "fr": "Arrêter les scripts après erreurs (0 - jamais):", "it": "Arresta gli script dopo errori (0 - mai):",       "es": "Detener scripts después de errores (0 - nunca):", "pl": "Zatrzymaj skrypty po błędach (0 - nigdy):",       "zh-cn": "出错后停止脚本（0 - 从不）："},
+    "Switzerland": {                                 "en": "Switzerland",                                     "de": "Schweiz",                                         "ru": "Швейцария",                                       "pt": "Suíça",                                           "nl": "Zwitserland",                                     "fr": "Suisse",                                          "it": "Svizzera",                                        "es": "Suiza",                                           "pl": "Szwajcaria",                                      "zh-cn": "瑞士"},
+    "TypeScript lib:": {                             "en": "TypeScript lib:",                                 "de": "TypeScript-Lib:",                                 "ru": "Библиотека TypeScript:",                          "pt": "Biblioteca TypeScript:",                          "nl": "TypeScript-lib:",                                 "fr": "Bibliothèque TypeScript:",                        "it": "Libreria TypeScript:",                            "es": "Biblioteca de TypeScript:",                       "pl": "Biblioteka TypeScript:",                          "zh-cn": "TypeScript库："},
+    "TypeScript strict mode:": {                     "en": "TypeScript strict mode:",                         "de": "TypeScript Strict-Modus:",                        "ru": "Строгий режим TypeScript:",                       "pt": "Modo estrito do TypeScript:",                     "nl": "TypeScript strikte modus:",                       "fr": "Mode strict de TypeScript:",                      "it": "Modalità rigorosa di TypeScript:",                "es": "Modo estricto de TypeScript:",                    "pl": "Tryb ścisły TypeScript:",                         "zh-cn": "TypeScript严格模式："},
+    "TypeScript: experimental decorators:": {        "en": "TypeScript: experimental decorators:",            "de": "TypeScript: experimentelle Dekoratoren:",         "ru": "TypeScript: экспериментальные декораторы:",       "pt": "TypeScript: decoradores experimentais:",          "nl": "TypeScript: experimentele decorators:",           "fr": "TypeScript: décorateurs expérimentaux:",          "it": "TypeScript: decoratori sperimentali:",            "es": "TypeScript: decoradores experimentales:",         "pl": "TypeScript: eksperymentalne dekoratory:",         "zh-cn": "TypeScript：实验性装饰器："},
+    "TypeScript: no implicit any:": {                "en": "TypeScript: no implicit any:",                    "de": "TypeScript: kein implizites any:",                "ru": "TypeScript: без неявного any:",                   "pt": "TypeScript: sem any implícito:",                  "nl": "TypeScript: geen impliciete any:",                "fr": "TypeScript: pas de any implicite:",               "it": "TypeScript: nessun any implicito:",               "es": "TypeScript: sin any implícito:",                  "pl": "TypeScript: bez niejawnego any:",                 "zh-cn": "TypeScript：不允许隐式any："},
     "Use system settings:": {                        "en": "Use system settings",                             "de": "Verwenden Sie die Systemeinstellungen",           "ru": "Используйте системные настройки",                 "pt": "Use as configurações do sistema",                 "nl": "Gebruik systeeminstellingen",                     "fr": "Utiliser les paramètres du système",              "it": "Usa le impostazioni di sistema",                  "es": "Use la configuración del sistema",                "pl": "Użyj ustawień systemu:",                          "zh-cn": "使用系统设置"},
+    "Watchdog time for scripts in own threads (ms):": {"en": "Watchdog time for scripts in own threads (ms)",   "de": "Watchdog-Zeit für Skripte in eigenen Threads (ms)", "ru": "Время сторожевого таймера для скриптов в отдельных потоках (мс)", "pt": "Tempo do watchdog para scripts em threads próprios (ms)", "nl": "Watchdog-tijd voor scripts in eigen threads (ms)", "fr": "Délai du watchdog pour les scripts dans leurs propres threads (ms)", "it": "Tempo del watchdog per gli script in thread propri (ms)", "es": "Tiempo del watchdog para scripts en hilos propios (ms)", "pl": "Czas watchdoga dla skryptów we własnych wątkach (ms)", "zh-cn": "独立线程中脚本的看门狗时间（毫秒）"},
+    "Within (minutes):": {                           "en": "Within (minutes):",                               "de": "Innerhalb von (Minuten):",                        "ru": "В течение (минут):",                              "pt": "Dentro de (minutos):",                            "nl": "Binnen (minuten):",                               "fr": "En (minutes):",                                   "it": "Entro (minuti):",                                 "es": "Dentro de (minutos):",                            "pl": "W ciągu (minut):",                                "zh-cn": "在（分钟）内："},
     "info_enableExec": {                             "en": "System security relevant",                        "de": "sicherheitsrelevant für das gesamte System",      "ru": "Снижает безопасность системы",                    "pt": "Segurança do sistema relevante",                  "nl": "Systeembeveiliging relevant",                     "fr": "Sécurité du système pertinente",                  "it": "Sicurezza del sistema rilevante",                 "es": "Seguridad del sistema relevante",                 "pl": "System security relevant",                        "zh-cn": "系统安全相关"},
     "info_enableSendToHost": {                       "en": "Security relevant",                               "de": "sicherheitsrelevant",                             "ru": "Снижает безопасность",                            "pt": "Segurança relevante",                             "nl": "Beveiliging relevant",                            "fr": "Sécurité pertinente",                             "it": "Sicurezza rilevante",                             "es": "Seguridad relevante",                             "pl": "Security relevant",                               "zh-cn": "安全相关"},
     "info_enableSetObject": {                        "en": "Security relevant",                               "de": "sicherheitsrelevant",                             "ru": "Снижает безопасность",                            "pt": "Segurança relevante",                             "nl": "Beveiliging relevant",                            "fr": "Sécurité pertinente",                             "it": "Sicurezza rilevante",                             "es": "Seguridad relevante",                             "pl": "Security relevant",                               "zh-cn": "安全相关"},
@@ -0,0 +1,153 @@
+'use strict';
+
+const {getSunTimes, getSunPosition} = require('./sunTimes');
+
+// astro events in the order of the day
+const DAY_EVENTS = ['nightEnd', 'nauticalDawn', 'dawn', 'sunrise', 'sunriseEnd', 'goldenHourEnd', 'solarNoon', 'goldenHour', 'sunsetStart', 'sunset', 'dusk', 'nauticalDusk', 'night'];
+// how many days are checked to find the next sunrise or sunset, e.g. in the polar night
+const MAX_DAYS = 190;
+
+function isValidDate(date) {
+    return date instanceof Date && !isNaN(date.getTime());
+}
+
+function formatTime(date) {
+    if (!isValidDate(date)) {
+        return '';
+    }
+    return ('0' + date.getHours()).slice(-2) + ':' + ('0' + date.getMinutes()).slice(-2);
+}
+
+/**
+ * Keeps the states with the astro information up to date, so scripts and other adapters can subscribe them
+ * instead of calculating them by themselves:
+ * - astro.isDayTime - true between sunrise and sunset
+ * - astro.nextSunrise, astro.nextSunset - time of the next event
+ * - astro.phase - name of the last astro event, e.g. "goldenHour"
+ * - astro.times.* - today's times of all astro events as HH:mm
+ */
+class AstroStates {
+    /**
+     * @param {object} adapter
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.timer   = null;
+        this.stopped = false;
+        this.values  = {}; // id => last written value
+    }
+
+    /**
+     * Calculates the values of all states
+     * @param {Date} now
+     * @returns {{[id: string]: any}}
+     */
+    calculate(now) {
+        const latitude  = this.adapter.config.latitude;
+        const longitude = this.adapter.config.longitude;
+        const getNext = event => {
+            for (let i = 0; i < MAX_DAYS; i++) {
+                const time = getSunTimes(now, latitude, longitude, i)[event];
+                if (isValidDate(time) && time > now) {
+                    return time.getTime();
+                }
+            }
+            return null;
+        };
+
+        const times = getSunTimes(now, latitude, longitude);
+        // in the polar day or night there is no sunrise or sunset, so the position of the sun decides
+        const isDayTime = isValidDate(times.sunrise) && isValidDate(times.sunset) ?
+            now >= times.sunrise && now < times.sunset :
+            getSunPosition(now, latitude, longitude).elevation > 0;
+
+        const result = {
+            'astro.isDayTime':   isDayTime,
+            'astro.nextSunrise': getNext('sunrise'),
+            'astro.nextSunset':  getNext('sunset'),
+            'astro.phase':       'night'
+        };
+
+        DAY_EVENTS.forEach(event => {
+            result['astro.times.' + event] = formatTime(times[event]);
+            if (isValidDate(times[event]) && times[event] <= now) {
+                result['astro.phase'] = event;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Creates the objects and starts the periodical update
+     * @param {function} [callback] called after the objects are created
+     */
+    start(callback) {
+        this.stopped = false;
+        if ((!this.adapter.config.latitude  && this.adapter.config.latitude  !== 0) ||
+            (!this.adapter.config.longitude && this.adapter.config.longitude !== 0)) {
+            this.adapter.log.warn('Longitude or latitude does not set. Astro states are not updated.');
+            return callback && callback();
+        }
+
+        const objects = {
+            'astro':             {type: 'channel', common: {name: 'Astro information'}},
+            'astro.times':       {type: 'channel', common: {name: 'Today\'s astro times'}},
+            'astro.isDayTime':   {type: 'state', common: {name: 'Is day time (between sunrise and sunset)', type: 'boolean', role: 'indicator', read: true, write: false}},
+            'astro.nextSunrise': {type: 'state', common: {name: 'Next sunrise', type: 'number', role: 'value.time', read: true, write: false}},
+            'astro.nextSunset':  {type: 'state', common: {name: 'Next sunset', type: 'number', role: 'value.time', read: true, write: false}},
+            'astro.phase':       {type: 'state', common: {name: 'Last astro event', type: 'string', role: 'text', read: true, write: false}}
+        };
+        DAY_EVENTS.forEach(event =>
+            objects['astro.times.' + event] = {type: 'state', common: {name: 'Time of ' + event, type: 'string', role: 'text', read: true, write: false}});
+
+        let count = Object.keys(objects).length;
+        Object.keys(objects).forEach(id => {
+            objects[id].native = {};
+            this.adapter.setObjectNotExists(id, objects[id], () => {
+                if (!--count) {
+                    // the adapter may have been stopped in the meantime
+                    !this.stopped && this.update();
+                    callback && callback();
+                }
+            });
+        });
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    update() {
+        this.timer = null;
+        if (this.stopped) {
+            return;
+        }
+        let values;
+        try {
+            values = this.calculate(new Date());
+        } catch (e) {
+            this.adapter.log.error('Cannot calculate astro states: ' + e);
+        }
+
+        // write only changed values
+        values && Object.keys(values).forEach(id => {
+            if (this.values[id] !== values[id]) {
+                this.values[id] = values[id];
+                this.adapter.setState(id, values[id], true);
+            }
+        });
+
+        // recalculate at the start of the next minute
+        const next = new Date();
+        next.setSeconds(0, 0);
+        next.setMinutes(next.getMinutes() + 1);
+        this.timer = setTimeout(() => this.update(), next.getTime() - Date.now());
+    }
+}
+
+module.exports = AstroStates;
@@ -62,6 +62,10 @@ const monthShort        = {
 };
 const astroList    = ['sunrise', 'sunset', 'sunriseEnd', 'sunsetStart', 'dawn', 'dusk', 'nauticalDawn', 'nauticalDusk', 'nadir', 'nightEnd', 'night', 'goldenHourEnd', 'goldenHour'];
 const astroListLow = astroList.map(str => str.toLowerCase());
+// names of the moon phases, index is phase * 8
+const moonPhases   = ['newMoon', 'waxingCrescent', 'firstQuarter', 'waxingGibbous', 'fullMoon', 'waningGibbous', 'lastQuarter', 'waningCrescent'];
+// conditions of subscriptions on the sun position in degrees, e.g. {sunAzimuthGt: 120, sunElevationGt: 10}
+const sunPositionConditions = ['sunAzimuthGt', 'sunAzimuthLt', 'sunElevationGt', 'sunElevationLt'];
 
 module.exports = {
     dayOfWeeksFull,
@@ -70,5 +74,7 @@ module.exports = {
     monthFullGen,
     monthShort,
     astroList,
-    astroListLow
+    astroListLow,
+    moonPhases,
+    sunPositionConditions
 };
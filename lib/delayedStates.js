@@ -0,0 +1,74 @@
+'use strict';
+
+// The timers of setStateDelayed with the option "persistent" are stored in context.delayedStates (see lib/storage.js)
+// as key => {id, state, isAck, val, ack, due, script}
+
+/**
+ * Starts the timers of setStateDelayed with the option "persistent", that were running before the restart.
+ * Overdue states are written immediately. The callbacks of the scripts are lost.
+ * @param {object} adapter
+ * @param {object} context context of the adapter with delayedStates, timers and timerId
+ */
+function restoreDelayedStates(adapter, context) {
+    const storage = context.delayedStates;
+    const now = Date.now();
+
+    storage.keys().forEach(key => {
+        const delayed = storage.get(key);
+        if (!delayed || !delayed.id) {
+            storage.delete(key);
+            return;
+        }
+
+        context.timerId++;
+        if (context.timerId > 0xFFFFFFFE) context.timerId = 0;
+        const timerId = context.timerId;
+        const delay = Math.max(delayed.due - now, 0);
+
+        adapter.log.info(`Restore delayed state ${delayed.id} of ${delayed.script}` + (delay ? ` in ${Math.round(delay / 1000)} seconds` : ', that is overdue'));
+
+        const timer = setTimeout(() => {
+            storage.delete(key);
+            const timers = context.timers[delayed.id];
+            if (timers) {
+                const pos = timers.findIndex(t => t.id === timerId);
+                pos !== -1 && timers.splice(pos, 1);
+                !timers.length && delete context.timers[delayed.id];
+            }
+            adapter.setForeignState(delayed.id, delayed.state, !!delayed.isAck, err =>
+                err && adapter.log.error(`Cannot write delayed state ${delayed.id} of ${delayed.script}: ${err}`));
+        }, delay);
+
+        // scripts can read and clear the restored timers like their own
+        context.timers[delayed.id] = context.timers[delayed.id] || [];
+        context.timers[delayed.id].push({
+            t:          timer,
+            id:         timerId,
+            ts:         now,
+            delay:      delay,
+            val:        delayed.val,
+            ack:        delayed.ack,
+            script:     delayed.script,
+            persistKey: key
+        });
+    });
+}
+
+/**
+ * Removes the stored timers of a deleted script, so they are not restored after the next restart.
+ * The running timers write their states like the not persistent ones.
+ * @param {object} context context of the adapter with delayedStates
+ * @param {string} name ID of the script, e.g. script.js.common.test
+ */
+function deleteDelayedStates(context, name) {
+    const storage = context.delayedStates;
+    storage && storage.keys().forEach(key => {
+        const delayed = storage.get(key);
+        delayed && delayed.script === name && storage.delete(key);
+    });
+}
+
+module.exports = {
+    restoreDelayedStates,
+    deleteDelayedStates
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+// the delay between the restarts is doubled every time, but not more than MAX_RESTART_DELAY seconds
+const MAX_RESTART_DELAY = 3600;
+
+/**
+ * Watches the errors of the scripts. If a script throws more than "limit" errors within "period" minutes,
+ * it is stopped, so it does not flood the log forever. Optionally the script is started again
+ * after "restartDelay" seconds, the delay is doubled after every restart.
+ */
+class ErrorPolicy {
+    /**
+     * @param {object} adapter
+     * @param {object} handlers
+     * @param {(name: string, reason: string) => void} handlers.disable the script must be disabled
+     * @param {(name: string, reason: string) => void} handlers.stop the script must be stopped till the restart
+     * @param {(name: string) => void} handlers.restart the script must be started again
+     */
+    constructor(adapter, handlers) {
+        this.adapter  = adapter;
+        this.handlers = handlers;
+        this.scripts  = {}; // script name => {policy, errors: timestamps, restarts, timer}
+    }
+
+    /**
+     * Merges the error policy of the script with the settings of the instance
+     * @param {object} config instance settings
+     * @param {object} [policy] common.errorPolicy of the script
+     * @returns {{limit: number, period: number, restart: boolean, restartDelay: number}}
+     */
+    static getPolicy(config, policy) {
+        policy = policy || {};
+        const get = (attr, configAttr, defaultValue) => {
+            const value = policy[attr] !== undefined && policy[attr] !== null && policy[attr] !== '' ? policy[attr] : config[configAttr];
+            return parseInt(value, 10) || defaultValue;
+        };
+        return {
+            limit:        get('limit', 'errorLimit', 0),
+            period:       get('period', 'errorPeriod', 5),
+            restart:      typeof policy.restart === 'boolean' ? policy.restart : !!config.errorRestart,
+            restartDelay: get('restartDelay', 'errorRestartDelay', 60)
+        };
+    }
+
+    /**
+     * Called on every start of the script
+     * @param {string} name script ID
+     * @param {object} [policy] common.errorPolicy of the script
+     */
+    start(name, policy) {
+        const script = this.scripts[name] = this.scripts[name] || {restarts: 0, timer: null};
+        script.policy = ErrorPolicy.getPolicy(this.adapter.config, policy);
+        script.errors = [];
+        if (script.timer) {
+            clearTimeout(script.timer);
+            script.timer = null;
+        }
+    }
+
+    /**
+     * Forgets the restarts, e.g. if the script was started by the user
+     * @param {string} name script ID
+     */
+    reset(name) {
+        const script = this.scripts[name];
+        if (script) {
+            script.timer && clearTimeout(script.timer);
+            delete this.scripts[name];
+        }
+    }
+
+    /**
+     * Counts an error of the script and applies the policy, if the limit is reached
+     * @param {string} name script ID
+     */
+    addError(name) {
+        const script = this.scripts[name];
+        if (!script || !script.policy.limit || script.timer) {
+            return;
+        }
+        const now = Date.now();
+        const period = script.policy.period * 60000;
+        script.errors.push(now);
+        script.errors = script.errors.filter(ts => ts > now - period);
+
+        if (script.errors.length >= script.policy.limit) {
+            const reason = `${script.errors.length} errors within ${script.policy.period} minutes`;
+            script.errors = [];
+            if (script.policy.restart) {
+                const delay = Math.min(script.policy.restartDelay * Math.pow(2, script.restarts), MAX_RESTART_DELAY);
+                script.restarts++;
+                script.timer = setTimeout(() => {
+                    script.timer = null;
+                    this.handlers.restart(name);
+                }, delay * 1000);
+                this.handlers.stop(name, `${reason}. Restart in ${delay} seconds`);
+            } else {
+                this.handlers.disable(name, reason);
+            }
+        }
+    }
+
+    /**
+     * Cancels all planned restarts
+     */
+    stopAll() {
+        Object.keys(this.scripts).forEach(name => this.reset(name));
+    }
+}
+
+module.exports = ErrorPolicy;
@@ -0,0 +1,194 @@
+'use strict';
+
+// Public holidays of Germany, Austria and Switzerland.
+// Every holiday has either a fixed date (month/date) or an offset in days to easter sunday.
+// "regions" limits the holiday to these states/cantons, "except" excludes states/cantons,
+// "since" is the first year, when the holiday was introduced.
+const definitions = {
+    DE: [
+        {id: 'newYear',              month: 1,  date: 1,  name: {en: 'New Year\'s Day',          de: 'Neujahr'}},
+        {id: 'epiphany',             month: 1,  date: 6,  name: {en: 'Epiphany',                 de: 'Heilige Drei Könige'},     regions: ['BW', 'BY', 'ST']},
+        {id: 'womensDay',            month: 3,  date: 8,  name: {en: 'International Women\'s Day', de: 'Internationaler Frauentag'}, regions: ['BE'], since: 2019},
+        {id: 'womensDay',            month: 3,  date: 8,  name: {en: 'International Women\'s Day', de: 'Internationaler Frauentag'}, regions: ['MV'], since: 2023},
+        {id: 'goodFriday',           easter: -2,          name: {en: 'Good Friday',              de: 'Karfreitag'}},
+        {id: 'easterSunday',         easter: 0,           name: {en: 'Easter Sunday',            de: 'Ostersonntag'},            regions: ['BB']},
+        {id: 'easterMonday',         easter: 1,           name: {en: 'Easter Monday',            de: 'Ostermontag'}},
+        {id: 'labourDay',            month: 5,  date: 1,  name: {en: 'Labour Day',               de: 'Tag der Arbeit'}},
+        {id: 'ascensionDay',         easter: 39,          name: {en: 'Ascension Day',            de: 'Christi Himmelfahrt'}},
+        {id: 'whitSunday',           easter: 49,          name: {en: 'Whit Sunday',              de: 'Pfingstsonntag'},          regions: ['BB']},
+        {id: 'whitMonday',           easter: 50,          name: {en: 'Whit Monday',              de: 'Pfingstmontag'}},
+        {id: 'corpusChristi',        easter: 60,          name: {en: 'Corpus Christi',           de: 'Fronleichnam'},            regions: ['BW', 'BY', 'HE', 'NW', 'RP', 'SL']},
+        {id: 'assumptionDay',        month: 8,  date: 15, name: {en: 'Assumption Day',           de: 'Mariä Himmelfahrt'},       regions: ['SL']},
+        {id: 'childrensDay',         month: 9,  date: 20, name: {en: 'World Children\'s Day',    de: 'Weltkindertag'},           regions: ['TH'], since: 2019},
+        {id: 'germanUnityDay',       month: 10, date: 3,  name: {en: 'German Unity Day',         de: 'Tag der Deutschen Einheit'}},
+        {id: 'reformationDay',       month: 10, date: 31, name: {en: 'Reformation Day',          de: 'Reformationstag'},         regions: ['BB', 'MV', 'SN', 'ST', 'TH']},
+        {id: 'reformationDay',       month: 10, date: 31, name: {en: 'Reformation Day',          de: 'Reformationstag'},         regions: ['HB', 'HH', 'NI', 'SH'], since: 2018},
+        {id: 'allSaintsDay',         month: 11, date: 1,  name: {en: 'All Saints\' Day',         de: 'Allerheiligen'},           regions: ['BW', 'BY', 'NW', 'RP', 'SL']},
+        {id: 'repentanceDay',        repentance: true,    name: {en: 'Day of Repentance and Prayer', de: 'Buß- und Bettag'},     regions: ['SN']},
+        {id: 'christmasDay',         month: 12, date: 25, name: {en: 'Christmas Day',            de: '1. Weihnachtstag'}},
+        {id: 'stStephensDay',        month: 12, date: 26, name: {en: 'St. Stephen\'s Day',       de: '2. Weihnachtstag'}}
+    ],
+    AT: [
+        {id: 'newYear',              month: 1,  date: 1,  name: {en: 'New Year\'s Day',          de: 'Neujahr'}},
+        {id: 'epiphany',             month: 1,  date: 6,  name: {en: 'Epiphany',                 de: 'Heilige Drei Könige'}},
+        {id: 'easterMonday',         easter: 1,           name: {en: 'Easter Monday',            de: 'Ostermontag'}},
+        {id: 'labourDay',            month: 5,  date: 1,  name: {en: 'Labour Day',               de: 'Staatsfeiertag'}},
+        {id: 'ascensionDay',         easter: 39,          name: {en: 'Ascension Day',            de: 'Christi Himmelfahrt'}},
+        {id: 'whitMonday',           easter: 50,          name: {en: 'Whit Monday',              de: 'Pfingstmontag'}},
+        {id: 'corpusChristi',        easter: 60,          name: {en: 'Corpus Christi',           de: 'Fronleichnam'}},
+        {id: 'assumptionDay',        month: 8,  date: 15, name: {en: 'Assumption Day',           de: 'Mariä Himmelfahrt'}},
+        {id: 'nationalDay',          month: 10, date: 26, name: {en: 'National Day',             de: 'Nationalfeiertag'}},
+        {id: 'allSaintsDay',         month: 11, date: 1,  name: {en: 'All Saints\' Day',         de: 'Allerheiligen'}},
+        {id: 'immaculateConception', month: 12, date: 8,  name: {en: 'Immaculate Conception',    de: 'Mariä Empfängnis'}},
+        {id: 'christmasDay',         month: 12, date: 25, name: {en: 'Christmas Day',            de: 'Christtag'}},
+        {id: 'stStephensDay',        month: 12, date: 26, name: {en: 'St. Stephen\'s Day',       de: 'Stefanitag'}}
+    ],
+    CH: [
+        {id: 'newYear',              month: 1,  date: 1,  name: {en: 'New Year\'s Day',          de: 'Neujahr'}},
+        {id: 'berchtoldsDay',        month: 1,  date: 2,  name: {en: 'Berchtold\'s Day',         de: 'Berchtoldstag'},           regions: ['ZH', 'BE', 'LU', 'OW', 'NW', 'GL', 'ZG', 'FR', 'SO', 'SH', 'TG', 'VD', 'NE', 'JU', 'AG']},
+        {id: 'goodFriday',           easter: -2,          name: {en: 'Good Friday',              de: 'Karfreitag'},              except: ['TI', 'VS']},
+        {id: 'easterMonday',         easter: 1,           name: {en: 'Easter Monday',            de: 'Ostermontag'},             except: ['VS']},
+        {id: 'labourDay',            month: 5,  date: 1,  name: {en: 'Labour Day',               de: 'Tag der Arbeit'},          regions: ['ZH', 'BS', 'BL', 'SH', 'TI', 'NE', 'JU']},
+        {id: 'ascensionDay',         easter: 39,          name: {en: 'Ascension Day',            de: 'Auffahrt'}},
+        {id: 'whitMonday',           easter: 50,          name: {en: 'Whit Monday',              de: 'Pfingstmontag'},           except: ['VS']},
+        {id: 'corpusChristi',        easter: 60,          name: {en: 'Corpus Christi',           de: 'Fronleichnam'},            regions: ['LU', 'UR', 'SZ', 'OW', 'NW', 'ZG', 'FR', 'SO', 'AI', 'TI', 'VS', 'JU']},
+        {id: 'nationalDay',          month: 8,  date: 1,  name: {en: 'Swiss National Day',       de: 'Bundesfeier'}},
+        {id: 'assumptionDay',        month: 8,  date: 15, name: {en: 'Assumption Day',           de: 'Mariä Himmelfahrt'},       regions: ['LU', 'UR', 'SZ', 'OW', 'NW', 'ZG', 'FR', 'SO', 'AI', 'TI', 'VS', 'JU']},
+        {id: 'allSaintsDay',         month: 11, date: 1,  name: {en: 'All Saints\' Day',         de: 'Allerheiligen'},           regions: ['LU', 'UR', 'SZ', 'OW', 'NW', 'GL', 'ZG', 'FR', 'SO', 'AI', 'SG', 'TI', 'VS', 'JU']},
+        {id: 'immaculateConception', month: 12, date: 8,  name: {en: 'Immaculate Conception',    de: 'Mariä Empfängnis'},        regions: ['LU', 'UR', 'SZ', 'OW', 'NW', 'ZG', 'FR', 'AI', 'TI', 'VS']},
+        {id: 'christmasDay',         month: 12, date: 25, name: {en: 'Christmas Day',            de: 'Weihnachten'}},
+        {id: 'stStephensDay',        month: 12, date: 26, name: {en: 'St. Stephen\'s Day',       de: 'Stephanstag'},             except: ['VS', 'GE', 'JU', 'VD', 'NE']}
+    ]
+};
+
+/**
+ * Calculates easter sunday with the anonymous gregorian algorithm
+ * @param {number} year
+ * @returns {Date}
+ */
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const date  = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, date);
+}
+
+/**
+ * Calculates the public holidays for a configurable country and region
+ */
+class Holidays {
+    /**
+     * @param {string} [country] DE, AT or CH. Default DE
+     * @param {string} [region] state or canton, e.g. BY. Without region only the holidays of the whole country are returned
+     */
+    constructor(country, region) {
+        this.country = (country || 'DE').toUpperCase();
+        this.region  = (region || '').toUpperCase();
+        this.cache   = {}; // year => {'M-D': holiday}
+
+        if (!definitions[this.country]) {
+            throw new Error('Unknown country for holidays: ' + country);
+        }
+    }
+
+    /**
+     * List of the supported countries
+     * @returns {string[]}
+     */
+    static getCountries() {
+        return Object.keys(definitions);
+    }
+
+    isInRegion(holiday) {
+        if (holiday.regions) {
+            return holiday.regions.includes(this.region);
+        } else if (holiday.except) {
+            return !this.region || !holiday.except.includes(this.region);
+        } else {
+            return true;
+        }
+    }
+
+    getDate(holiday, year, easter) {
+        if (holiday.easter !== undefined) {
+            return new Date(easter.getFullYear(), easter.getMonth(), easter.getDate() + holiday.easter);
+        } else if (holiday.repentance) {
+            // wednesday before 23 of November
+            const date = new Date(year, 10, 22);
+            date.setDate(22 - ((date.getDay() + 4) % 7));
+            return date;
+        } else {
+            return new Date(year, holiday.month - 1, holiday.date);
+        }
+    }
+
+    /**
+     * Returns all holidays of the year sorted by date
+     * @param {number} [year] default: current year
+     * @param {string} [language] language of the names, default: en
+     * @returns {{date: Date, id: string, name: string}[]}
+     */
+    getHolidays(year, language) {
+        year = parseInt(year, 10) || new Date().getFullYear();
+        return Object.keys(this.getYear(year))
+            .map(key => this.cache[year][key])
+            .map(holiday => ({
+                date: new Date(holiday.date.getTime()),
+                id:   holiday.id,
+                name: holiday.name[language] || holiday.name.en
+            }))
+            .sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * Checks if the date is a public holiday
+     * @param {Date|number|string} [date] default: today
+     * @returns {{date: Date, id: string, name: object}|null} the holiday or null
+     */
+    getHoliday(date) {
+        date = date === undefined || date === null ? new Date() : new Date(date);
+        if (isNaN(date.getTime())) {
+            return null;
+        }
+        return this.getYear(date.getFullYear())[(date.getMonth() + 1) + '-' + date.getDate()] || null;
+    }
+
+    /**
+     * Checks if the date is a public holiday
+     * @param {Date|number|string} [date] default: today
+     * @returns {boolean}
+     */
+    isHoliday(date) {
+        return !!this.getHoliday(date);
+    }
+
+    getYear(year) {
+        if (!this.cache[year]) {
+            const easter = getEasterSunday(year);
+            const holidays = {};
+            definitions[this.country]
+                .filter(holiday => (!holiday.since || holiday.since <= year) && this.isInRegion(holiday))
+                .forEach(holiday => {
+                    const date = this.getDate(holiday, year, easter);
+                    holidays[(date.getMonth() + 1) + '-' + date.getDate()] = {date, id: holiday.id, name: holiday.name};
+                });
+            this.cache[year] = holidays;
+        }
+        return this.cache[year];
+    }
+}
+
+Holidays.getEasterSunday = getEasterSunday;
+
+module.exports = Holidays;
@@ -0,0 +1,352 @@
+'use strict';
+/* global Atomics, SharedArrayBuffer, WeakRef, FinalizationRegistry */
+const path = require('path');
+
+let workerThreads = null;
+try {
+    workerThreads = require('worker_threads');
+} catch (e) {
+    // worker threads are not available in this node.js version
+}
+
+// these sandbox members are implemented in the worker itself
+const LOCAL_MEMBERS = ['mods', 'request', 'require', 'exports', 'module', 'Buffer', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'setImmediate', 'cb'];
+const MAX_DEPTH = 20;
+
+function serializeError(e) {
+    if (e instanceof Error) {
+        return {__iobError: {message: e.message, stack: e.stack, name: e.name}};
+    } else {
+        return e;
+    }
+}
+
+/**
+ * Runs a script in an own worker thread.
+ *
+ * The sandbox of the script is still created in the adapter process. The worker gets a description of it
+ * and proxies every call over message passing. Calls of the script are synchronous: the worker waits with
+ * Atomics.wait till the adapter answered. Callbacks of the adapter are sent back asynchronously.
+ *
+ * A watchdog terminates the worker, if the script blocks its event loop longer than `watchdogTime`.
+ */
+class IsolatedScript {
+    /**
+     * @param {object} options
+     * @param {string} options.name name of the script, used as file name in stack traces
+     * @param {string} options.source compiled source of the script
+     * @param {object} options.sandbox sandbox of the script created by sandBox()
+     * @param {string[]} [options.deniedModules] node modules, that the script may not require
+     * @param {string[]} [options.libraries] additional npm modules of the instance, that the script may require
+     * @param {number} [options.watchdogTime] maximal time in ms, that the script may block
+     * @param {function} options.onError called with every error of the script
+     * @param {function} options.onBlocked called after the worker was terminated by the watchdog
+     * @param {function} options.onExit called if the worker exited by itself
+     */
+    constructor(options) {
+        this.name         = options.name;
+        this.sandbox      = options.sandbox;
+        this.watchdogTime = parseInt(options.watchdogTime, 10) || 5000;
+        this.onError      = options.onError;
+        this.onBlocked    = options.onBlocked;
+        this.onExit       = options.onExit;
+        this.terminated   = false;
+
+        this.lastId     = 0;
+        this.handles    = new Map(); // id => object or function of the adapter, that the script references
+        this.handleIds  = new Map(); // object or function of the adapter => id
+        this.callbacks  = new Map(); // id => function, that calls the callback in the worker
+
+        // callbacks of the worker are released if the adapter does not reference them anymore
+        if (typeof FinalizationRegistry !== 'undefined' && typeof WeakRef !== 'undefined') {
+            this.callbackRegistry = new FinalizationRegistry(id => {
+                const ref = this.callbacks.get(id);
+                if (ref && !ref.deref()) {
+                    this.callbacks.delete(id);
+                    this.post({type: 'release', id});
+                }
+            });
+        }
+
+        // [0] - answer of the adapter is ready, [1] - worker waits for the adapter
+        this.signal = new Int32Array(new SharedArrayBuffer(8));
+        // time of the last heartbeat of the worker
+        this.alive  = new Float64Array(new SharedArrayBuffer(8));
+        this.alive[0] = Date.now();
+
+        const channel = new workerThreads.MessageChannel();
+        this.syncPort = channel.port1;
+        this.syncPort.on('message', msg => this.onCall(msg));
+
+        const heartbeat = Math.max(50, Math.min(1000, Math.round(this.watchdogTime / 4)));
+
+        this.worker = new workerThreads.Worker(path.join(__dirname, 'isolationWorker.js'), {
+            workerData: {
+                name:          this.name,
+                source:        options.source,
+                api:           this.describe(this.sandbox, 0),
+                deniedModules: options.deniedModules || [],
+                modules:       Object.keys(this.sandbox.mods || {}),
+                libraries:     options.libraries || [],
+                syncPort:      channel.port2,
+                signal:        this.signal.buffer,
+                alive:         this.alive.buffer,
+                heartbeat
+            },
+            transferList: [channel.port2]
+        });
+
+        this.worker.on('message', msg => this.onMessage(msg));
+        this.worker.on('error', e => this.onError(e));
+        this.worker.on('exit', code => {
+            this.syncPort.close();
+            clearInterval(this.watchdog);
+            if (!this.terminated) {
+                this.terminated = true;
+                this.onExit(code);
+            }
+        });
+
+        this.watchdog = setInterval(() => {
+            if (!Atomics.load(this.signal, 1) && Date.now() - this.alive[0] > this.watchdogTime) {
+                const blocked = Date.now() - this.alive[0];
+                this.terminate();
+                this.onBlocked(blocked);
+            }
+        }, heartbeat);
+    }
+
+    /**
+     * Checks if scripts can be isolated with this node.js version
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return !!(workerThreads && workerThreads.receiveMessageOnPort && typeof SharedArrayBuffer !== 'undefined');
+    }
+
+    terminate() {
+        if (!this.terminated) {
+            this.terminated = true;
+            clearInterval(this.watchdog);
+            this.worker.terminate();
+        }
+    }
+
+    post(msg) {
+        if (!this.terminated) {
+            try {
+                this.worker.postMessage(msg);
+            } catch (e) {
+                this.onError(e);
+            }
+        }
+    }
+
+    /**
+     * Describes the members of the sandbox for the worker
+     * @param {object} obj
+     * @param {number} depth
+     */
+    describe(obj, depth) {
+        const result = {};
+        Object.keys(obj).forEach(attr => {
+            if (!depth && LOCAL_MEMBERS.includes(attr)) {
+                return;
+            }
+            if (typeof obj[attr] === 'function') {
+                result[attr] = {type: 'function'};
+            } else if (obj[attr] && typeof obj[attr] === 'object' && !Array.isArray(obj[attr]) && depth < 2) {
+                result[attr] = {type: 'object', members: this.describe(obj[attr], depth + 1)};
+            } else {
+                result[attr] = {type: 'property'};
+            }
+        });
+        return result;
+    }
+
+    getHandle(obj) {
+        let id = this.handleIds.get(obj);
+        if (!id) {
+            id = ++this.lastId;
+            this.handles.set(id, obj);
+            this.handleIds.set(obj, id);
+        }
+        return id;
+    }
+
+    getCallback(id) {
+        let cb = this.callbacks.get(id);
+        cb = cb && this.callbackRegistry ? cb.deref() : cb;
+        if (!cb) {
+            const that = this;
+            cb = function () {
+                that.post({type: 'callback', id, args: Array.prototype.map.call(arguments, arg => that.toWorker(arg, 0))});
+            };
+            if (this.callbackRegistry) {
+                this.callbacks.set(id, new WeakRef(cb));
+                this.callbackRegistry.register(cb, id);
+            } else {
+                this.callbacks.set(id, cb);
+            }
+        }
+        return cb;
+    }
+
+    /**
+     * Converts a value of the adapter into something, that can be sent to the worker.
+     * Functions and objects with methods are replaced by handles, so the worker can call them.
+     */
+    toWorker(value, depth) {
+        if (value === null || value === undefined) {
+            return value;
+        } else if (typeof value === 'function') {
+            return {__iobHandle: this.getHandle(value), function: true};
+        } else if (typeof value !== 'object') {
+            return typeof value === 'symbol' ? undefined : value;
+        } else if (value instanceof Error) {
+            return serializeError(value);
+        } else if (value instanceof Date || value instanceof RegExp || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+            return value;
+        } else if (depth > MAX_DEPTH) {
+            return null;
+        } else if (Array.isArray(value)) {
+            return value.map(item => this.toWorker(item, depth + 1));
+        }
+
+        if (this.handleIds.has(value)) {
+            return this.describeHandle(value);
+        }
+
+        // collect methods of the object
+        const methods = [];
+        const getters = [];
+        Object.keys(value).forEach(attr => typeof value[attr] === 'function' && methods.push(attr));
+        for (let proto = Object.getPrototypeOf(value); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+            Object.getOwnPropertyNames(proto).forEach(attr => {
+                const desc = Object.getOwnPropertyDescriptor(proto, attr);
+                if (attr === 'constructor' || methods.includes(attr) || getters.includes(attr)) {
+                    return;
+                }
+                if (desc.get) {
+                    getters.push(attr);
+                } else if (typeof desc.value === 'function') {
+                    methods.push(attr);
+                }
+            });
+        }
+
+        if (methods.length) {
+            this.getHandle(value);
+            return this.describeHandle(value, methods);
+        } else {
+            // data object, e.g. state or event object
+            const result = {};
+            Object.keys(value).concat(getters).forEach(attr => result[attr] = this.toWorker(value[attr], depth + 1));
+            return result;
+        }
+    }
+
+    describeHandle(value, methods) {
+        const props = {};
+        methods = methods || [];
+        Object.keys(value).forEach(attr => {
+            if (typeof value[attr] === 'function') {
+                !methods.includes(attr) && methods.push(attr);
+            } else if (value[attr] === null || typeof value[attr] !== 'object') {
+                props[attr] = value[attr];
+            }
+        });
+        return {__iobHandle: this.handleIds.get(value), props, methods};
+    }
+
+    fromWorker(value) {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        } else if (value instanceof Uint8Array) {
+            return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+        } else if (Array.isArray(value)) {
+            return value.map(item => this.fromWorker(item));
+        } else if (value.__iobCallback) {
+            return this.getCallback(value.__iobCallback);
+        } else if (value.__iobHandle) {
+            return this.handles.get(value.__iobHandle);
+        } else if (value.__iobError) {
+            const error = new Error(value.__iobError.message);
+            error.stack = value.__iobError.stack;
+            return error;
+        } else if (Object.getPrototypeOf(value) === Object.prototype) {
+            const result = {};
+            Object.keys(value).forEach(attr => result[attr] = this.fromWorker(value[attr]));
+            return result;
+        } else {
+            return value;
+        }
+    }
+
+    /**
+     * Executes a synchronous call of the worker and writes the answer to the sync port
+     * @param {{path: string[], handle: number, method: string, args: any[], get: boolean}} msg
+     */
+    onCall(msg) {
+        let answer;
+        try {
+            let thisArg = this.sandbox;
+            let target;
+            if (msg.handle) {
+                target = this.handles.get(msg.handle);
+                if (msg.method) {
+                    thisArg = target;
+                    target = target[msg.method];
+                }
+            } else {
+                target = this.sandbox;
+                for (let i = 0; i < msg.path.length; i++) {
+                    thisArg = target;
+                    target = target[msg.path[i]];
+                }
+            }
+
+            let result;
+            if (msg.get) {
+                result = target;
+            } else if (typeof target !== 'function') {
+                throw new Error((msg.method || msg.path.join('.')) + ' is not a function');
+            } else {
+                result = target.apply(thisArg, (msg.args || []).map(arg => this.fromWorker(arg)));
+            }
+
+            if (result && typeof result.then === 'function') {
+                const promiseId = ++this.lastId;
+                result.then(
+                    value => this.post({type: 'resolve', id: promiseId, value: this.toWorker(value, 0)}),
+                    error => this.post({type: 'reject', id: promiseId, error: serializeError(error)}));
+                answer = {promise: promiseId};
+            } else {
+                answer = {result: this.toWorker(result, 0)};
+            }
+        } catch (e) {
+            answer = {error: serializeError(e)};
+        }
+
+        try {
+            this.syncPort.postMessage(answer);
+        } catch (e) {
+            this.syncPort.postMessage({error: serializeError(e)});
+        }
+        Atomics.store(this.signal, 0, 1);
+        Atomics.notify(this.signal, 0);
+    }
+
+    onMessage(msg) {
+        if (msg.type === 'error') {
+            const error = this.fromWorker(msg.error);
+            this.onError(error instanceof Error ? error : new Error(String(error)));
+        } else if (msg.type === 'release') {
+            const obj = this.handles.get(msg.id);
+            this.handles.delete(msg.id);
+            obj && this.handleIds.delete(obj);
+        }
+    }
+}
+
+module.exports = IsolatedScript;
@@ -0,0 +1,333 @@
+'use strict';
+/* global Atomics, WeakRef, FinalizationRegistry */
+// Entry point of the worker thread, that executes an isolated script. See lib/isolation.js
+
+const vm = require('vm');
+const {getModuleName, isPermittedModule} = require('./tools');
+const {parentPort, workerData, receiveMessageOnPort} = require('worker_threads');
+
+const syncPort = workerData.syncPort;
+const signal   = new Int32Array(workerData.signal);
+const alive    = new Float64Array(workerData.alive);
+
+// names of the modules in the adapter's mods, that differ from the npm package
+const moduleAliases = {suncalc: 'suncalc2'};
+
+let lastId          = 0;
+const callbacks     = new Map();     // id => function of the script
+const callbackIds   = new WeakMap(); // function of the script => id
+const wrappers      = new Map();     // id => object or function, that represents a handle of the adapter
+const handleIds     = new WeakMap(); // wrapper => id
+const promises      = new Map();     // id => {resolve, reject}
+
+const handleRegistry = typeof FinalizationRegistry !== 'undefined' && typeof WeakRef !== 'undefined' ?
+    new FinalizationRegistry(id => {
+        const ref = wrappers.get(id);
+        if (ref && !ref.deref()) {
+            wrappers.delete(id);
+            parentPort.postMessage({type: 'release', id});
+        }
+    }) : null;
+
+// heartbeat for the watchdog of the adapter
+function setAlive() {
+    alive[0] = Date.now();
+}
+setAlive();
+setInterval(setAlive, workerData.heartbeat);
+
+function serializeError(e) {
+    if (e && typeof e === 'object' && typeof e.message === 'string' && typeof e.stack === 'string') {
+        // remove the frames of this file from the stack
+        const stack = e.stack.split('\n').filter(line => !line.includes(__filename)).join('\n');
+        return {__iobError: {message: e.message, stack, name: e.name}};
+    } else {
+        return e;
+    }
+}
+
+function reportError(e) {
+    try {
+        parentPort.postMessage({type: 'error', error: serializeError(e)});
+    } catch (err) {
+        parentPort.postMessage({type: 'error', error: String(e)});
+    }
+}
+
+function runGuarded(func, thisArg, args) {
+    try {
+        return func.apply(thisArg, args);
+    } catch (e) {
+        reportError(e);
+    }
+}
+
+function isPlainObject(value) {
+    // objects from the vm context have another Object.prototype
+    const proto = Object.getPrototypeOf(value);
+    return !proto || !Object.getPrototypeOf(proto);
+}
+
+function getCallbackId(func) {
+    let id = callbackIds.get(func);
+    if (!id) {
+        id = ++lastId;
+        callbackIds.set(func, id);
+        callbacks.set(id, func);
+    }
+    return id;
+}
+
+/**
+ * Converts a value of the script into something, that can be sent to the adapter
+ */
+function toAdapter(value) {
+    if (value === null || value === undefined) {
+        return value;
+    } else if (typeof value === 'function') {
+        return handleIds.has(value) ? {__iobHandle: handleIds.get(value)} : {__iobCallback: getCallbackId(value)};
+    } else if (typeof value !== 'object') {
+        return typeof value === 'symbol' ? undefined : value;
+    } else if (handleIds.has(value)) {
+        return {__iobHandle: handleIds.get(value)};
+    } else if (Array.isArray(value)) {
+        return value.map(toAdapter);
+    } else if (isPlainObject(value)) {
+        const result = {};
+        Object.keys(value).forEach(attr => result[attr] = toAdapter(value[attr]));
+        return result;
+    } else if (value instanceof Error || (typeof value.message === 'string' && typeof value.stack === 'string')) {
+        return serializeError(value);
+    } else {
+        return value;
+    }
+}
+
+function getWrapper(id) {
+    const wrapper = wrappers.get(id);
+    return wrapper && handleRegistry ? wrapper.deref() : wrapper;
+}
+
+function createWrapper(desc) {
+    let wrapper;
+    if (desc.function) {
+        wrapper = function () {
+            return callAdapter({handle: desc.__iobHandle, args: Array.prototype.slice.call(arguments)});
+        };
+    } else {
+        wrapper = Object.assign({}, desc.props);
+        desc.methods.forEach(method => wrapper[method] = function () {
+            return callAdapter({handle: desc.__iobHandle, method, args: Array.prototype.slice.call(arguments)});
+        });
+
+        // Callbacks are called asynchronously by the adapter, so iterate over the results of a selector here
+        if (typeof wrapper.length === 'number' && desc.methods.includes('each')) {
+            wrapper.each = function (callback) {
+                if (typeof callback === 'function') {
+                    for (let i = 0; i < this.length; i++) {
+                        if (callback(this[i], i) === false) break;
+                    }
+                }
+                return this;
+            };
+        }
+    }
+
+    handleIds.set(wrapper, desc.__iobHandle);
+    if (handleRegistry) {
+        wrappers.set(desc.__iobHandle, new WeakRef(wrapper));
+        handleRegistry.register(wrapper, desc.__iobHandle);
+    } else {
+        wrappers.set(desc.__iobHandle, wrapper);
+    }
+    return wrapper;
+}
+
+/**
+ * Converts a value of the adapter into something, that the script can use
+ */
+function fromAdapter(value) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    } else if (value instanceof Uint8Array) {
+        return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    } else if (Array.isArray(value)) {
+        return value.map(fromAdapter);
+    } else if (value.__iobHandle) {
+        return getWrapper(value.__iobHandle) || createWrapper(value);
+    } else if (value.__iobError) {
+        const error = new Error(value.__iobError.message);
+        error.stack = value.__iobError.stack;
+        return error;
+    } else if (isPlainObject(value)) {
+        const result = {};
+        Object.keys(value).forEach(attr => result[attr] = fromAdapter(value[attr]));
+        return result;
+    } else {
+        return value;
+    }
+}
+
+/**
+ * Calls the adapter and waits for the answer
+ * @param {{path?: string[], handle?: number, method?: string, args?: any[], get?: boolean}} msg
+ */
+function callAdapter(msg) {
+    if (msg.args) {
+        msg.args = msg.args.map(toAdapter);
+    }
+    Atomics.store(signal, 1, 1);
+    try {
+        syncPort.postMessage(msg);
+        Atomics.wait(signal, 0, 0);
+    } finally {
+        Atomics.store(signal, 0, 0);
+        Atomics.store(signal, 1, 0);
+        setAlive();
+    }
+    const answer = receiveMessageOnPort(syncPort).message;
+
+    if (answer.error !== undefined) {
+        throw fromAdapter(answer.error);
+    } else if (answer.promise) {
+        return new Promise((resolve, reject) => promises.set(answer.promise, {resolve, reject}));
+    } else {
+        return fromAdapter(answer.result);
+    }
+}
+
+function createApi(api, path) {
+    const result = {};
+    Object.keys(api).forEach(attr => {
+        const _path = path.concat(attr);
+        if (api[attr].type === 'function') {
+            result[attr] = function () {
+                return callAdapter({path: _path, args: Array.prototype.slice.call(arguments)});
+            };
+        } else if (api[attr].type === 'object') {
+            result[attr] = createApi(api[attr].members, _path);
+        } else {
+            Object.defineProperty(result, attr, {
+                get: () => callAdapter({path: _path, get: true}),
+                enumerable: true
+            });
+        }
+    });
+    return result;
+}
+
+function loadModule(md) {
+    if (getModuleName(md) === 'fs') {
+        // every variant of fs, e.g. "node:fs" or "fs/promises", is protected
+        const ProtectFs = require('./protectFs');
+        const fs = new ProtectFs({error: msg => reportError(new Error(msg))});
+        return md.endsWith('/promises') ? fs.promises : fs;
+    }
+    try {
+        return require(moduleAliases[md] || md);
+    } catch (e) {
+        return require(__dirname + '/../../' + md);
+    }
+}
+
+const sandbox = createApi(workerData.api, []);
+const mods    = {};
+
+workerData.modules.forEach(md =>
+    Object.defineProperty(mods, md, {
+        get: () => {
+            const module = loadModule(md);
+            Object.defineProperty(mods, md, {value: module, enumerable: true});
+            return module;
+        },
+        enumerable: true,
+        configurable: true
+    }));
+
+Object.assign(sandbox, {
+    mods,
+    exports: {}, // Polyfill for the exports object in TypeScript modules
+    Buffer,
+    require: function (md) {
+        if (typeof md === 'string' && md.startsWith('script.js.')) {
+            // the exports of other scripts live in the adapter process and cannot be passed into the worker
+            reportError(new Error(`Isolated scripts cannot require other scripts: require("${md}")`));
+            return undefined;
+        }
+        if (typeof md === 'string' && workerData.deniedModules.includes(getModuleName(md))) {
+            // let the adapter log that this module is not permitted
+            return callAdapter({path: ['require'], args: [md]});
+        }
+        // like in the adapter process only the pre-loaded modules and the additional npm modules, e.g. not "vm" or "worker_threads"
+        if (typeof md !== 'string' || !isPermittedModule(md, workerData.modules.concat(workerData.libraries))) {
+            reportError(new Error(`Cannot require "${md}": only the pre-loaded modules and the additional npm modules of the instance are available`));
+            return undefined;
+        }
+        if (mods[md]) {
+            return mods[md];
+        }
+        try {
+            mods[md] = loadModule(md);
+            return mods[md];
+        } catch (e) {
+            reportError(e);
+        }
+    },
+    setTimeout: function (callback, ms) {
+        const args = Array.prototype.slice.call(arguments, 2);
+        return setTimeout(() => runGuarded(callback, sandbox, args), ms);
+    },
+    clearTimeout: function (id) {
+        clearTimeout(id);
+    },
+    setInterval: function (callback, ms) {
+        const args = Array.prototype.slice.call(arguments, 2);
+        return setInterval(() => runGuarded(callback, sandbox, args), ms);
+    },
+    clearInterval: function (id) {
+        clearInterval(id);
+    },
+    setImmediate: function (callback) {
+        const args = Array.prototype.slice.call(arguments, 1);
+        return setImmediate(() => runGuarded(callback, sandbox, args));
+    },
+    cb: function (callback) {
+        return function () {
+            return typeof callback === 'function' ? runGuarded(callback, this, arguments) : undefined;
+        };
+    }
+});
+sandbox.module = {exports: sandbox.exports};
+Object.defineProperty(sandbox, 'request', {
+    get: () => workerData.modules.includes('request') ? mods.request : null,
+    enumerable: true
+});
+
+parentPort.on('message', msg => {
+    if (msg.type === 'callback') {
+        const callback = callbacks.get(msg.id);
+        callback && runGuarded(callback, sandbox, msg.args.map(fromAdapter));
+    } else if (msg.type === 'release') {
+        const callback = callbacks.get(msg.id);
+        callbacks.delete(msg.id);
+        callback && callbackIds.delete(callback);
+    } else if (msg.type === 'resolve' || msg.type === 'reject') {
+        const promise = promises.get(msg.id);
+        promises.delete(msg.id);
+        if (promise) {
+            msg.type === 'resolve' ? promise.resolve(fromAdapter(msg.value)) : promise.reject(fromAdapter(msg.error));
+        }
+    }
+});
+
+process.on('unhandledRejection', reason => reportError(reason));
+process.on('uncaughtException', e => reportError(e));
+
+try {
+    new vm.Script(workerData.source, {filename: workerData.name, displayErrors: true}).runInNewContext(sandbox, {
+        filename: workerData.name,
+        displayErrors: true
+    });
+} catch (e) {
+    reportError(e);
+}
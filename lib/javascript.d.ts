@@ -58,6 +58,18 @@ declare global {
 
 		type StateValue = null | PrimitiveTypeStateValue | PrimitiveTypeStateValue[] | Record<string, any>;
 
+		/**
+		 * The IDs of the states in the objects database mapped to the types of their values.
+		 * The adapter generates this interface from the state objects, so known IDs are completed and their values are typed.
+		 */
+		interface KnownStates {}
+
+		/** The ID of a state, that exists in the objects database */
+		type KnownStateId = keyof KnownStates;
+
+		/** Any other ID. The values of the known states must match their type */
+		type UnknownStateId<ID extends string> = ID extends KnownStateId ? never : ID;
+
 		interface AbsentState {
 			val: null;
 			notExist: true;
@@ -150,6 +162,13 @@ declare global {
 		}
 
 		type MessageSubscribeID = number;
+		type ObjectSubscribeID = number;
+
+		/**
+		 * Is called when an object was created, changed or deleted.
+		 * `obj` is null if the object was deleted, `oldObj` is null if the object was created.
+		 */
+		type ObjectChangeHandler = (id: string, obj: iobJS.Object | null, oldObj: iobJS.Object | null) => void;
 
 		interface BaseObject {
 			/** The ID of this object */
@@ -241,6 +260,10 @@ declare global {
 		type LogLevel = "silly" | "debug" | "info" | "warn" | "error" | "force";
 
 		type ReadFileCallback = (err: string | null, file?: Buffer | string, mimeType?: string) => void;
+		interface ReadFileResult {
+			file: Buffer | string;
+			mimeType?: string;
+		}
 
 		/** Callback information for a passed message */
 		interface MessageCallbackInfo {
@@ -356,6 +379,12 @@ declare global {
 			oldFrom?: string | string[] | RegExp;
 			/** Old value is not from defined adapter */
 			oldFromNe?: string | string[] | RegExp;
+			/** Call the callback only if no further event came within the given milliseconds. Only the last event is delivered */
+			debounce?: number;
+			/** Call the callback at most once within the given milliseconds. Further events are dropped */
+			throttle?: number;
+			/** Call the callback only if the condition still holds after the given milliseconds (counted from the last change of the value) */
+			duration?: number;
 		}
 
 		interface QueryResult {
@@ -430,6 +459,49 @@ declare global {
 			 * Shift to the astro schedule.
 			 */
 			shift?: number;
+			/** The schedule is not triggered before this time of the day (HH:mm), e.g. "06:30" */
+			notBefore?: string;
+			/** The schedule is not triggered after this time of the day (HH:mm), e.g. "08:00" */
+			notAfter?: string;
+			/** Random offset in minutes (+/-), which is chosen once a day */
+			randomOffset?: number;
+		}
+
+		interface SunPositionSubscribeOptions {
+			/** Triggers if the azimuth of the sun (degrees clockwise from north) is greater than this value */
+			sunAzimuthGt?: number;
+			/** Triggers if the azimuth of the sun (degrees clockwise from north) is less than this value */
+			sunAzimuthLt?: number;
+			/** Triggers if the elevation of the sun (degrees above the horizon) is greater than this value */
+			sunElevationGt?: number;
+			/** Triggers if the elevation of the sun (degrees above the horizon) is less than this value */
+			sunElevationLt?: number;
+			/** "any" triggers on leaving the area too. Default: only on entering */
+			change?: "any";
+		}
+
+		interface SunPosition {
+			/** degrees clockwise from north, e.g. 90 = east */
+			azimuth: number;
+			/** degrees above the horizon, negative if the sun is below it */
+			elevation: number;
+		}
+
+		interface SunPositionEvent extends SunPosition {
+			/** true if the sun entered the area of the conditions, false if it left it */
+			active: boolean;
+		}
+
+		type MoonPhase = "newMoon" | "waxingCrescent" | "firstQuarter" | "waxingGibbous" | "fullMoon" | "waningGibbous" | "lastQuarter" | "waningCrescent";
+
+		interface MoonIllumination {
+			/** illuminated fraction of the moon: 0 - new moon, 1 - full moon */
+			fraction: number;
+			/** 0 - new moon, 0.25 - first quarter, 0.5 - full moon, 0.75 - last quarter */
+			phase: number;
+			phaseName: MoonPhase;
+			/** midpoint angle in degrees of the illuminated limb of the moon. Negative means waxing, positive waning */
+			angle: number;
 		}
 
 		interface AstroDate {
@@ -520,9 +592,66 @@ declare global {
 
 		type SchedulePattern = ScheduleRule | ScheduleRuleConditional | Date | string | number;
 
-		interface SubscribeTime {
+		interface SubscribeTime extends ScheduleOptions {
 			time: SchedulePattern;
 		}
+
+		interface SetStateDelayedOptions {
+			/** Whether an existing timeout for this state should be cleared (default true) */
+			clearRunning?: boolean;
+			/**
+			 * Store the timer, so it is restored after the restart of the adapter.
+			 * If the due time passed while the adapter was stopped, the state is written right after the start. The callback is not called after a restart.
+			 */
+			persistent?: boolean;
+		}
+
+		interface StateDelayedTimer {
+			timerId?: number;
+			/** Milliseconds till the state is written */
+			left: number;
+			delay: number;
+			val: any;
+			ack: boolean;
+			/** true if the timer is restored after the restart of the adapter */
+			persistent: boolean;
+		}
+
+		interface ScheduleOptions {
+			/**
+			 * Run the schedule after the start of the adapter, if it was due while the adapter was stopped.
+			 * true uses the grace window of the instance settings, a number is the grace window in minutes.
+			 */
+			catchUp?: boolean | number;
+		}
+
+		interface ScriptStorage {
+			/** Returns a copy of the stored value or the default value, if the key does not exist */
+			get<T = any>(key: string, defaultValue?: T): T;
+			/** Stores a JSON serializable value. Setting undefined deletes the key */
+			set(key: string, value: any): void;
+			/** Deletes the key. Returns true if the key existed */
+			delete(key: string): boolean;
+			/** Returns all stored keys */
+			keys(): string[];
+		}
+
+		interface Holiday {
+			date: Date;
+			/** language independent ID, e.g. "easterMonday" */
+			id: string;
+			/** name of the holiday in the system language */
+			name: string;
+		}
+
+		interface ScheduleInfo {
+			/** Kind of the schedule */
+			type: "cron" | "astro" | "wizard";
+			/** The pattern, that was passed to schedule() */
+			pattern: any;
+			/** The next times, when the schedule will be triggered */
+			next: Date[];
+		}
 	} // end namespace iobJS
 
 	// =======================================================
@@ -592,11 +721,13 @@ declare global {
 	/**
 	 * Subscribe to changes of the matched states.
 	 */
+	function on<ID extends iobJS.KnownStateId>(id: ID, handler: iobJS.StateChangeHandler<iobJS.KnownStates[ID], iobJS.KnownStates[ID]>): any;
 	function on(pattern: string | RegExp | string[], handler: iobJS.StateChangeHandler): any;
 	function on(
 		astroOrScheduleOrOptions: iobJS.AstroSchedule | iobJS.SubscribeTime | iobJS.SubscribeOptions,
 		handler: iobJS.StateChangeHandler
 	): any;
+	function on(sunPosition: iobJS.SunPositionSubscribeOptions, handler: (position: iobJS.SunPositionEvent) => void): any;
 	/**
 	 * Subscribe to changes of the matched states.
 	 */
@@ -605,6 +736,7 @@ declare global {
 		astroOrScheduleOrOptions: iobJS.AstroSchedule | iobJS.SubscribeTime | iobJS.SubscribeOptions,
 		handler: iobJS.StateChangeHandler
 	): any;
+	function subscribe(sunPosition: iobJS.SunPositionSubscribeOptions, handler: (position: iobJS.SunPositionEvent) => void): any;
 
 	/**
 	 * Registers a one-time subscription which automatically unsubscribes after the first invocation
@@ -661,12 +793,18 @@ declare global {
 	 * The return value can be used to clear the schedule later.
 	 */
 	function schedule(pattern: string | iobJS.SchedulePattern, callback: () => void): any;
+	function schedule(pattern: string | iobJS.SchedulePattern, options: iobJS.ScheduleOptions, callback: () => void): any;
 	function schedule(date: Date, callback: () => void): any;
 	function schedule(astro: iobJS.AstroSchedule, callback: () => void): any;
 	/**
 	 * Clears a schedule. Returns true if it was successful.
 	 */
 	function clearSchedule(schedule: any): boolean;
+	/**
+	 * Returns all active schedules of this script with their next run times.
+	 * @param count How many next runs should be calculated per schedule. Default: 5
+	 */
+	function getSchedules(count?: number): iobJS.ScheduleInfo[];
 
 	/**
 	 * Calculates the astro time which corresponds to the given pattern.
@@ -681,12 +819,46 @@ declare global {
 	 */
 	function isAstroDay(): boolean;
 
+	/**
+	 * Calculates the position of the sun for the configured latitude and longitude.
+	 * @param date Default: now
+	 */
+	function getSunPosition(date?: Date | number): iobJS.SunPosition;
+
+	/**
+	 * Calculates the illumination and the phase of the moon.
+	 * @param date Default: now
+	 */
+	function getMoonIllumination(date?: Date | number): iobJS.MoonIllumination;
+
+	/**
+	 * Checks if the date is a public holiday in the country and region from the instance settings.
+	 * @param date The date to check. Default: today
+	 */
+	function isHoliday(date?: Date | number | string): boolean;
+
+	/**
+	 * Returns the public holidays of the year sorted by date.
+	 * @param year Default: the current year
+	 */
+	function getHolidays(year?: number): iobJS.Holiday[];
+
 	/**
 	 * Sets a state to the given value
 	 * @param id The ID of the state to be set
 	 */
-	function setState<T extends iobJS.StateValue>(id: string, state: T | iobJS.State<T> | Partial<iobJS.State<T>>, callback?: iobJS.SetStateCallback): void;
-	function setState<T extends iobJS.StateValue>(id: string, state: T | iobJS.State<T> | Partial<iobJS.State<T>>, ack: boolean, callback?: iobJS.SetStateCallback): void;
+	function setState<ID extends iobJS.KnownStateId>(id: ID, state: iobJS.KnownStates[ID] | iobJS.State<iobJS.KnownStates[ID]> | Partial<iobJS.State<iobJS.KnownStates[ID]>>, callback?: iobJS.SetStateCallback): void;
+	function setState<ID extends iobJS.KnownStateId>(id: ID, state: iobJS.KnownStates[ID] | iobJS.State<iobJS.KnownStates[ID]> | Partial<iobJS.State<iobJS.KnownStates[ID]>>, ack: boolean, callback?: iobJS.SetStateCallback): void;
+	function setState<T extends iobJS.StateValue, ID extends string = string>(id: iobJS.UnknownStateId<ID>, state: T | iobJS.State<T> | Partial<iobJS.State<T>>, callback?: iobJS.SetStateCallback): void;
+	function setState<T extends iobJS.StateValue, ID extends string = string>(id: iobJS.UnknownStateId<ID>, state: T | iobJS.State<T> | Partial<iobJS.State<T>>, ack: boolean, callback?: iobJS.SetStateCallback): void;
+
+	/**
+	 * Sets a state to the given value.
+	 * The returned promise is rejected if the state could not be set.
+	 * @param id The ID of the state to be set
+	 */
+	function setStateAsync<ID extends iobJS.KnownStateId>(id: ID, state: iobJS.KnownStates[ID] | iobJS.State<iobJS.KnownStates[ID]> | Partial<iobJS.State<iobJS.KnownStates[ID]>>, ack?: boolean): Promise<void>;
+	function setStateAsync<T extends iobJS.StateValue, ID extends string = string>(id: iobJS.UnknownStateId<ID>, state: T | iobJS.State<T> | Partial<iobJS.State<T>>, ack?: boolean): Promise<void>;
 
 	/**
 	 * Sets a state to the given value after a timeout has passed.
@@ -701,6 +873,8 @@ declare global {
 	function setStateDelayed<T extends iobJS.StateValue>(id: string, state: T | iobJS.State<T> | Partial<iobJS.State<T>>, delay: number, callback?: iobJS.SetStateCallback): any;
 	function setStateDelayed<T extends iobJS.StateValue>(id: string, state: T | iobJS.State<T> | Partial<iobJS.State<T>>, callback?: iobJS.SetStateCallback): any;
 	function setStateDelayed<T extends iobJS.StateValue>(id: string, state: T | iobJS.State<T> | Partial<iobJS.State<T>>, ack: boolean, delay: number, clearRunning: boolean, callback?: iobJS.SetStateCallback): any;
+	function setStateDelayed<T extends iobJS.StateValue>(id: string, state: T | iobJS.State<T> | Partial<iobJS.State<T>>, delay: number, options: iobJS.SetStateDelayedOptions, callback?: iobJS.SetStateCallback): any;
+	function setStateDelayed<T extends iobJS.StateValue>(id: string, state: T | iobJS.State<T> | Partial<iobJS.State<T>>, ack: boolean, delay: number, options: iobJS.SetStateDelayedOptions, callback?: iobJS.SetStateCallback): any;
 
 	/**
 	 * Clears a timer created by setStateDelayed
@@ -709,6 +883,14 @@ declare global {
 	 */
 	function clearStateDelayed(id: string, timerID?: any): boolean;
 
+	/**
+	 * Returns the running timers of setStateDelayed
+	 * @param id (optional) The state id or the ID of the timer. Without ID the timers of all states are returned.
+	 */
+	function getStateDelayed(timerID: number): iobJS.StateDelayedTimer & { id: string } | null;
+	function getStateDelayed(id: string): iobJS.StateDelayedTimer[];
+	function getStateDelayed(): Record<string, iobJS.StateDelayedTimer[]>;
+
 	/**
 	 * Sets a binary state to the given value
 	 * @param id The ID of the state to be set
@@ -721,9 +903,19 @@ declare global {
 	 * this can be called synchronously and immediately returns the state.
 	 * Otherwise you need to provide a callback.
 	 */
+	function getState<ID extends iobJS.KnownStateId>(id: ID, callback: iobJS.GetStateCallback<iobJS.KnownStates[ID]>): void;
+	function getState<ID extends iobJS.KnownStateId>(id: ID): iobJS.State<iobJS.KnownStates[ID]> | iobJS.AbsentState;
 	function getState<T extends iobJS.StateValue = any>(id: string, callback: iobJS.GetStateCallback<T>): void;
 	function getState<T extends iobJS.StateValue = any>(id: string): iobJS.State<T> | iobJS.AbsentState;
 
+	/**
+	 * Reads the state with the given ID from the states db.
+	 * Works independently of the "Do not subscribe to all states on start" setting.
+	 * The returned promise resolves with null if the state does not exist.
+	 */
+	function getStateAsync<ID extends iobJS.KnownStateId>(id: ID): Promise<iobJS.State<iobJS.KnownStates[ID]> | null>;
+	function getStateAsync<T extends iobJS.StateValue = any>(id: string): Promise<iobJS.State<T> | null>;
+
 	/**
 	 * Returns the binary state with the given ID.
 	 * If the adapter is configured to subscribe to all states on start,
@@ -753,6 +945,11 @@ declare global {
 	 * Reads an object from the object db
 	 */
 	function getObject(id: string, enumName?: string): iobJS.Object;
+	/**
+	 * Reads an object from the object db.
+	 * The returned promise resolves with null if the object does not exist.
+	 */
+	function getObjectAsync(id: string, enumName?: string): Promise<iobJS.Object | null>;
 	/** Creates or overwrites an object in the object db */
 	function setObject(id: string, obj: iobJS.Object, callback?: iobJS.SetObjectCallback): void;
 	/** Extend an object and create it if it might not exist */
@@ -779,6 +976,19 @@ declare global {
 	function createState(name: string, common: Partial<iobJS.StateCommon>, native: any, callback?: iobJS.SetStateCallback): void;
 	function createState(name: string, initValue: iobJS.StateValue, common: Partial<iobJS.StateCommon>, native: any, callback?: iobJS.SetStateCallback): void;
 
+	/**
+	 * Creates a state and the corresponding object under the javascript namespace.
+	 * The returned promise is resolved after the state was created.
+	 * @param name The name of the state without the namespace
+	 * @param initValue (optional) Initial value of the state
+	 * @param forceCreation (optional) Override the state if it already exists
+	 * @param common (optional) Common part of the state object
+	 * @param native (optional) Native part of the state object
+	 */
+	function createStateAsync(name: string, initValue?: iobJS.StateValue, forceCreation?: boolean, common?: Partial<iobJS.StateCommon>, native?: any): Promise<void>;
+	function createStateAsync(name: string, common: Partial<iobJS.StateCommon>, native?: any): Promise<void>;
+	function createStateAsync(name: string, initValue: iobJS.StateValue, common: Partial<iobJS.StateCommon>, native?: any): Promise<void>;
+
 	/**
 	 * Deletes the state with the given ID
 	 * @param callback (optional) Is called after the state was deleted (or not).
@@ -796,6 +1006,17 @@ declare global {
 	function sendTo(instanceName: string, message: string | object, callback?: iobJS.MessageCallback | iobJS.MessageCallbackInfo): void;
 	function sendTo(instanceName: string, command: string, message: string | object, callback?: iobJS.MessageCallback | iobJS.MessageCallbackInfo): void;
 
+	/**
+	 * Sends a message to a specific instance and waits for the answer.
+	 * The returned promise is rejected if the answer contains an error or did not arrive in time.
+	 * @param instanceName The instance to send this message to, e.g. "email.0"
+	 * @param command (optional) Command name of the target instance. Default: "send"
+	 * @param message The message (e.g. params) to send.
+	 * @param options (optional) Actually only {timeout: X} is supported as option. Default timeout: 20000 ms
+	 */
+	function sendToAsync(instanceName: string, message: string | object): Promise<any>;
+	function sendToAsync(instanceName: string, command: string, message: string | object, options?: { timeout?: number }): Promise<any>;
+
 	type CompareTimeOperations =
 		"between" | "not between" |
 		">" | ">=" | "<" | "<=" | "==" | "<>"
@@ -815,6 +1036,12 @@ declare global {
 	/** Sets up a callback which is called when the script stops */
 	function onStop(callback: (cb?: () => void) => void, timeout?: number): void;
 
+	/**
+	 * Persistent key/value storage of the script.
+	 * The data survives restarts of the script and of the adapter and is deleted together with the script.
+	 */
+	const storage: iobJS.ScriptStorage;
+
 	function formatValue(value: number | string, format?: any): string;
 	function formatValue(value: number | string, decimals: number, format?: any): string;
 	function formatDate(dateObj: string | Date | number, format: string, language?: string): string;
@@ -839,6 +1066,13 @@ declare global {
 	 */
 	function readFile(id: string, name: string, callback: iobJS.ReadFileCallback): void;
 
+	/**
+	 * Reads a file.
+	 * @param id Name of the root directory. This should be the adapter instance, e.g. "admin.0"
+	 * @param name File name
+	 */
+	function readFileAsync(id: string, name: string): Promise<iobJS.ReadFileResult>;
+
 	/**
 	 * Deletes a file.
 	 * @param id Name of the root directory. This should be the adapter instance, e.g. "admin.0"
@@ -856,6 +1090,15 @@ declare global {
 
 	function getHistory(instance: any, options: any, callback: any): any;
 
+	/**
+	 * Reads the history of a state from a history instance.
+	 * The returned promise is rejected on errors or if the history instance did not answer in time.
+	 * @param instance (optional) History instance, e.g. "sql.0". Default: the system default history
+	 * @param options Query options. `id` is required, `timeout` defaults to 20000 ms
+	 */
+	function getHistoryAsync(instance: string, options: any): Promise<any[]>;
+	function getHistoryAsync(options: any): Promise<any[]>;
+
 	/**
 	 * Starts or restarts a script by name
 	 * @param scriptName (optional) Name of the script. If none is given, the current script is (re)started.
@@ -905,6 +1148,15 @@ declare global {
      */
 	function messageTo(target: iobJS.MessageTarget | string, data: any, options?: any, callback?: SimpleCallback<any>): iobJS.MessageSubscribeID;
 
+    /**
+     * Sends a message to another script and waits for the result.
+     * The returned promise is rejected if the result contains an error or did not arrive in time.
+     * @param target Message name or target object
+     * @param data Any data, that should be sent to message bus
+     * @param options Actually only {timeout: X} is supported as option. Default timeout: 5000 ms
+     */
+	function messageToAsync(target: iobJS.MessageTarget | string, data: any, options?: { timeout?: number }): Promise<any>;
+
     /**
      * Process message from other script.
      * @param message Message name
@@ -932,4 +1184,25 @@ declare global {
      * @return true if subscription exists and was deleted.
      */
 	function onLogUnregister(idOrCallbackOrSeverity: iobJS.MessageSubscribeID | SimpleCallback<iobJS.LogMessage> | iobJS.LogLevel): boolean;
+
+    /**
+     * Subscribes to the creation, change and deletion of objects.
+     * @param pattern Object ID, ID with wildcards (e.g. "hm-rpc.0.*"), regular expression or array of them
+     * @param callback Is called with the ID, the new and the old object
+     * @return ID of the subscription. It could be used for un-subscribe.
+     */
+	function onObject(pattern: string | RegExp, callback: iobJS.ObjectChangeHandler): iobJS.ObjectSubscribeID;
+	function onObject(pattern: (string | RegExp)[], callback: iobJS.ObjectChangeHandler): iobJS.ObjectSubscribeID[];
+	/** Same as onObject */
+	function subscribeObject(pattern: string | RegExp, callback: iobJS.ObjectChangeHandler): iobJS.ObjectSubscribeID;
+	function subscribeObject(pattern: (string | RegExp)[], callback: iobJS.ObjectChangeHandler): iobJS.ObjectSubscribeID[];
+
+    /**
+     * Unsubscribes object change handlers.
+     * @param idOrCallbackOrPattern Subscription id from onObject, callback function or pattern
+     * @return true if subscription exists and was deleted.
+     */
+	function onObjectUnregister(idOrCallbackOrPattern: iobJS.ObjectSubscribeID | iobJS.ObjectChangeHandler | string | RegExp): boolean;
+	/** Same as onObjectUnregister */
+	function unsubscribeObject(idOrCallbackOrPattern: iobJS.ObjectSubscribeID | iobJS.ObjectChangeHandler | string | RegExp): boolean;
 }
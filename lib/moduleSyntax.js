@@ -0,0 +1,302 @@
+'use strict';
+
+const ts = require('typescript');
+
+// the scripts without these words are not parsed at all
+const MODULE_SYNTAX = /\b(import|export|await)\b/;
+
+// "import x from 'module'" gets the default export of a transformed script or the whole CommonJS module
+const IMPORT_DEFAULT = 'const __esmDefault = m => m && m.__esModule ? m.default : m;';
+
+// an await inside of these nodes is not on the top level
+const FUNCTION_KINDS = [
+    ts.SyntaxKind.FunctionDeclaration,
+    ts.SyntaxKind.FunctionExpression,
+    ts.SyntaxKind.ArrowFunction,
+    ts.SyntaxKind.MethodDeclaration,
+    ts.SyntaxKind.Constructor,
+    ts.SyntaxKind.GetAccessor,
+    ts.SyntaxKind.SetAccessor
+];
+
+/**
+ * @param {ts.Node} node
+ * @returns {boolean} true, if the node contains await outside of a function
+ */
+function hasTopLevelAwait(node) {
+    if (FUNCTION_KINDS.includes(node.kind)) {
+        return false;
+    }
+    if (ts.isAwaitExpression(node) || (ts.isForOfStatement(node) && node.awaitModifier)) {
+        return true;
+    }
+    return !!ts.forEachChild(node, hasTopLevelAwait);
+}
+
+/**
+ * Collects the names of the variables, e.g. a, b and c of "export const {a, b: [c]} = obj;"
+ * @param {ts.BindingName} name
+ * @param {string[]} result
+ * @returns {string[]}
+ */
+function getBindingNames(name, result) {
+    if (ts.isIdentifier(name)) {
+        result.push(name.text);
+    } else {
+        name.elements.forEach(element => !ts.isOmittedExpression(element) && getBindingNames(element.name, result));
+    }
+    return result;
+}
+
+// the nodes, whose name declares a variable, that hides an imported one
+const DECLARATION_KINDS = [
+    ts.SyntaxKind.VariableDeclaration,
+    ts.SyntaxKind.Parameter,
+    ts.SyntaxKind.BindingElement,
+    ts.SyntaxKind.FunctionDeclaration,
+    ts.SyntaxKind.FunctionExpression,
+    ts.SyntaxKind.ClassDeclaration,
+    ts.SyntaxKind.ClassExpression
+];
+
+// the nodes, whose name is a property and not a variable
+const PROPERTY_KINDS = [
+    ts.SyntaxKind.PropertyAccessExpression,
+    ts.SyntaxKind.PropertyAssignment,
+    ts.SyntaxKind.PropertyDeclaration,
+    ts.SyntaxKind.MethodDeclaration,
+    ts.SyntaxKind.GetAccessor,
+    ts.SyntaxKind.SetAccessor
+];
+
+/**
+ * @param {ts.Identifier} node
+ * @returns {boolean} true, if the identifier reads or writes a variable
+ */
+function isReference(node) {
+    const parent = node.parent;
+    if ((PROPERTY_KINDS.includes(parent.kind) || DECLARATION_KINDS.includes(parent.kind)) && parent.name === node) {
+        return false;
+    }
+    if (ts.isBindingElement(parent) && parent.propertyName === node) {
+        return false;
+    }
+    return !((ts.isLabeledStatement(parent) || ts.isBreakOrContinueStatement(parent)) && parent.label === node);
+}
+
+/**
+ * Collects the names of the var declarations of a function, that are not in the nested functions
+ * @param {ts.Node} node
+ * @param {string[]} result
+ * @returns {string[]}
+ */
+function getVarNames(node, result) {
+    if (ts.isVariableDeclarationList(node) && !(node.flags & ts.NodeFlags.BlockScoped)) {
+        node.declarations.forEach(declaration => getBindingNames(declaration.name, result));
+    } else if (!FUNCTION_KINDS.includes(node.kind)) {
+        ts.forEachChild(node, child => {
+            getVarNames(child, result);
+        });
+    }
+    return result;
+}
+
+/**
+ * Collects the names of the variables, that the node declares for its children
+ * @param {ts.Node} node
+ * @returns {string[]}
+ */
+function getScopeNames(node) {
+    const result = [];
+    if (FUNCTION_KINDS.includes(node.kind)) {
+        node.name && ts.isFunctionExpression(node) && result.push(node.name.text);
+        node.parameters.forEach(parameter => getBindingNames(parameter.name, result));
+        node.body && getVarNames(node.body, result);
+    } else if (ts.isCatchClause(node)) {
+        node.variableDeclaration && getBindingNames(node.variableDeclaration.name, result);
+    } else if ((ts.isForStatement(node) || ts.isForInStatement(node) || ts.isForOfStatement(node)) &&
+        node.initializer && ts.isVariableDeclarationList(node.initializer)) {
+        node.initializer.declarations.forEach(declaration => getBindingNames(declaration.name, result));
+    } else if (ts.isClassExpression(node) && node.name) {
+        result.push(node.name.text);
+    }
+    // let, const, class and function in a block
+    const statements = ts.isBlock(node) || ts.isCaseClause(node) || ts.isDefaultClause(node) ? node.statements : [];
+    statements.forEach(statement => {
+        if (ts.isVariableStatement(statement)) {
+            statement.declarationList.declarations.forEach(declaration => getBindingNames(declaration.name, result));
+        } else if ((ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement)) && statement.name) {
+            result.push(statement.name.text);
+        }
+    });
+    return result;
+}
+
+/**
+ * Converts import and export to require and exports of the sandbox and wraps the scripts with top-level await into an async function.
+ * The code stays on the same lines, so the line numbers of the errors are the same as in the source.
+ * @param {string} source source code of a JavaScript
+ * @returns {string} the source, if it uses no module syntax, or the converted code
+ */
+function transformModuleSyntax(source) {
+    if (!MODULE_SYNTAX.test(source)) {
+        return source;
+    }
+    const sourceFile = ts.createSourceFile('script.js', source, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS);
+    if (sourceFile.parseDiagnostics.length) {
+        // the syntax errors are reported by the compilation of the source
+        return source;
+    }
+
+    const edits   = [];
+    const exports = []; // {name, local}: the exports are read from the local variables, so they are live like in modules
+    const imports = {}; // name of the imported variable => property of the module
+    let counter   = 0;
+    let importDefault = false;
+
+    // the replacement has the same number of lines as the replaced code
+    const replace = (start, end, text) => {
+        const lines = source.substring(start, end).split('\n').length - text.split('\n').length;
+        edits.push({start, end, text: text + '\n'.repeat(Math.max(lines, 0))});
+    };
+    const requireModule = specifier => `require(${specifier.getText()})`;
+
+    sourceFile.statements.forEach(node => {
+        if (ts.isImportDeclaration(node)) {
+            const clause = node.importClause;
+            if (!clause) {
+                return replace(node.getStart(), node.end, requireModule(node.moduleSpecifier) + ';');
+            }
+            const bindings = [];
+            let module = requireModule(node.moduleSpecifier);
+            if (clause.namedBindings && ts.isNamespaceImport(clause.namedBindings)) {
+                bindings.push(`${clause.namedBindings.name.text} = ${module}`);
+                module = clause.namedBindings.name.text;
+            } else if (clause.namedBindings || clause.name) {
+                const variable = '__esmImport' + (++counter);
+                bindings.push(`${variable} = ${module}`);
+                module = variable;
+            }
+            if (clause.name) {
+                // the default export is a copy, like the exported value of "export default expression"
+                importDefault = true;
+                bindings.push(`${clause.name.text} = __esmDefault(${module})`);
+            }
+            if (clause.namedBindings && ts.isNamedImports(clause.namedBindings)) {
+                // the named imports are read from the module on every use, so they are live like in modules
+                clause.namedBindings.elements.forEach(element =>
+                    imports[element.name.text] = `${module}.${(element.propertyName || element.name).text}`);
+            }
+            replace(node.getStart(), node.end, `const ${bindings.join(', ')};`);
+        } else if (ts.isExportDeclaration(node)) {
+            const clause = node.exportClause;
+            if (!node.moduleSpecifier) {
+                // export {a, b as c};
+                clause.elements.forEach(element => {
+                    const local = (element.propertyName || element.name).text;
+                    exports.push({name: element.name.text, local: imports[local] || local});
+                });
+                return replace(node.getStart(), node.end, '');
+            }
+            const variable = '__esmImport' + (++counter);
+            let text = `const ${variable} = ${requireModule(node.moduleSpecifier)};`;
+            if (!clause) {
+                // export * from 'module'; the own exports are not overwritten
+                text += ` Object.keys(${variable}).forEach(key => key !== 'default' && !(key in exports) && Object.defineProperty(exports, key, {enumerable: true, get: () => ${variable}[key]}));`;
+            } else if (ts.isNamedExports(clause)) {
+                clause.elements.forEach(element => exports.push({name: element.name.text, local: `${variable}.${(element.propertyName || element.name).text}`}));
+            } else {
+                // export * as name from 'module'
+                exports.push({name: clause.name.text, local: variable});
+            }
+            replace(node.getStart(), node.end, text);
+        } else if (ts.isExportAssignment(node)) {
+            // export default expression;
+            replace(node.getStart(), node.expression.getStart(), 'exports.default = ');
+        } else if (node.modifiers && node.modifiers.some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword)) {
+            const isDefault = node.modifiers.some(modifier => modifier.kind === ts.SyntaxKind.DefaultKeyword);
+            const first = node.modifiers[0];
+            const last  = node.modifiers[node.modifiers.length - 1];
+            if (isDefault && !node.name) {
+                // export default function () {}
+                return replace(first.getStart(), last.end, 'exports.default =');
+            }
+            // the modifiers are replaced by spaces, so even the columns stay the same
+            replace(first.getStart(), last.end, ' '.repeat(last.end - first.getStart()));
+            if (ts.isVariableStatement(node)) {
+                node.declarationList.declarations.forEach(declaration =>
+                    getBindingNames(declaration.name, []).forEach(name => exports.push({name, local: name})));
+            } else {
+                exports.push({name: isDefault ? 'default' : node.name.text, local: node.name.text});
+            }
+        }
+    });
+
+    // replace the imported variables, that are not hidden by the variables of functions or blocks
+    const replaceImports = (node, hidden) => {
+        if (ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) {
+            return;
+        }
+        if (ts.isShorthandPropertyAssignment(node) && imports[node.name.text] && !hidden.includes(node.name.text)) {
+            return replace(node.name.getStart(), node.name.end, `${node.name.text}: ${imports[node.name.text]}`);
+        }
+        if (ts.isIdentifier(node)) {
+            if (imports[node.text] && !hidden.includes(node.text) && isReference(node)) {
+                // called without the module as this, like the imported functions in modules
+                const isCallee = (ts.isCallExpression(node.parent) || ts.isTaggedTemplateExpression(node.parent)) &&
+                    (node.parent.expression === node || node.parent.tag === node);
+                replace(node.getStart(), node.end, isCallee ? `(0, ${imports[node.text]})` : imports[node.text]);
+            }
+            return;
+        }
+        const names = getScopeNames(node).filter(name => imports[name]);
+        ts.forEachChild(node, child => {
+            replaceImports(child, names.length ? hidden.concat(names) : hidden);
+        });
+    };
+    Object.keys(imports).length && replaceImports(sourceFile, []);
+
+    const isAsync = hasTopLevelAwait(sourceFile);
+    if (!edits.length && !isAsync) {
+        return source;
+    }
+
+    let code = source;
+    edits.sort((a, b) => b.start - a.start).forEach(edit =>
+        code = code.substring(0, edit.start) + edit.text + code.substring(edit.end));
+
+    // the declarations are added to the first line
+    const prologue = [];
+    isAsync && prologue.push('(async () => {');
+    importDefault && prologue.push(IMPORT_DEFAULT);
+    if (exports.length || edits.some(edit => edit.text.startsWith('exports.default'))) {
+        prologue.push(`Object.defineProperty(exports, '__esModule', {value: true});`);
+    }
+    exports.forEach(item =>
+        prologue.push(`Object.defineProperty(exports, ${JSON.stringify(item.name)}, {enumerable: true, get: () => ${item.local}});`));
+
+    code = prologue.join(' ') + code;
+    if (isAsync) {
+        // the errors after an await are reported like the errors of the script
+        code += '\n})().catch(e => __engine.__onError(e));';
+    }
+    return code;
+}
+
+/**
+ * Tests whether the JavaScript uses await outside of functions. Such a script sets its exports asynchronously,
+ * so it cannot be required by other scripts.
+ * @param {string} source source code of a JavaScript
+ * @returns {boolean}
+ */
+function usesTopLevelAwait(source) {
+    if (!/\bawait\b/.test(source)) {
+        return false;
+    }
+    return hasTopLevelAwait(ts.createSourceFile('script.js', source, ts.ScriptTarget.Latest, true, ts.ScriptKind.JS));
+}
+
+module.exports = {
+    transformModuleSyntax,
+    usesTopLevelAwait
+};
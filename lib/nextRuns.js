@@ -0,0 +1,153 @@
+'use strict';
+
+const cronParser   = require('cron-parser');
+const nodeSchedule = require('node-schedule');
+const {getSunTimes} = require('./sunTimes');
+const {limitTime}  = require('./tools');
+
+// maximal number of invocations of a recurrence rule, that are checked to find the next runs
+const MAX_ITERATIONS = 10000;
+
+/**
+ * Tests whether the pattern is a schedule of the wizard (see lib/scheduler.js)
+ * @param {any} pattern
+ * @returns {boolean}
+ */
+function isWizard(pattern) {
+    return (typeof pattern === 'string' && pattern[0] === '{') || (!!pattern && typeof pattern === 'object' && !!pattern.period);
+}
+
+/**
+ * Same conversion of cron strings as in schedule() of the sandbox: 7 is sunday too
+ * @param {string} pattern
+ * @returns {string}
+ */
+function normalizeCron(pattern) {
+    const parts = pattern.trim().replace(/\s+/g, ' ').split(' ');
+    if (parts.length >= 5 && parts[5] >= 7) parts[5] = 0;
+    return parts.join(' ');
+}
+
+/**
+ * Calculates the next runs of a node-schedule pattern
+ * @param {string|Date|object} pattern cron string, date, recurrence rule or {start, end, rule}
+ * @param {number} count maximal number of runs
+ * @param {Date} [from] start of the calculation, default now
+ * @returns {Date[]}
+ */
+function getCronRuns(pattern, count, from) {
+    let start = from || new Date();
+    let end;
+    const runs = [];
+
+    if (pattern && typeof pattern === 'object' && pattern.rule) {
+        if (pattern.start && new Date(pattern.start) > start) {
+            start = new Date(pattern.start);
+        }
+        end = pattern.end ? new Date(pattern.end) : undefined;
+        pattern = pattern.rule;
+    }
+
+    if (pattern instanceof Date) {
+        pattern >= start && (!end || pattern <= end) && runs.push(new Date(pattern.getTime()));
+    } else if (typeof pattern === 'string') {
+        const interval = cronParser.parseExpression(normalizeCron(pattern), {currentDate: start, endDate: end});
+        while (runs.length < count && interval.hasNext()) {
+            runs.push(interval.next().toDate());
+        }
+    } else if (pattern && typeof pattern === 'object') {
+        let rule = pattern;
+        if (!(rule instanceof nodeSchedule.RecurrenceRule)) {
+            rule = new nodeSchedule.RecurrenceRule();
+            ['year', 'month', 'date', 'dayOfWeek', 'hour', 'minute', 'second'].forEach(attr => {
+                if (attr in pattern) {
+                    rule[attr] = pattern[attr];
+                }
+            });
+        }
+        let next = start;
+        for (let i = 0; i < MAX_ITERATIONS && runs.length < count; i++) {
+            next = rule.nextInvocationDate(next);
+            if (!next || (end && next.getTime() > end.getTime())) {
+                break;
+            }
+            runs.push(new Date(next.getTime()));
+        }
+    } else {
+        throw new Error('Invalid schedule pattern: ' + JSON.stringify(pattern));
+    }
+
+    return runs;
+}
+
+/**
+ * Calculates the next runs of an astro schedule
+ * @param {{astro: string, shift?: number, notBefore?: string, notAfter?: string}} pattern
+ * @param {number} count maximal number of runs
+ * @param {Date} [from] start of the calculation, default now
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Date[]}
+ */
+function getAstroRuns(pattern, count, from, latitude, longitude) {
+    if ((!latitude && latitude !== 0) || (!longitude && longitude !== 0)) {
+        throw new Error('Longitude or latitude does not set. Cannot use astro.');
+    }
+    from = from || new Date();
+    const runs = [];
+    // start one day before, because the event of the day before could be shifted into today
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1, 12);
+
+    // some events do not occur every day, e.g. night in the summer
+    for (let i = 0; i < 366 + count && runs.length < count; i++) {
+        let ts = getSunTimes(day, latitude, longitude)[pattern.astro];
+        if (!ts && i === 0) {
+            throw new Error('Unknown astro event: ' + pattern.astro);
+        }
+        if (ts && !isNaN(ts.getTime())) {
+            if (pattern.shift) {
+                ts = new Date(ts.getTime() + pattern.shift * 60000);
+            }
+            // the random offset is not known in advance
+            if (pattern.notBefore || pattern.notAfter) {
+                ts = limitTime(ts, pattern.notBefore, pattern.notAfter);
+            }
+            ts > from && runs.push(ts);
+        }
+        day.setDate(day.getDate() + 1);
+    }
+    return runs;
+}
+
+/**
+ * Calculates the next runs of every pattern, that schedule() accepts
+ * @param {any} pattern cron string, node-schedule rule, astro object or wizard schedule
+ * @param {number} count maximal number of runs
+ * @param {object} options
+ * @param {object} options.scheduler scheduler of the wizard schedules
+ * @param {number} [options.latitude]
+ * @param {number} [options.longitude]
+ * @param {Date} [options.from] start of the calculation, default now
+ * @returns {Date[]}
+ */
+function getNextRuns(pattern, count, options) {
+    count = parseInt(count, 10) || 5;
+    if (isWizard(pattern)) {
+        const schedule = options.scheduler.parse(pattern);
+        if (!schedule) {
+            throw new Error('Invalid schedule structure: ' + (typeof pattern === 'object' ? JSON.stringify(pattern) : pattern));
+        }
+        return options.scheduler.getNextRuns(schedule, count, options.from);
+    } else if (pattern && typeof pattern === 'object' && pattern.astro) {
+        return getAstroRuns(pattern, count, options.from, options.latitude, options.longitude);
+    } else {
+        return getCronRuns(pattern, count, options.from);
+    }
+}
+
+module.exports = {
+    isWizard,
+    getCronRuns,
+    getAstroRuns,
+    getNextRuns
+};
@@ -203,6 +203,25 @@ const ProtectFs = function (log) {
         return nodeFS.truncateSync.apply(this, arguments);
     };
 
+    // fs.promises and require('fs/promises') are checked the same way
+    this.promises = {};
+    if (nodeFS.promises) {
+        const paths = {copyFile: 2, rename: 2};
+        ['access', 'appendFile', 'chmod', 'chown', 'copyFile', 'lstat', 'mkdir', 'open', 'readdir', 'readFile',
+            'rename', 'rmdir', 'stat', 'truncate', 'unlink', 'writeFile'].forEach(method => {
+            this.promises[method] = function () {
+                try {
+                    for (let i = 0; i < (paths[method] || 1); i++) {
+                        checkObjectsJson(arguments[i]);
+                    }
+                } catch (e) {
+                    return Promise.reject(e);
+                }
+                return nodeFS.promises[method].apply(nodeFS.promises, arguments);
+            };
+        });
+    }
+
     return this;
 };
 
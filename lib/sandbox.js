@@ -6,6 +6,24 @@
 
 const isObject = require('./tools').isObject;
 const isArray  = require('./tools').isArray;
+const {limitTime, getRandomOffset, getModuleName} = require('./tools');
+const {getSunTimes, getSunPosition} = require('./sunTimes');
+
+// minutes, in which the runs of schedules with catchUp, that were missed while the adapter was stopped, are repeated
+const DEFAULT_CATCH_UP_WINDOW = 60;
+
+// Node modules, which may be required by scripts with declared permissions only if the capability is granted
+const moduleCapabilities = {
+    fs:            'fs',
+    child_process: 'exec',
+    dgram:         'network',
+    dns:           'network',
+    http:          'network',
+    https:         'network',
+    net:           'network',
+    request:       'network',
+    wake_on_lan:   'network'
+};
 
 // let context = {
 //     adapter,
@@ -41,6 +59,7 @@ function sandBox(script, name, verbose, debug, context) {
     const words    = require('./words');
     const eventObj = require('./eventObj');
     const patternCompareFunctions = require('./patternCompareFunctions');
+    const nextRuns = require('./nextRuns');
     const nodeSchedule = require('node-schedule');
 
     /** @type {ioBroker.Adapter} */
@@ -52,8 +71,99 @@ function sandBox(script, name, verbose, debug, context) {
     const enums    = context.enums;
 
     function errorInCallback(e) {
-        adapter.setState('scriptProblem.' + name.substring('script.js.'.length), true, true);
         context.logError('Error in callback', e);
+        context.onScriptError(name);
+    }
+
+    /**
+     * Calls a callback of the script with the sandbox as this, reports the errors
+     * and counts the call with its execution time for the script statistics
+     * @param {function} callback
+     * @param {...any} args arguments for the callback
+     * @returns {any} result of the callback
+     */
+    function callCallback(callback, ...args) {
+        const start = process.hrtime();
+        try {
+            return callback.apply(sandbox, args);
+        } catch (e) {
+            errorInCallback(e);
+        } finally {
+            context.scriptStats.addCall(name, process.hrtime(start));
+        }
+    }
+
+    // start time and delay of the timers of setTimeout and setInterval, for getRuntimeInfo()
+    const timerInfos = new WeakMap();
+
+    // pattern => number of the schedules with catchUp and this pattern
+    const catchUpIndexes = {};
+
+    /**
+     * Capabilities of this script. Scripts without common.permissions get the instance wide settings,
+     * otherwise every declared capability overrides the instance setting.
+     */
+    const declaredPermissions = isObject(script.permissions) ? script.permissions : null;
+    const permissions = {
+        exec:       getPermission('exec', !!adapter.config.enableExec),
+        setObject:  getPermission('setObject', !!adapter.config.enableSetObject),
+        sendToHost: getPermission('sendToHost', !!adapter.config.enableSendToHost),
+        fs:         getPermission('fs', true),
+        network:    getPermission('network', true),
+        write:      declaredPermissions && isArray(declaredPermissions.write) ?
+            declaredPermissions.write.filter(pattern => typeof pattern === 'string').map(pattern => new RegExp('^' + pattern.replace(/\./g, '\\.').replace(/\*/g, '.*') + '$')) :
+            null
+    };
+
+    function getPermission(capability, defaultValue) {
+        if (declaredPermissions && typeof declaredPermissions[capability] === 'boolean') {
+            return declaredPermissions[capability];
+        } else {
+            return defaultValue;
+        }
+    }
+
+    function isWriteAllowed(id) {
+        return !permissions.write || permissions.write.some(regExp => regExp.test(id));
+    }
+
+    /**
+     * Logs that the script has no permission for an operation and reports the error to the callback
+     * @param {string} operation what the script tried to do, e.g. 'exec' or 'setState(id)'
+     * @param {string} capability the missing capability
+     * @param {string} [instanceOption] the instance option, that allows the operation for all scripts
+     * @param {function} [callback]
+     */
+    function permissionDenied(operation, capability, instanceOption, callback) {
+        let error;
+        if (instanceOption && !declaredPermissions) {
+            error = `${operation} is not available. Please enable "${instanceOption}" option in instance settings or grant the "${capability}" permission to the script`;
+        } else {
+            error = `${operation} is not permitted. The script has no "${capability}" permission`;
+        }
+        sandbox.log(error, 'error');
+        if (typeof callback === 'function') {
+            setImmediate(() => {
+                callCallback(callback, error);
+            });
+        }
+    }
+
+    /**
+     * Returns the modules, that the script may access via sandbox.mods
+     * @returns {Record<string, any>}
+     */
+    function getPermittedModules() {
+        if (!declaredPermissions) {
+            return mods;
+        }
+        const result = {};
+        Object.keys(mods).forEach(md => {
+            if (!moduleCapabilities[md] || permissions[moduleCapabilities[md]]) {
+                result[md] = mods[md];
+            }
+        });
+        return result;
     }
 
     function unsubscribePattern(script, pattern) {
@@ -107,6 +217,100 @@ function sandBox(script, name, verbose, debug, context) {
         }
     }
 
+    // removes the stored setStateDelayed timer, so it is not restored after the restart of the adapter
+    function forgetPersistentTimer(timer) {
+        timer.persistKey && context.delayedStates && context.delayedStates.delete(timer.persistKey);
+    }
+
+    /**
+     * Option catchUp of the schedules: if the last due time of the schedule passed while the adapter was not running
+     * and is not older than the grace window, the callback is called right after the start of the script.
+     * @param {any} pattern cron or wizard schedule
+     * @param {boolean|number} catchUp true or the grace window in minutes
+     * @param {function} callback
+     * @returns {function} callback, that remembers the time of every execution
+     */
+    function catchUpSchedule(pattern, catchUp, callback) {
+        const text = typeof pattern === 'string' ? pattern : JSON.stringify(pattern);
+        // schedules with the same pattern have their own history, told apart by their order in the script
+        catchUpIndexes[text] = (catchUpIndexes[text] || 0) + 1;
+        const key = text + '#' + (catchUpIndexes[text] - 1);
+        const now = Date.now();
+        const graceWindow = (typeof catchUp === 'number' ? catchUp : parseInt(adapter.config.catchUpWindow, 10) || DEFAULT_CATCH_UP_WINDOW) * 60000;
+
+        const remember = () => {
+            const lastRuns = context.lastRuns.get(name, {});
+            lastRuns[key] = Date.now();
+            context.lastRuns.set(name, lastRuns);
+        };
+        const wrapped = function () {
+            remember();
+            return callback.apply(this, arguments);
+        };
+
+        const lastRun = context.lastRuns.get(name, {})[key];
+        if (!lastRun) {
+            // start of the history, so the runs missed at the next restart are known
+            remember();
+        } else {
+            let due;
+            try {
+                due = nextRuns.getNextRuns(pattern, 1, {
+                    scheduler: context.scheduler,
+                    from:      new Date(Math.max(lastRun, now - graceWindow))
+                })[0];
+            } catch (e) {
+                adapter.log.warn(name + ': cannot calculate missed runs of ' + text + ': ' + e);
+            }
+
+            // only the runs, that were missed while the adapter was stopped
+            if (due && due.getTime() < context.startTime) {
+                adapter.log.info(name + ': catch up schedule ' + text + ', that was due at ' + due.toISOString());
+                sandbox.setTimeout(() => {
+                    callCallback(wrapped);
+                }, 0);
+            }
+        }
+
+        return wrapped;
+    }
+
+    /**
+     * Calls the callback every time the sun enters the area of the conditions, e.g. {sunAzimuthGt: 120, sunElevationGt: 10}.
+     * With change: 'any' the callback is called on leaving the area too. The position is checked every minute.
+     */
+    function subscribeSunPosition(pattern, callback) {
+        if (typeof callback !== 'function') {
+            adapter.log.error(name + ': callback for sun position missing');
+            return;
+        }
+        const isActive = position =>
+            (pattern.sunAzimuthGt   === undefined || position.azimuth   > pattern.sunAzimuthGt) &&
+            (pattern.sunAzimuthLt   === undefined || position.azimuth   < pattern.sunAzimuthLt) &&
+            (pattern.sunElevationGt === undefined || position.elevation > pattern.sunElevationGt) &&
+            (pattern.sunElevationLt === undefined || position.elevation < pattern.sunElevationLt);
+
+        let position = sandbox.getSunPosition();
+        if (!position) {
+            return;
+        }
+        // the current state is only the start value and does not trigger
+        let active = isActive(position);
+
+        sandbox.verbose && sandbox.log('subscribe(sunPosition=' + JSON.stringify(pattern) + ')', 'info');
+
+        return sandbox.schedule('* * * * *', () => {
+            position = sandbox.getSunPosition();
+            const nowActive = isActive(position);
+            if (nowActive !== active) {
+                active = nowActive;
+                if (active || pattern.change === 'any') {
+                    callback.call(sandbox, Object.assign({active}, position));
+                }
+            }
+        });
+    }
+
     /**
      * @typedef PatternCompareFunctionArray
      * @type {Array<any> & {logic?: string}}
@@ -129,6 +333,70 @@ function sandBox(script, name, verbose, debug, context) {
         return functions;
     }
 
+    /**
+     * Wraps the callback of a subscription according to the debounce, throttle and duration options of its pattern.
+     * The timers are stored per state ID in subs.timers, so they can be cleared by unsubscribe.
+     * @param {{pattern: Record<string, any>, patternCompareFunctions?: PatternCompareFunctionArray, timers?: Record<string, any>}} subs The subscription
+     * @param {(event: any) => void} callback The original callback
+     */
+    function getDelayedCallback(subs, callback) {
+        const pattern = subs.pattern;
+        const timers  = subs.timers = {};
+
+        if (pattern.duration) {
+            const duration = parseInt(pattern.duration, 10);
+            const _callback = callback;
+            const check = (event, ms) => {
+                timers['duration:' + event.id] = sandbox.setTimeout(() => {
+                    delete timers['duration:' + event.id];
+                    const state = states[event.id];
+                    if (!state) {
+                        return;
+                    }
+                    // evaluate the pattern once more with the actual value
+                    const actual = eventObj.createEventObject(context, event.id, state, event.oldState);
+                    if (!context.patternMatching(actual, subs.patternCompareFunctions)) {
+                        return;
+                    }
+                    if (state.lc && state.lc !== event.newState.lc) {
+                        // value was changed in between, so the duration is counted from the last change
+                        check(actual, state.lc + duration - Date.now());
+                    } else {
+                        _callback(actual);
+                    }
+                }, ms);
+            };
+            callback = event => !timers['duration:' + event.id] && check(event, duration);
+        }
+        if (pattern.debounce) {
+            const debounce = parseInt(pattern.debounce, 10);
+            const _callback = callback;
+            callback = event => {
+                timers['debounce:' + event.id] && sandbox.clearTimeout(timers['debounce:' + event.id]);
+                timers['debounce:' + event.id] = sandbox.setTimeout(() => {
+                    delete timers['debounce:' + event.id];
+                    _callback(event);
+                }, debounce);
+            };
+        }
+        if (pattern.throttle) {
+            const throttle = parseInt(pattern.throttle, 10);
+            const _callback = callback;
+            callback = event => {
+                if (!timers['throttle:' + event.id]) {
+                    timers['throttle:' + event.id] = sandbox.setTimeout(() =>
+                        delete timers['throttle:' + event.id], throttle);
+                    _callback(event);
+                }
+            };
+        }
+        return callback;
+    }
+
+    function clearDelayedCallbacks(subs) {
+        subs.timers && Object.keys(subs.timers).forEach(key => sandbox.clearTimeout(subs.timers[key]));
+    }
+
     /** @typedef {{attr: string, value: string, idRegExp?: RegExp}} Selector */
     /**
      * Splits a selector string into attribute and value
@@ -249,6 +517,11 @@ function sandBox(script, name, verbose, debug, context) {
             id = adapter.namespace + '.' + id;
         }
 
+        if (!isWriteAllowed(id)) {
+            permissionDenied((isBinary ? 'setBinaryState(' : 'setState(') + id + ')', 'write', null, callback);
+            return;
+        }
+
         const common = objects[id] ? objects[id].common : null;
         if (common &&
             common.type &&
@@ -291,11 +564,7 @@ function sandBox(script, name, verbose, debug, context) {
 
                 if (typeof callback === 'function') {
                     setTimeout(() => {
-                        try {
-                            callback.call(sandbox);
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback);
                     }, 0);
                 }
             } else {
@@ -303,11 +572,7 @@ function sandBox(script, name, verbose, debug, context) {
                     err && sandbox.log('setForeignState: ' + err, 'error');
 
                     if (typeof callback === 'function') {
-                        try {
-                            callback.call(sandbox);
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback, err);
                     }
                 });
             }
@@ -318,11 +583,7 @@ function sandBox(script, name, verbose, debug, context) {
                 sandbox.log('setState(' + id + ', ' + JSON.stringify(state) + ') - ' + words._('was not executed, while debug mode is active'), 'warn');
                 if (typeof callback === 'function') {
                     setTimeout(() => {
-                        try {
-                            callback.call(sandbox);
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback);
                     }, 0);
                 }
             } else {
@@ -330,11 +591,7 @@ function sandBox(script, name, verbose, debug, context) {
                     err && sandbox.log('setState: ' + err, 'error');
 
                     if (typeof callback === 'function') {
-                        try {
-                            callback.call(sandbox);
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback, err);
                     }
                 });
             }
@@ -347,11 +604,7 @@ function sandBox(script, name, verbose, debug, context) {
                         sandbox.log('setForeignState(id=' + id + ', state=' + JSON.stringify(state) + ') - ' + words._('was not executed, while debug mode is active'), 'warn');
                         if (typeof callback === 'function') {
                             setTimeout(() => {
-                                try {
-                                    callback.call(sandbox);
-                                } catch (e) {
-                                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                                }
+                                callCallback(callback);
                             }, 0);
                         }
                     } else {
@@ -359,22 +612,14 @@ function sandBox(script, name, verbose, debug, context) {
                             err && sandbox.log('setForeignState: ' + err, 'error');
 
                             if (typeof callback === 'function') {
-                                try {
-                                    callback.call(sandbox);
-                                } catch (e) {
-                                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                                }
+                                callCallback(callback, err);
                             }
                         });
                     }
                 } else {
                     adapter.log.warn('Cannot set value of non-state object "' + id + '"');
                     if (typeof callback === 'function') {
-                        try {
-                            callback.call(sandbox, 'Cannot set value of non-state object "' + id + '"');
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback, 'Cannot set value of non-state object "' + id + '"');
                     }
                 }
             } else if (objects[adapter.namespace + '.' + id]) {
@@ -385,11 +630,7 @@ function sandBox(script, name, verbose, debug, context) {
                         sandbox.log(`setState(id=${adapter.namespace}.${id}, state=${JSON.stringify(state)}) - ${words._('was not executed, while debug mode is active')}`, 'warn');
                         if (typeof callback === 'function') {
                             setTimeout(() => {
-                                try {
-                                    callback.call(sandbox);
-                                } catch (e) {
-                                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                                }
+                                callCallback(callback);
                             }, 0);
                         }
                     } else {
@@ -397,48 +638,111 @@ function sandBox(script, name, verbose, debug, context) {
                             err && sandbox.log('setState: ' + err, 'error');
 
                             if (typeof callback === 'function') {
-                                try {
-                                    callback.call(sandbox);
-                                } catch (e) {
-                                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                                }
+                                callCallback(callback, err);
                             }
                         });
                     }
                 } else {
                     adapter.log.warn('Cannot set value of non-state object "' + adapter.namespace + '.' + id + '"');
                     if (typeof callback === 'function') {
-                        try {
-                            callback.call(sandbox, 'Cannot set value of non-state object "' + adapter.namespace + '.' + id + '"');
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback, 'Cannot set value of non-state object "' + adapter.namespace + '.' + id + '"');
                     }
                 }
             } else {
                 context.logWithLineInfo && context.logWithLineInfo.warn('State "' + id + '" not found');
                 if (typeof callback === 'function') {
-                    try {
-                        callback.call(sandbox, 'State "' + id + '" not found');
-                    } catch (e) {
-                        errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                    }
+                    callCallback(callback, 'State "' + id + '" not found');
+                }
+            }
+        }
+    }
+
+    /**
+     * Collects all schedules of the script with their next executions
+     * @param {number} [count] number of next executions per schedule, default 5
+     * @returns {{type: string, pattern: any, next: Date[]}[]}
+     */
+    function getScheduleInfo(count) {
+        count = parseInt(count, 10) || 5;
+        const options = {
+            scheduler: context.scheduler,
+            latitude:  adapter.config.latitude,
+            longitude: adapter.config.longitude
+        };
+        const result = [];
+        const add = (type, pattern, getRuns) => {
+            let next;
+            try {
+                next = getRuns ? getRuns() : nextRuns.getNextRuns(pattern, count, options);
+            } catch (e) {
+                adapter.log.warn(name + ': cannot calculate next runs of ' + (typeof pattern === 'object' ? JSON.stringify(pattern) : pattern) + ': ' + e);
+                next = [];
+            }
+            result.push({type, pattern, next});
+        };
+
+        script.schedules.forEach(schedule => schedule && add('cron', schedule.pattern));
+        script.astroSchedules.forEach(schedule => add('astro', schedule.pattern));
+        script.wizards.forEach(id => {
+            const schedule = context.scheduler.get(id);
+            // the running schedule knows the random offsets of the astro time
+            schedule && add('wizard', schedule.pattern, () => context.scheduler.getNextRuns(schedule, count));
+        });
+
+        return result;
+    }
+
+    /**
+     * Adds the enums of the object like getObject(id, enumName) does
+     * @param {string} id
+     * @param {object} obj copy of the object
+     * @param {string | true} enumName only the enums of this type, e.g. "rooms", or true for all enums
+     * @returns {object} obj
+     */
+    function addObjectEnums(id, obj, enumName) {
+        const e = eventObj.getObjectEnumsSync(context, id);
+        obj.enumIds   = JSON.parse(JSON.stringify(e.enumIds));
+        obj.enumNames = JSON.parse(JSON.stringify(e.enumNames));
+        if (typeof enumName === 'string') {
+            const r = new RegExp('^enum\\.' + enumName + '\\.');
+            for (let i = obj.enumIds.length - 1; i >= 0; i--) {
+                if (!r.test(obj.enumIds[i])) {
+                    obj.enumIds.splice(i, 1);
+                    obj.enumNames.splice(i, 1);
                 }
             }
         }
+        return obj;
     }
 
     const sandbox = {
-        mods:      mods,
+        mods:      getPermittedModules(),
         _id:       script._id,
         name:      name, // deprecated
         scriptName: name,
         instance:  adapter.instance,
         verbose:   verbose,
-        request:   mods.request,
+        request:   permissions.network ? mods.request : null,
         exports:   {}, // Polyfill for the exports object in TypeScript modules
         require:   function (md) {
             console.log('REQUIRE: ' + md);
+            // other scripts of this instance are required by ID, e.g. require('script.js.common.utils')
+            if (typeof md === 'string' && md.startsWith('script.js.')) {
+                return context.requireScript(md, name);
+            }
+            // "node:fs" and "fs/promises" need the same permission as "fs"
+            const moduleName = typeof md === 'string' ? getModuleName(md) : md;
+            if (declaredPermissions && moduleCapabilities[moduleName] && !permissions[moduleCapabilities[moduleName]]) {
+                permissionDenied('require("' + md + '")', moduleCapabilities[moduleName]);
+                return null;
+            }
+            if (moduleName === 'fs') {
+                // every variant of fs is protected
+                return md.endsWith('/promises') ? mods.fs.promises : mods.fs;
+            }
+            if (typeof md === 'string' && md.startsWith('node:')) {
+                md = md.substring('node:'.length);
+            }
             if (mods[md]) {
                 return mods[md];
             } else {
@@ -459,7 +763,12 @@ function sandBox(script, name, verbose, debug, context) {
         Buffer:    Buffer,
         __engine: {
             __subscriptions: 0,
-            __schedules: 0
+            __schedules: 0,
+            // errors of the scripts with top-level await after the first await, see lib/moduleSyntax.js
+            __onError: e => {
+                context.logError(name, e);
+                context.onScriptError(name);
+            }
         },
         /**
          * @param {string} selector
@@ -886,11 +1195,17 @@ function sandBox(script, name, verbose, debug, context) {
                 }
                 let cnt = 0;
                 for (let i = 0; i < this.length; i++) {
+                    if (!isWriteAllowed(this[i])) {
+                        permissionDenied('setState(' + this[i] + ')', 'write');
+                        continue;
+                    }
                     cnt++;
                     adapter.setForeignState(this[i], state, function () {
                         if (!--cnt && typeof callback === 'function') callback();
                     });
                 }
+                // no state may be written
+                !cnt && this.length && typeof callback === 'function' && callback();
                 return this;
             };
             result.setBinaryState = function (state, isAck, callback) {
@@ -908,11 +1223,17 @@ function sandBox(script, name, verbose, debug, context) {
                 }
                 let cnt = 0;
                 for (let i = 0; i < this.length; i++) {
+                    if (!isWriteAllowed(this[i])) {
+                        permissionDenied('setBinaryState(' + this[i] + ')', 'write');
+                        continue;
+                    }
                     cnt++;
                     adapter.setBinaryState(this[i], state, function () {
                         if (!--cnt && typeof callback === 'function') callback();
                     });
                 }
+                // no state may be written
+                !cnt && this.length && typeof callback === 'function' && callback();
                 return this;
             };
             result.on = function (callbackOrId, value) {
@@ -986,14 +1307,67 @@ function sandBox(script, name, verbose, debug, context) {
 
             return found;
         },
-        exec:           function (cmd, callback) {
-            if (!adapter.config.enableExec) {
-                const error = 'exec is not available. Please enable "Enable Exec" option in instance settings';
-                adapter.log.error(error);
-                sandbox.log(error);
-                if (typeof callback === 'function') {
-                    setImmediate(callback, error);
+        subscribeObject: function (pattern, callback) {
+            if (pattern && Array.isArray(pattern)) {
+                return pattern.map(p => sandbox.subscribeObject(p, callback));
+            }
+            if (!pattern) {
+                adapter.log.error(name + ': subscribeObject: empty pattern');
+                return null;
+            }
+            if (typeof callback !== 'function') {
+                adapter.log.error(name + ': subscribeObject: invalid callback');
+                return null;
+            }
+
+            let regExp = null;
+            // source is set by regexp if defined as /regexp/
+            if (typeof pattern !== 'string' && pattern.source) {
+                regExp = pattern;
+            } else if (pattern.indexOf('*') !== -1) {
+                regExp = new RegExp('^' + pattern.replace(/\./g, '\\.').replace(/\*/g, '.*') + '$');
+            }
+
+            const handler = {id: Date.now() + Math.floor(Math.random() * 10000), cb: callback, sandbox, pattern, regExp};
+            context.objectSubscriptions[sandbox.name] = context.objectSubscriptions[sandbox.name] || [];
+            context.objectSubscriptions[sandbox.name].push(handler);
+
+            sandbox.verbose && sandbox.log('subscribeObject(pattern=' + pattern + ') => ' + handler.id, 'info');
+            return handler.id;
+        },
+        onObject:       function (pattern, callback) {
+            return sandbox.subscribeObject(pattern, callback);
+        },
+        unsubscribeObject: function (idOrCallbackOrPattern) {
+            if (idOrCallbackOrPattern && Array.isArray(idOrCallbackOrPattern)) {
+                return idOrCallbackOrPattern.map(item => sandbox.unsubscribeObject(item));
+            }
+
+            let found = false;
+            const handlers = context.objectSubscriptions[sandbox.name];
+            if (handlers) {
+                for (let i = handlers.length - 1; i >= 0; i--) {
+                    if (handlers[i].id      === idOrCallbackOrPattern ||
+                        handlers[i].cb      === idOrCallbackOrPattern ||
+                        handlers[i].pattern === idOrCallbackOrPattern) {
+                        handlers.splice(i, 1);
+                        found = true;
+                    }
+                }
+                if (!handlers.length) {
+                    delete context.objectSubscriptions[sandbox.name];
                 }
+            }
+
+            sandbox.verbose && sandbox.log('unsubscribeObject(' + idOrCallbackOrPattern + ') => ' + found, 'info');
+            return found;
+        },
+        onObjectUnregister: function (idOrCallbackOrPattern) {
+            return sandbox.unsubscribeObject(idOrCallbackOrPattern);
+        },
+        exec:           function (cmd, callback) {
+            if (!permissions.exec) {
+                permissionDenied('exec', 'exec', 'Enable Exec', callback);
             } else {
                 if (sandbox.verbose) {
                     sandbox.log('exec: ' + cmd, 'info');
@@ -1052,7 +1426,9 @@ function sandBox(script, name, verbose, debug, context) {
                 if (pattern.astro) {
                     return sandbox.schedule(pattern, callbackOrId);
                 } else if (pattern.time) {
-                    return sandbox.schedule(pattern.time, callbackOrId);
+                    return sandbox.schedule(pattern.time, {catchUp: pattern.catchUp}, callbackOrId);
+                } else if (consts.sunPositionConditions.find(attr => pattern[attr] !== undefined)) {
+                    return subscribeSunPosition(pattern, callbackOrId);
                 }
             }
 
@@ -1096,12 +1472,11 @@ function sandBox(script, name, verbose, debug, context) {
             const subs = {
                 pattern,
                 callback: obj => {
+                    // statistics for getRuntimeInfo()
+                    subs.triggered = (subs.triggered || 0) + 1;
+                    subs.lastTrigger = Date.now();
                     if (typeof callback === 'function') {
-                        try {
-                            callback.call(sandbox, obj);
-                        } catch (e) {
-                            errorInCallback(e); // adapter.log.error('Error in callback: ' + e);
-                        }
+                        callCallback(callback, obj);
                     }
                 },
                 name,
@@ -1130,7 +1505,10 @@ function sandBox(script, name, verbose, debug, context) {
             subscribePattern(script, pattern.id);
 
             subs.patternCompareFunctions = getPatternCompareFunctions(pattern);
-            context.subscriptions.push(subs);
+            if (pattern.debounce || pattern.throttle || pattern.duration) {
+                subs.callback = getDelayedCallback(subs, subs.callback);
+            }
+            context.addSubscription(subs);
 
             if (pattern.enumName || pattern.enumId) {
                 context.isEnums = true;
@@ -1178,7 +1556,8 @@ function sandBox(script, name, verbose, debug, context) {
                 for (let i = context.subscriptions.length - 1; i >= 0; i--) {
                     if (context.subscriptions[i] === idOrObject) {
                         unsubscribePattern(script, context.subscriptions[i].pattern.id);
-                        context.subscriptions.splice(i, 1);
+                        clearDelayedCallbacks(context.subscriptions[i]);
+                        context.removeSubscription(context.subscriptions[i]);
                         sandbox.__engine.__subscriptions--;
                         return true;
                     }
@@ -1189,7 +1568,8 @@ function sandBox(script, name, verbose, debug, context) {
                     if (context.subscriptions[i].name === name && context.subscriptions[i].pattern.id === idOrObject) {
                         deleted++;
                         unsubscribePattern(script, context.subscriptions[i].pattern.id);
-                        context.subscriptions.splice(i, 1);
+                        clearDelayedCallbacks(context.subscriptions[i]);
+                        context.removeSubscription(context.subscriptions[i]);
                         sandbox.__engine.__subscriptions--;
                     }
                 }
@@ -1218,14 +1598,30 @@ function sandBox(script, name, verbose, debug, context) {
                 return new Promise(resolve => _once(resolve));
             }
         },
-        schedule:       function (pattern, callback) {
+        schedule:       function (pattern, options, callback) {
+            if (typeof options === 'function') {
+                callback = options;
+                options  = null;
+            }
             if (typeof callback !== 'function') {
                 adapter.log.error(name + ': schedule callback missing');
                 return;
             }
 
+            let catchUp = options && options.catchUp;
+
             if ((typeof pattern === 'string' && pattern[0] === '{') || (typeof pattern === 'object' && pattern.period)) {
                 sandbox.verbose && sandbox.log('schedule(wizard=' + (typeof pattern === 'object' ? JSON.stringify(pattern) : pattern) + ')', 'info');
+                if (!catchUp) {
+                    try {
+                        catchUp = (typeof pattern === 'string' ? JSON.parse(pattern) : pattern).catchUp;
+                    } catch (e) {
+                        // invalid schedules are reported by the scheduler
+                    }
+                }
+                if (catchUp) {
+                    callback = catchUpSchedule(pattern, catchUp, callback);
+                }
                 const schedule = context.scheduler.add(pattern, callback);
                 schedule && script.wizards.push(schedule);
                 return schedule;
@@ -1244,7 +1640,14 @@ function sandBox(script, name, verbose, debug, context) {
                     return;
                 }
 
-                let ts = mods.suncalc.getTimes(nowdate, adapter.config.latitude, adapter.config.longitude)[pattern.astro];
+                // astro schedules are rescheduled by calling schedule() again, so register them only once
+                let astroSchedule = script.astroSchedules.find(item => item.pattern === pattern && item.callback === callback);
+                if (!astroSchedule) {
+                    astroSchedule = {pattern, callback};
+                    script.astroSchedules.push(astroSchedule);
+                }
+
+                let ts = getSunTimes(nowdate, adapter.config.latitude, adapter.config.longitude)[pattern.astro];
 
                 if (ts.getTime().toString() === 'NaN') {
                     adapter.log.warn('Cannot calculate "' + pattern.astro + '" for ' + adapter.config.latitude + ', ' + adapter.config.longitude);
@@ -1269,6 +1672,20 @@ function sandBox(script, name, verbose, debug, context) {
                     ts = new Date(ts.getTime() + (pattern.shift * 60000));
                 }
 
+                if (ts && pattern.randomOffset) {
+                    // the offset is chosen once a day, so rescheduling after the event does not trigger it again
+                    const day = nowdate.toDateString();
+                    if (astroSchedule.randomDay !== day) {
+                        astroSchedule.randomDay    = day;
+                        astroSchedule.randomOffset = getRandomOffset(pattern.randomOffset);
+                    }
+                    ts = new Date(ts.getTime() + (astroSchedule.randomOffset * 60000));
+                }
+
+                if (ts && (pattern.notBefore || pattern.notAfter)) {
+                    ts = limitTime(ts, pattern.notBefore, pattern.notAfter);
+                }
+
                 if (!ts || ts < nowdate) {
                     const date = new Date(nowdate);
                     // Event doesn't occur today - try again tomorrow
@@ -1282,30 +1699,34 @@ function sandBox(script, name, verbose, debug, context) {
 
 
                     // Calculate new schedule in the next day
-                    sandbox.setTimeout(() => {
+                    astroSchedule.timer = sandbox.setTimeout(() => {
                         if (sandbox.__engine.__schedules > 0) sandbox.__engine.__schedules--;
                         sandbox.schedule(pattern, callback);
                     }, date.getTime() - nowdate.getTime());
 
-                    return;
+                    return astroSchedule;
                 }
 
-                sandbox.setTimeout(() => {
-                    try {
-                        callback.call(sandbox);
-                    } catch (e) {
-                        errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
+                astroSchedule.timer = sandbox.setTimeout(() => {
+                    callCallback(callback);
+                    // the callback may have cleared the schedule
+                    if (!script.astroSchedules.includes(astroSchedule)) {
+                        return;
                     }
                     // Reschedule in 2 seconds
-                    sandbox.setTimeout(() => {
+                    astroSchedule.timer = sandbox.setTimeout(() => {
                         if (sandbox.__engine.__schedules > 0) sandbox.__engine.__schedules--;
                         sandbox.schedule(pattern, callback);
                     }, 2000);
 
                 }, ts.getTime() - nowdate.getTime());
 
-                sandbox.verbose && sandbox.log('schedule(astro=' + pattern.astro + ', offset=' + pattern.shift + ')', 'info');
+                sandbox.verbose && sandbox.log('schedule(astro=' + pattern.astro + ', offset=' + pattern.shift +
+                    (pattern.notBefore ? ', notBefore=' + pattern.notBefore : '') +
+                    (pattern.notAfter ? ', notAfter=' + pattern.notAfter : '') +
+                    (pattern.randomOffset ? ', randomOffset=' + pattern.randomOffset : '') + ')', 'info');
 
+                return astroSchedule;
             } else {
                 // fix problem with sunday and 7
                 if (typeof pattern === 'string') {
@@ -1314,14 +1735,16 @@ function sandBox(script, name, verbose, debug, context) {
                     pattern = parts.join(' ');
                 }
 
+                if (catchUp) {
+                    callback = catchUpSchedule(pattern, catchUp, callback);
+                }
+
                 const schedule = nodeSchedule.scheduleJob(pattern, () => {
-                    try {
-                        callback.call(sandbox);
-                    } catch (e) {
-                        errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                    }
+                    callCallback(callback);
                 });
 
+                // remember the pattern for getSchedules()
+                schedule && (schedule.pattern = pattern);
                 script.schedules.push(schedule);
 
                 sandbox.verbose && sandbox.log('schedule(cron=' + pattern + ')', 'info');
@@ -1375,7 +1798,53 @@ function sandBox(script, name, verbose, debug, context) {
 
             return (nowDate >= dayBegin && nowDate <= dayEnd);
         },
+        getSunPosition: function (date) {
+            if ((!adapter.config.latitude  && adapter.config.latitude  !== 0) ||
+                (!adapter.config.longitude && adapter.config.longitude !== 0)) {
+                adapter.log.error('Longitude or latitude does not set. Cannot use astro.');
+                return;
+            }
+            date = date === undefined ? new Date() : new Date(date);
+
+            const position = getSunPosition(date, adapter.config.latitude, adapter.config.longitude);
+            const result = {
+                azimuth:   Math.round(position.azimuth * 10) / 10,
+                elevation: Math.round(position.elevation * 10) / 10
+            };
+            sandbox.verbose && sandbox.log('getSunPosition(date=' + date + ') => ' + JSON.stringify(result), 'info');
+            return result;
+        },
+        getMoonIllumination: function (date) {
+            date = date === undefined ? new Date() : new Date(date);
+
+            const illumination = mods.suncalc.getMoonIllumination(date);
+            const result = {
+                fraction:  Math.round(illumination.fraction * 1000) / 1000,
+                phase:     Math.round(illumination.phase * 1000) / 1000,
+                phaseName: consts.moonPhases[Math.round(illumination.phase * 8) % 8],
+                angle:     Math.round(illumination.angle * 180 / Math.PI * 10) / 10
+            };
+            sandbox.verbose && sandbox.log('getMoonIllumination(date=' + date + ') => ' + JSON.stringify(result), 'info');
+            return result;
+        },
+        isHoliday:      function (date) {
+            const holiday = context.holidays.getHoliday(date);
+            sandbox.verbose && sandbox.log('isHoliday(date=' + date + ') => ' + (holiday ? holiday.name.en : false), 'info');
+            return !!holiday;
+        },
+        getHolidays:    function (year) {
+            const language = adapter.language || (objects['system.config'] && objects['system.config'].common && objects['system.config'].common.language) || 'en';
+            return context.holidays.getHolidays(year, language);
+        },
         clearSchedule:  function (schedule) {
+            const astroPos = script.astroSchedules.indexOf(schedule);
+            if (astroPos !== -1) {
+                sandbox.clearTimeout(schedule.timer);
+                script.astroSchedules.splice(astroPos, 1);
+                if (sandbox.__engine.__schedules > 0) sandbox.__engine.__schedules--;
+                sandbox.verbose && sandbox.log('clearSchedule() => astro cleared', 'info');
+                return true;
+            }
             if (context.scheduler.get(schedule)) {
                 sandbox.verbose && sandbox.log('clearSchedule() => wizard cleared', 'info');
                 const pos = script.wizards.indexOf(schedule);
@@ -1400,9 +1869,18 @@ function sandBox(script, name, verbose, debug, context) {
             sandbox.verbose && sandbox.log('clearSchedule() => invalid handler', 'warn');
             return false;
         },
+        getSchedules:   function (count) {
+            const result = getScheduleInfo(count);
+            sandbox.verbose && sandbox.log('getSchedules() => ' + result.length + ' schedule(s)', 'info');
+            return result;
+        },
         setState:       function (id, state, isAck, callback) {
             return setStateHelper(sandbox, false, id, state, isAck, callback);
         },
+        setStateAsync:  function (id, state, isAck) {
+            return new Promise((resolve, reject) =>
+                setStateHelper(sandbox, false, id, state, isAck, err => err ? reject(err) : resolve()));
+        },
         setBinaryState: function (id, state, callback) {
             return setStateHelper(sandbox, true, id, state, callback);
         },
@@ -1419,6 +1897,12 @@ function sandBox(script, name, verbose, debug, context) {
                 clearRunning    = delay;
                 delay           = 0;
             }
+            // options instead of clearRunning: {clearRunning, persistent}
+            let persistent = false;
+            if (isObject(clearRunning)) {
+                persistent      = !!clearRunning.persistent;
+                clearRunning    = clearRunning.clearRunning === undefined ? true : !!clearRunning.clearRunning;
+            }
             if (typeof clearRunning !== 'boolean') {
                 callback        = clearRunning;
                 clearRunning    = true;
@@ -1429,7 +1913,7 @@ function sandBox(script, name, verbose, debug, context) {
                 id = adapter.namespace + '.' + id;
             }
 
-            sandbox.verbose && sandbox.log('setStateDelayed(id=' + id + ', state=' + state + ', isAck=' + isAck + ', delay=' + delay + ', clearRunning=' + clearRunning + ')', 'info');
+            sandbox.verbose && sandbox.log('setStateDelayed(id=' + id + ', state=' + state + ', isAck=' + isAck + ', delay=' + delay + ', clearRunning=' + clearRunning + (persistent ? ', persistent' : '') + ')', 'info');
 
             if (clearRunning) {
                 if (timers[id]) {
@@ -1437,6 +1921,7 @@ function sandBox(script, name, verbose, debug, context) {
 
                     for (let i = 0; i < timers[id].length; i++) {
                         clearTimeout(timers[id][i].t);
+                        forgetPersistentTimer(timers[id][i]);
                     }
                     delete timers[id];
                 } else {
@@ -1455,8 +1940,23 @@ function sandBox(script, name, verbose, debug, context) {
                 context.timerId++;
                 if (context.timerId > 0xFFFFFFFE) context.timerId = 0;
 
+                const val = isObject(state) && state.val !== undefined ? state.val : state;
+                const ack = isObject(state) && state.val !== undefined && state.ack !== undefined ? state.ack : isAck;
+
+                // persistent timers are restored after the restart of the adapter, but without callback
+                let persistKey = null;
+                if (persistent) {
+                    if (!isWriteAllowed(id)) {
+                        adapter.log.warn(name + ': setStateDelayed(' + id + ') is not persisted, because the script has no permission to write it');
+                    } else {
+                        persistKey = Date.now().toString(36) + '.' + context.timerId;
+                        context.delayedStates.set(persistKey, {id, state, isAck, val, ack, due: Date.now() + delay, script: name});
+                    }
+                }
+
                 // Start timeout
                 const timer = setTimeout(function (_timerId, _id, _state, _isAck) {
+                    persistKey && context.delayedStates.delete(persistKey);
                     sandbox.setState(_id, _state, _isAck, callback);
                     // delete timer handler
                     if (timers[_id]) {
@@ -1482,8 +1982,10 @@ function sandBox(script, name, verbose, debug, context) {
                     id:     context.timerId,
                     ts:     Date.now(),
                     delay:  delay,
-                    val:    isObject(state) && state.val !== undefined ? state.val : state,
-                    ack:    isObject(state) && state.val !== undefined && state.ack !== undefined ? state.ack : isAck
+                    val:    val,
+                    ack:    ack,
+                    script: name,
+                    persistKey
                 });
                 return context.timerId;
             }
@@ -1501,6 +2003,7 @@ function sandBox(script, name, verbose, debug, context) {
                 for (let i = timers[id].length - 1; i >= 0; i--) {
                     if (timerId === undefined || timers[id][i].id === timerId) {
                         clearTimeout(timers[id][i].t);
+                        forgetPersistentTimer(timers[id][i]);
                         if (timerId !== undefined) timers[id].splice(i, 1);
                         sandbox.verbose && sandbox.log('clearStateDelayed: clear timer ' + timers[id][i].id, 'info');
                     }
@@ -1530,10 +2033,11 @@ function sandBox(script, name, verbose, debug, context) {
                                 if (timers[_id_][ttt].id === id) {
                                     return {
                                         id:         _id_,
-                                        left:       timers[_id_][ttt].delay - (now - timers[id][ttt].ts),
+                                        left:       timers[_id_][ttt].delay - (now - timers[_id_][ttt].ts),
                                         delay:      timers[_id_][ttt].delay,
                                         val:        timers[_id_][ttt].val,
-                                        ack:        timers[_id_][ttt].ack
+                                        ack:        timers[_id_][ttt].ack,
+                                        persistent: !!timers[_id_][ttt].persistKey
                                     };
                                 }
                             }
@@ -1550,7 +2054,8 @@ function sandBox(script, name, verbose, debug, context) {
                             left:       timers[id][tt].delay - (now - timers[id][tt].ts),
                             delay:      timers[id][tt].delay,
                             val:        timers[id][tt].val,
-                            ack:        timers[id][tt].ack
+                            ack:        timers[id][tt].ack,
+                            persistent: !!timers[id][tt].persistKey
                         });
                     }
                 }
@@ -1566,7 +2071,8 @@ function sandBox(script, name, verbose, debug, context) {
                                 left:       timers[_id][t].delay - (now - timers[_id][t].ts),
                                 delay:      timers[_id][t].delay,
                                 val:        timers[_id][t].val,
-                                ack:        timers[_id][t].ack
+                                ack:        timers[_id][t].ack,
+                                persistent: !!timers[_id][t].persistKey
                             });
                         }
                     }
@@ -1584,7 +2090,7 @@ function sandBox(script, name, verbose, debug, context) {
             } else {
                 if (adapter.config.subscribe) {
                     sandbox.log('The "getState" method cannot be used synchronously, because the adapter setting "Do not subscribe to all states on start" is enabled.', 'error');
-                    sandbox.log(`Please disable that setting or use "getState" with a callback, e.g.: getState("${id}", (err, state) => { ... });`, 'error');
+                    sandbox.log(`Please disable that setting or use "getState" with a callback, e.g.: getState("${id}", (err, state) => { ... }); or "await getStateAsync("${id}")"`, 'error');
                 } else {
                     if (states[id]) {
                         sandbox.verbose && sandbox.log('getState(id=' + id + ', timerId=' + timers[id] + ') => ' + JSON.stringify(states[id]), 'info');
@@ -1602,6 +2108,10 @@ function sandBox(script, name, verbose, debug, context) {
                 }
             }
         },
+        getStateAsync:  function (id) {
+            return new Promise((resolve, reject) =>
+                sandbox.getState(id, (err, state) => err ? reject(err) : resolve(state)));
+        },
         getBinaryState: function (id, callback) {
             if (typeof callback === 'function') {
                 adapter.getBinaryState(id, callback);
@@ -1638,13 +2148,16 @@ function sandBox(script, name, verbose, debug, context) {
                     } else if (objects[id]) {
                         delete objects[id];
                     }
-                    let result;
-                    try {
-                        result = JSON.parse(JSON.stringify(objects[id]));
-                    } catch (err) {
-                        adapter.setState('scriptProblem.' + name.substring('script.js.'.length), true, true);
-                        adapter.log.error('Object "' + id + '" can\'t be copied');
-                        return null;
+                    let result = null;
+                    if (objects[id]) {
+                        try {
+                            result = JSON.parse(JSON.stringify(objects[id]));
+                        } catch (e) {
+                            adapter.setState('scriptProblem.' + name.substring('script.js.'.length), true, true);
+                            adapter.log.error('Object "' + id + '" can\'t be copied');
+                            return cb('Object "' + id + '" can\'t be copied', null);
+                        }
+                        enumName && addObjectEnums(id, result, enumName);
                     }
                     sandbox.verbose && sandbox.log('getObject(id=' + id + ', enumName=' + enumName + ') => ' + JSON.stringify(result), 'info');
                     cb(err, result);
@@ -1655,19 +2168,7 @@ function sandBox(script, name, verbose, debug, context) {
                     adapter.log.warn('Object "' + id + '" does not exist');
                     return null;
                 } else if (enumName) {
-                    const e = eventObj.getObjectEnumsSync(context, id);
-                    const obj = JSON.parse(JSON.stringify(objects[id]));
-                    obj.enumIds   = JSON.parse(JSON.stringify(e.enumIds));
-                    obj.enumNames = JSON.parse(JSON.stringify(e.enumNames));
-                    if (typeof enumName === 'string') {
-                        const r = new RegExp('^enum\\.' + enumName + '\\.');
-                        for (let i = obj.enumIds.length - 1; i >= 0; i--) {
-                            if (!r.test(obj.enumIds[i])) {
-                                obj.enumIds.splice(i, 1);
-                                obj.enumNames.splice(i, 1);
-                            }
-                        }
-                    }
+                    const obj = addObjectEnums(id, JSON.parse(JSON.stringify(objects[id])), enumName);
                     sandbox.verbose && sandbox.log('getObject(id=' + id + ', enumName=' + enumName + ') => ' + JSON.stringify(obj), 'info');
 
                     return obj;
@@ -1686,24 +2187,14 @@ function sandBox(script, name, verbose, debug, context) {
             }
         },
         setObject:      function (id, obj, callback) {
-            adapter.log.error('Function "setObject" is not allowed. Use adapter settings to allow it.');
-            if (typeof callback === 'function') {
-                try {
-                    callback.call(sandbox, 'Function "setObject" is not allowed. Use adapter settings to allow it.');
-                } catch (e) {
-                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                }
-            }
+            permissionDenied('Function "setObject"', 'setObject', 'Enable setObject', callback);
         },
         extendObject:   function (id, obj, callback) {
-            adapter.log.error('Function "extendObject" is not allowed. Use adapter settings to allow it.');
-            if (typeof callback === 'function') {
-                try {
-                    callback.call(sandbox, 'Function "extendObject" is not allowed. Use adapter settings to allow it.');
-                } catch (e) {
-                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                }
-            }
+            permissionDenied('Function "extendObject"', 'setObject', 'Enable setObject', callback);
+        },
+        getObjectAsync: function (id, enumName) {
+            return new Promise((resolve, reject) =>
+                sandbox.getObject(id, enumName, (err, obj) => err ? reject(err) : resolve(obj)));
         },
         getEnums:       function (enumName) {
             const result = [];
@@ -1771,11 +2262,7 @@ function sandBox(script, name, verbose, debug, context) {
                             err = 'Wrong type of ' + name + '.common.min';
                             sandbox.log(err, 'error');
                             if (typeof callback === 'function') {
-                                try {
-                                    callback.call(sandbox, err);
-                                } catch (e) {
-                                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                                }
+                                callCallback(callback, err);
                             }
                             return;
                         } else {
@@ -1791,11 +2278,7 @@ function sandBox(script, name, verbose, debug, context) {
                             err = 'Wrong type of ' + name + '.common.max';
                             sandbox.log(err, 'error');
                             if (typeof callback === 'function') {
-                                try {
-                                    callback.call(sandbox, err);
-                                } catch (e) {
-                                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                                }
+                                callCallback(callback, err);
                             }
                             return;
                         } else {
@@ -1811,11 +2294,7 @@ function sandBox(script, name, verbose, debug, context) {
                             err = 'Wrong type of ' + name + '.common.def';
                             sandbox.log(err, 'error');
                             if (typeof callback === 'function') {
-                                try {
-                                    callback.call(sandbox, err);
-                                } catch (e) {
-                                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                                }
+                                callCallback(callback, err);
                             }
                             return;
                         } else {
@@ -1831,6 +2310,12 @@ function sandBox(script, name, verbose, debug, context) {
                 if (common.def !== undefined && common.max !== undefined && def > max) common.def = max;
             }
 
+            const fullId = name.match(/^javascript\.\d+\./) ? name : adapter.namespace + '.' + name;
+            if (!isWriteAllowed(fullId)) {
+                permissionDenied('createState(' + fullId + ')', 'write', null, callback);
+                return;
+            }
+
             sandbox.verbose && sandbox.log('createState(name=' + name + ', initValue=' + initValue + ', forceCreation=' + forceCreation + ', common=' + JSON.stringify(common) + ', native=' + JSON.stringify(native) + ')', 'debug');
 
             if (forceCreation) {
@@ -1850,11 +2335,7 @@ function sandBox(script, name, verbose, debug, context) {
                         }
                     } else {
                         if (typeof callback === 'function') {
-                            try {
-                                callback.call(sandbox, name);
-                            } catch (e) {
-                                errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                            }
+                            callCallback(callback, name);
                         }
                     }
                 });
@@ -1912,18 +2393,24 @@ function sandBox(script, name, verbose, debug, context) {
                         }
                         // state yet exists
                         if (typeof callback === 'function') {
-                            try {
-                                callback.call(sandbox, name);
-                            } catch (e) {
-                                errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                            }
+                            callCallback(callback, name);
                         }
                     }
                 });
             }
         },
+        createStateAsync: function (name, initValue, forceCreation, common, native) {
+            return new Promise((resolve, reject) =>
+                // if the state already exists, the callback gets the name of the state instead of an error
+                sandbox.createState(name, initValue, forceCreation, common, native, err => err && err !== name ? reject(err) : resolve()));
+        },
         deleteState:    function (id, callback) {
-            // todo: check rights
+            const fullId = objects[id] || id.match(/^javascript\.\d+\./) ? id : adapter.namespace + '.' + id;
+            if (!isWriteAllowed(fullId)) {
+                permissionDenied('deleteState(' + fullId + ')', 'write', null, callback);
+                return;
+            }
+
             let found = false;
             if (objects[id]) {
                 found = true;
@@ -1944,11 +2431,7 @@ function sandBox(script, name, verbose, debug, context) {
                     if (err) adapter.log.error('Cannot delete state "' + id + '": ' + err);
                     if (typeof callback === 'function') {
                         if (typeof callback === 'function') {
-                            try {
-                                callback.call(sandbox, err, found);
-                            } catch (e) {
-                                errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                            }
+                            callCallback(callback, err, found);
                         }
                     }
                 });
@@ -1959,19 +2442,40 @@ function sandBox(script, name, verbose, debug, context) {
             sandbox.verbose && sandbox.log('sendTo(adapter=' + _adapter + ', cmd=' + cmd + ', msg=' + JSON.stringify(msg) + ')', 'info');
             adapter.sendTo(_adapter, cmd, msg, callback);
         },
+        sendToAsync:    function (_adapter, cmd, msg, options) {
+            if (msg === undefined) {
+                msg = cmd;
+                cmd = 'send';
+            }
+            const timeoutMs = (options && parseInt(options.timeout, 10)) || 20000;
+
+            return new Promise((resolve, reject) => {
+                let timeout = setTimeout(() => {
+                    timeout = null;
+                    sandbox.verbose && sandbox.log('sendTo => timeout', 'debug');
+                    reject(new Error('timeout'));
+                }, timeoutMs);
+
+                sandbox.sendTo(_adapter, cmd, msg, result => {
+                    if (!timeout) {
+                        return;
+                    }
+                    clearTimeout(timeout);
+                    timeout = null;
+                    if (result && result.error) {
+                        reject(result.error);
+                    } else {
+                        resolve(result);
+                    }
+                });
+            });
+        },
         sendto:         function (_adapter, cmd, msg, callback) {
             return sandbox.sendTo(_adapter, cmd, msg, callback);
         },
         sendToHost:     function (host, cmd, msg, callback) {
-            if (!adapter.config.enableSendToHost) {
-                const error = 'sendToHost is not available. Please enable "Enable SendToHost" option in instance settings';
-                adapter.log.error(error);
-                sandbox.log(error);
-                if (typeof callback === 'function') {
-                    setImmediate(function () {
-                        callback(error);
-                    });
-                }
+            if (!permissions.sendToHost) {
+                permissionDenied('sendToHost', 'sendToHost', 'Enable SendToHost', callback);
             } else {
                 sandbox.verbose && sandbox.log('sendToHost(adapter=' + host + ', cmd=' + cmd + ', msg=' + JSON.stringify(msg) + ')', 'info');
                 adapter.sendToHost(host, cmd, msg, callback);
@@ -1980,13 +2484,10 @@ function sandBox(script, name, verbose, debug, context) {
         setInterval:    function (callback, ms, arg1, arg2, arg3, arg4) {
             if (typeof callback === 'function') {
                 const int = setInterval(function (_arg1, _arg2, _arg3, _arg4) {
-                    try {
-                        callback.call(sandbox, _arg1, _arg2, _arg3, _arg4);
-                    } catch (e) {
-                        errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                    }
+                    callCallback(callback, _arg1, _arg2, _arg3, _arg4);
                 }, ms, arg1, arg2, arg3, arg4);
                 script.intervals.push(int);
+                timerInfos.set(int, {ts: Date.now(), ms: parseInt(ms, 10) || 0});
 
                 sandbox.verbose && sandbox.log('setInterval(ms=' + ms + ')', 'info');
                 return int;
@@ -2012,15 +2513,12 @@ function sandBox(script, name, verbose, debug, context) {
                     const pos = script.timeouts.indexOf(to);
                     if (pos !== -1) script.timeouts.splice(pos, 1);
 
-                    try {
-                        callback.call(sandbox, _arg1, _arg2, _arg3, _arg4);
-                    } catch (e) {
-                        errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                    }
+                    callCallback(callback, _arg1, _arg2, _arg3, _arg4);
                 }, ms, arg1, arg2, arg3, arg4);
                 sandbox.verbose && sandbox.log('setTimeout(ms=' + ms + ')', 'info');
 
                 script.timeouts.push(to);
+                timerInfos.set(to, {ts: Date.now(), ms: parseInt(ms, 10) || 0});
                 return to;
             } else {
                 sandbox.log('Invalid callback for setTimeout! - ' + typeof callback, 'error');
@@ -2040,11 +2538,7 @@ function sandBox(script, name, verbose, debug, context) {
         setImmediate:   function (callback, arg1, arg2, arg3, arg4, arg5) {
             if (typeof callback === 'function') {
                 setImmediate(function (_arg1, _arg2, _arg3, _arg4, _arg5) {
-                    try {
-                        callback.call(sandbox, _arg1, _arg2, _arg3, _arg4, _arg5);
-                    } catch (e) {
-                        errorInCallback(e);
-                    }
+                    callCallback(callback, _arg1, _arg2, _arg3, _arg4, _arg5);
                 }, arg1, arg2, arg3, arg4, arg5);
                 sandbox.verbose && sandbox.log('setImmediate()', 'info');
             } else {
@@ -2223,6 +2717,22 @@ function sandBox(script, name, verbose, debug, context) {
             script.onStopCb = cb;
             script.onStopTimeout = timeout || 1000;
         },
+        storage: {
+            get:        function (key, defaultValue) {
+                return script.storage.get(key, defaultValue);
+            },
+            set:        function (key, value) {
+                sandbox.verbose && sandbox.log('storage.set(key=' + key + ', value=' + JSON.stringify(value) + ')', 'info');
+                script.storage.set(key, value);
+            },
+            delete:     function (key) {
+                sandbox.verbose && sandbox.log('storage.delete(key=' + key + ')', 'info');
+                return script.storage.delete(key);
+            },
+            keys:       function () {
+                return script.storage.keys();
+            }
+        },
         formatValue:    function (value, decimals, format) {
             if (!format) {
                 if (adapter.isFloatComma !== undefined) {
@@ -2304,11 +2814,7 @@ function sandBox(script, name, verbose, debug, context) {
                 sandbox.log('readFile(adapter=' + _adapter + ', fileName=' + fileName + ') - ' + words._('was not executed, while debug mode is active'), 'warn');
                 if (typeof callback === 'function') {
                     setTimeout(function () {
-                        try {
-                            callback.call(sandbox);
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback);
                     }, 0);
                 }
             } else {
@@ -2326,6 +2832,16 @@ function sandBox(script, name, verbose, debug, context) {
 
             adapter.readFile(_adapter, fileName, callback);
         },
+        readFileAsync:  function (_adapter, fileName) {
+            return new Promise((resolve, reject) => {
+                const callback = (err, file, mimeType) => err ? reject(err) : resolve({file, mimeType});
+                if (fileName === undefined) {
+                    sandbox.readFile(_adapter, callback);
+                } else {
+                    sandbox.readFile(_adapter, fileName, callback);
+                }
+            });
+        },
         unlink:         function (_adapter, fileName, callback) {
             if (typeof fileName === 'function') {
                 callback = fileName;
@@ -2338,11 +2854,7 @@ function sandBox(script, name, verbose, debug, context) {
                 sandbox.log('unlink(adapter=' + _adapter + ', fileName=' + fileName + ') - ' + words._('was not executed, while debug mode is active'), 'warn');
                 if (typeof callback === 'function') {
                     setTimeout(function () {
-                        try {
-                            callback.call(sandbox);
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback);
                     }, 0);
                 }
             } else {
@@ -2366,10 +2878,12 @@ function sandBox(script, name, verbose, debug, context) {
             }
             if (!isObject(options)) {
                 adapter.log.error('No options found!');
+                callCallback(callback, 'No options found!');
                 return;
             }
             if (!options.id) {
                 adapter.log.error('No ID found!');
+                callCallback(callback, 'No ID found!');
                 return;
             }
             const timeoutMs = parseInt(options.timeout, 10) || 20000;
@@ -2386,11 +2900,7 @@ function sandBox(script, name, verbose, debug, context) {
 
             if (!instance) {
                 adapter.log.error('No default history instance found!');
-                try {
-                    callback.call(sandbox, 'No default history instance found!');
-                } catch (e) {
-                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                }
+                callCallback(callback, 'No default history instance found!');
                 return;
             }
             if (instance.startsWith('system.adapter.')) {
@@ -2399,11 +2909,7 @@ function sandBox(script, name, verbose, debug, context) {
 
             if (!objects['system.adapter.' + instance]) {
                 adapter.log.error('Instance "' + instance + '" not found!');
-                try {
-                    callback.call(sandbox, 'Instance "' + instance + '" not found!');
-                } catch (e) {
-                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                }
+                callCallback(callback, 'Instance "' + instance + '" not found!');
                 return;
             }
             let timeout = setTimeout(() => {
@@ -2412,11 +2918,7 @@ function sandBox(script, name, verbose, debug, context) {
                 sandbox.verbose && sandbox.log('getHistory => timeout', 'debug');
 
                 if (typeof callback === 'function') {
-                    try {
-                        callback.call(sandbox, 'Timeout', null, options, instance);
-                    } catch (e) {
-                        errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                    }
+                    callCallback(callback, 'Timeout', null, options, instance);
                     callback = null;
                 }
             }, timeoutMs);
@@ -2428,16 +2930,22 @@ function sandBox(script, name, verbose, debug, context) {
                 if (sandbox.verbose && result.result) sandbox.log('getHistory => ' + result.result.length + ' items', 'debug');
 
                 if (typeof callback === 'function') {
-                    try {
-                        callback.call(sandbox, result.error, result.result, options, instance);
-                    } catch (e) {
-                        errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                    }
+                    callCallback(callback, result.error, result.result, options, instance);
                     callback = null;
                 }
 
             });
         },
+        getHistoryAsync: function (instance, options) {
+            return new Promise((resolve, reject) => {
+                const callback = (err, result) => err ? reject(err) : resolve(result);
+                if (isObject(instance)) {
+                    sandbox.getHistory(instance, callback);
+                } else {
+                    sandbox.getHistory(instance, options, callback);
+                }
+            });
+        },
         runScript:      function (scriptName, callback) {
             scriptName = scriptName || name;
             if (!scriptName.match(/^script\.js\./)) scriptName = 'script.js.' + scriptName;
@@ -2607,11 +3115,7 @@ function sandBox(script, name, verbose, debug, context) {
                     sandbox.verbose && sandbox.log('messageTo => timeout', 'debug');
 
                     if (typeof callback === 'function') {
-                        try {
-                            callback.call(sandbox, {error: 'timeout'}, options, target.instance);
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback, {error: 'timeout'}, options, target.instance);
                         callback = null;
                     }
                 }, parseInt(options.timeout, 10) || 50000);
@@ -2630,11 +3134,7 @@ function sandBox(script, name, verbose, debug, context) {
                     sandbox.verbose && result.result && sandbox.log('messageTo => ' + JSON.stringify(result), 'debug');
 
                     if (typeof callback === 'function') {
-                        try {
-                            callback.call(sandbox, result, options, target.instance);
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback, result, options, target.instance);
                         callback = null;
                     }
                 });
@@ -2650,11 +3150,7 @@ function sandBox(script, name, verbose, debug, context) {
                             if (callback && typeof callback === 'function') {
                                 sandbox.verbose && sandbox.log('messageTo => ' + JSON.stringify(result), 'debug');
 
-                                try {
-                                    callback.call(sandbox, result, options, target.instance);
-                                } catch (e) {
-                                    errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                                }
+                                callCallback(callback, result, options, target.instance);
                                 callback = null;
                             }
                         });
@@ -2662,6 +3158,11 @@ function sandBox(script, name, verbose, debug, context) {
                 });
             }
         },
+        messageToAsync: function (target, data, options) {
+            return new Promise((resolve, reject) =>
+                sandbox.messageTo(target, data, isObject(options) ? options : {timeout: 5000}, result =>
+                    isObject(result) && result.error ? reject(result.error) : resolve(result)));
+        },
         onMessage:      function (messageName, callback) {
             if (typeof callback !== 'function') {
                 sandbox.log('onMessage callback is not a function', 'error');
@@ -2720,17 +3221,15 @@ function sandBox(script, name, verbose, debug, context) {
         }
     };
 
-    if (adapter.config.enableSetObject) {
+    if (permissions.setObject) {
         sandbox.setObject = function (id, obj, callback) {
-            if (debug) {
+            if (!isWriteAllowed(id)) {
+                permissionDenied('setObject(' + id + ')', 'write', null, callback);
+            } else if (debug) {
                 sandbox.log('setObject(id=' + id + ', obj=' + JSON.stringify(obj) + ') - ' + words._('was not executed, while debug mode is active'), 'warn');
                 if (typeof callback === 'function') {
                     setTimeout(function () {
-                        try {
-                            callback.call(sandbox);
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback);
                     }, 0);
                 }
             } else {
@@ -2739,15 +3238,13 @@ function sandBox(script, name, verbose, debug, context) {
             }
         };
         sandbox.extendObject = function (id, obj, callback) {
-            if (debug) {
+            if (!isWriteAllowed(id)) {
+                permissionDenied('extendObject(' + id + ')', 'write', null, callback);
+            } else if (debug) {
                 sandbox.log('extendObject(id=' + id + ', obj=' + JSON.stringify(obj) + ') - ' + words._('was not executed, while debug mode is active'), 'warn');
                 if (typeof callback === 'function') {
                     setTimeout(function () {
-                        try {
-                            callback.call(sandbox);
-                        } catch (e) {
-                            errorInCallback(e); //adapter.log.error('Error in callback: ' + e)
-                        }
+                        callCallback(callback);
                     }, 0);
                 }
             } else {
@@ -2757,6 +3254,68 @@ function sandBox(script, name, verbose, debug, context) {
         };
     }
 
+    // the exports of the script, if other scripts require it
+    sandbox.module = {exports: sandbox.exports};
+    script.module = sandbox.module;
+
+    /**
+     * Describes what the script has running at the moment: timers, schedules and subscriptions.
+     * Used by the message "getScriptRuntimeInfo", e.g. to find out in the editor why the script was triggered.
+     * @returns {object}
+     */
+    script.getRuntimeInfo = function () {
+        const now = Date.now();
+        // patterns can contain regular expressions and functions, that cannot be sent as JSON.
+        // The regular expressions are created in the context of the script, so instanceof RegExp does not work.
+        const toJSON = pattern => pattern === undefined ? null : JSON.parse(JSON.stringify(pattern, (key, value) => {
+            if (Object.prototype.toString.call(value) === '[object RegExp]') {
+                return value.toString();
+            } else if (typeof value === 'function') {
+                return '[function]';
+            } else {
+                return value;
+            }
+        }));
+        const delayedStates = [];
+        Object.keys(timers).forEach(id =>
+            timers[id].forEach(timer => timer.script === name && delayedStates.push({
+                id,
+                timerId:    timer.id,
+                val:        timer.val,
+                ack:        timer.ack,
+                due:        timer.ts + timer.delay,
+                left:       timer.delay - (now - timer.ts),
+                persistent: !!timer.persistKey
+            })));
+
+        return {
+            name,
+            isolated:  !!script.isolated,
+            timeouts:  script.timeouts.map(to => {
+                const info = timerInfos.get(to) || {ts: now, ms: 0};
+                return {ms: info.ms, started: info.ts, due: info.ts + info.ms, left: Math.max(info.ts + info.ms - now, 0)};
+            }),
+            intervals: script.intervals.map(int => {
+                const info = timerInfos.get(int) || {ts: now, ms: 0};
+                const left = info.ms ? info.ms - (now - info.ts) % info.ms : 0;
+                return {ms: info.ms, started: info.ts, due: now + left, left};
+            }),
+            schedules: getScheduleInfo(1).map(schedule => ({
+                type:    schedule.type,
+                pattern: toJSON(schedule.pattern),
+                next:    schedule.next[0] ? schedule.next[0].getTime() : null
+            })),
+            subscriptions: context.subscriptions.filter(subs => subs.name === name).map(subs => ({
+                pattern:     toJSON(subs.pattern),
+                triggered:   subs.triggered || 0,
+                lastTrigger: subs.lastTrigger || null
+            })),
+            // state IDs, that are subscribed in the adapter for this script, with the number of subscriptions
+            subscribes: Object.assign({}, script.subscribes),
+            delayedStates
+        };
+    };
+
     // Make all predefined properties and methods readonly so scripts cannot overwrite them
     for (const prop in sandbox) {
         if (sandbox.hasOwnProperty(prop)) {
@@ -1,13 +1,19 @@
 'use strict';
 
+const {limitTime, getRandomOffset} = require('./tools');
 
 // const DEFAULT = {
 //     time: {
 //         exactTime: false,
 //
-//         start: '00:00',
+//         start: '00:00', // or astro event, e.g. 'sunrise'
 //         end: '23:59',
 //
+//         // only for exactTime with astro event
+//         notBefore: '', // e.g. '06:30'
+//         notAfter: '',  // e.g. '08:00'
+//         randomOffset: 0, // random offset in minutes (+/-), chosen once a day
+//
 //         mode: 'hours',
 //         interval: 1,
 //     },
@@ -22,17 +28,31 @@
 //         years: 0,
 //         yearMonth: 0,
 //         yearDate: 0,
+//
+//         holiday: '', // 'exclude' - not on public holidays, 'only' - only on public holidays
 //     },
 //     valid: {
 //         from: '',
-//         to: ''
+//         to: '',
+//         exclude: [] // e.g. ['24.12.2019', '31.12', {from: '01.08.2019', to: '15.08.2019'}]
 //     }
 // };
 
+// maximal number of days, that are checked to find the next runs of a schedule
+const MAX_DAYS_TO_CALCULATE = 366 * 5;
+
 class Scheduler {
-    constructor(log, DateTest) {
+    /**
+     * @param {object} [log]
+     * @param {DateConstructor} [DateTest] Date class, that is used for tests
+     * @param {object} [holidays] instance of lib/holidays.js for the "holiday" option of the period
+     * @param {(event: string, date: Date) => Date} [getAstroTime] calculates the astro event, e.g. "sunrise", for the day
+     */
+    constructor(log, DateTest, holidays, getAstroTime) {
         this.list = {};
         this.Date = DateTest || Date;
+        this.holidays = holidays || null;
+        this.getAstroTime = getAstroTime || null;
         this.log = log || {
             debug: function (text) {console.log(text);},
             info: function (text) {console.log(text);},
@@ -60,8 +80,8 @@ class Scheduler {
             this.timer = null;
         }
     }
-    getContext() {
-        const now = new this.Date();
+    getContext(date) {
+        const now = date || new this.Date();
         return {
             now: now.getTime(),
             minutesOfDay: now.getHours() * 60 + now.getMinutes(),
@@ -80,6 +100,11 @@ class Scheduler {
 
         for (const id in this.list) {
             if (!this.list.hasOwnProperty(id)) continue;
+            // "to" date is in the past => delete it from list
+            if (this.list[id].valid && this.list[id].valid.to && this.isPast(context, this.list[id].valid.to)) {
+                delete this.list[id];
+                continue;
+            }
             if (this.checkSchedule(context, this.list[id])) {
                 typeof this.list[id].cb === 'function' && this.list[id].cb(id);
             }
@@ -97,28 +122,37 @@ class Scheduler {
         }
     }
 
+    // number of calendar months between two dates, e.g. 31.01 and 01.02 are one month apart
     monthDiff(d1, d2) {
-        let months;
-        months = (d2.getFullYear() - d1.getFullYear()) * 12;
-        months -= d1.getMonth() + 1;
-        months += d2.getMonth();
+        const months = (d2.getFullYear() - d1.getFullYear()) * 12 + d2.getMonth() - d1.getMonth();
         return months <= 0 ? 0 : months;
     }
 
+    // number of days between the start of the schedule and today. Rounded, because days with DST switch are shorter or longer
+    dayDiff(fromDate, context) {
+        return Math.round((new this.Date(context.y, context.M, context.d).getTime() - fromDate) / (60000 * 60 * 24));
+    }
+
     checkSchedule(context, schedule) {
+        return this.checkDate(context, schedule) && this.checkTime(context, schedule);
+    }
+
+    // checks if the schedule is active on the day of the context
+    checkDate(context, schedule) {
         if (schedule.valid) {
-            if (schedule.valid.from && !this.isPast(schedule.valid.from) && !this.isToday(schedule.valid.from)) {
+            if (schedule.valid.from && !this.isPast(context, schedule.valid.from) && !this.isToday(context, schedule.valid.from)) {
+                return;
+            }
+            if (schedule.valid.to && this.isPast(context, schedule.valid.to)) {
                 return;
             }
-            // "to" this.Date is in the past => delete it from list
-            if (schedule.valid.to && this.isPast(schedule.valid.to)) {
-                delete this.list[schedule.id];
+            if (schedule.valid.exclude && this.isExcluded(context, schedule.valid.exclude)) {
                 return;
             }
         }
         if (schedule.period) {
-            if (schedule.period.once && !this.isToday(schedule.period.once)) {
-                if (this.isPast(schedule.period.once)) {
+            if (schedule.period.once && !this.isToday(context, schedule.period.once)) {
+                if (this.isPast(context, schedule.period.once)) {
                     delete this.list[schedule.id];
                 }
                 return;
@@ -127,7 +161,7 @@ class Scheduler {
                     return;
                 } else
                 if (schedule.period.days > 1) {
-                    const diff = Math.round((context.now - schedule.valid.fromDate) / (60000 * 24) + 0.5);
+                    const diff = this.dayDiff(schedule.valid.fromDate, context);
                     if (diff % schedule.period.days) {
                         return;
                     }
@@ -137,17 +171,20 @@ class Scheduler {
                     return;
                 }
                 if (schedule.period.weeks > 1) {
-                    const diff = Math.round((context.now - schedule.valid.fromDate) / (60000 * 24 * 7) + 0.5);
-                    if (diff % schedule.period.days) {
+                    const diff = Math.floor(this.dayDiff(schedule.valid.fromDate, context) / 7);
+                    if (diff % schedule.period.weeks) {
                         return;
                     }
                 }
             } else if (schedule.period.months) {
-                if (schedule.period.months && schedule.period.months.indexOf(context.M) === -1) {
+                if (Array.isArray(schedule.period.months) && schedule.period.months.indexOf(context.M) === -1) {
+                    return;
+                }
+                if (schedule.period.dates && schedule.period.dates.indexOf(context.d) === -1) {
                     return;
                 }
                 if (typeof schedule.period.months === 'number' && schedule.period.months > 1) {
-                    const diff = this.monthDiff(schedule.period.fromDate, new this.Date(context.now));
+                    const diff = this.monthDiff(schedule.valid.fromDate, new this.Date(context.now));
                     if (diff % schedule.period.months) {
                         return;
                     }
@@ -160,30 +197,121 @@ class Scheduler {
                     return;
                 }
                 if (schedule.period.years > 1) {
-                    const diff = Math.floor(this.monthDiff(schedule.period.fromDate, new this.Date(context.now)) / 12);
+                    const diff = Math.floor(this.monthDiff(schedule.valid.fromDate, new this.Date(context.now)) / 12);
                     if (diff % schedule.period.years) {
                         return;
                     }
                 }
             }
+
+            // "exclude" - do not trigger on public holidays, "only" - trigger only on public holidays
+            if (schedule.period.holiday && this.holidays) {
+                const isHoliday = this.holidays.isHoliday(new this.Date(context.y, context.M, context.d));
+                if ((schedule.period.holiday === 'exclude' && isHoliday) || (schedule.period.holiday === 'only' && !isHoliday)) {
+                    return;
+                }
+            }
+        }
+        return true;
+    }
+
+    // random offset of the astro time in minutes, chosen once for every day
+    getRandomOffset(schedule, day) {
+        schedule.randomOffsets = schedule.randomOffsets || {};
+        if (schedule.randomOffsets[day] === undefined) {
+            // forget the past days
+            const today = this.getContext();
+            const todayKey = today.y * 10000 + today.M * 100 + today.d;
+            Object.keys(schedule.randomOffsets).forEach(key => parseInt(key, 10) < todayKey && delete schedule.randomOffsets[key]);
+
+            schedule.randomOffsets[day] = getRandomOffset(schedule.time.randomOffset);
+        }
+        return schedule.randomOffsets[day];
+    }
+
+    /**
+     * Calculates start and end of the time settings in minutes of the day of the context.
+     * Astro events are calculated for every day, the exact astro time is moved by the random offset and limited by notBefore and notAfter.
+     * @param {object} context
+     * @param {object} schedule parsed schedule
+     * @returns {{start: number, end: number}} start is null if the astro event does not occur on this day
+     */
+    getTimes(context, schedule) {
+        const time = schedule.time;
+        const isAstro = value => typeof value === 'string' && !!value;
+        if (!isAstro(time.start) && !isAstro(time.end)) {
+            return time;
+        }
+        const day = context.y * 10000 + context.M * 100 + context.d;
+        if (schedule.times && schedule.times.day === day) {
+            return schedule.times;
+        }
+
+        const getAstro = event => {
+            if (!this.getAstroTime) {
+                this.log.error('Cannot calculate astro event "' + event + '" of the schedule');
+                return null;
+            }
+            const date = this.getAstroTime(event, new this.Date(context.y, context.M, context.d, 12));
+            return date && !isNaN(date.getTime()) ? date : null;
+        };
+        const toMinutes = date => {
+            // the random offset could move the time into the next or previous day
+            if (date.getDate() !== context.d) {
+                return date.getTime() < new this.Date(context.y, context.M, context.d).getTime() ? 0 : 24 * 60 - 1;
+            }
+            return date.getHours() * 60 + date.getMinutes();
+        };
+
+        let start = time.start;
+        let end = time.end;
+        if (isAstro(start)) {
+            let date = getAstro(start);
+            if (date && time.exactTime) {
+                if (time.randomOffset) {
+                    date = new this.Date(date.getTime() + this.getRandomOffset(schedule, day) * 60000);
+                }
+                date = limitTime(date, time.notBefore, time.notAfter);
+            }
+            start = date ? toMinutes(date) : null;
         }
+        if (isAstro(end)) {
+            const date = getAstro(end);
+            end = date ? toMinutes(date) : null;
+        }
+
+        schedule.times = {day, start, end};
+        return schedule.times;
+    }
 
+    // checks if the schedule is active at the minute of the context
+    checkTime(context, schedule) {
         if (schedule.time) {
+            const times = this.getTimes(context, schedule);
+            if (times.start === null || times.end === null) {
+                // astro event does not occur on this day
+                return;
+            }
             if (schedule.time.exactTime) {
-                if (context.minutesOfDay !== schedule.time.start) {
+                if (context.minutesOfDay !== times.start) {
                     return;
                 }
             } else {
-                if (schedule.time.start > context.minutesOfDay || (schedule.time.end && schedule.time.end < context.minutesOfDay)) {
+                // e.g. from sunset to sunrise
+                const overMidnight = times.end && times.end < times.start;
+                if (overMidnight ?
+                    times.start > context.minutesOfDay && times.end < context.minutesOfDay :
+                    times.start > context.minutesOfDay || (times.end && times.end < context.minutesOfDay)) {
                     return;
                 }
+                const minutes = (context.minutesOfDay - times.start + 24 * 60) % (24 * 60);
                 if (schedule.time.mode === 60) {
-                    if (schedule.time.interval > 1 && ((context.minutesOfDay - schedule.time.start) % schedule.time.interval)) {
+                    if (schedule.time.interval > 1 && (minutes % schedule.time.interval)) {
                         return;
                     }
                 } else
                 if (schedule.time.mode === 3600) {
-                    if ((context.minutesOfDay - schedule.time.start) % (schedule.time.interval * 60)) {
+                    if (minutes % (schedule.time.interval * 60)) {
                         return;
                     }
                 }
@@ -224,7 +352,90 @@ class Scheduler {
         return date && date.y === context.y && date.M === context.M && date.d === context.d;
     }
 
-    add(schedule, cb) {
+    /**
+     * Parses an entry of the exclusion list: a date, a date without year (every year)
+     * or an object with from and to for a range of dates
+     * @param {string|{from: string, to: string}} entry
+     * @returns {{from: {y: number, M: number, d: number}, to: {y: number, M: number, d: number}}|null}
+     */
+    parseExclusion(entry) {
+        const parse = date => {
+            const parts = typeof date === 'string' ? date.trim().replace(/\.$/, '').split('.') : [];
+            if (parts.length === 2) {
+                // 24.12 => every year
+                return {M: parseInt(parts[1], 10) - 1, d: parseInt(parts[0], 10)};
+            } else if (typeof date === 'string' && date.trim()) {
+                return this.string2date(date.trim());
+            }
+        };
+
+        let range;
+        if (entry && typeof entry === 'object') {
+            range = {from: parse(entry.from), to: parse(entry.to || entry.from)};
+        } else {
+            range = {from: parse(entry)};
+            range.to = range.from;
+        }
+
+        if (!range.from || !range.to || isNaN(range.from.d) || isNaN(range.to.d) || (range.from.y === undefined) !== (range.to.y === undefined)) {
+            return null;
+        }
+        return range;
+    }
+
+    isExcluded(context, exclude) {
+        const today = context.M * 100 + context.d;
+        return !!exclude.find(range => {
+            if (range.from.y === undefined) {
+                // every year, the range could be over the new year, e.g. 24.12 - 06.01
+                const from = range.from.M * 100 + range.from.d;
+                const to = range.to.M * 100 + range.to.d;
+                return from <= to ? today >= from && today <= to : today >= from || today <= to;
+            } else {
+                const date = context.y * 10000 + today;
+                return date >= range.from.y * 10000 + range.from.M * 100 + range.from.d &&
+                    date <= range.to.y * 10000 + range.to.M * 100 + range.to.d;
+            }
+        });
+    }
+
+    /**
+     * Calculates the next times, when the schedule will be triggered
+     * @param {object} schedule parsed schedule, see parse()
+     * @param {number} count maximal number of times
+     * @param {Date} [from] start of the calculation, default now
+     * @returns {Date[]}
+     */
+    getNextRuns(schedule, count, from) {
+        const runs = [];
+        const start = new this.Date(from ? from.getTime() : this.Date.now());
+        // schedules are checked at the start of every minute
+        start.setSeconds(0, 0);
+        start.setMinutes(start.getMinutes() + 1);
+        const day = new this.Date(start.getFullYear(), start.getMonth(), start.getDate());
+
+        for (let i = 0; i < MAX_DAYS_TO_CALCULATE && runs.length < count; i++) {
+            const context = this.getContext(day);
+            if (this.checkDate(context, schedule)) {
+                const firstMinute = i ? 0 : start.getHours() * 60 + start.getMinutes();
+                for (let minute = firstMinute; minute < 24 * 60 && runs.length < count; minute++) {
+                    context.minutesOfDay = minute;
+                    if (this.checkTime(context, schedule)) {
+                        runs.push(new this.Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(minute / 60), minute % 60));
+                    }
+                }
+            }
+            day.setDate(day.getDate() + 1);
+        }
+        return runs;
+    }
+
+    /**
+     * Parses the schedule from the wizard
+     * @param {string|object} schedule JSON string or object
+     * @returns {object|undefined} parsed copy of the schedule or undefined if invalid
+     */
+    parse(schedule) {
         if (typeof schedule === 'string') {
             try {
                 schedule = JSON.parse(schedule);
@@ -234,22 +445,23 @@ class Scheduler {
             }
         }
 
-        const id = this._getId();
-        if (typeof schedule !== 'object' || !schedule.period) {
+        if (!schedule || typeof schedule !== 'object' || !schedule.period) {
             return this.log.error('Invalid schedule structure: ' + JSON.stringify(schedule));
         }
         const context = this.getContext();
         const sch = JSON.parse(JSON.stringify(schedule));
-        sch.id = id;
-        sch.cb = cb;
-        if (sch.time && sch.time.start) {
+        // astro events, e.g. "sunrise", are calculated every day
+        if (sch.time && typeof sch.time.start === 'string' && sch.time.start.includes(':')) {
             const parts = sch.time.start.split(':');
             sch.time.start = parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
         }
-        if (sch.time && sch.time.end) {
+        if (sch.time && typeof sch.time.end === 'string' && sch.time.end.includes(':')) {
             const parts = sch.time.end.split(':');
             sch.time.end = parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
         }
+        if (sch.time && sch.time.randomOffset) {
+            sch.time.randomOffset = parseInt(sch.time.randomOffset, 10) || 0;
+        }
         if (sch.time.mode === 'minutes') {
             sch.time.mode = 60;
         } else if (sch.time.mode === 'hours') {
@@ -261,6 +473,20 @@ class Scheduler {
             sch.valid.from = sch.valid.from && this.string2date(sch.valid.from);
             sch.valid.to = sch.valid.to && this.string2date(sch.valid.to);
 
+            if (sch.valid.exclude) {
+                if (!Array.isArray(sch.valid.exclude)) {
+                    this.log.error('Cannot parse excluded dates: ' + JSON.stringify(sch.valid.exclude));
+                    return;
+                }
+                const exclude = sch.valid.exclude.map(entry => this.parseExclusion(entry));
+                const invalid = sch.valid.exclude.filter((entry, i) => !exclude[i]);
+                if (invalid.length) {
+                    this.log.error('Cannot parse excluded dates: ' + JSON.stringify(invalid));
+                    return;
+                }
+                sch.valid.exclude = exclude;
+            }
+
             if (this.isPast(context, sch.valid.to)) {
                 this.log.warn('End of schedule is in the past');
                 return;
@@ -289,16 +515,19 @@ class Scheduler {
                 return;
             }
         }
-        if (sch.period.months) {
+        if (sch.period.months && typeof sch.period.months === 'string') {
+            // months are either a JSON list of months (1 - 12) or the number of months between the runs
             try {
                 sch.period.months = JSON.parse(sch.period.months);
             } catch (e) {
                 this.log.error('Cannot parse day of months: ' + sch.period.months);
                 return;
             }
+        }
+        if (Array.isArray(sch.period.months)) {
             sch.period.months = sch.period.months.map(m => m - 1);
         }
-        if (sch.period.dates) {
+        if (sch.period.dates && typeof sch.period.dates === 'string') {
             try {
                 sch.period.dates = JSON.parse(sch.period.dates);
             } catch (e) {
@@ -306,7 +535,20 @@ class Scheduler {
                 return;
             }
         }
-        sch.period.yearMonth = sch.period.yearMonth && (sch.period.yearMonth - 1);
+        // 0 means every month
+        sch.period.yearMonth = sch.period.yearMonth ? sch.period.yearMonth - 1 : undefined;
+        return sch;
+    }
+
+    add(schedule, cb) {
+        const sch = this.parse(schedule);
+        if (!sch) {
+            return;
+        }
+        const id = this._getId();
+        sch.id = id;
+        sch.cb = cb;
+        sch.pattern = schedule;
         this.list[id] = sch;
         this.recalculate();
         return id;
@@ -0,0 +1,148 @@
+'use strict';
+
+// the changed statistics are written into the states every UPDATE_INTERVAL ms, not after every callback
+const UPDATE_INTERVAL = 10000;
+
+const STATES = {
+    calls:       {name: 'Number of the executed callbacks', type: 'number', role: 'value'},
+    errors:      {name: 'Number of the errors in callbacks', type: 'number', role: 'value'},
+    execTime:    {name: 'Execution time of all callbacks', type: 'number', role: 'value', unit: 'ms'},
+    avgExecTime: {name: 'Average execution time of a callback', type: 'number', role: 'value', unit: 'ms'},
+    maxExecTime: {name: 'Longest execution time of a callback', type: 'number', role: 'value', unit: 'ms'},
+    lastError:   {name: 'Time of the last error', type: 'number', role: 'value.time'}
+};
+
+function round(ms) {
+    return Math.round(ms * 1000) / 1000;
+}
+
+/**
+ * Counts the executed callbacks and the errors of every script and measures how long the callbacks take,
+ * so it can be found out which script uses the CPU or throws most often.
+ * The statistics since the start of the script are published in javascript.INSTANCE.scriptStats.SCRIPT_NAME.*
+ */
+class ScriptStats {
+    /**
+     * @param {object} adapter
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.stats   = {}; // script name => statistics
+        this.written = {}; // state id => last written value
+        this.timer   = null;
+    }
+
+    static getChannelId(name) {
+        return 'scriptStats.' + name.substring('script.js.'.length);
+    }
+
+    /**
+     * Resets the statistics of the script and creates the objects, if they do not exist
+     * @param {string} name script ID, e.g. script.js.myScript
+     */
+    init(name) {
+        this.stats[name] = {calls: 0, errors: 0, execTime: 0, avgExecTime: 0, maxExecTime: 0, lastError: null};
+
+        const channelId = ScriptStats.getChannelId(name);
+        this.adapter.setObjectNotExists(channelId, {
+            type: 'channel',
+            common: {name: 'Statistics of ' + name},
+            native: {script: name}
+        });
+        Object.keys(STATES).forEach(state => {
+            const common = Object.assign({}, STATES[state], {read: true, write: false});
+            this.adapter.setObjectNotExists(channelId + '.' + state, {type: 'state', common, native: {script: name}});
+        });
+    }
+
+    /**
+     * Counts an executed callback
+     * @param {string} name script ID
+     * @param {[number, number]} duration result of process.hrtime(start)
+     */
+    addCall(name, duration) {
+        const stats = this.stats[name];
+        if (stats) {
+            const ms = duration[0] * 1000 + duration[1] / 1000000;
+            stats.calls++;
+            stats.execTime += ms;
+            stats.avgExecTime = stats.execTime / stats.calls;
+            if (ms > stats.maxExecTime) {
+                stats.maxExecTime = ms;
+            }
+        }
+    }
+
+    /**
+     * Counts an error in a callback
+     * @param {string} name script ID
+     */
+    addError(name) {
+        const stats = this.stats[name];
+        if (stats) {
+            stats.errors++;
+            stats.lastError = Date.now();
+        }
+    }
+
+    /**
+     * Returns the statistics of all scripts, that were started since the start of the adapter
+     * @returns {{[name: string]: {calls: number, errors: number, execTime: number, avgExecTime: number, maxExecTime: number, lastError: number}}}
+     */
+    getAll() {
+        const result = {};
+        Object.keys(this.stats).forEach(name => {
+            const stats = this.stats[name];
+            result[name] = Object.assign({}, stats, {
+                execTime:    round(stats.execTime),
+                avgExecTime: round(stats.avgExecTime),
+                maxExecTime: round(stats.maxExecTime)
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Deletes the statistics and the objects of a deleted script
+     * @param {string} name script ID
+     */
+    remove(name) {
+        delete this.stats[name];
+        const channelId = ScriptStats.getChannelId(name);
+        Object.keys(STATES).forEach(state => {
+            delete this.written[channelId + '.' + state];
+            this.adapter.delObject(channelId + '.' + state);
+            this.adapter.delState(channelId + '.' + state);
+        });
+        this.adapter.delObject(channelId);
+    }
+
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.update(), UPDATE_INTERVAL);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    update() {
+        const all = this.getAll();
+        // write only changed values
+        Object.keys(all).forEach(name => {
+            const channelId = ScriptStats.getChannelId(name);
+            Object.keys(STATES).forEach(state => {
+                const id = channelId + '.' + state;
+                if (this.written[id] !== all[name][state]) {
+                    this.written[id] = all[name][state];
+                    this.adapter.setState(id, all[name][state], true);
+                }
+            });
+        });
+    }
+}
+
+module.exports = ScriptStats;
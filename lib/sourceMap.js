@@ -0,0 +1,60 @@
+'use strict';
+const SourceMapConsumer = require('source-map').SourceMapConsumer;
+
+// TypeScript appends "//# sourceMappingURL=...", coffee-compiler the older "//@ sourceMappingURL=..."
+const INLINE_MAP = /\n?\/\/[#@] sourceMappingURL=data:application\/json;(?:charset=utf-8;)?base64,([A-Za-z0-9+/=]+)\s*$/;
+
+/**
+ * Maps the positions in the compiled code of TypeScript and CoffeeScript scripts back to the original source,
+ * so the errors are reported with the line numbers, that the user sees in the editor.
+ */
+class ScriptSourceMap {
+    /**
+     * @param {object} map source map in version 3 format
+     * @param {number} lineOffset number of the lines, that are executed before the compiled code, e.g. of the global scripts
+     */
+    constructor(map, lineOffset) {
+        this.consumer   = new SourceMapConsumer(map);
+        this.lineOffset = lineOffset || 0;
+    }
+
+    /**
+     * Removes the inline source map from the compiled code
+     * @param {string} code compiled code
+     * @returns {{code: string, map: object | null}}
+     */
+    static extract(code) {
+        const match = code.match(INLINE_MAP);
+        if (!match) {
+            return {code, map: null};
+        }
+        let map = null;
+        try {
+            map = JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+        } catch (e) {
+            // invalid map: the compiled code is still usable, only the line numbers are not mapped
+        }
+        return {code: code.substring(0, match.index), map};
+    }
+
+    /**
+     * @param {number} line line in the executed code, starting with 1
+     * @param {number} [column] column in the executed code, starting with 1
+     * @returns {{line: number, column: number} | null} position in the original source or null, if the position is not in the compiled script
+     */
+    getOriginalPosition(line, column) {
+        line -= this.lineOffset;
+        if (line < 1) {
+            return null;
+        }
+        const generated = {line, column: Math.max((column || 1) - 1, 0)};
+        let pos = this.consumer.originalPositionFor(generated);
+        if (pos.line === null) {
+            // the position is before the first mapped code in the line, e.g. in the indentation
+            pos = this.consumer.originalPositionFor(Object.assign({bias: SourceMapConsumer.LEAST_UPPER_BOUND}, generated));
+        }
+        return pos.line === null ? null : {line: pos.line, column: pos.column + 1};
+    }
+}
+
+module.exports = ScriptSourceMap;
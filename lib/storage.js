@@ -0,0 +1,156 @@
+'use strict';
+
+const WRITE_DELAY = 1000; // ms
+
+/**
+ * Persistent key/value storage of one script.
+ *
+ * The data is kept in memory and stored as JSON file in the file storage of the instance.
+ * Changes are written at most once per WRITE_DELAY, flush() writes them immediately.
+ */
+class ScriptStorage {
+    /**
+     * @param {object} adapter
+     * @param {string} name ID of the script, e.g. script.js.common.test
+     * @param {object} [data] already stored data
+     */
+    constructor(adapter, name, data) {
+        this.adapter   = adapter;
+        this.id        = ScriptStorage.getObjectId(adapter);
+        this.fileName  = ScriptStorage.getFileName(name);
+        this.data      = data || {};
+        this.timer     = null;
+        this.writing   = false;
+        this.dirty     = false;
+        this.callbacks = [];
+    }
+
+    /**
+     * ID of the meta object, that holds the files of all scripts
+     * @param {object} adapter
+     * @returns {string}
+     */
+    static getObjectId(adapter) {
+        return adapter.namespace + '.storage';
+    }
+
+    /**
+     * Name of the file with the data of the script
+     * @param {string} name ID of the script
+     * @returns {string}
+     */
+    static getFileName(name) {
+        return name.replace(/^script\.js\./, '') + '.json';
+    }
+
+    /**
+     * Creates the storage of a script with the data from the file storage
+     * @param {object} adapter
+     * @param {string} name ID of the script, e.g. script.js.common.test
+     * @param {function} callback called with the created storage
+     */
+    static load(adapter, name, callback) {
+        adapter.readFile(ScriptStorage.getObjectId(adapter), ScriptStorage.getFileName(name), (err, data) => {
+            let stored = null;
+            if (!err && data) {
+                try {
+                    stored = JSON.parse(data.toString());
+                } catch (e) {
+                    adapter.log.error(`${name}: cannot parse stored data: ${e}`);
+                }
+            }
+            callback(new ScriptStorage(adapter, name, stored && typeof stored === 'object' ? stored : null));
+        });
+    }
+
+    get(key, defaultValue) {
+        if (Object.prototype.hasOwnProperty.call(this.data, key)) {
+            // return a copy, so the stored data is only changed by set
+            return JSON.parse(JSON.stringify(this.data[key]));
+        } else {
+            return defaultValue;
+        }
+    }
+
+    set(key, value) {
+        // only JSON data can be stored
+        const json = JSON.stringify(value);
+        if (json === undefined) {
+            return this.delete(key);
+        }
+        this.data[key] = JSON.parse(json);
+        this.changed();
+    }
+
+    delete(key) {
+        if (Object.prototype.hasOwnProperty.call(this.data, key)) {
+            delete this.data[key];
+            this.changed();
+            return true;
+        } else {
+            return false;
+        }
+    }
+
+    keys() {
+        return Object.keys(this.data);
+    }
+
+    changed() {
+        if (this.writing) {
+            this.dirty = true;
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.write(), WRITE_DELAY);
+        }
+    }
+
+    write() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.writing = true;
+        this.dirty   = false;
+
+        this.adapter.writeFile(this.id, this.fileName, JSON.stringify(this.data), err => {
+            this.writing = false;
+            err && this.adapter.log.error(`Cannot write storage file ${this.fileName}: ${err}`);
+
+            if (this.dirty) {
+                this.write();
+            } else {
+                const callbacks = this.callbacks;
+                this.callbacks = [];
+                callbacks.forEach(callback => callback());
+            }
+        });
+    }
+
+    /**
+     * Writes the pending changes immediately
+     * @param {function} [callback] called after all changes are written
+     */
+    flush(callback) {
+        if (this.timer || this.writing) {
+            typeof callback === 'function' && this.callbacks.push(callback);
+            this.timer && this.write();
+        } else if (typeof callback === 'function') {
+            setImmediate(callback);
+        }
+    }
+
+    /**
+     * Deletes the stored data, e.g. if the script was deleted
+     */
+    remove() {
+        this.data = {};
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        const unlink = () => this.adapter.unlink(this.id, this.fileName, () => {});
+        this.writing ? this.callbacks.push(unlink) : unlink();
+    }
+}
+
+module.exports = ScriptStorage;
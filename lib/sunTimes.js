@@ -0,0 +1,37 @@
+'use strict';
+
+const suncalc = require('suncalc2');
+
+/**
+ * Calculates the times of the astro events of a day, e.g. sunrise
+ * @param {Date} date any time of the day
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [offsetDays] e.g. 1 for the times of the next day
+ * @returns {{[event: string]: Date}}
+ */
+function getSunTimes(date, latitude, longitude, offsetDays) {
+    // noon, so the times of the right day are calculated in every timezone
+    return suncalc.getTimes(new Date(date.getFullYear(), date.getMonth(), date.getDate() + (offsetDays || 0), 12), latitude, longitude);
+}
+
+/**
+ * Calculates the position of the sun in degrees
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {{azimuth: number, elevation: number}}
+ */
+function getSunPosition(date, latitude, longitude) {
+    const position = suncalc.getPosition(date, latitude, longitude);
+    // suncalc counts the azimuth from south, here it is counted clockwise from north like on a compass
+    return {
+        azimuth:   position.azimuth * 180 / Math.PI + 180,
+        elevation: position.altitude * 180 / Math.PI
+    };
+}
+
+module.exports = {
+    getSunTimes,
+    getSunPosition
+};
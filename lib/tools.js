@@ -64,10 +64,72 @@ function enumFilesRecursiveSync(rootDir, predicate) {
     return ret;
 }
 
+/**
+ * Moves the time into the bounds of the day, e.g. "sunrise, but not before 06:30 and not after 08:00"
+ * @param {Date} date The time to check
+ * @param {string} [notBefore] Earliest time as "HH:mm"
+ * @param {string} [notAfter] Latest time as "HH:mm"
+ * @returns {Date} The same date or the bound on the same day
+ */
+function limitTime(date, notBefore, notAfter) {
+    const getBound = time => {
+        const parts = typeof time === 'string' ? time.trim().split(':') : [];
+        if (parts.length < 2 || isNaN(parseInt(parts[0], 10)) || isNaN(parseInt(parts[1], 10))) {
+            return null;
+        }
+        const bound = new Date(date.getTime());
+        bound.setHours(parseInt(parts[0], 10), parseInt(parts[1], 10), 0, 0);
+        return bound;
+    };
+
+    const earliest = getBound(notBefore);
+    if (earliest && date < earliest) {
+        return earliest;
+    }
+    const latest = getBound(notAfter);
+    if (latest && date > latest) {
+        return latest;
+    }
+    return date;
+}
+
+/**
+ * Returns a random offset in whole minutes between -maxMinutes and +maxMinutes
+ * @param {number} maxMinutes
+ */
+function getRandomOffset(maxMinutes) {
+    maxMinutes = Math.abs(parseInt(maxMinutes, 10)) || 0;
+    return Math.floor(Math.random() * (maxMinutes * 2 + 1)) - maxMinutes;
+}
+
+/**
+ * Returns the name of the package or of the built-in module, that is required, e.g. "fs" for "node:fs" or "fs/promises"
+ * @param {string} md The name as given to require
+ * @returns {string}
+ */
+function getModuleName(md) {
+    const parts = md.replace(/^node:/, '').split('/');
+    return parts[0].startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Tests whether a script may require the module: only the pre-loaded modules and the additional npm modules of the instance,
+ * also with "node:" prefix or with subpath, e.g. "node:path" or "lodash/fp"
+ * @param {string} md The name as given to require
+ * @param {string[]} modules The names of the permitted modules
+ * @returns {boolean}
+ */
+function isPermittedModule(md, modules) {
+    return modules.includes(md.replace(/^node:/, '')) || modules.includes(getModuleName(md));
+}
 
 module.exports = {
     isArray,
     isObject,
     matchAll,
-    enumFilesRecursiveSync
+    enumFilesRecursiveSync,
+    limitTime,
+    getRandomOffset,
+    getModuleName,
+    isPermittedModule
 };
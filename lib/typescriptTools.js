@@ -43,33 +43,90 @@ function normalizeDTSImport(filename) {
 }
 
 /**
- * Resolves the type declarations of a 3rd party package for the editor
+ * Returns the name of the package with the typings in DefinitelyTyped, e.g. @types/node or @types/scope__pkg for @scope/pkg
  * @param {string} pkg The package whose typings we're interested in
- * @param {boolean} [wrapInDeclareModule=false] Whether the root file should be wrapped in `declare module "<pkg>" { ... }`
  */
-function resolveTypings(pkg, wrapInDeclareModule) {
-    let packageJsonPath;
-    // First, try to resolve the package itself in case it brings its own typings
-    try {
-        packageJsonPath = require.resolve(`${pkg}/package.json`);
-    } catch (e) {
-        // If that didn't work, try again with the @types version of the package
+function getTypesPackageName(pkg) {
+    return '@types/' + (pkg.startsWith('@') ? pkg.substring(1).replace('/', '__') : pkg);
+}
+
+/**
+ * Finds the root declaration file of a 3rd party package: of the package itself in case it brings its own typings,
+ * otherwise of the @types version of the package
+ * @param {string} pkg The package whose typings we're interested in
+ * @returns {{packageJsonPath: string, rootTypings: string} | undefined}
+ */
+function findTypings(pkg) {
+    for (const name of [pkg, getTypesPackageName(pkg)]) {
+        let packageJsonPath;
         try {
-            packageJsonPath = require.resolve(`@types/${pkg}/package.json`);
+            packageJsonPath = require.resolve(`${name}/package.json`);
         } catch (e) {
-            // TODO: download @types/<packagename>
-            return {};
+            continue;
+        }
+        const packageJson = require(packageJsonPath);
+
+        /** @type {string | undefined} */
+        let rootTypings = typeof packageJson.types === 'string' ? packageJson.types
+            : typeof packageJson.typings === 'string' ? packageJson.typings
+                : undefined;
+        // without "types" in package.json TypeScript looks for index.d.ts next to it
+        if (!rootTypings && fs.existsSync(path.join(path.dirname(packageJsonPath), 'index.d.ts'))) {
+            rootTypings = 'index.d.ts';
+        }
+        if (rootTypings) {
+            return {packageJsonPath, rootTypings};
         }
     }
-    const packageJson = require(packageJsonPath);
+}
 
-    /** @type {string | undefined} */
-    let rootTypings = typeof packageJson.types === 'string' ? packageJson.types
-        : typeof packageJson.typings === 'string' ? packageJson.typings
-            : undefined;
-    if (!rootTypings) {
+/**
+ * Returns the additional npm modules, whose typings are wanted in the editor and in the TypeScript compiler:
+ * all of them, if "libraryTypings" is enabled, or only the listed ones (former format of the setting)
+ * @param {{libraries?: string, libraryTypings?: boolean | string}} config The settings of the instance
+ * @returns {string[]}
+ */
+function getLibrariesWithTypings(config) {
+    const libraries = ((config && config.libraries) || '').split(/[,;\s]+/).map(s => s.trim()).filter(s => s);
+    const libraryTypings = config && config.libraryTypings;
+    if (libraryTypings === true) {
+        return libraries;
+    } else if (typeof libraryTypings === 'string' && libraryTypings) {
+        const wantsTypings = libraryTypings.split(/[,;\s]+/).map(s => s.trim());
+        return libraries.filter(lib => wantsTypings.indexOf(lib) > -1);
+    } else {
+        return [];
+    }
+}
+
+/**
+ * Returns the next @types package, that should be installed for the installed libraries without own typings.
+ * Not every package has typings, so every @types package is tried only once.
+ * @param {string[]} libraries The libraries, whose typings are wanted
+ * @param {(lib: string) => boolean} isInstalled Tests whether the library is installed
+ * @param {Record<string, number>} attempts The packages, whose installation was tried already
+ * @returns {string | undefined}
+ */
+function getTypesPackageToInstall(libraries, isInstalled, attempts) {
+    return libraries
+        .filter(lib => isInstalled(lib) && !findTypings(lib))
+        .map(getTypesPackageName)
+        .find(typesLib => !attempts[typesLib]);
+}
+
+/**
+ * Resolves the type declarations of a 3rd party package for the editor.
+ * The @types packages of the additional npm modules are installed together with them, see installLibraries in main.js
+ * @param {string} pkg The package whose typings we're interested in
+ * @param {boolean} [wrapInDeclareModule=false] Whether the root file should be wrapped in `declare module "<pkg>" { ... }`
+ */
+function resolveTypings(pkg, wrapInDeclareModule) {
+    const typings = findTypings(pkg);
+    if (!typings) {
         return {};
     }
+    const packageJsonPath = typings.packageJsonPath;
+    let rootTypings = typings.rootTypings;
 
     const packageRoot = path.dirname(packageJsonPath);
 
@@ -130,8 +187,89 @@ function scriptIdToTSFilename(scriptID) {
     return scriptID.replace(/^script.js./, '').replace(/\./g, '/') + '.ts';
 }
 
+// compiler options, that are set in the instance settings and can be changed by a script in its header, e.g. "// @strict: true"
+const SCRIPT_COMPILER_OPTIONS = {
+    strict:                 'tsStrict',
+    noImplicitAny:          'tsNoImplicitAny',
+    experimentalDecorators: 'tsExperimentalDecorators'
+};
+
+/**
+ * Returns the compiler options of the instance settings
+ * @param {Record<string, any>} config instance settings
+ * @returns {Record<string, boolean>}
+ */
+function getInstanceCompilerOptions(config) {
+    const options = {};
+    Object.keys(SCRIPT_COMPILER_OPTIONS).forEach(option =>
+        options[option] = !!config[SCRIPT_COMPILER_OPTIONS[option]]);
+    return options;
+}
+
+/**
+ * Reads the compiler options from the comments at the beginning of the script, e.g.
+ * // @strict: true
+ * // @experimentalDecorators: true
+ * @param {string} source source code of the script
+ * @returns {Record<string, boolean>} only the options, that are set in the script
+ */
+function getScriptCompilerOptions(source) {
+    const options = {};
+    const lines = (source || '').split(/\r\n|\n|\r/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+        // the header ends with the first line of code
+        if (!line.startsWith('//')) break;
+        const match = line.match(/^\/\/\s*@(\w+)\s*:\s*(true|false)\s*$/);
+        if (match && Object.prototype.hasOwnProperty.call(SCRIPT_COMPILER_OPTIONS, match[1])) {
+            options[match[1]] = match[2] === 'true';
+        }
+    }
+    return options;
+}
+
+// common.type of the state => type of the value. Other types, e.g. "mixed", "array" or "object", are often written as strings, so they stay any
+const STATE_VALUE_TYPES = {
+    boolean: 'boolean',
+    number:  'number',
+    string:  'string'
+};
+
+/**
+ * Generates the declaration of the interface iobJS.KnownStates, that maps the IDs of all state objects to the types of their values
+ * @param {Record<string, any>} objects all objects of the objects database
+ * @returns {string}
+ */
+function generateStateDeclarations(objects) {
+    const lines = Object.keys(objects)
+        .filter(id => objects[id] && objects[id].type === 'state')
+        .sort()
+        .map(id => {
+            const common = objects[id].common || {};
+            return `\t\t${JSON.stringify(id)}: ${STATE_VALUE_TYPES[common.type] || 'any'};`;
+        });
+
+    return [
+        '// generated from the state objects, the file is updated if the objects change',
+        'declare namespace iobJS {',
+        '\tinterface KnownStates {',
+        ...lines,
+        '\t}',
+        '}',
+        ''
+    ].join('\n');
+}
+
 module.exports = {
     scriptIdToTSFilename,
+    generateStateDeclarations,
+    getInstanceCompilerOptions,
+    getScriptCompilerOptions,
     resolveTypescriptLibs,
-    resolveTypings
+    resolveTypings,
+    findTypings,
+    getTypesPackageName,
+    getLibrariesWithTypings,
+    getTypesPackageToInstall
 };
@@ -36,6 +36,16 @@ const tsc            = require('virtual-tsc');
 const typescript     = require('typescript');
 const nodeSchedule   = require('node-schedule');
 const Mirror         = require('./lib/mirror');
+const IsolatedScript = require('./lib/isolation');
+const ScriptStorage  = require('./lib/storage');
+const Holidays       = require('./lib/holidays');
+const AstroStates    = require('./lib/astroStates');
+const {getSunTimes}  = require('./lib/sunTimes');
+const {restoreDelayedStates, deleteDelayedStates} = require('./lib/delayedStates');
+const ScriptStats    = require('./lib/scriptStats');
+const ErrorPolicy    = require('./lib/errorPolicy');
+const ScriptSourceMap = require('./lib/sourceMap');
+const {transformModuleSyntax, usesTopLevelAwait} = require('./lib/moduleSyntax');
 
 const mods = {
     fs:               {},
@@ -60,9 +70,15 @@ const words     = require('./lib/words');
 const sandBox   = require('./lib/sandbox');
 const eventObj  = require('./lib/eventObj');
 const Scheduler = require('./lib/scheduler');
+const nextRuns  = require('./lib/nextRuns');
 const { 
     resolveTypescriptLibs,
     resolveTypings,
+    getLibrariesWithTypings,
+    getTypesPackageToInstall,
+    generateStateDeclarations,
+    getInstanceCompilerOptions,
+    getScriptCompilerOptions,
     scriptIdToTSFilename
 } = require('./lib/typescriptTools');
 
@@ -94,7 +110,9 @@ if (process.argv) {
 // NodeJS 8+ supports the features of ES2017
 // When upgrading the minimum supported version to NodeJS 10 or higher,
 // consider changing this, so we get to support the newest features too
-const targetTsLib = 'es2017';
+const DEFAULT_TS_LIB = 'es2017';
+// the lib of the instance settings
+let targetTsLib = DEFAULT_TS_LIB;
 
 /** @type {typescript.CompilerOptions} */
 const tsCompilerOptions = {
@@ -109,7 +127,8 @@ const tsCompilerOptions = {
     // scripts may include `import` keywords, which are not
     // supported by vm.Script.
     target: typescript.ScriptTarget.ES5,
-    lib: [`lib.${targetTsLib}.d.ts`],
+    // the errors are reported with the lines of the TypeScript source
+    inlineSourceMap: true,
 };
 
 const jsDeclarationCompilerOptions = Object.assign(
@@ -117,6 +136,7 @@ const jsDeclarationCompilerOptions = Object.assign(
     {
         // we only care about the declarations
         emitDeclarationOnly: true,
+        inlineSourceMap: false,
         // allow errors
         noEmitOnError: false,
         noImplicitAny: false,
@@ -131,9 +151,19 @@ let tsAmbient;
 let tsServer;
 /** @type {tsc.Server} */
 let jsDeclarationServer;
+/** @type {Record<string, any>} the compiler options of the instance settings */
+let tsInstanceOptions = {};
+/** @type {Record<string, tsc.Server>} compilers for the scripts, that change the compiler options in the header, by the changed options */
+let tsScriptServers = {};
 
 let mirror;
 
+/** @type {AstroStates} */
+let astroStates;
+
+/** @type {ErrorPolicy} */
+let errorPolicy;
+
 /** @type {boolean} if logs are subscribed or not */
 let logSubscribed;
 
@@ -151,38 +181,125 @@ function provideDeclarationsForGlobalScript(scriptID, declarations) {
     globalDeclarations += declarations + '\n';
     // remember all previously generated global declarations,
     // so global scripts can reference each other
-    const globalDeclarationPath = 'global.d.ts';
-    tsAmbient[globalDeclarationPath] = globalDeclarations;
+    tsAmbient[GLOBAL_DECLARATIONS_PATH] = globalDeclarations;
     // make sure the next script compilation has access to the updated declarations
-    tsServer.provideAmbientDeclarations({
-        [globalDeclarationPath]: globalDeclarations
+    provideTsDeclarations({
+        [GLOBAL_DECLARATIONS_PATH]: globalDeclarations
     });
     jsDeclarationServer.provideAmbientDeclarations({
-        [globalDeclarationPath]: globalDeclarations
+        [GLOBAL_DECLARATIONS_PATH]: globalDeclarations
     });
 }
 
+/**
+ * Creates the compilers with the TypeScript settings of the instance
+ */
+function createTypeScriptServers() {
+    targetTsLib = adapter.config.tsLib || DEFAULT_TS_LIB;
+    tsInstanceOptions = Object.assign({lib: [`lib.${targetTsLib}.d.ts`]}, getInstanceCompilerOptions(adapter.config));
+    // compiler instance for typescript
+    tsServer = new tsc.Server(Object.assign({}, tsCompilerOptions, tsInstanceOptions), tsLog);
+    // compiler instance for global JS declarations. The checks of the instance, e.g. strict, are not for JavaScript, only the lib is used
+    jsDeclarationServer = new tsc.Server(Object.assign({}, jsDeclarationCompilerOptions, {lib: tsInstanceOptions.lib}));
+    tsScriptServers = {};
+}
+
+/**
+ * Returns the compiler for the TypeScript source. The scripts, that change the options of the instance in their header,
+ * are compiled by an own compiler, that gets the same declarations.
+ * @param {string} source
+ * @returns {tsc.Server}
+ */
+function getTsServer(source) {
+    const scriptOptions = getScriptCompilerOptions(source);
+    const changed = Object.keys(scriptOptions).filter(option => scriptOptions[option] !== tsInstanceOptions[option]).sort();
+    if (!changed.length) {
+        return tsServer;
+    }
+    const key = changed.map(option => option + '=' + scriptOptions[option]).join(',');
+    if (!tsScriptServers[key]) {
+        adapter.log.debug(`Create TypeScript compiler with the options ${key}`);
+        tsScriptServers[key] = new tsc.Server(Object.assign({}, tsCompilerOptions, tsInstanceOptions, scriptOptions), tsLog);
+        tsScriptServers[key].provideAmbientDeclarations(tsAmbient);
+    }
+    return tsScriptServers[key];
+}
+
+/**
+ * Provides the declarations to all TypeScript compilers
+ * @param {Record<string, string>} declarations
+ */
+function provideTsDeclarations(declarations) {
+    tsServer.provideAmbientDeclarations(declarations);
+    Object.keys(tsScriptServers).forEach(key => tsScriptServers[key].provideAmbientDeclarations(declarations));
+}
+
+/**
+ * Returns the compiler options for the TypeScript source, so the editor checks it like the instance
+ * @param {string} source
+ * @returns {Record<string, any>}
+ */
+function getTsEditorOptions(source) {
+    return Object.assign({}, getInstanceCompilerOptions(adapter.config), getScriptCompilerOptions(source));
+}
+
+/**
+ * Compiles the TypeScript source, that is maybe not yet saved, with the same declarations and options as on the start of the script
+ * @param {string} name script ID
+ * @param {string} source
+ * @returns {{line: number, column: number, message: string, severity: string}[]}
+ */
+function getTypeScriptDiagnostics(name, source) {
+    const server = getTsServer(source);
+    // a global script sees only the declarations of the global scripts before it, its own declarations would be duplicates
+    const isGlobal = regExGlobalNew.test(name);
+    if (isGlobal) {
+        server.provideAmbientDeclarations({[GLOBAL_DECLARATIONS_PATH]: knownGlobalDeclarationsByScript[name] || ''});
+    }
+    try {
+        return server.compile(scriptIdToTSFilename(name), source).diagnostics.map(diag => ({
+            line:     diag.lineNr,
+            column:   diag.charNr,
+            message:  diag.description,
+            severity: diag.type
+        }));
+    } finally {
+        isGlobal && server.provideAmbientDeclarations({[GLOBAL_DECLARATIONS_PATH]: globalDeclarations});
+    }
+}
+
+/**
+ * Generates the types of all states again, so the scripts and the editor know the IDs and the types of the values
+ */
+function provideStateDeclarations() {
+    if (stateDeclarationsTimer) {
+        clearTimeout(stateDeclarationsTimer);
+        stateDeclarationsTimer = null;
+    }
+    const declarations = {[STATE_DECLARATIONS_PATH]: generateStateDeclarations(context.objects)};
+    Object.assign(tsAmbient, declarations);
+    provideTsDeclarations(declarations);
+    jsDeclarationServer.provideAmbientDeclarations(declarations);
+}
+
+/**
+ * Many objects are usually changed together, e.g. by the installation of an adapter, so the declarations are generated once after the last change
+ */
+function scheduleStateDeclarations() {
+    stateDeclarationsTimer && clearTimeout(stateDeclarationsTimer);
+    stateDeclarationsTimer = setTimeout(provideStateDeclarations, STATE_DECLARATIONS_DELAY);
+}
+
 function loadTypeScriptDeclarations() {
     // try to load the typings on disk for all 3rd party modules
     const packages = [
         'node', // this provides auto completion for most builtins
         'request', // preloaded by the adapter
     ];
-    // Also include user-selected libraries (but only those that are also installed)
-    if (
-        adapter.config
-        && typeof adapter.config.libraries === 'string'
-        && typeof adapter.config.libraryTypings === 'string'
-    ) {
-        const installedLibs = adapter.config.libraries.split(/[,;\s]+/).map(s => s.trim());
-        const wantsTypings = adapter.config.libraryTypings.split(/[,;\s]+/).map(s => s.trim());
-        for (const lib of installedLibs) {
-            if (
-                wantsTypings.indexOf(lib) > -1
-                && packages.indexOf(lib) === -1
-            ) {
-                packages.push(lib);
-            }
+    // Also include user-selected libraries
+    for (const lib of getLibrariesWithTypings(adapter.config)) {
+        if (packages.indexOf(lib) === -1) {
+            packages.push(lib);
         }
     }
     for (const pkg of packages) {
@@ -195,7 +312,7 @@ function loadTypeScriptDeclarations() {
         // remember the declarations for the editor
         Object.assign(tsAmbient, pkgTypings);
         // and give the language servers access to them
-        tsServer.provideAmbientDeclarations(pkgTypings);
+        provideTsDeclarations(pkgTypings);
         jsDeclarationServer.provideAmbientDeclarations(pkgTypings);
     }
 }
@@ -208,6 +325,8 @@ const context = {
     stateIds:         [],
     errorLogFunction: null,
     subscriptions:    [],
+    subscriptionsById: {}, // subscriptions with exact state ID
+    subscriptionsByPattern: [], // subscriptions with RegExp, enums, names or "or" logic
     adapterSubs:      {},
     subscribedPatterns: {},
     cacheObjectEnums: {},
@@ -216,14 +335,26 @@ const context = {
     devices:          null,
     logWithLineInfo:  null,
     scheduler:        null,
+    holidays:         null,
     timers:           {},
     enums:            [],
     timerId:          0,
     names:            {},
     scripts:          {},
+    storages:         {}, // persistent storages of the scripts, they live longer than the scripts
+    lastRuns:         null, // last executions of the schedules with catchUp option
+    delayedStates:    null, // persistent timers of setStateDelayed
+    startTime:        0, // schedules missed before the start of the adapter are caught up
+    scriptStats:      null, // executed callbacks, errors and execution times of the scripts
     messageBusHandlers: {},
     logSubscriptions: {},
+    objectSubscriptions: {},
     updateLogSubscriptions,
+    onScriptError,
+    requireScript,
+    patternMatching,
+    addSubscription,
+    removeSubscription,
 };
 
 const regExGlobalOld = /_global$/;
@@ -244,6 +375,11 @@ function startAdapter(options) {
         useFormatDate: true, // load float formatting
 
         objectChange: (id, obj) => {
+            // inform the scripts about the change after the caches were updated
+            if (Object.keys(context.objectSubscriptions).length) {
+                setImmediate(notifyObjectSubscriptions, id, obj || null, context.objects[id] || null);
+            }
+
             if (id.startsWith('enum.')) {
                 // clear cache
                 context.cacheObjectEnums = {};
@@ -267,6 +403,13 @@ function startAdapter(options) {
             // send changes to disk mirror
             mirror && mirror.onObjectChange(id, obj);
 
+            // the type of the state was added, deleted or changed
+            const oldObj = context.objects[id];
+            if (((obj && obj.type === 'state') || (oldObj && oldObj.type === 'state')) &&
+                (!obj || !oldObj || obj.type !== oldObj.type || (obj.common && obj.common.type) !== (oldObj.common && oldObj.common.type))) {
+                scheduleStateDeclarations();
+            }
+
             if (obj) {
                 // add state to state ID's list
                 if (obj.type === 'state' && context.stateIds.indexOf(id) === -1) {
@@ -285,7 +428,12 @@ function startAdapter(options) {
 
                 // Script deleted => remove it
                 if (context.objects[id].type === 'script' && context.objects[id].common.engine === 'system.adapter.' + adapter.namespace) {
-                    stop(id);
+                    if (checkIsGlobal(context.objects[id])) {
+                        reloadGlobalScripts();
+                    } else {
+                        // the scripts, that require the deleted script, will report, that it does not exist any more
+                        restartWithDependents(id);
+                    }
 
                     // delete scriptEnabled.blabla variable
                     const idActive = 'scriptEnabled.' + id.substring('script.js.'.length);
@@ -296,6 +444,16 @@ function startAdapter(options) {
                     const idProblem = 'scriptProblem.' + id.substring('script.js.'.length);
                     adapter.delObject(idProblem);
                     adapter.delState(idProblem);
+
+                    // delete the persistent storage of the script
+                    (context.storages[id] || new ScriptStorage(adapter, id)).remove();
+                    delete context.storages[id];
+                    context.lastRuns && context.lastRuns.delete(id);
+                    deleteDelayedStates(context, id);
+
+                    // delete scriptStats.blabla channel
+                    context.scriptStats && context.scriptStats.remove(id);
+                    errorPolicy && errorPolicy.reset(id);
                 }
 
                 removeFromNames(id);
@@ -312,9 +470,7 @@ function startAdapter(options) {
 
                     if (obj.common.enabled) {
                         if (checkIsGlobal(obj)) {
-                            // restart adapter
-                            adapter.getForeignObject('system.adapter.' + adapter.namespace, (err, _obj) =>
-                                _obj && adapter.setForeignObject('system.adapter.' + adapter.namespace, _obj));
+                            reloadGlobalScripts();
                             return;
                         }
 
@@ -348,10 +504,12 @@ function startAdapter(options) {
                 // Analyse type = 'script'
 
                 if (checkIsGlobal(context.objects[id])) {
-                    // restart adapter
-                    adapter.getForeignObject('system.adapter.' + adapter.namespace, (err, obj) =>
-                        obj && adapter.setForeignObject('system.adapter.' + adapter.namespace, obj));
-
+                    if (obj.common && obj.common.engine === 'system.adapter.' + adapter.namespace) {
+                        createActiveObject(id, obj.common.enabled, () => createProblemObject(id));
+                    }
+                    context.objects[id] = obj;
+                    // only the scripts, that use the global scripts, are restarted, not the whole instance
+                    reloadGlobalScripts();
                     return;
                 }
 
@@ -364,10 +522,11 @@ function startAdapter(options) {
                     (context.objects[id].common.engine === 'system.adapter.' + adapter.namespace && obj.common.engine !== 'system.adapter.' + adapter.namespace)) {
 
                     // Script disabled
+                    errorPolicy.reset(id);
                     if (context.objects[id].common.enabled && context.objects[id].common.engine === 'system.adapter.' + adapter.namespace) {
-                        // Remove it from executing
+                        // Remove it from executing. The scripts, that require it, start it again as module
                         context.objects[id] = obj;
-                        stop(id);
+                        restartWithDependents(id);
                     } else {
                         context.objects[id] = obj;
                     }
@@ -375,6 +534,7 @@ function startAdapter(options) {
                     (context.objects[id].common.engine !== 'system.adapter.' + adapter.namespace && obj.common.engine === 'system.adapter.' + adapter.namespace)) {
                     // Script enabled
                     context.objects[id] = obj;
+                    errorPolicy.reset(id);
 
                     if (context.objects[id].common.enabled && context.objects[id].common.engine === 'system.adapter.' + adapter.namespace) {
                         // Start script
@@ -383,9 +543,9 @@ function startAdapter(options) {
                 } else { //if (obj.common.source !== context.objects[id].common.source) {
                     context.objects[id] = obj;
 
-                    // Source changed => restart it
-                    stop(id, (res, _id) =>
-                        load(_id));
+                    // Source changed => restart it together with the scripts, that require it
+                    errorPolicy.reset(id);
+                    restartWithDependents(id);
                 } /*else {
                 // Something changed or not for us
                 objects[id] = obj;
@@ -432,24 +592,50 @@ function startAdapter(options) {
             }
             const _eventObj = eventObj.createEventObject(context, id, state, oldState);
 
-            // if this state matches any subscriptions
-            for (let i = 0, l = context.subscriptions.length; i < l; i++) {
-                const sub = context.subscriptions[i];
+            // if this state matches any subscriptions with exactly this ID
+            const subsById = context.subscriptionsById[id];
+            if (subsById) {
+                for (let i = 0, l = subsById.length; i < l; i++) {
+                    const sub = subsById[i];
+                    if (sub && patternMatching(_eventObj, sub.patternCompareFunctions)) {
+                        sub.callback(_eventObj);
+                    }
+                }
+            }
+
+            // if this state matches any other subscriptions
+            for (let i = 0, l = context.subscriptionsByPattern.length; i < l; i++) {
+                const sub = context.subscriptionsByPattern[i];
                 if (sub && patternMatching(_eventObj, sub.patternCompareFunctions)) {
                     sub.callback(_eventObj);
                 }
             }
         },
 
-        unload: callback => stopAllScripts(callback),
+        unload: callback => {
+            if (astroStates) {
+                astroStates.stop();
+                astroStates = null;
+            }
+            context.scriptStats && context.scriptStats.stop();
+            errorPolicy && errorPolicy.stopAll();
+            if (stateDeclarationsTimer) {
+                clearTimeout(stateDeclarationsTimer);
+                stateDeclarationsTimer = null;
+            }
+            stopAllScripts(callback);
+        },
 
         ready: function () {
             // todo
             context.errorLogFunction = webstormDebug ? console : adapter.log;
+            context.startTime = Date.now();
             activeStr = adapter.namespace + '.scriptEnabled.';
 
             mods.fs = new require('./lib/protectFs')(adapter.log);
 
+            createTypeScriptServers();
+
             // try to read TS declarations
             try {
                 tsAmbient = {
@@ -481,7 +667,46 @@ function startAdapter(options) {
             context.logWithLineInfo.error = context.logWithLineInfo.bind(1, 'error');
             context.logWithLineInfo.info = context.logWithLineInfo.bind(1, 'info');
 
-            context.scheduler = new Scheduler(adapter.log);
+            try {
+                context.holidays = new Holidays(adapter.config.holidayCountry, adapter.config.holidayRegion);
+            } catch (e) {
+                adapter.log.error(e.message + '. Use holidays of Germany.');
+                context.holidays = new Holidays('DE', adapter.config.holidayRegion);
+            }
+
+            // coordinates are read later in getData(), so they are taken at the time of the calculation
+            context.scheduler = new Scheduler(adapter.log, null, context.holidays, (event, date) =>
+                getSunTimes(date, adapter.config.latitude, adapter.config.longitude)[event]);
+
+            context.scriptStats = new ScriptStats(adapter);
+            context.scriptStats.start();
+
+            errorPolicy = new ErrorPolicy(adapter, {
+                disable: (name, reason) => {
+                    adapter.log.error(`${name}: script is disabled after ${reason}`);
+                    adapter.extendForeignObject(name, {common: {enabled: false}});
+                },
+                stop: (name, reason) => {
+                    adapter.log.error(`${name}: script is stopped after ${reason}`);
+                    stop(name);
+                },
+                restart: name => {
+                    if (!context.scripts[name]) {
+                        adapter.log.info(`${name}: restart script after errors`);
+                        load(name);
+                    }
+                }
+            });
+
+            // meta object for the files of the script storages
+            adapter.setForeignObjectNotExists(ScriptStorage.getObjectId(adapter), {
+                type: 'meta',
+                common: {
+                    name: 'Storage of scripts',
+                    type: 'meta.user'
+                },
+                native: {}
+            });
 
             installLibraries(() => {
 
@@ -491,6 +716,14 @@ function startAdapter(options) {
                 getData(() => {
                     adapter.subscribeForeignObjects('*');
 
+                    // the global scripts are compiled with the types of the states too
+                    provideStateDeclarations();
+
+                    restoreDelayedStates(adapter, context);
+
+                    astroStates = new AstroStates(adapter);
+                    astroStates.start();
+
                     if (!adapter.config.subscribe) {
                         adapter.subscribeForeignStates('*');
                     }
@@ -501,92 +734,15 @@ function startAdapter(options) {
                     }
 
                     adapter.objects.getObjectView('script', 'javascript', {}, (err, doc) => {
-                        globalScript = '';
-                        globalDeclarations = '';
-                        knownGlobalDeclarationsByScript = {};
-                        let count = 0;
-                        if (doc && doc.rows && doc.rows.length) {
-                            // assemble global script
-                            for (let g = 0; g < doc.rows.length; g++) {
-                                if (checkIsGlobal(doc.rows[g].value)) {
-                                    const obj = doc.rows[g].value;
-
-                                    if (obj && obj.common.enabled) {
-                                        const engineType = (obj.common.engineType || '').toLowerCase();
-                                        if (engineType.startsWith('coffee')) {
-                                            count++;
-                                            coffeeCompiler.fromSource(obj.common.source, {
-                                                sourceMap: false,
-                                                bare: true
-                                            }, (err, js) => {
-                                                if (err) {
-                                                    adapter.log.error('coffee compile ' + err);
-                                                    return;
-                                                }
-                                                globalScript += js + '\n';
-                                                if (!--count) {
-                                                    globalScriptLines = globalScript.split(/\r\n|\n|\r/g).length;
-                                                    // load all scripts
-                                                    for (let i = 0; i < doc.rows.length; i++) {
-                                                        if (!checkIsGlobal(doc.rows[i].value)) {
-                                                            load(doc.rows[i].value._id);
-                                                        }
-                                                    }
-                                                }
-                                            });
-                                        } else if (engineType.startsWith('typescript')) {
-                                            // compile the current global script
-                                            const filename = scriptIdToTSFilename(obj._id);
-                                            const tsCompiled = tsServer.compile(filename, obj.common.source);
-
-                                            const errors = tsCompiled.diagnostics.map(diag => diag.annotatedSource + '\n').join('\n');
-
-                                            if (tsCompiled.success) {
-                                                if (errors.length > 0) {
-                                                    adapter.log.warn('TypeScript compilation completed with errors: \n' + errors);
-                                                } else {
-                                                    adapter.log.info('TypeScript compilation successful');
-                                                }
-                                                globalScript += tsCompiled.result + '\n';
-
-                                                // if declarations were generated, remember them
-                                                if (tsCompiled.declarations != null) {
-                                                    provideDeclarationsForGlobalScript(obj._id, tsCompiled.declarations);
-                                                }
-                                            } else {
-                                                adapter.log.error('TypeScript compilation failed: \n' + errors);
-                                            }
-                                        } else { // javascript
-                                            const sourceCode = obj.common.source;
-                                            globalScript += sourceCode + '\n';
-
-                                            // try to compile the declarations so TypeScripts can use
-                                            // functions defined in global JavaScripts
-                                            const filename = scriptIdToTSFilename(obj._id);
-                                            const tsCompiled = jsDeclarationServer.compile(filename, sourceCode);
-                                            // if declarations were generated, remember them
-                                            if (tsCompiled.success && tsCompiled.declarations != null) {
-                                                provideDeclarationsForGlobalScript(obj._id, tsCompiled.declarations);
-                                            }
-                                        }
-                                    }
-                                }
-                            }
-                        }
-
-                        if (!count) {
-                            globalScript = globalScript.replace(/\r\n/g, '\n');
-                            globalScriptLines = globalScript.split(/\n/g).length - 1;
-
-                            if (doc && doc.rows && doc.rows.length) {
-                                // load all scripts
-                                for (let i = 0; i < doc.rows.length; i++) {
-                                    if (!checkIsGlobal(doc.rows[i].value)) {
-                                        load(doc.rows[i].value);
-                                    }
+                        const rows = (doc && doc.rows) || [];
+                        assembleGlobalScript(rows, () => {
+                            // load all scripts
+                            for (let i = 0; i < rows.length; i++) {
+                                if (!checkIsGlobal(rows[i].value)) {
+                                    load(rows[i].value);
                                 }
                             }
-                        }
+                        });
 
                         if (adapter.config.mirrorPath) {
                             mirror = new Mirror({
@@ -616,6 +772,7 @@ function startAdapter(options) {
                                 // script name could be script.js.xxx or only xxx
                                 if ((!obj.message.script || obj.message.script === name) && context.messageBusHandlers[name][obj.message.message]) {
                                     context.messageBusHandlers[name][obj.message.message].forEach(handler => {
+                                        const start = process.hrtime();
                                         try {
                                             if (obj.callback) {
                                                 handler.cb.call(handler.sandbox, obj.message.data, result =>
@@ -624,15 +781,75 @@ function startAdapter(options) {
                                                 handler.cb.call(handler.sandbox, obj.message.data, result => {/* nop */ });
                                             }
                                         } catch (e) {
-                                            adapter.setState('scriptProblem.' + name.substring('script.js.'.length), true, true);
                                             context.logError('Error in callback', e);
+                                            onScriptError(name);
                                         }
+                                        context.scriptStats.addCall(name, process.hrtime(start));
                                     });
                                 }
                             });
                         }
                         break;
 
+                    case 'getNextRuns': { // Calculate the next executions of a schedule, e.g. for the preview in the cron dialog
+                        let result;
+                        try {
+                            const runs = nextRuns.getNextRuns(obj.message && obj.message.pattern, obj.message && obj.message.count, {
+                                scheduler: context.scheduler,
+                                latitude:  adapter.config.latitude,
+                                longitude: adapter.config.longitude
+                            });
+                            result = {runs: runs.map(date => date.getTime())};
+                        } catch (e) {
+                            result = {error: e.message || e.toString()};
+                        }
+                        obj.callback && adapter.sendTo(obj.from, obj.command, result, obj.callback);
+                        break;
+                    }
+
+                    case 'getStateDelayed': { // List all running timers of setStateDelayed, e.g. for the dialog in the editor
+                        const now = Date.now();
+                        const result = [];
+                        Object.keys(context.timers).forEach(id =>
+                            context.timers[id].forEach(timer => result.push({
+                                id,
+                                timerId:    timer.id,
+                                script:     timer.script || '',
+                                val:        timer.val,
+                                ack:        timer.ack,
+                                due:        timer.ts + timer.delay,
+                                left:       timer.delay - (now - timer.ts),
+                                persistent: !!timer.persistKey
+                            })));
+                        result.sort((a, b) => a.due - b.due);
+                        obj.callback && adapter.sendTo(obj.from, obj.command, {timers: result}, obj.callback);
+                        break;
+                    }
+
+                    case 'getScriptStats': { // Statistics of the callbacks of all scripts, e.g. for the overview in the side menu
+                        const stats = context.scriptStats ? context.scriptStats.getAll() : {};
+                        Object.keys(stats).forEach(name => stats[name].running = !!context.scripts[name]);
+                        obj.callback && adapter.sendTo(obj.from, obj.command, {stats}, obj.callback);
+                        break;
+                    }
+
+                    case 'getScriptRuntimeInfo': { // Timers, schedules and subscriptions of the running scripts, e.g. for the runtime panel in the editor
+                        const names = obj.message && obj.message.name ? [obj.message.name] : Object.keys(context.scripts);
+                        const scripts = {};
+                        names.forEach(name => {
+                            const script = context.scripts[name];
+                            if (script && script.getRuntimeInfo) {
+                                try {
+                                    scripts[name] = script.getRuntimeInfo();
+                                } catch (e) {
+                                    scripts[name] = {name, error: e.message || e.toString()};
+                                }
+                            }
+                        });
+                        obj.callback && adapter.sendTo(obj.from, obj.command, {scripts}, obj.callback);
+                        break;
+                    }
+
                     case 'loadTypings': { // Load typings for the editor
                         const typings = {};
 
@@ -650,9 +867,30 @@ function startAdapter(options) {
                             typings[globalScriptPaths + '.d.ts'] = knownGlobalDeclarationsByScript[globalScriptPaths];
                         }
 
+                        // the editor checks the scripts with the compiler options of the instance
+                        const compilerOptions = getTsEditorOptions('');
+
                         if (obj.callback) {
-                            adapter.sendTo(obj.from, obj.command, { typings }, obj.callback);
+                            adapter.sendTo(obj.from, obj.command, { typings, compilerOptions }, obj.callback);
+                        }
+                        break;
+                    }
+
+                    case 'getTypeScriptDiagnostics': { // Compile the not saved source, e.g. to show the errors in the editor while typing
+                        let result;
+                        if (!obj.message || !obj.message.name || typeof obj.message.source !== 'string') {
+                            result = {error: 'name and source are required'};
+                        } else {
+                            try {
+                                result = {
+                                    diagnostics:     getTypeScriptDiagnostics(obj.message.name, obj.message.source),
+                                    compilerOptions: getTsEditorOptions(obj.message.source)
+                                };
+                            } catch (e) {
+                                result = {error: e.message || e.toString()};
+                            }
                         }
+                        obj.callback && adapter.sendTo(obj.from, obj.command, result, obj.callback);
                         break;
                     }
                 }
@@ -673,10 +911,8 @@ function startAdapter(options) {
                 let scriptName = err.stack.substr(err.stack.indexOf(scriptCodeMarker));
                 scriptName = scriptName.substr(0, scriptName.indexOf(':'));
                 context.logError(scriptName, err);
-                // Leave the script running for now
-
-                // TODO: Add a marker that the script has problems:
-                // https://github.com/ioBroker/ioBroker.javascript/issues/162
+                // Leave the script running, if its error policy does not say otherwise
+                context.scripts[scriptName] && onScriptError(scriptName);
 
                 // signal to the JS-Controller that we handled the error ourselves
                 return true;
@@ -691,9 +927,11 @@ function startAdapter(options) {
             .forEach(name =>
                 context.logSubscriptions[name].forEach(handler => {
                     if (typeof handler.cb === 'function' && (handler.severity === '*' || handler.severity === msg.severity)) {
+                        const start = process.hrtime();
                         handler.sandbox.logHandler = handler.severity || '*';
                         handler.cb.call(handler.sandbox, msg);
                         handler.sandbox.logHandler = null;
+                        context.scriptStats.addCall(name, process.hrtime(start));
                     }
                 })));
 
@@ -702,18 +940,47 @@ function startAdapter(options) {
 }
 
 function stopAllScripts(cb) {
-    Object.keys(context.scripts).forEach(id => stop(id));
-    setTimeout(() => cb(), 0);
+    // the modules are stopped already together with the last script, that required them
+    Object.keys(context.scripts).forEach(id => context.scripts[id] && !context.scripts[id].stopping && stop(id));
+
+    // wait till the changes of all storages are written
+    let count = 1;
+    const done = () => !--count && cb();
+    Object.keys(context.storages).forEach(name => {
+        count++;
+        context.storages[name].flush(done);
+    });
+    [context.lastRuns, context.delayedStates].forEach(storage => {
+        if (storage) {
+            count++;
+            storage.flush(done);
+        }
+    });
+    setTimeout(done, 0);
 }
 
+// names of the storages of the instance. Script IDs cannot start with a dot, so they do not collide with the storages of the scripts
+const LAST_RUNS_STORAGE      = '.lastRuns';
+const DELAYED_STATES_STORAGE = '.delayedStates';
+
 const attempts         = {};
 let globalScript       = '';
 /** Generated declarations for global TypeScripts */
 let globalDeclarations = '';
+const GLOBAL_DECLARATIONS_PATH = 'global.d.ts';
+/** Generated declarations of the IDs and the types of all states */
+const STATE_DECLARATIONS_PATH = 'states.d.ts';
+// the declarations of the states are generated STATE_DECLARATIONS_DELAY ms after the last change of a state object
+const STATE_DECLARATIONS_DELAY = 5000;
+let stateDeclarationsTimer = null;
 // Remember which definitions the global scripts
 // have access to, because it depends on the compile order
 let knownGlobalDeclarationsByScript = {};
 let globalScriptLines  = 0;
+// incremented every time the global scripts are assembled, so the scripts compiled with the old ones are known
+let globalScriptVersion = 0;
+// script ID => number of the lines in front of the source of the script, e.g. of the global scripts
+const lineOffsets      = {};
 // let activeRegEx        = null;
 let activeStr          = ''; // enabled state prefix
 
@@ -736,11 +1003,6 @@ function tsLog(msg, sev) {
         console.log(`[${sev.toUpperCase()}] ${msg}`);
     }
 }
-// compiler instance for typescript
-tsServer = new tsc.Server(tsCompilerOptions, tsLog);
-// compiler instance for global JS declarations
-jsDeclarationServer = new tsc.Server(jsDeclarationCompilerOptions);
-
 function addGetProperty(object) {
     try {
         Object.defineProperty(object, 'get', {
@@ -757,12 +1019,22 @@ function addGetProperty(object) {
 function fixLineNo(line) {
     if (line.indexOf('javascript.js:') >= 0) return line;
     if (!/script[s]?\.js[.\\\/]/.test(line)) return line;
+
+    // TypeScript and CoffeeScript scripts are mapped back to the lines of the original source
+    const match = line.match(/(script\.js\.[^\s():]+):(\d+)(?::(\d+))?/);
+    const sourceMap = match && context.scripts[match[1]] && context.scripts[match[1]].sourceMap;
+    const pos = sourceMap && sourceMap.getOriginalPosition(parseInt(match[2], 10), parseInt(match[3], 10));
+    if (pos) {
+        return line.replace(match[0], `${match[1]}:${pos.line}:${pos.column}`);
+    }
+    // the modules are compiled without the global scripts
+    const offset = match && lineOffsets[match[1]] !== undefined ? lineOffsets[match[1]] : globalScriptLines;
     if (/:([\d]+):/.test(line)) {
         line = line.replace(/:([\d]+):/, ($0, $1) =>
-            ':' + ($1 > globalScriptLines ? $1 - globalScriptLines : $1) + ':');
+            ':' + ($1 > offset ? $1 - offset : $1) + ':');
     } else {
         line = line.replace(/:([\d]+)$/, ($0, $1) =>
-            ':' + ($1 > globalScriptLines ? $1 - globalScriptLines : $1));
+            ':' + ($1 > offset ? $1 - offset : $1));
     }
     return line;
 }
@@ -783,6 +1055,16 @@ context.logError = function (msg, e, offs) {
     }
 };
 
+/**
+ * Marks that the script has a problem, counts the error in the statistics and applies the error policy of the script
+ * @param {string} name script ID
+ */
+function onScriptError(name) {
+    adapter.setState('scriptProblem.' + name.substring('script.js.'.length), true, true);
+    context.scriptStats.addError(name);
+    errorPolicy.addError(name);
+}
+
 function createActiveObject(id, enabled, cb) {
     const idActive = adapter.namespace + '.scriptEnabled.' + id.substring('script.js.'.length);
 
@@ -968,7 +1250,17 @@ function installLibraries(callback) {
             }
         }
     }
-    if (allInstalled) callback();
+    if (allInstalled) {
+        // install the typings of the libraries, that do not bring their own ones. Not every package has typings, so try it only once.
+        const typesLib = getTypesPackageToInstall(getLibrariesWithTypings(adapter.config),
+            lib => nodeFS.existsSync(__dirname + '/node_modules/' + lib + '/package.json'), attempts);
+        if (typesLib) {
+            attempts[typesLib] = 1;
+            adapter.log.info('Install typings ' + typesLib);
+            return installNpm(typesLib, () => installLibraries(callback));
+        }
+        callback();
+    }
 }
 
 function compile(source, name) {
@@ -976,7 +1268,8 @@ function compile(source, name) {
     try {
         if (VMScript) {
             return {
-                script: new VMScript(source, name)
+                script: new VMScript(source, name),
+                source
             };
         } else {
             const options = {
@@ -985,7 +1278,8 @@ function compile(source, name) {
                 //lineOffset: globalScriptLines
             };
             return {
-                script: vm.createScript(source, options)
+                script: vm.createScript(source, options),
+                source
             };
         }
     } catch (e) {
@@ -994,18 +1288,74 @@ function compile(source, name) {
     }
 }
 
-function execute(script, name, verbose, debug) {
+/**
+ * Compiles the JavaScript code with the global scripts in front of it. The modules, that are started by require,
+ * get no global scripts, so they have only their own scope.
+ * @param {string} code
+ * @param {string} name script ID
+ * @param {boolean} [isModule] true, if the script is started by require of another script
+ * @returns {object | false}
+ */
+function compileWithGlobals(code, name, isModule) {
+    const prefix = isModule ? '' : globalScript;
+    lineOffsets[name] = isModule ? 0 : globalScriptLines;
+    const script = compile(prefix + code, name);
+    if (script) {
+        script.globalScriptVersion = isModule ? null : globalScriptVersion;
+    }
+    return script;
+}
+
+/**
+ * Compiles the code of a TypeScript or CoffeeScript script together with the global scripts
+ * and keeps the source map, so the errors can be reported with the lines of the original source
+ * @param {string} code compiled code with inline source map
+ * @param {string} name script ID
+ * @param {boolean} [isModule] true, if the script is started by require of another script, so it gets no global scripts
+ * @returns {object | false}
+ */
+function compileMapped(code, name, isModule) {
+    const compiled = ScriptSourceMap.extract(code);
+    const prefix = isModule ? '' : globalScript + '\n';
+    lineOffsets[name] = prefix.split('\n').length - 1;
+    const script = compile(prefix + compiled.code, name);
+    if (script) {
+        script.globalScriptVersion = isModule ? null : globalScriptVersion;
+    }
+    if (script && compiled.map) {
+        try {
+            script.sourceMap = new ScriptSourceMap(compiled.map, lineOffsets[name]);
+        } catch (e) {
+            adapter.log.warn(`${name}: cannot read source map: ${e}`);
+        }
+    }
+    return script;
+}
+
+function execute(script, name, verbose, debug, permissions, isolated) {
     script.intervals = [];
     script.timeouts = [];
     script.schedules = [];
     script.wizards = [];
+    script.astroSchedules = [];
     script.name = name;
     script._id = Math.floor(Math.random() * 0xFFFFFFFF);
     script.subscribes = {};
+    script.permissions = permissions || null;
+    script.dependents = []; // scripts, that require this script
+    script.storage = context.storages[name] = context.storages[name] || new ScriptStorage(adapter, name);
     adapter.setState('scriptProblem.' + name.substring('script.js.'.length), { val: false, ack: true, expire: 1000 });
+    context.scriptStats.init(name);
 
     const sandbox = sandBox(script, name, verbose, debug, context);
 
+    if (isolated) {
+        if (IsolatedScript.isSupported()) {
+            return executeIsolated(script, name, sandbox);
+        }
+        adapter.log.warn(name + ': isolated execution requires worker threads, that are not supported by this node.js version. Script runs in the adapter process.');
+    }
+
     if (NodeVM) {
         const vm = new NodeVM({
             sandbox,
@@ -1020,8 +1370,8 @@ function execute(script, name, verbose, debug) {
         try {
             vm.run(script.script, name);
         } catch (e) {
-            adapter.setState('scriptProblem.' + name.substring('script.js.'.length), true, true);
             context.logError(name, e);
+            onScriptError(name);
         }
     } else {
         try {
@@ -1031,12 +1381,48 @@ function execute(script, name, verbose, debug) {
                 //lineOffset: globalScriptLines
             });
         } catch (e) {
-            adapter.setState('scriptProblem.' + name.substring('script.js.'.length), true, true);
             context.logError(name, e);
+            onScriptError(name);
         }
     }
 }
 
+function executeIsolated(script, name, sandbox) {
+    const problemId = 'scriptProblem.' + name.substring('script.js.'.length);
+    script.isolated = new IsolatedScript({
+        name,
+        source: script.source,
+        sandbox,
+        // modules, that the permissions of the script do not allow
+        deniedModules: Object.keys(mods).filter(md => !sandbox.mods[md]),
+        libraries: ((adapter.config && adapter.config.libraries) || '').split(/[,;\s]+/).map(s => s.trim()).filter(s => s),
+        watchdogTime: adapter.config.watchdogTime,
+        onError: e => {
+            context.logError(name, e);
+            onScriptError(name);
+        },
+        onBlocked: time => {
+            adapter.log.error(`${name}: script blocked for more than ${time} ms and was terminated`);
+            adapter.setState(problemId, true, true);
+            context.scripts[name] === script && stop(name);
+        },
+        onExit: code => {
+            adapter.log.error(`${name}: worker of the script exited with code ${code}`);
+            adapter.setState(problemId, true, true);
+            context.scripts[name] === script && stop(name);
+        }
+    });
+}
+
+/**
+ * Checks if the script should run in an own worker thread
+ * @param {object} obj script object
+ * @returns {boolean}
+ */
+function isIsolated(obj) {
+    return typeof obj.common.isolated === 'boolean' ? obj.common.isolated : !!adapter.config.isolateScripts;
+}
+
 function unsubscribe(id) {
     if (!id) {
         adapter.log.warn('unsubscribe: empty name');
@@ -1087,6 +1473,64 @@ function updateLogSubscriptions() {
     }
 }
 
+/**
+ * Returns the state ID, if the subscription can only match this one ID.
+ * RegExp, enum or name patterns and patterns with "or" logic must be checked for every state change.
+ * @param {{pattern: Record<string, any>}} sub
+ * @returns {string | null}
+ */
+function getSubscriptionId(sub) {
+    return typeof sub.pattern.id === 'string' && sub.pattern.logic !== 'or' ? sub.pattern.id : null;
+}
+
+function addSubscription(sub) {
+    context.subscriptions.push(sub);
+
+    const id = getSubscriptionId(sub);
+    if (id) {
+        context.subscriptionsById[id] = context.subscriptionsById[id] || [];
+        context.subscriptionsById[id].push(sub);
+    } else {
+        context.subscriptionsByPattern.push(sub);
+    }
+}
+
+function removeSubscription(sub) {
+    let pos = context.subscriptions.indexOf(sub);
+    pos !== -1 && context.subscriptions.splice(pos, 1);
+
+    const id = getSubscriptionId(sub);
+    if (id) {
+        if (context.subscriptionsById[id]) {
+            pos = context.subscriptionsById[id].indexOf(sub);
+            pos !== -1 && context.subscriptionsById[id].splice(pos, 1);
+            if (!context.subscriptionsById[id].length) {
+                delete context.subscriptionsById[id];
+            }
+        }
+    } else {
+        pos = context.subscriptionsByPattern.indexOf(sub);
+        pos !== -1 && context.subscriptionsByPattern.splice(pos, 1);
+    }
+}
+
+// Call the onObject handlers of all scripts, which are interested in this object
+function notifyObjectSubscriptions(id, obj, oldObj) {
+    Object.keys(context.objectSubscriptions).forEach(name =>
+        context.objectSubscriptions[name] && context.objectSubscriptions[name].slice().forEach(handler => {
+            if (handler.regExp ? handler.regExp.test(id) : handler.pattern === id) {
+                const start = process.hrtime();
+                try {
+                    handler.cb.call(handler.sandbox, id, JSON.parse(JSON.stringify(obj)), JSON.parse(JSON.stringify(oldObj)));
+                } catch (e) {
+                    context.logError('Error in callback', e);
+                    onScriptError(name);
+                }
+                context.scriptStats.addCall(name, process.hrtime(start));
+            }
+        }));
+}
+
 function stop(name, callback) {
     adapter.log.info('Stop script ' + name);
 
@@ -1101,7 +1545,15 @@ function stop(name, callback) {
         updateLogSubscriptions();
     }
 
+    if (context.objectSubscriptions[name]) {
+        delete context.objectSubscriptions[name];
+    }
+
     if (context.scripts[name]) {
+        const script = context.scripts[name];
+        script.stopping = true;
+        script.storage && script.storage.flush();
+        releaseModules(name);
         // Remove from subscriptions
         context.isEnums = false;
         if (adapter.config.subscribe) {
@@ -1121,7 +1573,8 @@ function stop(name, callback) {
 
         for (let i = context.subscriptions.length - 1; i >= 0; i--) {
             if (context.subscriptions[i].name === name) {
-                const sub = context.subscriptions.splice(i, 1)[0];
+                const sub = context.subscriptions[i];
+                removeSubscription(sub);
                 sub && unsubscribe(sub.pattern.id);
             } else {
                 if (!context.isEnums && context.subscriptions[i].pattern.enumName || context.subscriptions[i].pattern.enumId) {
@@ -1162,6 +1615,7 @@ function stop(name, callback) {
             let timeout = setTimeout(() => {
                 if (timeout) {
                     timeout = null;
+                    script.isolated && script.isolated.terminate();
                     delete context.scripts[name];
                     if (typeof callback === 'function') callback(true, name);
                 }
@@ -1172,6 +1626,7 @@ function stop(name, callback) {
                     if (timeout) {
                         clearTimeout(timeout);
                         timeout = null;
+                        script.isolated && script.isolated.terminate();
                         delete context.scripts[name];
                         if (typeof callback === 'function') callback(true, name);
                     }
@@ -1181,6 +1636,7 @@ function stop(name, callback) {
             }
 
         } else {
+            script.isolated && script.isolated.terminate();
             delete context.scripts[name];
             if (typeof callback === 'function') callback(true, name);
         }
@@ -1189,6 +1645,240 @@ function stop(name, callback) {
     }
 }
 
+/**
+ * Compiles the enabled global scripts in the order of the rows into globalScript.
+ * The declarations of the global scripts are generated again for the TypeScript scripts.
+ * @param {object[]} rows rows of the object view with all scripts
+ * @param {function} callback called, when the asynchronously compiled CoffeeScripts are added too
+ */
+function assembleGlobalScript(rows, callback) {
+    // the sources are collected by position, because the CoffeeScripts are compiled asynchronously
+    const sources = [];
+    let count = 1;
+    const done = () => {
+        if (!--count) {
+            globalScript = sources.filter(source => source !== undefined).join('').replace(/\r\n/g, '\n');
+            globalScriptLines = globalScript.split(/\n/g).length - 1;
+            globalScriptVersion++;
+            callback();
+        }
+    };
+
+    if (globalDeclarations) {
+        // forget the declarations of the previous global scripts
+        tsAmbient[GLOBAL_DECLARATIONS_PATH] = '';
+        provideTsDeclarations({[GLOBAL_DECLARATIONS_PATH]: ''});
+        jsDeclarationServer.provideAmbientDeclarations({[GLOBAL_DECLARATIONS_PATH]: ''});
+    }
+    globalDeclarations = '';
+    knownGlobalDeclarationsByScript = {};
+
+    rows.forEach((row, pos) => {
+        const obj = row.value;
+        if (!obj || !checkIsGlobal(obj) || !obj.common.enabled) {
+            return;
+        }
+        const engineType = (obj.common.engineType || '').toLowerCase();
+        if (engineType.startsWith('coffee')) {
+            count++;
+            coffeeCompiler.fromSource(obj.common.source, {
+                sourceMap: false,
+                bare: true
+            }, (err, js) => {
+                if (err) {
+                    adapter.log.error('coffee compile ' + err);
+                } else {
+                    sources[pos] = js + '\n';
+                }
+                done();
+            });
+        } else if (engineType.startsWith('typescript')) {
+            // compile the current global script
+            const filename = scriptIdToTSFilename(obj._id);
+            const tsCompiled = getTsServer(obj.common.source).compile(filename, obj.common.source);
+
+            const errors = tsCompiled.diagnostics.map(diag => diag.annotatedSource + '\n').join('\n');
+
+            if (tsCompiled.success) {
+                if (errors.length > 0) {
+                    adapter.log.warn('TypeScript compilation completed with errors: \n' + errors);
+                } else {
+                    adapter.log.info('TypeScript compilation successful');
+                }
+                sources[pos] = ScriptSourceMap.extract(tsCompiled.result).code + '\n';
+
+                // if declarations were generated, remember them
+                if (tsCompiled.declarations != null) {
+                    provideDeclarationsForGlobalScript(obj._id, tsCompiled.declarations);
+                }
+            } else {
+                adapter.log.error('TypeScript compilation failed: \n' + errors);
+            }
+        } else { // javascript
+            const sourceCode = obj.common.source;
+            sources[pos] = sourceCode + '\n';
+
+            // try to compile the declarations so TypeScripts can use
+            // functions defined in global JavaScripts
+            const filename = scriptIdToTSFilename(obj._id);
+            const tsCompiled = jsDeclarationServer.compile(filename, sourceCode);
+            // if declarations were generated, remember them
+            if (tsCompiled.success && tsCompiled.declarations != null) {
+                provideDeclarationsForGlobalScript(obj._id, tsCompiled.declarations);
+            }
+        }
+    });
+    done();
+}
+
+/**
+ * Assembles the global scripts again after one of them was changed, and restarts the running scripts,
+ * that were compiled with the old global scripts, together with the scripts, that require them.
+ * The modules have no global scripts and keep running.
+ */
+function reloadGlobalScripts() {
+    adapter.log.info('Global scripts changed, restart the scripts, that use them');
+    adapter.objects.getObjectView('script', 'javascript', {}, (err, doc) => {
+        if (err) {
+            return adapter.log.error('Cannot read the scripts: ' + err);
+        }
+        assembleGlobalScript((doc && doc.rows) || [], () => {
+            const names = Object.keys(context.scripts).filter(name => context.scripts[name].globalScriptVersion !== null);
+            const restartNext = () => {
+                if (!names.length) {
+                    return;
+                }
+                const name = names.shift();
+                const script = context.scripts[name];
+                // already restarted as dependent of another script
+                if (!script || script.globalScriptVersion === null || script.globalScriptVersion === globalScriptVersion) {
+                    return restartNext();
+                }
+                restartWithDependents(name, restartNext);
+            };
+            restartNext();
+        });
+    });
+}
+
+/**
+ * Stops the script together with all scripts, that require it, and starts the enabled ones again,
+ * so they get the new exports. The scripts, that are not enabled, are started again as modules by the scripts, that require them.
+ * @param {string} id script ID
+ * @param {function} [callback]
+ */
+function restartWithDependents(id, callback) {
+    const names = [id].concat(getDependents(id));
+    const stopNext = () => {
+        if (names.length) {
+            stop(names.shift(), stopNext);
+        } else {
+            [id].concat(stopped).forEach(name =>
+                context.objects[name] && context.objects[name].common.enabled && load(name));
+            typeof callback === 'function' && callback();
+        }
+    };
+    const stopped = names.slice(1);
+    stopNext();
+}
+
+/**
+ * Collects all running scripts, that require the script directly or via other modules
+ * @param {string} id script ID
+ * @param {string[]} [result]
+ * @returns {string[]}
+ */
+function getDependents(id, result) {
+    result = result || [];
+    const script = context.scripts[id];
+    script && script.dependents && script.dependents.forEach(name => {
+        if (name !== id && !result.includes(name) && context.scripts[name]) {
+            result.push(name);
+            getDependents(name, result);
+        }
+    });
+    return result;
+}
+
+/**
+ * Called if the script is stopped. The modules, that are required only by this script and are not enabled, are stopped too.
+ * @param {string} name script ID
+ */
+function releaseModules(name) {
+    Object.keys(context.scripts).forEach(id => {
+        const module = context.scripts[id];
+        const pos = module.dependents ? module.dependents.indexOf(name) : -1;
+        if (pos !== -1) {
+            module.dependents.splice(pos, 1);
+            if (module.isModule && !module.dependents.length && !module.stopping) {
+                stop(id);
+            }
+        }
+    });
+}
+
+/**
+ * Returns the exports of the script, e.g. for require('script.js.common.utils') in another script.
+ * If the script is not running, it is started as module, that runs as long as some script requires it.
+ * @param {string} id ID of the required script
+ * @param {string} parentName ID of the script, that requires it
+ * @returns {*} module.exports of the required script
+ */
+function requireScript(id, parentName) {
+    if (id === parentName) {
+        throw new Error(`Script "${id}" cannot require itself`);
+    }
+    let script = context.scripts[id];
+    const obj = context.objects[id];
+    if (!script && (!obj || obj.type !== 'script' || obj.common.engine !== 'system.adapter.' + adapter.namespace || !obj.common.source)) {
+        throw new Error(`Cannot find script "${id}"`);
+    }
+    const engineType = (obj && obj.common.engineType || '').toLowerCase();
+    if ((engineType.startsWith('javascript') || engineType === 'blockly') && usesTopLevelAwait(obj.common.source)) {
+        // the variables after the first await are not initialized yet, so reading the exports would throw
+        throw new Error(`Script "${id}" uses await outside of functions and cannot be required, because its exports are set asynchronously`);
+    }
+    if (!script) {
+        script = startModule(obj);
+    }
+    script.dependents.includes(parentName) || script.dependents.push(parentName);
+    // if the scripts require each other, the exports are incomplete, like in node.js
+    return script.module.exports;
+}
+
+/**
+ * Compiles and executes the not enabled script synchronously, so the exports can be returned to the script, that requires it
+ * @param {object} obj script object
+ * @returns {object} the started script
+ */
+function startModule(obj) {
+    const name = obj._id;
+    const engineType = (obj.common.engineType || '').toLowerCase();
+    let script;
+    // the required scripts are modules and get no global scripts
+    if (engineType.startsWith('javascript') || engineType === 'blockly') {
+        script = compileWithGlobals(transformModuleSyntax(obj.common.source), name, true);
+    } else if (engineType.startsWith('typescript')) {
+        const tsCompiled = getTsServer(obj.common.source).compile(scriptIdToTSFilename(name), obj.common.source);
+        if (!tsCompiled.success) {
+            throw new Error(`TypeScript compilation of "${name}" failed: \n` + tsCompiled.diagnostics.map(diag => diag.annotatedSource + '\n').join('\n'));
+        }
+        script = compileMapped(tsCompiled.result, name, true);
+    } else {
+        throw new Error(`Script "${name}" of type ${obj.common.engineType} cannot be required`);
+    }
+
+    adapter.log.info('Start module ' + name);
+    errorPolicy.start(name, obj.common.errorPolicy);
+    if (!script) {
+        throw new Error(`Cannot compile script "${name}"`);
+    }
+    script.isModule = true;
+    context.scripts[name] = script;
+    execute(script, name, obj.common.verbose, obj.common.debug, obj.common.permissions, false);
+    return script;
+}
+
 function prepareScript(obj, callback) {
     if (obj &&
         obj.common.enabled &&
@@ -1197,7 +1887,14 @@ function prepareScript(obj, callback) {
         const name = obj._id;
 
         adapter.setState('scriptEnabled.' + name.substring('script.js.'.length), true, true);
+        if (context.scripts[name] && context.scripts[name].isModule) {
+            // the script runs already, because other scripts require it
+            context.scripts[name].isModule = false;
+            typeof callback === 'function' && callback(true, name);
+            return;
+        }
         obj.common.engineType = obj.common.engineType || '';
+        errorPolicy.start(name, obj.common.errorPolicy);
 
         if ((obj.common.engineType.toLowerCase().startsWith('javascript') || obj.common.engineType === 'Blockly')) {
             // Javascript
@@ -1208,27 +1905,29 @@ function prepareScript(obj, callback) {
                 const fn = name.replace(/^script.js./, '').replace(/\./g, '/');
                 sourceFn = mods.path.join(webstormDebug, fn + '.js');
             }
-            context.scripts[name] = compile(globalScript + obj.common.source, sourceFn);
-            context.scripts[name] && execute(context.scripts[name], sourceFn, obj.common.verbose, obj.common.debug);
+            context.scripts[name] = compileWithGlobals(transformModuleSyntax(obj.common.source), sourceFn);
+            context.scripts[name] && execute(context.scripts[name], sourceFn, obj.common.verbose, obj.common.debug, obj.common.permissions, isIsolated(obj));
             if (typeof callback === 'function') callback(true, name);
         } else if (obj.common.engineType.toLowerCase().startsWith('coffee')) {
             // CoffeeScript
-            coffeeCompiler.fromSource(obj.common.source, { sourceMap: false, bare: true }, (err, js) => {
+            // coffee-script maps the stack traces of the files, that it compiled, by itself, but without the global scripts.
+            // The file name must not match the name of the executed script, otherwise the lines are mapped twice.
+            coffeeCompiler.fromSource(obj.common.source, { sourceMap: true, bare: true, filename: name + '.coffee' }, (err, js) => {
                 if (err) {
                     adapter.log.error(name + ' coffee compile ' + err);
                     if (typeof callback === 'function') callback(false, name);
                     return;
                 }
                 adapter.log.info('Start coffescript ' + name);
-                context.scripts[name] = compile(globalScript + '\n' + js, name);
-                context.scripts[name] && execute(context.scripts[name], name, obj.common.verbose, obj.common.debug);
+                context.scripts[name] = compileMapped(js, name);
+                context.scripts[name] && execute(context.scripts[name], name, obj.common.verbose, obj.common.debug, obj.common.permissions, isIsolated(obj));
                 typeof callback === 'function' && callback(true, name);
             });
         } else if (obj.common.engineType.toLowerCase().startsWith('typescript')) {
             // TypeScript
             adapter.log.info(name + ': compiling TypeScript source...');
             const filename = scriptIdToTSFilename(name);
-            const tsCompiled = tsServer.compile(filename, obj.common.source);
+            const tsCompiled = getTsServer(obj.common.source).compile(filename, obj.common.source);
 
             const errors = tsCompiled.diagnostics.map(diag => diag.annotatedSource + '\n').join('\n');
 
@@ -1238,8 +1937,8 @@ function prepareScript(obj, callback) {
                 } else {
                     adapter.log.info(name + ': TypeScript compilation successful');
                 }
-                context.scripts[name] = compile(globalScript + '\n' + tsCompiled.result, name);
-                context.scripts[name] && execute(context.scripts[name], name, obj.common.verbose, obj.common.debug);
+                context.scripts[name] = compileMapped(tsCompiled.result, name);
+                context.scripts[name] && execute(context.scripts[name], name, obj.common.verbose, obj.common.debug, obj.common.permissions, isIsolated(obj));
                 typeof callback === 'function' && callback(true, name);
             } else {
                 adapter.log.error(name + ': TypeScript compilation failed: \n' + errors);
@@ -1256,12 +1955,29 @@ function prepareScript(obj, callback) {
     }
 }
 
+/**
+ * Reads the persistent storage of the script, if it is not yet in memory
+ * @param {object} obj script object
+ * @param {function} cb
+ */
+function loadStorage(obj, cb) {
+    if (context.storages[obj._id] || !obj.common || !obj.common.enabled) {
+        cb();
+    } else {
+        ScriptStorage.load(adapter, obj._id, storage => {
+            context.storages[obj._id] = context.storages[obj._id] || storage;
+            cb();
+        });
+    }
+}
+
 function load(nameOrObject, callback) {
     if (typeof nameOrObject === 'object') {
         // create states for scripts
         createActiveObject(nameOrObject._id, nameOrObject && nameOrObject.common && nameOrObject.common.enabled, () =>
             createProblemObject(nameOrObject._id, () =>
-                prepareScript(nameOrObject, callback)));
+                loadStorage(nameOrObject, () =>
+                    prepareScript(nameOrObject, callback))));
 
     } else {
         adapter.getForeignObject(nameOrObject, (err, obj) => {
@@ -1292,6 +2008,7 @@ function patternMatching(event, patternFunctions) {
 function getData(callback) {
     let statesReady;
     let objectsReady;
+    let storagesReady;
     adapter.log.info('requesting all states');
     adapter.getForeignStates('*', (err, res) => {
         if (!adapter.config.subscribe) {
@@ -1308,7 +2025,7 @@ function getData(callback) {
         }
         statesReady = true;
         adapter.log.info('received all states');
-        objectsReady && typeof callback === 'function' && callback();
+        objectsReady && storagesReady && typeof callback === 'function' && callback();
     });
 
     adapter.log.info('requesting all objects');
@@ -1353,7 +2070,17 @@ function getData(callback) {
 
         objectsReady = true;
         adapter.log.info('received all objects');
-        statesReady && typeof callback === 'function' && callback();
+        statesReady && storagesReady && typeof callback === 'function' && callback();
+    });
+
+    // the missed runs of the schedules are calculated at the start of the scripts
+    ScriptStorage.load(adapter, LAST_RUNS_STORAGE, lastRuns => {
+        context.lastRuns = lastRuns;
+        ScriptStorage.load(adapter, DELAYED_STATES_STORAGE, delayedStates => {
+            context.delayedStates = delayedStates;
+            storagesReady = true;
+            statesReady && objectsReady && typeof callback === 'function' && callback();
+        });
     });
 }
 
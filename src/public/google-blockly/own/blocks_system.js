@@ -886,6 +886,105 @@ Blockly.JavaScript['selector'] = function(block) {
     return ['Array.prototype.slice.apply($("' + oid + '"))', Blockly.JavaScript.ORDER_ATOMIC]
 };
 
+// --- storage set --------------------------------------------------
+Blockly.System.blocks['storage_set'] =
+    '<block type="storage_set">'
+    + '     <value name="KEY">'
+    + '         <shadow type="text">'
+    + '             <field name="TEXT">key</field>'
+    + '         </shadow>'
+    + '     </value>'
+    + '     <value name="VALUE">'
+    + '     </value>'
+    + '</block>';
+
+Blockly.Blocks['storage_set'] = {
+    init: function() {
+        this.appendValueInput('KEY')
+            .setCheck('String')
+            .appendField(Blockly.Words['storage_set'][systemLang])
+            .appendField(Blockly.Words['storage_key'][systemLang]);
+
+        this.appendValueInput('VALUE')
+            .setCheck(null)
+            .appendField(Blockly.Words['storage_value'][systemLang]);
+
+        this.setInputsInline(true);
+        this.setPreviousStatement(true, null);
+        this.setNextStatement(true, null);
+        this.setColour(Blockly.System.HUE);
+        this.setTooltip(Blockly.Words['storage_set_tooltip'][systemLang]);
+        this.setHelpUrl(getHelp('storage_help'));
+    }
+};
+
+Blockly.JavaScript['storage_set'] = function(block) {
+    var key   = Blockly.JavaScript.valueToCode(block, 'KEY', Blockly.JavaScript.ORDER_ATOMIC);
+    var value = Blockly.JavaScript.valueToCode(block, 'VALUE', Blockly.JavaScript.ORDER_ATOMIC) || 'null';
+    return 'storage.set(' + key + ', ' + value + ');\n';
+};
+
+// --- storage get --------------------------------------------------
+Blockly.System.blocks['storage_get'] =
+    '<block type="storage_get">'
+    + '     <value name="KEY">'
+    + '         <shadow type="text">'
+    + '             <field name="TEXT">key</field>'
+    + '         </shadow>'
+    + '     </value>'
+    + '</block>';
+
+Blockly.Blocks['storage_get'] = {
+    init: function() {
+        this.appendValueInput('KEY')
+            .setCheck('String')
+            .appendField(Blockly.Words['storage_get'][systemLang])
+            .appendField(Blockly.Words['storage_key'][systemLang]);
+
+        this.setInputsInline(true);
+        this.setOutput(true);
+        this.setColour(Blockly.System.HUE);
+        this.setTooltip(Blockly.Words['storage_get_tooltip'][systemLang]);
+        this.setHelpUrl(getHelp('storage_help'));
+    }
+};
+
+Blockly.JavaScript['storage_get'] = function(block) {
+    var key = Blockly.JavaScript.valueToCode(block, 'KEY', Blockly.JavaScript.ORDER_ATOMIC);
+    return ['storage.get(' + key + ', null)', Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+// --- storage delete --------------------------------------------------
+Blockly.System.blocks['storage_delete'] =
+    '<block type="storage_delete">'
+    + '     <value name="KEY">'
+    + '         <shadow type="text">'
+    + '             <field name="TEXT">key</field>'
+    + '         </shadow>'
+    + '     </value>'
+    + '</block>';
+
+Blockly.Blocks['storage_delete'] = {
+    init: function() {
+        this.appendValueInput('KEY')
+            .setCheck('String')
+            .appendField(Blockly.Words['storage_delete'][systemLang])
+            .appendField(Blockly.Words['storage_key'][systemLang]);
+
+        this.setInputsInline(true);
+        this.setPreviousStatement(true, null);
+        this.setNextStatement(true, null);
+        this.setColour(Blockly.System.HUE);
+        this.setTooltip(Blockly.Words['storage_delete_tooltip'][systemLang]);
+        this.setHelpUrl(getHelp('storage_help'));
+    }
+};
+
+Blockly.JavaScript['storage_delete'] = function(block) {
+    var key = Blockly.JavaScript.valueToCode(block, 'KEY', Blockly.JavaScript.ORDER_ATOMIC);
+    return 'storage.delete(' + key + ');\n';
+};
+
 // --- Text new line --------------------------------------------------
 Blockly.Blocks['text_newline'] = {
     // Checkbox.
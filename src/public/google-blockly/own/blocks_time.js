@@ -474,4 +474,112 @@ Blockly.JavaScript['time_astro'] = function(block) {
     var type    = block.getFieldValue('TYPE');
     var offset  = parseFloat(block.getFieldValue('OFFSET'));
     return ['getAstroDate("' + type + '", undefined, ' + offset + ')', Blockly.JavaScript.ORDER_ATOMIC];
-};
\ No newline at end of file
+};
+
+// --- sun position --------------------------------------------------
+Blockly.Time.blocks['time_sun_position'] =
+    '<block type="time_sun_position">'
+    + '     <value name="TYPE">'
+    + '     </value>'
+    + '</block>';
+
+Blockly.Blocks['time_sun_position'] = {
+    init: function() {
+        this.appendDummyInput()
+            .appendField(Blockly.Words['time_sun_position'][systemLang]);
+
+        this.appendDummyInput('TYPE')
+            .appendField(new Blockly.FieldDropdown([
+                [Blockly.Words['time_sun_position_azimuth'][systemLang],   'azimuth'],
+                [Blockly.Words['time_sun_position_elevation'][systemLang], 'elevation']
+            ]), 'TYPE');
+
+        this.setInputsInline(true);
+
+        this.setOutput(true, 'Number');
+
+        this.setColour(Blockly.Time.HUE);
+        this.setTooltip(Blockly.Words['time_sun_position_tooltip'][systemLang]);
+        this.setHelpUrl(getHelp('time_sun_position_help'));
+    }
+};
+
+Blockly.JavaScript['time_sun_position'] = function(block) {
+    var type = block.getFieldValue('TYPE');
+    return ['getSunPosition().' + type, Blockly.JavaScript.ORDER_MEMBER];
+};
+
+// --- moon illumination --------------------------------------------------
+Blockly.Time.blocks['time_moon'] =
+    '<block type="time_moon">'
+    + '     <value name="TYPE">'
+    + '     </value>'
+    + '</block>';
+
+Blockly.Blocks['time_moon'] = {
+    init: function() {
+        this.appendDummyInput()
+            .appendField(Blockly.Words['time_moon'][systemLang]);
+
+        this.appendDummyInput('TYPE')
+            .appendField(new Blockly.FieldDropdown([
+                [Blockly.Words['time_moon_fraction'][systemLang], 'fraction'],
+                [Blockly.Words['time_moon_phase'][systemLang],    'phaseName']
+            ]), 'TYPE');
+
+        this.setInputsInline(true);
+
+        this.setOutput(true);
+
+        this.setColour(Blockly.Time.HUE);
+        this.setTooltip(Blockly.Words['time_moon_tooltip'][systemLang]);
+        this.setHelpUrl(getHelp('time_moon_help'));
+    }
+};
+
+Blockly.JavaScript['time_moon'] = function(block) {
+    var type = block.getFieldValue('TYPE');
+    if (type === 'fraction') {
+        return ['Math.round(getMoonIllumination().fraction * 100)', Blockly.JavaScript.ORDER_FUNCTION_CALL];
+    } else {
+        return ['getMoonIllumination().' + type, Blockly.JavaScript.ORDER_MEMBER];
+    }
+};
+
+// --- is public holiday --------------------------------------------------
+Blockly.Time.blocks['time_holiday'] =
+    '<block type="time_holiday">'
+    + '     <value name="DAY">'
+    + '     </value>'
+    + '</block>';
+
+Blockly.Blocks['time_holiday'] = {
+    init: function() {
+        this.appendDummyInput()
+            .appendField(Blockly.Words['time_holiday'][systemLang]);
+
+        this.appendDummyInput('DAY')
+            .appendField(new Blockly.FieldDropdown([
+                [Blockly.Words['time_holiday_today'][systemLang],     '0'],
+                [Blockly.Words['time_holiday_tomorrow'][systemLang],  '1'],
+                [Blockly.Words['time_holiday_yesterday'][systemLang], '-1']
+            ]), 'DAY');
+
+        this.setInputsInline(true);
+
+        this.setOutput(true, 'Boolean');
+
+        this.setColour(Blockly.Time.HUE);
+        this.setTooltip(Blockly.Words['time_holiday_tooltip'][systemLang]);
+        this.setHelpUrl(getHelp('time_holiday_help'));
+    }
+};
+
+Blockly.JavaScript['time_holiday'] = function(block) {
+    var day = parseInt(block.getFieldValue('DAY'), 10);
+    if (!day) {
+        return ['isHoliday()', Blockly.JavaScript.ORDER_FUNCTION_CALL];
+    } else {
+        return ['isHoliday(new Date(new Date().setDate(new Date().getDate() + (' + day + '))))', Blockly.JavaScript.ORDER_FUNCTION_CALL];
+    }
+};
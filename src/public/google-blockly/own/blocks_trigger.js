@@ -523,6 +523,19 @@ Blockly.Blocks['astro'] = {
         this.appendDummyInput()
             .appendField(Blockly.Words['astro_minutes'][systemLang]);
 
+        this.appendDummyInput('NOT_BEFORE')
+            .appendField(Blockly.Words['astro_notBefore'][systemLang])
+            .appendField(new Blockly.FieldTextInput(''), 'NOT_BEFORE');
+
+        this.appendDummyInput('NOT_AFTER')
+            .appendField(Blockly.Words['astro_notAfter'][systemLang])
+            .appendField(new Blockly.FieldTextInput(''), 'NOT_AFTER');
+
+        this.appendDummyInput('RANDOM')
+            .appendField(Blockly.Words['astro_random'][systemLang])
+            .appendField(new Blockly.FieldTextInput('0'), 'RANDOM')
+            .appendField(Blockly.Words['astro_minutes'][systemLang]);
+
         this.appendStatementInput('STATEMENT')
             .setCheck(null);
         this.setInputsInline(true);
@@ -537,9 +550,88 @@ Blockly.Blocks['astro'] = {
 Blockly.JavaScript['astro'] = function(block) {
     var astrotype = block.getFieldValue('TYPE');
     var offset    = parseInt(block.getFieldValue('OFFSET'), 10);
+    var notBefore = (block.getFieldValue('NOT_BEFORE') || '').trim();
+    var notAfter  = (block.getFieldValue('NOT_AFTER') || '').trim();
+    var random    = Math.abs(parseInt(block.getFieldValue('RANDOM'), 10)) || 0;
+    var statements_name = Blockly.JavaScript.statementToCode(block, 'STATEMENT');
+
+    var options = 'astro: "' + astrotype + '", shift: ' + offset;
+    if (notBefore.match(/^\d{1,2}:\d{2}$/)) {
+        options += ', notBefore: "' + notBefore + '"';
+    }
+    if (notAfter.match(/^\d{1,2}:\d{2}$/)) {
+        options += ', notAfter: "' + notAfter + '"';
+    }
+    if (random) {
+        options += ', randomOffset: ' + random;
+    }
+
+    return 'schedule({' + options + '}, function () {\n' + statements_name + '});\n';
+};
+
+// --- SUN POSITION -----------------------------------------------------------
+Blockly.Trigger.blocks['sun_position'] =
+    '<block type="sun_position">'
+    + '     <value name="AZIMUTH_FROM">'
+    + '     </value>'
+    + '     <value name="AZIMUTH_TO">'
+    + '     </value>'
+    + '     <value name="ELEVATION">'
+    + '     </value>'
+    + '     <value name="CHANGE">'
+    + '     </value>'
+    + '     <value name="STATEMENT">'
+    + '     </value>'
+    + '</block>';
+
+Blockly.Blocks['sun_position'] = {
+    init: function() {
+        this.appendDummyInput()
+            .appendField(Blockly.Words['sun_position'][systemLang]);
+
+        this.appendDummyInput('AZIMUTH_FROM')
+            .appendField(new Blockly.FieldTextInput('90'), 'AZIMUTH_FROM');
+
+        this.appendDummyInput()
+            .appendField(Blockly.Words['sun_position_and'][systemLang]);
+
+        this.appendDummyInput('AZIMUTH_TO')
+            .appendField(new Blockly.FieldTextInput('270'), 'AZIMUTH_TO');
+
+        this.appendDummyInput()
+            .appendField(Blockly.Words['sun_position_elevation'][systemLang]);
+
+        this.appendDummyInput('ELEVATION')
+            .appendField(new Blockly.FieldTextInput('10'), 'ELEVATION');
+
+        this.appendDummyInput()
+            .appendField(Blockly.Words['sun_position_degrees'][systemLang]);
+
+        this.appendDummyInput('CHANGE')
+            .appendField(new Blockly.FieldDropdown([
+                [Blockly.Words['sun_position_enter'][systemLang], 'enter'],
+                [Blockly.Words['sun_position_any'][systemLang],   'any']
+            ]), 'CHANGE');
+
+        this.appendStatementInput('STATEMENT')
+            .setCheck(null);
+        this.setInputsInline(true);
+
+        this.setPreviousStatement(true, null);
+        this.setNextStatement(true, null);
+        this.setColour(Blockly.Trigger.HUE);
+        this.setTooltip(Blockly.Words['sun_position_tooltip'][systemLang]);
+        this.setHelpUrl(getHelp('sun_position_help'));
+    }
+};
+Blockly.JavaScript['sun_position'] = function(block) {
+    var from      = parseFloat(block.getFieldValue('AZIMUTH_FROM')) || 0;
+    var to        = parseFloat(block.getFieldValue('AZIMUTH_TO'))   || 0;
+    var elevation = parseFloat(block.getFieldValue('ELEVATION'))    || 0;
+    var change    = block.getFieldValue('CHANGE');
     var statements_name = Blockly.JavaScript.statementToCode(block, 'STATEMENT');
 
-    return 'schedule({astro: "' + astrotype + '", shift: ' + offset + '}, function () {\n' + statements_name + '});\n';
+    return 'on({sunAzimuthGt: ' + from + ', sunAzimuthLt: ' + to + ', sunElevationGt: ' + elevation + (change === 'any' ? ', change: "any"' : '') + '}, function (obj) {\n' + statements_name + '});\n';
 };
 
 // --- set named schedule -----------------------------------------------------------
@@ -171,6 +171,17 @@ Blockly.Words['get_attr_by']                          = {'en': 'of Object',
 Blockly.Words['get_attr_tooltip']                     = {'en': 'Get attribute of object or JSON by path, like: \'attr1.attr\'', 'de': 'Erhalte Attribut des Objekts oder JSON nach Pfad, wie: \'attr1.attr\'', 'ru': 'Получить атрибут объекта или JSON по пути, например: \'attr1.attr\'', 'pt': 'Obter atributo do objeto ou JSON pelo caminho, como: \'attr1.attr\'', 'nl': 'Krijg een attribuut van het object of JSON per pad, zoals: \'attr1.attr\'', 'fr': 'Obtenir l\'attribut d\'objet ou JSON par chemin, comme: \'attr1.attr\'', 'it': 'Ottieni attributo di oggetto o JSON per percorso, ad esempio: \'attr1.attr\'', 'es': 'Obtenga el atributo de objeto o JSON por ruta, como: \'attr1.attr\'', 'pl': 'Get attribute of object or JSON by path, like: \'attr1.attr\'', 'zh-cn': '通过规则获取对象或JSON的属性，如：\'attr1.attr\''};
 Blockly.Words['get_attr_help']                        = {'en': 'getattr',                                         'de': 'getattr',                                         'ru': 'getattr',                                         'pt': 'getattr',                                         'nl': 'getattr',                                         'fr': 'getattr',                                         'it': 'getattr',                                         'es': 'getattr',                                         'pl': 'getattr',                                         'zh-cn': '获取属性'};
 
+// --- system storage --------------------------------------------------
+Blockly.Words['storage_set']                          = {'en': 'store in script storage',                         'de': 'im Skriptspeicher ablegen',                       'ru': 'сохранить в хранилище скрипта',                   'pt': 'armazenar no armazenamento do script',            'nl': 'opslaan in scriptopslag',                         'fr': 'enregistrer dans le stockage du script',          'it': 'salva nella memoria dello script',                'es': 'guardar en el almacenamiento del script',         'pl': 'zapisz w pamięci skryptu',                        'zh-cn': '存储到脚本存储'};
+Blockly.Words['storage_key']                          = {'en': 'key',                                             'de': 'Schlüssel',                                       'ru': 'ключ',                                            'pt': 'chave',                                           'nl': 'sleutel',                                         'fr': 'clé',                                             'it': 'chiave',                                          'es': 'clave',                                           'pl': 'klucz',                                           'zh-cn': '键'};
+Blockly.Words['storage_value']                        = {'en': 'value',                                           'de': 'Wert',                                            'ru': 'значение',                                        'pt': 'valor',                                           'nl': 'waarde',                                          'fr': 'valeur',                                          'it': 'valore',                                          'es': 'valor',                                           'pl': 'wartość',                                         'zh-cn': '值'};
+Blockly.Words['storage_set_tooltip']                  = {'en': 'Stores the value persistently for this script',   'de': 'Speichert den Wert dauerhaft für dieses Skript',  'ru': 'Сохраняет значение постоянно для этого скрипта',  'pt': 'Armazena o valor persistentemente para este script', 'nl': 'Slaat de waarde permanent op voor dit script',    'fr': 'Enregistre la valeur de façon persistante pour ce script', 'it': 'Memorizza il valore in modo persistente per questo script', 'es': 'Guarda el valor de forma persistente para este script', 'pl': 'Trwale zapisuje wartość dla tego skryptu',        'zh-cn': '为此脚本永久存储该值'};
+Blockly.Words['storage_get']                          = {'en': 'read from script storage',                        'de': 'aus Skriptspeicher lesen',                        'ru': 'прочитать из хранилища скрипта',                  'pt': 'ler do armazenamento do script',                  'nl': 'lezen uit scriptopslag',                          'fr': 'lire du stockage du script',                      'it': 'leggi dalla memoria dello script',                'es': 'leer del almacenamiento del script',              'pl': 'odczytaj z pamięci skryptu',                      'zh-cn': '从脚本存储读取'};
+Blockly.Words['storage_get_tooltip']                  = {'en': 'Returns the stored value of this script',         'de': 'Gibt den gespeicherten Wert dieses Skripts zurück', 'ru': 'Возвращает сохраненное значение этого скрипта',   'pt': 'Retorna o valor armazenado deste script',         'nl': 'Geeft de opgeslagen waarde van dit script terug', 'fr': 'Renvoie la valeur enregistrée de ce script',      'it': 'Restituisce il valore memorizzato di questo script', 'es': 'Devuelve el valor guardado de este script',       'pl': 'Zwraca zapisaną wartość tego skryptu',            'zh-cn': '返回此脚本的存储值'};
+Blockly.Words['storage_delete']                       = {'en': 'delete from script storage',                      'de': 'aus Skriptspeicher löschen',                      'ru': 'удалить из хранилища скрипта',                    'pt': 'excluir do armazenamento do script',              'nl': 'verwijderen uit scriptopslag',                    'fr': 'supprimer du stockage du script',                 'it': 'elimina dalla memoria dello script',              'es': 'eliminar del almacenamiento del script',          'pl': 'usuń z pamięci skryptu',                          'zh-cn': '从脚本存储删除'};
+Blockly.Words['storage_delete_tooltip']               = {'en': 'Deletes the stored value of this script',         'de': 'Löscht den gespeicherten Wert dieses Skripts',    'ru': 'Удаляет сохраненное значение этого скрипта',      'pt': 'Exclui o valor armazenado deste script',          'nl': 'Verwijdert de opgeslagen waarde van dit script',  'fr': 'Supprime la valeur enregistrée de ce script',     'it': 'Elimina il valore memorizzato di questo script',  'es': 'Elimina el valor guardado de este script',        'pl': 'Usuwa zapisaną wartość tego skryptu',             'zh-cn': '删除此脚本的存储值'};
+Blockly.Words['storage_help']                         = {'en': 'storage',                                         'de': 'storage',                                         'ru': 'storage',                                         'pt': 'storage',                                         'nl': 'storage',                                         'fr': 'storage',                                         'it': 'storage',                                         'es': 'storage',                                         'pl': 'storage',                                         'zh-cn': 'storage'};
+
 // --- system text --------------------------------------------------
 Blockly.Words['text_newline']                         = {'en': 'New line',                                        'de': 'Neue Zeile',                                      'ru': 'Новая строка',                                    'pt': 'Nova linha',                                      'nl': 'Nieuwe lijn',                                     'fr': 'Nouvelle ligne',                                  'it': 'Nuova linea',                                     'es': 'Nueva línea',                                     'pl': 'New line',                                        'zh-cn': '换行'};
 Blockly.Words['text_newline_tooltip']                 = {'en': 'Places new line in text',                         'de': 'Platziert eine neue Zeile im Text',               'ru': 'Размещение новой строки в тексте',                'pt': 'Coloca nova linha no texto',                      'nl': 'Plaatst nieuwe regel in tekst',                   'fr': 'Place une nouvelle ligne dans le texte',          'it': 'Inserisce una nuova riga nel testo',              'es': 'Coloca una nueva línea en el texto',              'pl': 'Places new line in text',                         'zh-cn': '在文本中添加换行'};
@@ -247,6 +258,27 @@ Blockly.Words['time_astro_default_format']            = {'en': 'YYYY.MM.DD hh:mm
 Blockly.Words['time_astro_tooltip']                   = {'en': 'Get actual time or ',                             'de': 'Sende eine Meldung über Telegram',                'ru': 'Послать сообщение через Telegram',                'pt': 'Receba o horário atual ou',                       'nl': 'Krijg actuele tijd of',                           'fr': 'Obtenez le temps réel ou',                        'it': 'Ottieni tempo reale o',                           'es': 'Obtenga tiempo real o',                           'pl': 'Get actual time or ',                             'zh-cn': '获取当前时间或当前时间加延时'};
 Blockly.Words['time_astro_help']                      = {'en': 'https://github.com/ioBroker/ioBroker.telegram/blob/master/README.md', 'de': 'https://github.com/ioBroker/ioBroker.telegram/blob/master/README.md', 'ru': 'https://github.com/ioBroker/ioBroker.telegram/blob/master/README.md', 'pt': 'https://github.com/ioBroker/ioBroker.telegram/blob/master/README.md', 'nl': 'https://github.com/ioBroker/ioBroker.telegram/blob/master/README.md', 'fr': 'https://github.com/ioBroker/ioBroker.telegram/blob/master/README.md', 'it': 'https://github.com/ioBroker/ioBroker.telegram/blob/master/README.md', 'es': 'https://github.com/ioBroker/ioBroker.telegram/blob/master/README.md', 'pl': 'https://github.com/ioBroker/ioBroker.telegram/blob/master/README.md', 'zh-cn': 'https://github.com/ioBroker/ioBroker.telegram/blob/master/README.md'};
 
+// --- time sun position --------------------------------------------------
+Blockly.Words['time_sun_position']                    = {'en': 'sun',                                             'de': 'Sonne',                                           'ru': 'солнце',                                          'pt': 'sol',                                             'nl': 'zon',                                             'fr': 'soleil',                                          'it': 'sole',                                            'es': 'sol',                                             'pl': 'słońce',                                          'zh-cn': '太阳'};
+Blockly.Words['time_sun_position_azimuth']            = {'en': 'azimuth (°)',                                     'de': 'Azimut (°)',                                      'ru': 'азимут (°)',                                      'pt': 'azimute (°)',                                     'nl': 'azimut (°)',                                      'fr': 'azimut (°)',                                      'it': 'azimut (°)',                                      'es': 'acimut (°)',                                      'pl': 'azymut (°)',                                      'zh-cn': '方位角（°）'};
+Blockly.Words['time_sun_position_elevation']          = {'en': 'elevation (°)',                                   'de': 'Höhe (°)',                                        'ru': 'высота (°)',                                      'pt': 'elevação (°)',                                    'nl': 'hoogte (°)',                                      'fr': 'élévation (°)',                                   'it': 'elevazione (°)',                                  'es': 'elevación (°)',                                   'pl': 'wysokość (°)',                                    'zh-cn': '高度角（°）'};
+Blockly.Words['time_sun_position_tooltip']            = {'en': 'Current position of the sun. Azimuth: 90° east, 180° south, 270° west', 'de': 'Aktuelle Position der Sonne. Azimut: 90° Osten, 180° Süden, 270° Westen', 'ru': 'Текущее положение солнца. Азимут: 90° восток, 180° юг, 270° запад', 'pt': 'Posição atual do sol. Azimute: 90° leste, 180° sul, 270° oeste', 'nl': 'Huidige positie van de zon. Azimut: 90° oost, 180° zuid, 270° west', 'fr': 'Position actuelle du soleil. Azimut : 90° est, 180° sud, 270° ouest', 'it': 'Posizione attuale del sole. Azimut: 90° est, 180° sud, 270° ovest', 'es': 'Posición actual del sol. Acimut: 90° este, 180° sur, 270° oeste', 'pl': 'Aktualna pozycja słońca. Azymut: 90° wschód, 180° południe, 270° zachód', 'zh-cn': '太阳的当前位置。方位角：90°东，180°南，270°西'};
+Blockly.Words['time_sun_position_help']               = {'en': 'getsunposition',                                  'de': 'getsunposition',                                  'ru': 'getsunposition',                                  'pt': 'getsunposition',                                  'nl': 'getsunposition',                                  'fr': 'getsunposition',                                  'it': 'getsunposition',                                  'es': 'getsunposition',                                  'pl': 'getsunposition',                                  'zh-cn': 'getsunposition'};
+// --- time moon --------------------------------------------------
+Blockly.Words['time_moon']                            = {'en': 'moon',                                            'de': 'Mond',                                            'ru': 'луна',                                            'pt': 'lua',                                             'nl': 'maan',                                            'fr': 'lune',                                            'it': 'luna',                                            'es': 'luna',                                            'pl': 'księżyc',                                         'zh-cn': '月亮'};
+Blockly.Words['time_moon_fraction']                   = {'en': 'illumination (%)',                                'de': 'Beleuchtung (%)',                                 'ru': 'освещённость (%)',                                'pt': 'iluminação (%)',                                  'nl': 'verlichting (%)',                                 'fr': 'illumination (%)',                                'it': 'illuminazione (%)',                               'es': 'iluminación (%)',                                 'pl': 'oświetlenie (%)',                                 'zh-cn': '照明度（%）'};
+Blockly.Words['time_moon_phase']                      = {'en': 'phase',                                           'de': 'Phase',                                           'ru': 'фаза',                                            'pt': 'fase',                                            'nl': 'fase',                                            'fr': 'phase',                                           'it': 'fase',                                            'es': 'fase',                                            'pl': 'faza',                                            'zh-cn': '月相'};
+Blockly.Words['time_moon_tooltip']                    = {'en': 'Illumination or phase of the moon (newMoon, waxingCrescent, firstQuarter, waxingGibbous, fullMoon, waningGibbous, lastQuarter, waningCrescent)', 'de': 'Beleuchtung oder Phase des Mondes (newMoon, waxingCrescent, firstQuarter, waxingGibbous, fullMoon, waningGibbous, lastQuarter, waningCrescent)', 'ru': 'Освещённость или фаза луны (newMoon, waxingCrescent, firstQuarter, waxingGibbous, fullMoon, waningGibbous, lastQuarter, waningCrescent)', 'pt': 'Iluminação ou fase da lua (newMoon, waxingCrescent, firstQuarter, waxingGibbous, fullMoon, waningGibbous, lastQuarter, waningCrescent)', 'nl': 'Verlichting of fase van de maan (newMoon, waxingCrescent, firstQuarter, waxingGibbous, fullMoon, waningGibbous, lastQuarter, waningCrescent)', 'fr': 'Illumination ou phase de la lune (newMoon, waxingCrescent, firstQuarter, waxingGibbous, fullMoon, waningGibbous, lastQuarter, waningCrescent)', 'it': 'Illuminazione o fase della luna (newMoon, waxingCrescent, firstQuarter, waxingGibbous, fullMoon, waningGibbous, lastQuarter, waningCrescent)', 'es': 'Iluminación o fase de la luna (newMoon, waxingCrescent, firstQuarter, waxingGibbous, fullMoon, waningGibbous, lastQuarter, waningCrescent)', 'pl': 'Oświetlenie lub faza księżyca (newMoon, waxingCrescent, firstQuarter, waxingGibbous, fullMoon, waningGibbous, lastQuarter, waningCrescent)', 'zh-cn': '月亮的照明度或月相（newMoon, waxingCrescent, firstQuarter, waxingGibbous, fullMoon, waningGibbous, lastQuarter, waningCrescent）'};
+Blockly.Words['time_moon_help']                       = {'en': 'getmoonillumination',                             'de': 'getmoonillumination',                             'ru': 'getmoonillumination',                             'pt': 'getmoonillumination',                             'nl': 'getmoonillumination',                             'fr': 'getmoonillumination',                             'it': 'getmoonillumination',                             'es': 'getmoonillumination',                             'pl': 'getmoonillumination',                             'zh-cn': 'getmoonillumination'};
+
+// --- time holiday --------------------------------------------------
+Blockly.Words['time_holiday']                         = {'en': 'is public holiday',                               'de': 'ist Feiertag',                                    'ru': 'праздничный день',                                'pt': 'é feriado',                                       'nl': 'is feestdag',                                     'fr': 'est un jour férié',                               'it': 'è festivo',                                       'es': 'es festivo',                                      'pl': 'jest świętem',                                    'zh-cn': '是公共假日'};
+Blockly.Words['time_holiday_today']                   = {'en': 'today',                                           'de': 'heute',                                           'ru': 'сегодня',                                         'pt': 'hoje',                                            'nl': 'vandaag',                                         'fr': 'aujourd\'hui',                                    'it': 'oggi',                                            'es': 'hoy',                                             'pl': 'dzisiaj',                                         'zh-cn': '今天'};
+Blockly.Words['time_holiday_tomorrow']                = {'en': 'tomorrow',                                        'de': 'morgen',                                          'ru': 'завтра',                                          'pt': 'amanhã',                                          'nl': 'morgen',                                          'fr': 'demain',                                          'it': 'domani',                                          'es': 'mañana',                                          'pl': 'jutro',                                           'zh-cn': '明天'};
+Blockly.Words['time_holiday_yesterday']               = {'en': 'yesterday',                                       'de': 'gestern',                                         'ru': 'вчера',                                           'pt': 'ontem',                                           'nl': 'gisteren',                                        'fr': 'hier',                                            'it': 'ieri',                                            'es': 'ayer',                                            'pl': 'wczoraj',                                         'zh-cn': '昨天'};
+Blockly.Words['time_holiday_tooltip']                 = {'en': 'Checks if the day is a public holiday in the configured country and region', 'de': 'Prüft, ob der Tag ein Feiertag im eingestellten Land und Region ist', 'ru': 'Проверяет, является ли день праздником в настроенной стране и регионе', 'pt': 'Verifica se o dia é feriado no país e na região configurados', 'nl': 'Controleert of de dag een feestdag is in het ingestelde land en de regio', 'fr': 'Vérifie si le jour est un jour férié dans le pays et la région configurés', 'it': 'Controlla se il giorno è festivo nel paese e nella regione configurati', 'es': 'Comprueba si el día es festivo en el país y la región configurados', 'pl': 'Sprawdza, czy dzień jest świętem w skonfigurowanym kraju i regionie', 'zh-cn': '检查该日是否为所配置国家和地区的公共假日'};
+Blockly.Words['time_holiday_help']                    = {'en': 'isholiday',                                       'de': 'isholiday',                                       'ru': 'isholiday',                                       'pt': 'isholiday',                                       'nl': 'isholiday',                                       'fr': 'isholiday',                                       'it': 'isholiday',                                       'es': 'isholiday',                                       'pl': 'isholiday',                                       'zh-cn': 'isholiday'};
+
 // --- TIMEOUTS --------------------------------------------------
 Blockly.Words['Timeouts']                             = {'en': 'Timeouts',                                        'de': 'Timeouts',                                        'ru': 'Timeouts',                                        'pt': 'Timeouts',                                        'nl': 'Time-outs',                                       'fr': 'Délais',                                          'it': 'Timeout',                                         'es': 'Tiempos de espera',                               'pl': 'Timeouts',                                        'zh-cn': '定时器'};
 
@@ -332,6 +364,9 @@ Blockly.Words['astro']                                = {'en': 'astro',
 Blockly.Words['astro_tooltip']                        = {'en': 'Do something on astrological event',              'de': 'Ausführen nach Astro-Ereignis',                   'ru': 'Выполнять по астро-событию',                      'pt': 'Executar após o evento astro',                    'nl': 'Doe iets over astrologische gebeurtenissen',      'fr': 'Faire quelque chose sur l\'événement astrologique', 'it': 'Fai qualcosa sull\'evento astrologico',           'es': 'Haz algo en el evento astrológico',               'pl': 'Do something on astrological event',              'zh-cn': '当设定的天文时间被触发后执行一些事'};
 Blockly.Words['astro_offset']                         = {'en': ', offset',                                        'de': ', Versatz',                                       'ru': ', сдвиг',                                         'pt': ', offset',                                        'nl': ', offset',                                        'fr': ', décalage',                                      'it': ', compensare',                                    'es': ', compensar',                                     'pl': ', offset',                                        'zh-cn': '，延时'};
 Blockly.Words['astro_minutes']                        = {'en': 'minutes',                                         'de': 'Minuten',                                         'ru': 'минут',                                           'pt': 'minutos',                                         'nl': 'notulen',                                         'fr': 'minutes',                                         'it': 'minuti',                                          'es': 'minutos',                                         'pl': 'minutes',                                         'zh-cn': '分钟'};
+Blockly.Words['astro_notBefore']                      = {'en': ', not before',                                    'de': ', nicht vor',                                     'ru': ', не раньше',                                     'pt': ', não antes',                                     'nl': ', niet voor',                                     'fr': ', pas avant',                                     'it': ', non prima',                                     'es': ', no antes',                                      'pl': ', nie przed',                                     'zh-cn': '，不早于'};
+Blockly.Words['astro_notAfter']                       = {'en': ', not after',                                     'de': ', nicht nach',                                    'ru': ', не позже',                                      'pt': ', não depois',                                    'nl': ', niet na',                                       'fr': ', pas après',                                     'it': ', non dopo',                                      'es': ', no después',                                    'pl': ', nie po',                                        'zh-cn': '，不晚于'};
+Blockly.Words['astro_random']                         = {'en': ', random ±',                                      'de': ', zufällig ±',                                    'ru': ', случайно ±',                                    'pt': ', aleatório ±',                                   'nl': ', willekeurig ±',                                 'fr': ', aléatoire ±',                                   'it': ', casuale ±',                                     'es': ', aleatorio ±',                                   'pl': ', losowo ±',                                      'zh-cn': '，随机 ±'};
 Blockly.Words['astro_sunriseText']                    = {'en': 'sunrise',                                         'de': 'Sonnenaufgang',                                   'ru': 'восход солнца',                                   'pt': 'nascer do sol',                                   'nl': 'zonsopkomst',                                     'fr': 'lever du soleil',                                 'it': 'Alba',                                            'es': 'amanecer',                                        'pl': 'sunrise',                                         'zh-cn': '日出'};
 Blockly.Words['astro_sunriseEndText']                 = {'en': 'sunrise end',                                     'de': 'Sonnenaufgang-Ende',                              'ru': 'конец восхода',                                   'pt': 'fim do nascer do sol',                            'nl': 'zonsopgang einde',                                'fr': 'fin du lever du soleil',                          'it': 'alba fine',                                       'es': 'salida del sol',                                  'pl': 'sunrise end',                                     'zh-cn': '日出结束'};
 Blockly.Words['astro_goldenHourEndText']              = {'en': 'golden hour end',                                 'de': '"Golden hour"-Ende',                              'ru': 'конец золотого часа',                             'pt': 'fim da hora dourada',                             'nl': 'gouden uureinde',                                 'fr': 'fin de l\'heure d\'or',                           'it': 'ora d\'oro fine',                                 'es': 'hora dorada',                                     'pl': 'golden hour end',                                 'zh-cn': '黄金时段结束'};
@@ -348,6 +383,16 @@ Blockly.Words['astro_dawnText']                       = {'en': 'dawn',
 Blockly.Words['astro_nadirText']                      = {'en': 'nadir',                                           'de': 'Nadir',                                           'ru': 'надир',                                           'pt': 'nadir',                                           'nl': 'nadir',                                           'fr': 'nadir',                                           'it': 'nadir',                                           'es': 'nadir',                                           'pl': 'nadir',                                           'zh-cn': '最低点'};
 Blockly.Words['astro_help']                           = {'en': 'astro--function',                                 'de': 'astro--function',                                 'ru': 'astro--function',                                 'pt': 'astro--function',                                 'nl': 'astro--function',                                 'fr': 'astro--function',                                 'it': 'astro--function',                                 'es': 'astro--function',                                 'pl': 'astro--function',                                 'zh-cn': 'astro--function'};
 
+// --- trigger sun position --------------------------------------------------
+Blockly.Words['sun_position']                         = {'en': 'when sun azimuth between',                        'de': 'wenn Sonnenazimut zwischen',                      'ru': 'когда азимут солнца между',                       'pt': 'quando o azimute do sol entre',                   'nl': 'wanneer zonneazimut tussen',                      'fr': 'quand l\'azimut du soleil entre',                 'it': 'quando l\'azimut del sole tra',                   'es': 'cuando el acimut del sol entre',                  'pl': 'gdy azymut słońca między',                        'zh-cn': '当太阳方位角介于'};
+Blockly.Words['sun_position_and']                     = {'en': 'and',                                             'de': 'und',                                             'ru': 'и',                                               'pt': 'e',                                               'nl': 'en',                                              'fr': 'et',                                              'it': 'e',                                               'es': 'y',                                               'pl': 'i',                                               'zh-cn': '和'};
+Blockly.Words['sun_position_elevation']               = {'en': '° and elevation above',                           'de': '° und Höhe über',                                 'ru': '° и высота больше',                               'pt': '° e elevação acima de',                           'nl': '° en hoogte boven',                               'fr': '° et élévation au-dessus de',                     'it': '° ed elevazione sopra',                           'es': '° y elevación por encima de',                     'pl': '° i wysokość powyżej',                            'zh-cn': '°且高度角高于'};
+Blockly.Words['sun_position_degrees']                 = {'en': '°',                                               'de': '°',                                               'ru': '°',                                               'pt': '°',                                               'nl': '°',                                               'fr': '°',                                               'it': '°',                                               'es': '°',                                               'pl': '°',                                               'zh-cn': '°'};
+Blockly.Words['sun_position_enter']                   = {'en': 'on entering',                                     'de': 'beim Eintreten',                                  'ru': 'при входе',                                       'pt': 'ao entrar',                                       'nl': 'bij binnenkomen',                                 'fr': 'à l\'entrée',                                     'it': 'all\'entrata',                                    'es': 'al entrar',                                       'pl': 'przy wejściu',                                    'zh-cn': '进入时'};
+Blockly.Words['sun_position_any']                     = {'en': 'on entering and leaving',                         'de': 'beim Eintreten und Verlassen',                    'ru': 'при входе и выходе',                              'pt': 'ao entrar e sair',                                'nl': 'bij binnenkomen en verlaten',                     'fr': 'à l\'entrée et à la sortie',                      'it': 'all\'entrata e all\'uscita',                      'es': 'al entrar y salir',                               'pl': 'przy wejściu i wyjściu',                          'zh-cn': '进入和离开时'};
+Blockly.Words['sun_position_tooltip']                 = {'en': 'Executes the statements when the sun enters the area. Azimuth: 90° east, 180° south, 270° west', 'de': 'Führt die Anweisungen aus, wenn die Sonne den Bereich betritt. Azimut: 90° Osten, 180° Süden, 270° Westen', 'ru': 'Выполняет команды, когда солнце входит в область. Азимут: 90° восток, 180° юг, 270° запад', 'pt': 'Executa as instruções quando o sol entra na área. Azimute: 90° leste, 180° sul, 270° oeste', 'nl': 'Voert de instructies uit wanneer de zon het gebied binnenkomt. Azimut: 90° oost, 180° zuid, 270° west', 'fr': 'Exécute les instructions quand le soleil entre dans la zone. Azimut : 90° est, 180° sud, 270° ouest', 'it': 'Esegue le istruzioni quando il sole entra nell\'area. Azimut: 90° est, 180° sud, 270° ovest', 'es': 'Ejecuta las instrucciones cuando el sol entra en el área. Acimut: 90° este, 180° sur, 270° oeste', 'pl': 'Wykonuje instrukcje, gdy słońce wchodzi w obszar. Azymut: 90° wschód, 180° południe, 270° zachód', 'zh-cn': '当太阳进入该区域时执行语句。方位角：90°东，180°南，270°西'};
+Blockly.Words['sun_position_help']                    = {'en': 'getsunposition',                                  'de': 'getsunposition',                                  'ru': 'getsunposition',                                  'pt': 'getsunposition',                                  'nl': 'getsunposition',                                  'fr': 'getsunposition',                                  'it': 'getsunposition',                                  'es': 'getsunposition',                                  'pl': 'getsunposition',                                  'zh-cn': 'getsunposition'};
+
 // --- trigger schedule --------------------------------------------------
 Blockly.Words['schedule_create']                      = {'en': 'schedule',                                        'de': 'Zeitplan',                                        'ru': 'Расписание',                                      'pt': 'cronograma',                                      'nl': 'planning',                                        'fr': 'programme',                                       'it': 'programma',                                       'es': 'programar',                                       'pl': 'schedule',                                        'zh-cn': '调度器'};
 Blockly.Words['schedule_create_name']                 = {'en': 'schedule',                                        'de': 'Zeitplan',                                        'ru': 'Расписание',                                      'pt': 'cronograma',                                      'nl': 'planning',                                        'fr': 'programme',                                       'it': 'programma',                                       'es': 'programar',                                       'pl': 'schedule',                                        'zh-cn': '调度器'};
@@ -130,6 +130,7 @@ class App extends Component {
             importFile: false,
             message: '',
             searchText: '',
+            gotoLine: null, // position in the script, that was clicked in the log
             themeType: window.localStorage ? window.localStorage.getItem('App.theme') || 'light' : 'light',
         };
         // this.logIndex = 0;
@@ -514,6 +515,7 @@ class App extends Component {
                         runningInstances={this.state.runningInstances}
                         menuOpened={this.state.menuOpened}
                         searchText={this.state.searchText}
+                        gotoLine={this.state.gotoLine}
                         theme={this.state.themeType}
                         onChange={(id, common) => this.onUpdateScript(id, common)}
                         onSelectedChange={(id, editing) => {
@@ -533,7 +535,8 @@ class App extends Component {
                         selected={this.state.selected && this.objects[this.state.selected] && this.objects[this.state.selected].type === 'script' ? this.state.selected : ''}
                         objects={this.objects}
                     />
-                    <Log key="log" verticalLayout={!this.state.logHorzLayout} onLayoutChange={() => this.toggleLogLayout()} editing={this.state.editing} connection={this.socket} selected={this.state.selected}/>
+                    <Log key="log" verticalLayout={!this.state.logHorzLayout} onLayoutChange={() => this.toggleLogLayout()} editing={this.state.editing} connection={this.socket} selected={this.state.selected}
+                         onGotoLine={(id, line, column) => this.setState({gotoLine: {id, line, column}})}/>
                 </SplitterLayout>
             </div>),
         ];
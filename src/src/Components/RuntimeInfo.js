@@ -0,0 +1,188 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {withStyles} from '@material-ui/core/styles/index';
+import Paper from '@material-ui/core/Paper';
+import IconButton from '@material-ui/core/IconButton';
+import Table from '@material-ui/core/Table';
+import TableHead from '@material-ui/core/TableHead';
+import TableBody from '@material-ui/core/TableBody';
+import TableRow from '@material-ui/core/TableRow';
+import TableCell from '@material-ui/core/TableCell';
+
+import {MdClose as IconClose} from 'react-icons/md';
+
+import I18n from '@iobroker/adapter-react/i18n';
+import DialogDelayedStates from '../Dialogs/DelayedStates';
+
+const PANEL_WIDTH = 420;
+
+const styles = theme => ({
+    panel: {
+        position: 'absolute',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: PANEL_WIDTH,
+        maxWidth: '100%',
+        zIndex: 5,
+        overflowY: 'auto',
+        overflowX: 'hidden',
+        padding: theme.spacing.unit
+    },
+    header: {
+        display: 'flex',
+        alignItems: 'center',
+        fontWeight: 'bold'
+    },
+    title: {
+        flex: 1
+    },
+    closeButton: {
+        padding: 4
+    },
+    section: {
+        marginTop: theme.spacing.unit * 2,
+        fontWeight: 'bold'
+    },
+    empty: {
+        padding: theme.spacing.unit,
+        fontStyle: 'italic'
+    },
+    cell: {
+        padding: '2px 8px',
+        wordBreak: 'break-all'
+    }
+});
+
+// the info is read again every UPDATE_INTERVAL ms, so the "left" times and the trigger counters are live
+const UPDATE_INTERVAL = 1000;
+
+class RuntimeInfo extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            info: null,
+            error: ''
+        };
+        this.updateTimer = null;
+    }
+
+    componentDidMount() {
+        this.update();
+    }
+
+    componentDidUpdate(prevProps) {
+        if (prevProps.name !== this.props.name || prevProps.instance !== this.props.instance) {
+            this.updateTimer && clearTimeout(this.updateTimer);
+            this.setState({info: null, error: ''}, () => this.update());
+        }
+    }
+
+    componentWillUnmount() {
+        this.updateTimer && clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+        this.unmounted = true;
+    }
+
+    update() {
+        this.updateTimer = null;
+        if (!this.props.instance) {
+            return this.setState({error: I18n.t('No running instance')});
+        }
+        const name = this.props.name;
+        this.props.connection.sendTo(this.props.instance, 'getScriptRuntimeInfo', {name}, result => {
+            // ignore the answers for the previously selected script
+            if (this.unmounted || name !== this.props.name) {
+                return;
+            }
+            const info = result && result.scripts && result.scripts[name];
+            this.setState({info: info || null, error: info ? info.error || '' : I18n.t('Script is not running')});
+            this.updateTimer = setTimeout(() => this.update(), UPDATE_INTERVAL);
+        });
+    }
+
+    static formatPattern(pattern) {
+        return typeof pattern === 'object' ? JSON.stringify(pattern) : String(pattern);
+    }
+
+    static formatTime(ts) {
+        return ts ? new Date(ts).toLocaleTimeString() : '-';
+    }
+
+    getTable(title, items, columns) {
+        const classes = this.props.classes;
+        return [
+            (<div key={title + '_title'} className={classes.section}>{I18n.t(title)} ({items.length})</div>),
+            items.length ?
+                (<Table key={title + '_table'} padding="dense">
+                    <TableHead>
+                        <TableRow>
+                            {columns.map(column => (<TableCell key={column.title} className={classes.cell}>{I18n.t(column.title)}</TableCell>))}
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {items.map((item, i) => (<TableRow key={i}>
+                            {columns.map(column => (<TableCell key={column.title} className={classes.cell}>{column.get(item)}</TableCell>))}
+                        </TableRow>))}
+                    </TableBody>
+                </Table>) :
+                (<div key={title + '_empty'} className={classes.empty}>{I18n.t('none')}</div>)
+        ];
+    }
+
+    getContent() {
+        if (this.state.error) {
+            return (<div className={this.props.classes.empty}>{this.state.error}</div>);
+        }
+        const info = this.state.info;
+        if (!info) {
+            return null;
+        }
+        return [
+            this.getTable('Subscriptions', info.subscriptions, [
+                {title: 'Pattern', get: subs => RuntimeInfo.formatPattern(subs.pattern)},
+                {title: 'Triggered', get: subs => subs.triggered},
+                {title: 'Last trigger', get: subs => RuntimeInfo.formatTime(subs.lastTrigger)}
+            ]),
+            this.getTable('Schedules', info.schedules, [
+                {title: 'Type', get: schedule => schedule.type},
+                {title: 'Pattern', get: schedule => RuntimeInfo.formatPattern(schedule.pattern)},
+                {title: 'Next run', get: schedule => schedule.next ? new Date(schedule.next).toLocaleString() : '-'}
+            ]),
+            this.getTable('Timeouts', info.timeouts, [
+                {title: 'Delay', get: timer => timer.ms + ' ms'},
+                {title: 'Left', get: timer => DialogDelayedStates.formatLeft(timer.left)}
+            ]),
+            this.getTable('Intervals', info.intervals, [
+                {title: 'Interval', get: timer => timer.ms + ' ms'},
+                {title: 'Next run', get: timer => DialogDelayedStates.formatLeft(timer.left)}
+            ]),
+            this.getTable('Delayed states', info.delayedStates, [
+                {title: 'State ID', get: timer => timer.id},
+                {title: 'Value', get: timer => JSON.stringify(timer.val) + (timer.ack ? ' (ack)' : '')},
+                {title: 'Left', get: timer => DialogDelayedStates.formatLeft(timer.left)}
+            ])
+        ];
+    }
+
+    render() {
+        const classes = this.props.classes;
+        return (<Paper className={classes.panel} elevation={4}>
+            <div className={classes.header}>
+                <span className={classes.title}>{I18n.t('Runtime information')}</span>
+                <IconButton className={classes.closeButton} title={I18n.t('Close')} onClick={() => this.props.onClose()}><IconClose/></IconButton>
+            </div>
+            {this.getContent()}
+        </Paper>);
+    }
+}
+
+RuntimeInfo.propTypes = {
+    classes: PropTypes.object,
+    name: PropTypes.string.isRequired,
+    instance: PropTypes.string,
+    connection: PropTypes.object,
+    onClose: PropTypes.func
+};
+
+export default withStyles(styles)(RuntimeInfo);
@@ -45,6 +45,11 @@ const styles = theme => ({
         marginTop: 0,
         marginLeft: 5
     },
+    inputExclude: {
+        width: 300,
+        marginTop: 0,
+        marginLeft: 5
+    },
     inputEvery: {
         width: 40,
         marginLeft: 5,
@@ -203,6 +208,10 @@ const DEFAULT = {
 
         mode: 'hours',
         interval: 1,
+
+        notBefore: '',
+        notAfter: '',
+        randomOffset: 0,
     },
     period: {
         once: '',
@@ -215,10 +224,13 @@ const DEFAULT = {
         years: 0,
         yearMonth: 0,
         yearDate: 0,
+
+        holiday: '',
     },
     valid: {
         from: '',
-        to: ''
+        to: '',
+        exclude: []
     }
 };
 function string2USdate(date) {
@@ -228,6 +240,19 @@ function string2USdate(date) {
     }
 
 }
+// excluded dates are edited as text: one date (24.12.2019), date of every year (24.12) or range (01.08.2019 - 15.08.2019) per line
+function exclude2text(exclude) {
+    return (exclude || []).map(entry => typeof entry === 'object' ? entry.from + ' - ' + entry.to : entry).join('\n');
+}
+function text2exclude(text) {
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(line => line)
+        .map(line => {
+            const parts = line.split('-').map(part => part.trim());
+            return parts.length === 2 ? {from: parts[0], to: parts[1]} : line;
+        });
+}
 class Schedule extends React.Component {
     constructor(props) {
         super(props);
@@ -253,6 +278,7 @@ class Schedule extends React.Component {
 
         this.state = {
             schedule,
+            excludeText: exclude2text(schedule.valid.exclude),
             desc: this.state2text(schedule)
         };
 
@@ -266,6 +292,7 @@ class Schedule extends React.Component {
         if (force || isDiff) {
             isDiff && this.setState({schedule, desc: this.state2text(schedule)});
             const copy = JSON.parse(JSON.stringify(schedule));
+            const holiday = copy.period.holiday;
             if (copy.period.once) {
                 let once = copy.period.once;
                 delete copy.period;
@@ -309,6 +336,9 @@ class Schedule extends React.Component {
                     copy.period.yearMonth = yearMonth;
                 }
             }
+            if (holiday && !copy.period.once) {
+                copy.period.holiday = holiday;
+            }
 
             if (copy.time.exactTime) {
                 delete copy.time.end;
@@ -317,10 +347,24 @@ class Schedule extends React.Component {
             } else {
                 delete copy.time.exactTime;
             }
+            // limits and random offset are only for the exact astro time
+            const isAstro = copy.time.exactTime && ASTRO.indexOf(copy.time.start) !== -1;
+            if (!isAstro || !copy.time.notBefore) {
+                delete copy.time.notBefore;
+            }
+            if (!isAstro || !copy.time.notAfter) {
+                delete copy.time.notAfter;
+            }
+            if (!isAstro || !copy.time.randomOffset) {
+                delete copy.time.randomOffset;
+            }
             if (copy.valid) {
                 if (!copy.valid.to) {
                     delete copy.valid.to;
                 }
+                if (!copy.valid.exclude || !copy.valid.exclude.length) {
+                    delete copy.valid.exclude;
+                }
                 if (copy.period.days === 1 || copy.period.weeks === 1 || copy.period.months === 1 || copy.period.years === 1) {
                     const from = this.string2date(copy.valid.from);
                     const today = new Date();
@@ -332,7 +376,7 @@ class Schedule extends React.Component {
                         delete copy.valid.from;
                     }
                 }
-                if (!copy.valid.from && !copy.valid.to) {
+                if (!copy.valid.from && !copy.valid.to && !copy.valid.exclude) {
                     delete copy.valid;
                 }
             }
@@ -483,6 +527,18 @@ class Schedule extends React.Component {
             if (ASTRO.indexOf(schedule.time.start) !== -1) {
                 // at sunset
                 desc.push(I18n.t('sch_desc_atTime', I18n.t('sch_astro_' + schedule.time.start)));
+                if (schedule.time.randomOffset) {
+                    // +/- 15 minutes
+                    desc.push(I18n.t('sch_desc_randomOffset', schedule.time.randomOffset));
+                }
+                if (schedule.time.notBefore) {
+                    // but not before 06:30
+                    desc.push(I18n.t('sch_desc_notBefore', schedule.time.notBefore));
+                }
+                if (schedule.time.notAfter) {
+                    // but not after 08:00
+                    desc.push(I18n.t('sch_desc_notAfter', schedule.time.notAfter));
+                }
             } else {
                 // at HH:MM
                 desc.push(I18n.t('sch_desc_atTime', schedule.time.start));
@@ -525,6 +581,17 @@ class Schedule extends React.Component {
                 // till XXXX
                 desc.push(I18n.t('sch_desc_validTo', schedule.valid.to));
             }
+            if (schedule.valid.exclude && schedule.valid.exclude.length) {
+                // except 24.12.2019, 01.08.2019 - 15.08.2019
+                desc.push(I18n.t('sch_desc_exclude', exclude2text(schedule.valid.exclude).split('\n').join(', ')));
+            }
+            if (schedule.period.holiday === 'exclude') {
+                // not on public holidays
+                desc.push(I18n.t('sch_desc_holiday_exclude'));
+            } else if (schedule.period.holiday === 'only') {
+                // only on public holidays
+                desc.push(I18n.t('sch_desc_holiday_only'));
+            }
         }
         return desc.join(' ');
     }
@@ -649,6 +716,7 @@ class Schedule extends React.Component {
                     {ASTRO.map(event => (<MenuItem key={event} value={event}>{I18n.t('sch_astro_' + event)}</MenuItem>))}
                 </Select>)
             }
+            {this.state.schedule.time.exactTime && isAstro && this.getAstroLimits()}
             {this.state.schedule.time.exactTime && !isAstro &&
                 (<div className={this.props.classes.settingsDiv}><TextField
                     className={this.props.classes.inputTime}
@@ -668,6 +736,56 @@ class Schedule extends React.Component {
         </div>)
     }
 
+    getAstroLimits() {
+        return (<div className={this.props.classes.settingsDiv}>
+            <TextField
+                className={this.props.classes.inputTime}
+                style={{marginRight: 10}}
+                key="notBefore"
+                type="time"
+                value={this.state.schedule.time.notBefore || ''}
+                onChange={e => {
+                    const _schedule = JSON.parse(JSON.stringify(this.state.schedule));
+                    _schedule.time.notBefore = e.target.value;
+                    this.onChange(_schedule);
+                }}
+                InputLabelProps={{shrink: true,}}
+                label={I18n.t('sch_notBefore')}
+                margin="normal"
+            />
+            <TextField
+                className={this.props.classes.inputTime}
+                style={{marginRight: 10}}
+                key="notAfter"
+                type="time"
+                value={this.state.schedule.time.notAfter || ''}
+                onChange={e => {
+                    const _schedule = JSON.parse(JSON.stringify(this.state.schedule));
+                    _schedule.time.notAfter = e.target.value;
+                    this.onChange(_schedule);
+                }}
+                InputLabelProps={{shrink: true,}}
+                label={I18n.t('sch_notAfter')}
+                margin="normal"
+            />
+            <TextField
+                className={this.props.classes.inputTime}
+                key="randomOffset"
+                type="number"
+                inputProps={{min: 0}}
+                value={this.state.schedule.time.randomOffset || 0}
+                onChange={e => {
+                    const _schedule = JSON.parse(JSON.stringify(this.state.schedule));
+                    _schedule.time.randomOffset = Math.abs(parseInt(e.target.value, 10)) || 0;
+                    this.onChange(_schedule);
+                }}
+                InputLabelProps={{shrink: true,}}
+                label={I18n.t('sch_randomOffset')}
+                margin="normal"
+            />
+        </div>);
+    }
+
     getDivider() {
         return (<hr className={this.props.classes.hr}/>);
     }
@@ -1373,6 +1491,56 @@ class Schedule extends React.Component {
         );
     }
 
+    getExcludeSettings() {
+        return (
+            <div className={this.props.classes.rowDiv}>
+                <div className={this.props.classes.modeDiv} style={{verticalAlign: 'middle'}}>
+                    <span style={{fontWeight: 'bold', paddingRight: 10}}>{I18n.t('sch_exclude')}</span>
+                </div>
+                <div className={this.props.classes.settingsDiv}>
+                    <TextField
+                        className={this.props.classes.inputExclude}
+                        key="exclude"
+                        multiline
+                        rows={3}
+                        value={this.state.excludeText}
+                        onChange={e => {
+                            const _schedule = JSON.parse(JSON.stringify(this.state.schedule));
+                            _schedule.valid.exclude = text2exclude(e.target.value);
+                            this.setState({excludeText: e.target.value});
+                            this.onChange(_schedule);
+                        }}
+                        helperText={I18n.t('sch_exclude_help')}
+                        margin="normal"
+                    />
+                </div>
+            </div>
+        );
+    }
+
+    getHolidaySettings() {
+        return (
+            <div className={this.props.classes.rowDiv}>
+                <div className={this.props.classes.modeDiv} style={{verticalAlign: 'middle'}}>
+                    <span style={{fontWeight: 'bold', paddingRight: 10}}>{I18n.t('sch_holiday')}</span>
+                </div>
+                <div className={this.props.classes.settingsDiv}>
+                    <Select value={this.state.schedule.period.holiday || ''}
+                        onChange={e => {
+                            const _schedule = JSON.parse(JSON.stringify(this.state.schedule));
+                            _schedule.period.holiday = e.target.value;
+                            this.onChange(_schedule);
+                        }}
+                    >
+                        <MenuItem key="ignore" value="">{I18n.t('sch_holiday_ignore')}</MenuItem>
+                        <MenuItem key="exclude" value="exclude">{I18n.t('sch_holiday_exclude')}</MenuItem>
+                        <MenuItem key="only" value="only">{I18n.t('sch_holiday_only')}</MenuItem>
+                    </Select>
+                </div>
+            </div>
+        );
+    }
+
     render() {
         return (<div style={{height: 'calc(100% - 48px)', width: '100%', overflow: 'hidden'}}>
             <div>{this.state.desc}</div>
@@ -1385,6 +1553,8 @@ class Schedule extends React.Component {
                 {this.getPeriodModes()}
                 {!this.state.schedule.period.once && this.getDivider()}
                 {!this.state.schedule.period.once && this.getValidSettings()}
+                {!this.state.schedule.period.once && this.getExcludeSettings()}
+                {!this.state.schedule.period.once && this.getHolidaySettings()}
             </div>
         </div>);
     }
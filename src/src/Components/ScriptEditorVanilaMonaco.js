@@ -9,6 +9,12 @@ function isIdOfGlobalScript(id) {
     return /^script\.js\.global\./.test(id);
 }
 let index = 0;
+
+// the TypeScript source is compiled in the javascript instance CHECK_DELAY ms after the last change
+const CHECK_DELAY = 1000;
+// owner of the markers with the errors of the compilation in the instance
+const MARKERS_OWNER = 'javascript.instance';
+
 class ScriptEditor extends React.Component {
     constructor(props) {
         super(props);
@@ -29,6 +35,10 @@ class ScriptEditor extends React.Component {
         this.globalTypingHandles  = [];
         this.typings = {}; // TypeScript declarations
         this.lastSearch = '';
+        this.gotoLine = null;
+        this.checkTimer = null;
+        this.scriptAdapterInstance = null;
+        this.jsCompilerOptions = null; // the compiler options of the instance are used only for TypeScript
     }
 
     waitForMonaco(cb) {
@@ -77,15 +87,28 @@ class ScriptEditor extends React.Component {
                 automaticLayout: true
             });
 
-            this.editor.onDidChangeModelContent(e =>
-                this.onChange(this.editor.getValue()));
+            this.editor.onDidChangeModelContent(e => {
+                this.onChange(this.editor.getValue());
+                this.scheduleTypeScriptCheck();
+            });
 
             // Load typings for the JS editor
             /** @type {string} */
             let scriptAdapterInstance = this.props.connection.getScripts().instances[0];
             if (scriptAdapterInstance || scriptAdapterInstance === 0) {
                 this.props.connection.sendTo('javascript.' + scriptAdapterInstance, 'loadTypings', null, result => {
+                    this.scriptAdapterInstance = scriptAdapterInstance;
+                    if (!result) {
+                        return console.error('failed to load typings: no answer of the instance');
+                    }
+                    if (result.compilerOptions) {
+                        const compilerOptions = this.monaco.languages.typescript.typescriptDefaults['getCompilerOptions']();
+                        this.jsCompilerOptions = {};
+                        Object.keys(result.compilerOptions).forEach(option => this.jsCompilerOptions[option] = compilerOptions[option]);
+                        this.state.language === 'typescript' && this.setCompilerOptions(result.compilerOptions);
+                    }
                     this.setState({alive: true, check: true});
+                    this.scheduleTypeScriptCheck();
                     this.setTypeCheck(true);
                     if (result.typings) {
                         this.typings = result.typings;
@@ -128,6 +151,8 @@ class ScriptEditor extends React.Component {
     }
 
     componentWillUnmount() {
+        this.checkTimer && clearTimeout(this.checkTimer);
+        this.checkTimer = null;
         if (this.editor) {
             this.props.onRegisterSelect && this.props.onRegisterSelect(null);
             this.editor.dispose();
@@ -157,7 +182,8 @@ class ScriptEditor extends React.Component {
                 : language === 'typescript' ? 'ts'
                 : language === 'coffee' ? 'coffee'
                     : language;
-        // get rid of the original model
+        // get rid of the original model and of its markers of the instance
+        this.monaco.editor.setModelMarkers(model, MARKERS_OWNER, []);
         model.dispose();
         // Both JS and TS need the model to work in TypeScript as the script type
         // is inferred from the file extension
@@ -167,6 +193,77 @@ class ScriptEditor extends React.Component {
             code, newLanguage, this.monaco.Uri.from({path: `${filenameWithoutExtension}${index++}.${extension}`})
         );
         this.editor.setModel(newModel);
+        this.scheduleTypeScriptCheck();
+    }
+
+    scheduleTypeScriptCheck() {
+        this.checkTimer && clearTimeout(this.checkTimer);
+        this.checkTimer = setTimeout(() => this.checkTypeScript(), CHECK_DELAY);
+    }
+
+    /**
+     * Compiles the TypeScript source in the javascript instance like on the start of the script
+     * and shows the errors as markers, so they are visible before the script is saved
+     */
+    checkTypeScript() {
+        this.checkTimer = null;
+        if (this.editor && this.state.language !== 'typescript') {
+            this.setCompilerOptions(this.jsCompilerOptions);
+        }
+        if (!this.editor) {
+            return;
+        }
+        const model = this.editor.getModel();
+        if (this.scriptAdapterInstance === null || this.state.language !== 'typescript' || !this.props.name) {
+            // the errors of a former check are not valid anymore
+            return this.monaco.editor.setModelMarkers(model, MARKERS_OWNER, []);
+        }
+        const source = model.getValue();
+        this.props.connection.sendTo('javascript.' + this.scriptAdapterInstance, 'getTypeScriptDiagnostics', {name: this.props.name, source}, result => {
+            if (!result) {
+                return;
+            }
+            // the source was changed or the editor was closed meanwhile
+            if (!this.editor || model.isDisposed() || model.getValue() !== source) {
+                return;
+            }
+            // the options of the instance with the changes in the header of the script
+            this.setCompilerOptions(result.compilerOptions);
+            const severities = {
+                error:   this.monaco.MarkerSeverity.Error,
+                warning: this.monaco.MarkerSeverity.Warning
+            };
+            // the errors, that the TypeScript worker of the editor reports itself, would be shown twice
+            const ownMarkers = this.monaco.editor.getModelMarkers({owner: model.getModeId(), resource: model.uri});
+            const isReported = diag => ownMarkers.some(marker =>
+                marker.startLineNumber === diag.line && marker.startColumn === diag.column && marker.message === diag.message);
+            const lines = model.getLineCount();
+            const markers = (result.diagnostics || []).filter(diag => !isReported(diag)).map(diag => {
+                const line = Math.min(Math.max(diag.line, 1), lines);
+                const word = model.getWordAtPosition({lineNumber: line, column: diag.column});
+                return {
+                    startLineNumber: line,
+                    startColumn:     diag.column,
+                    endLineNumber:   line,
+                    endColumn:       word ? word.endColumn : diag.column + 1,
+                    message:         diag.message,
+                    severity:        severities[diag.severity] || this.monaco.MarkerSeverity.Info
+                };
+            });
+            this.monaco.editor.setModelMarkers(model, MARKERS_OWNER, markers);
+        });
+    }
+
+    /**
+     * Changes the compiler options of the editor, so the script is checked like in the instance
+     * @param {Record<string, any>} options
+     */
+    setCompilerOptions(options) {
+        if (!options) return;
+        const compilerOptions = this.monaco.languages.typescript.typescriptDefaults['getCompilerOptions']();
+        if (Object.keys(options).every(option => compilerOptions[option] === options[option])) return;
+        Object.keys(options).forEach(option => compilerOptions[option] = options[option]);
+        this.monaco.languages.typescript.typescriptDefaults.setCompilerOptions(compilerOptions);
     }
 
     /**
@@ -241,6 +338,16 @@ class ScriptEditor extends React.Component {
         }
     }
 
+    /**
+     * Shows the position in the script, e.g. of an error in the log
+     * @param {{id: string, line: number, column: number}} position
+     */
+    showPosition(position) {
+        this.editor.revealLineInCenter(position.line);
+        this.editor.setPosition({lineNumber: position.line, column: position.column || 1});
+        this.editor.focus();
+    }
+
     UNSAFE_componentWillReceiveProps(nextProps) {
         const options = {};
         if (this.state.name !== nextProps.name) {
@@ -261,6 +368,11 @@ class ScriptEditor extends React.Component {
             this.highlightText(this.lastSearch);
         }
 
+        if (nextProps.gotoLine !== this.gotoLine) {
+            this.gotoLine = nextProps.gotoLine;
+            this.editor && this.gotoLine && this.gotoLine.id === nextProps.name && this.showPosition(this.gotoLine);
+        }
+
         if (this.state.language !== (nextProps.language || 'javascript')) {
             this.setState({language: nextProps.language || 'javascript'});
             options.language = nextProps.language || 'javascript';
@@ -322,6 +434,7 @@ ScriptEditor.propTypes = {
     language: PropTypes.string,
     onRegisterSelect: PropTypes.func,
     searchText: PropTypes.string,
+    gotoLine: PropTypes.object,
     checkJs: PropTypes.bool,
     changed: PropTypes.bool,
 };
@@ -26,9 +26,23 @@ const styles = theme => ({
     },
     dialogPaper: {
         height: 'calc(100% - 96px)'
+    },
+    nextRuns: {
+        flexGrow: 1,
+        paddingLeft: theme.spacing.unit * 2,
+        fontSize: 12,
+        overflow: 'hidden',
+        whiteSpace: 'nowrap',
+        textOverflow: 'ellipsis'
+    },
+    nextRunsError: {
+        color: 'red'
     }
 });
 
+// number of next executions, that are shown in the preview
+const NEXT_RUNS_COUNT = 5;
+
 class DialogCron extends React.Component {
     constructor(props) {
         super(props);
@@ -48,8 +62,58 @@ class DialogCron extends React.Component {
                 'simple' :
                 (typeof cron === 'object' || cron[0] === '{' ?
                     'wizard' :
-                    (SimpleCron.cron2state(this.props.cron || '* * * * *') ? 'simple' : 'complex'))
+                    (SimpleCron.cron2state(this.props.cron || '* * * * *') ? 'simple' : 'complex')),
+            nextRuns: null,
+            nextRunsError: ''
         };
+        this.nextRunsTimer = null;
+    }
+
+    componentDidMount() {
+        this.updateNextRuns();
+    }
+
+    componentWillUnmount() {
+        this.nextRunsTimer && clearTimeout(this.nextRunsTimer);
+        this.nextRunsTimer = null;
+    }
+
+    updateNextRuns() {
+        const instance = this.props.connection && this.props.connection.getScripts().instances[0];
+        if (!instance && instance !== 0) {
+            return;
+        }
+        this.nextRunsTimer && clearTimeout(this.nextRunsTimer);
+        // ask the adapter only if the user stopped typing
+        this.nextRunsTimer = setTimeout(() => {
+            this.nextRunsTimer = null;
+            const pattern = this.state.cron;
+            this.props.connection.sendTo('javascript.' + instance, 'getNextRuns', {pattern, count: NEXT_RUNS_COUNT}, result => {
+                // ignore the answers for outdated patterns or of a closed dialog
+                if (!this.nextRunsTimer && pattern === this.state.cron) {
+                    result = result || {};
+                    this.setState({nextRuns: result.runs || null, nextRunsError: result.error || ''});
+                }
+            });
+        }, 500);
+    }
+
+    setCron(cron) {
+        this.setState({cron}, () => this.updateNextRuns());
+    }
+
+    getNextRuns() {
+        if (this.state.nextRunsError) {
+            return (<div className={this.props.classes.nextRuns + ' ' + this.props.classes.nextRunsError}>{this.state.nextRunsError}</div>);
+        } else if (this.state.nextRuns) {
+            const text = this.state.nextRuns.length ?
+                this.state.nextRuns.map(ts => new Date(ts).toLocaleString()).join(', ') :
+                I18n.t('never');
+
+            return (<div className={this.props.classes.nextRuns} title={text}>{I18n.t('Next executions:')} {text}</div>);
+        } else {
+            return (<div className={this.props.classes.nextRuns}/>);
+        }
     }
 
     handleCancel() {
@@ -101,23 +165,24 @@ class DialogCron extends React.Component {
                     {this.state.mode === 'simple' &&
                         (<SimpleCron
                             cronExpression={this.state.cron}
-                            onChange={cron => this.setState({cron})}
+                            onChange={cron => this.setCron(cron)}
                             language={I18n.getLanguage()}
                         />)}
                     {this.state.mode === 'wizard' &&
                         (<Schedule
                             schedule={this.state.cron}
-                            onChange={cron => this.setState({cron})}
+                            onChange={cron => this.setCron(cron)}
                             language={I18n.getLanguage()}
                         />)}
                     {this.state.mode === 'complex' &&
                         (<ComplexCron
                             cronExpression={this.state.cron}
-                            onChange={cron => this.setState({cron})}
+                            onChange={cron => this.setCron(cron)}
                             language={I18n.getLanguage()}
                         />)}
                 </DialogContent>
                 <DialogActions>
+                    {this.getNextRuns()}
                     <Button onClick={() => this.handleOk()}     color="primary">{this.props.ok || I18n.t('Ok')}</Button>
                     <Button onClick={() => this.handleCancel()} color="secondary">{this.props.cancel || I18n.t('Cancel')}</Button>
                 </DialogActions>
@@ -135,7 +200,8 @@ DialogCron.propTypes = {
     cancel: PropTypes.string,
     ok: PropTypes.string,
     simple: PropTypes.bool,
-    language: PropTypes.string
+    language: PropTypes.string,
+    connection: PropTypes.object
 
 };
 
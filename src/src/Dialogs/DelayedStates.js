@@ -0,0 +1,134 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {withStyles} from '@material-ui/core/styles/index';
+import Button from '@material-ui/core/Button';
+import DialogTitle from '@material-ui/core/DialogTitle';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogActions from '@material-ui/core/DialogActions';
+import Dialog from '@material-ui/core/Dialog';
+import Table from '@material-ui/core/Table';
+import TableHead from '@material-ui/core/TableHead';
+import TableBody from '@material-ui/core/TableBody';
+import TableRow from '@material-ui/core/TableRow';
+import TableCell from '@material-ui/core/TableCell';
+
+import I18n from '@iobroker/adapter-react/i18n';
+
+const styles = theme => ({
+    dialogPaper: {
+        height: 'calc(100% - 96px)'
+    },
+    empty: {
+        padding: theme.spacing.unit * 2,
+        fontStyle: 'italic'
+    },
+    persistent: {
+        fontWeight: 'bold'
+    }
+});
+
+// the list is read again every UPDATE_INTERVAL ms, so "left" is up to date
+const UPDATE_INTERVAL = 1000;
+
+class DialogDelayedStates extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            timers: null,
+            error: ''
+        };
+        this.updateTimer = null;
+    }
+
+    componentDidMount() {
+        this.update();
+    }
+
+    componentWillUnmount() {
+        this.updateTimer && clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+        this.unmounted = true;
+    }
+
+    update() {
+        const instance = this.props.connection && this.props.connection.getScripts().instances[0];
+        if (!instance && instance !== 0) {
+            return this.setState({error: I18n.t('No running instance')});
+        }
+        this.props.connection.sendTo('javascript.' + instance, 'getStateDelayed', null, result => {
+            if (this.unmounted) {
+                return;
+            }
+            this.setState({timers: (result && result.timers) || [], error: ''});
+            this.updateTimer = setTimeout(() => this.update(), UPDATE_INTERVAL);
+        });
+    }
+
+    static formatLeft(ms) {
+        const seconds = Math.max(Math.round(ms / 1000), 0);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return (hours ? hours + ':' + ('0' + minutes).slice(-2) : minutes) + ':' + ('0' + (seconds % 60)).slice(-2);
+    }
+
+    getTable() {
+        if (this.state.error) {
+            return (<div className={this.props.classes.empty}>{this.state.error}</div>);
+        }
+        if (!this.state.timers) {
+            return null;
+        }
+        if (!this.state.timers.length) {
+            return (<div className={this.props.classes.empty}>{I18n.t('No delayed states')}</div>);
+        }
+        return (<Table padding="dense">
+            <TableHead>
+                <TableRow>
+                    <TableCell>{I18n.t('State ID')}</TableCell>
+                    <TableCell>{I18n.t('Value')}</TableCell>
+                    <TableCell>{I18n.t('Script')}</TableCell>
+                    <TableCell>{I18n.t('Due')}</TableCell>
+                    <TableCell>{I18n.t('Left')}</TableCell>
+                    <TableCell>{I18n.t('Persistent')}</TableCell>
+                </TableRow>
+            </TableHead>
+            <TableBody>
+                {this.state.timers.map(timer => (<TableRow key={timer.id + '_' + timer.timerId}>
+                    <TableCell>{timer.id}</TableCell>
+                    <TableCell>{JSON.stringify(timer.val)}{timer.ack ? ' (ack)' : ''}</TableCell>
+                    <TableCell>{timer.script.replace(/^script\.js\./, '')}</TableCell>
+                    <TableCell>{new Date(timer.due).toLocaleString()}</TableCell>
+                    <TableCell>{DialogDelayedStates.formatLeft(timer.left)}</TableCell>
+                    <TableCell className={timer.persistent ? this.props.classes.persistent : ''}>{timer.persistent ? I18n.t('yes') : I18n.t('no')}</TableCell>
+                </TableRow>))}
+            </TableBody>
+        </Table>);
+    }
+
+    render() {
+        return (
+            <Dialog
+                maxWidth="lg"
+                fullWidth={true}
+                open={true}
+                classes={{paper: this.props.classes.dialogPaper}}
+                onClose={() => this.props.onClose()}
+                aria-labelledby="delayed-states-dialog-title"
+            >
+                <DialogTitle id="delayed-states-dialog-title">{I18n.t('Delayed states')}</DialogTitle>
+                <DialogContent>{this.getTable()}</DialogContent>
+                <DialogActions>
+                    <Button onClick={() => this.props.onClose()} color="primary">{I18n.t('Close')}</Button>
+                </DialogActions>
+            </Dialog>
+        );
+    }
+}
+
+DialogDelayedStates.propTypes = {
+    classes: PropTypes.object,
+    onClose: PropTypes.func,
+    connection: PropTypes.object,
+};
+
+export default withStyles(styles)(DialogDelayedStates);
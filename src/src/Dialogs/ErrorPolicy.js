@@ -0,0 +1,102 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Button from '@material-ui/core/Button';
+import DialogTitle from '@material-ui/core/DialogTitle';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogActions from '@material-ui/core/DialogActions';
+import Dialog from '@material-ui/core/Dialog';
+import TextField from '@material-ui/core/TextField';
+import FormControlLabel from '@material-ui/core/FormControlLabel';
+import Checkbox from '@material-ui/core/Checkbox';
+
+import I18n from '@iobroker/adapter-react/i18n';
+
+// default values, if the script declares an own error policy
+const DEFAULT_POLICY = {
+    limit: 5,
+    period: 5,
+    restart: false,
+    restartDelay: 60,
+};
+
+class DialogErrorPolicy extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = Object.assign({declared: !!props.errorPolicy}, DEFAULT_POLICY, props.errorPolicy || {});
+    }
+
+    handleCancel = () => {
+        this.props.onClose();
+    };
+
+    handleOk = () => {
+        if (this.state.declared) {
+            this.props.onOk({
+                limit: parseInt(this.state.limit, 10) || 0,
+                period: parseInt(this.state.period, 10) || DEFAULT_POLICY.period,
+                restart: this.state.restart,
+                restartDelay: parseInt(this.state.restartDelay, 10) || DEFAULT_POLICY.restartDelay,
+            });
+        } else {
+            this.props.onOk(null);
+        }
+        this.props.onClose();
+    };
+
+    getNumberField(attr, label, min) {
+        return (<TextField
+            style={{width: 'calc(50% - 16px)', marginRight: 16}}
+            label={I18n.t(label)}
+            type="number"
+            inputProps={{min}}
+            disabled={!this.state.declared || (attr === 'restartDelay' && !this.state.restart)}
+            value={this.state[attr]}
+            onChange={e => this.setState({[attr]: e.target.value})}
+            margin="normal"
+        />);
+    }
+
+    render() {
+        return (
+            <Dialog
+                disableBackdropClick
+                disableEscapeKeyDown
+                maxWidth="sm"
+                fullWidth={true}
+                open={true}
+                aria-labelledby="error-policy-dialog-title"
+            >
+                <DialogTitle id="error-policy-dialog-title">{I18n.t('Error policy')}</DialogTitle>
+                <DialogContent>
+                    <FormControlLabel
+                        style={{width: '100%'}}
+                        title={I18n.t('error_policy_declared_help')}
+                        control={<Checkbox checked={this.state.declared} onChange={e => this.setState({declared: e.target.checked})}/>}
+                        label={I18n.t('Use own error policy for this script')}
+                    />
+                    {this.getNumberField('limit', 'Stop after errors (0 - never)', 0)}
+                    {this.getNumberField('period', 'Within minutes', 1)}
+                    <FormControlLabel
+                        style={{width: '100%'}}
+                        disabled={!this.state.declared}
+                        control={<Checkbox checked={this.state.restart} onChange={e => this.setState({restart: e.target.checked})}/>}
+                        label={I18n.t('Restart the script instead of disabling')}
+                    />
+                    {this.getNumberField('restartDelay', 'First restart after seconds', 1)}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={this.handleOk} color="primary">{I18n.t('Ok')}</Button>
+                    <Button onClick={this.handleCancel} color="primary">{I18n.t('Cancel')}</Button>
+                </DialogActions>
+            </Dialog>
+        );
+    }
+}
+
+DialogErrorPolicy.propTypes = {
+    onClose: PropTypes.func,
+    onOk: PropTypes.func,
+    errorPolicy: PropTypes.object,
+};
+
+export default DialogErrorPolicy;
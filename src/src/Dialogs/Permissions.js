@@ -0,0 +1,106 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Button from '@material-ui/core/Button';
+import DialogTitle from '@material-ui/core/DialogTitle';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogActions from '@material-ui/core/DialogActions';
+import Dialog from '@material-ui/core/Dialog';
+import TextField from '@material-ui/core/TextField';
+import FormControlLabel from '@material-ui/core/FormControlLabel';
+import Checkbox from '@material-ui/core/Checkbox';
+
+import I18n from '@iobroker/adapter-react/i18n';
+
+// default values, if the script declares own permissions
+const CAPABILITIES = {
+    exec: false,
+    setObject: false,
+    sendToHost: false,
+    fs: true,
+    network: true,
+};
+
+class DialogPermissions extends React.Component {
+    constructor(props) {
+        super(props);
+        const permissions = props.permissions || {};
+        this.state = {
+            declared: !!props.permissions,
+            write: (permissions.write || []).join('\n'),
+        };
+        Object.keys(CAPABILITIES).forEach(capability =>
+            this.state[capability] = typeof permissions[capability] === 'boolean' ? permissions[capability] : CAPABILITIES[capability]);
+    }
+
+    handleCancel = () => {
+        this.props.onClose();
+    };
+
+    handleOk = () => {
+        if (this.state.declared) {
+            const permissions = {};
+            Object.keys(CAPABILITIES).forEach(capability => permissions[capability] = this.state[capability]);
+            const write = this.state.write.split('\n').map(pattern => pattern.trim()).filter(pattern => pattern);
+            if (write.length) {
+                permissions.write = write;
+            }
+            this.props.onOk(permissions);
+        } else {
+            this.props.onOk(null);
+        }
+        this.props.onClose();
+    };
+
+    render() {
+        return (
+            <Dialog
+                disableBackdropClick
+                disableEscapeKeyDown
+                maxWidth="md"
+                fullWidth={true}
+                open={true}
+                aria-labelledby="permissions-dialog-title"
+            >
+                <DialogTitle id="permissions-dialog-title">{I18n.t('Script permissions')}</DialogTitle>
+                <DialogContent>
+                    <FormControlLabel
+                        style={{width: '100%'}}
+                        title={I18n.t('permissions_declared_help')}
+                        control={<Checkbox checked={this.state.declared} onChange={e => this.setState({declared: e.target.checked})}/>}
+                        label={I18n.t('Use own permissions for this script')}
+                    />
+                    {Object.keys(CAPABILITIES).map(capability => (<FormControlLabel
+                        key={capability}
+                        style={{width: 'calc(50% - 16px)'}}
+                        disabled={!this.state.declared}
+                        control={<Checkbox checked={this.state[capability]} onChange={e => this.setState({[capability]: e.target.checked})}/>}
+                        label={I18n.t('permission_' + capability)}
+                    />))}
+                    <TextField
+                        style={{width: '100%'}}
+                        label={I18n.t('Allowed state IDs for writing')}
+                        helperText={I18n.t('permission_write_help')}
+                        disabled={!this.state.declared}
+                        multiline
+                        rows={4}
+                        value={this.state.write}
+                        onChange={e => this.setState({write: e.target.value})}
+                        margin="normal"
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={this.handleOk} color="primary">{I18n.t('Ok')}</Button>
+                    <Button onClick={this.handleCancel} color="primary">{I18n.t('Cancel')}</Button>
+                </DialogActions>
+            </Dialog>
+        );
+    }
+}
+
+DialogPermissions.propTypes = {
+    onClose: PropTypes.func,
+    onOk: PropTypes.func,
+    permissions: PropTypes.object,
+};
+
+export default DialogPermissions;
@@ -0,0 +1,177 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {withStyles} from '@material-ui/core/styles/index';
+import Button from '@material-ui/core/Button';
+import DialogTitle from '@material-ui/core/DialogTitle';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogActions from '@material-ui/core/DialogActions';
+import Dialog from '@material-ui/core/Dialog';
+import Table from '@material-ui/core/Table';
+import TableHead from '@material-ui/core/TableHead';
+import TableBody from '@material-ui/core/TableBody';
+import TableRow from '@material-ui/core/TableRow';
+import TableCell from '@material-ui/core/TableCell';
+import TableSortLabel from '@material-ui/core/TableSortLabel';
+
+import I18n from '@iobroker/adapter-react/i18n';
+
+const styles = theme => ({
+    dialogPaper: {
+        height: 'calc(100% - 96px)'
+    },
+    empty: {
+        padding: theme.spacing.unit * 2,
+        fontStyle: 'italic'
+    },
+    stopped: {
+        opacity: 0.5
+    },
+    errors: {
+        color: '#ff4b4b'
+    }
+});
+
+// the statistics are read again every UPDATE_INTERVAL ms
+const UPDATE_INTERVAL = 2000;
+
+const COLUMNS = [
+    {id: 'name',        title: 'Script',                numeric: false},
+    {id: 'calls',       title: 'Calls',                 numeric: true},
+    {id: 'errors',      title: 'Errors',                numeric: true},
+    {id: 'execTime',    title: 'Execution time, ms',    numeric: true},
+    {id: 'avgExecTime', title: 'Average time, ms',      numeric: true},
+    {id: 'maxExecTime', title: 'Longest time, ms',      numeric: true},
+    {id: 'lastError',   title: 'Last error',            numeric: true}
+];
+
+class DialogScriptStats extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            stats: null,
+            error: '',
+            orderBy: window.localStorage.getItem('ScriptStats.orderBy') || 'execTime',
+            order: window.localStorage.getItem('ScriptStats.order') || 'desc'
+        };
+        this.updateTimer = null;
+    }
+
+    componentDidMount() {
+        this.update();
+    }
+
+    componentWillUnmount() {
+        this.updateTimer && clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+        this.unmounted = true;
+    }
+
+    update() {
+        const instances = this.props.instances || [];
+        const stats = [];
+        let count = instances.length;
+        if (!count) {
+            return this.setState({error: I18n.t('No running instance')});
+        }
+        // collect the statistics of all instances
+        instances.forEach(instance =>
+            this.props.connection.sendTo('javascript.' + instance, 'getScriptStats', null, result => {
+                result && result.stats && Object.keys(result.stats).forEach(name =>
+                    stats.push(Object.assign({name: name.replace(/^script\.js\./, '')}, result.stats[name])));
+                if (!--count && !this.unmounted) {
+                    this.setState({stats});
+                    this.updateTimer = setTimeout(() => this.update(), UPDATE_INTERVAL);
+                }
+            }));
+    }
+
+    onSort(orderBy) {
+        // numbers are sorted descending first, the biggest consumers are interesting
+        const column = COLUMNS.find(column => column.id === orderBy);
+        let order = column.numeric ? 'desc' : 'asc';
+        if (this.state.orderBy === orderBy) {
+            order = this.state.order === 'asc' ? 'desc' : 'asc';
+        }
+        window.localStorage.setItem('ScriptStats.orderBy', orderBy);
+        window.localStorage.setItem('ScriptStats.order', order);
+        this.setState({orderBy, order});
+    }
+
+    getSorted() {
+        const {orderBy, order} = this.state;
+        const factor = order === 'asc' ? 1 : -1;
+        return this.state.stats.slice().sort((a, b) => {
+            const valA = a[orderBy] || 0;
+            const valB = b[orderBy] || 0;
+            if (valA === valB) {
+                return a.name.localeCompare(b.name);
+            }
+            return (valA > valB ? 1 : -1) * factor;
+        });
+    }
+
+    getTable() {
+        if (this.state.error) {
+            return (<div className={this.props.classes.empty}>{this.state.error}</div>);
+        }
+        if (!this.state.stats) {
+            return null;
+        }
+        if (!this.state.stats.length) {
+            return (<div className={this.props.classes.empty}>{I18n.t('No statistics')}</div>);
+        }
+        const classes = this.props.classes;
+        return (<Table padding="dense">
+            <TableHead>
+                <TableRow>
+                    {COLUMNS.map(column => (<TableCell key={column.id} numeric={column.numeric} sortDirection={this.state.orderBy === column.id ? this.state.order : false}>
+                        <TableSortLabel
+                            active={this.state.orderBy === column.id}
+                            direction={this.state.order}
+                            onClick={() => this.onSort(column.id)}
+                        >{I18n.t(column.title)}</TableSortLabel>
+                    </TableCell>))}
+                </TableRow>
+            </TableHead>
+            <TableBody>
+                {this.getSorted().map(item => (<TableRow key={item.name} className={item.running ? '' : classes.stopped} title={item.running ? '' : I18n.t('Script is not running')}>
+                    <TableCell>{item.name}</TableCell>
+                    <TableCell numeric>{item.calls}</TableCell>
+                    <TableCell numeric className={item.errors ? classes.errors : ''}>{item.errors}</TableCell>
+                    <TableCell numeric>{item.execTime.toFixed(1)}</TableCell>
+                    <TableCell numeric>{item.avgExecTime.toFixed(2)}</TableCell>
+                    <TableCell numeric>{item.maxExecTime.toFixed(1)}</TableCell>
+                    <TableCell numeric>{item.lastError ? new Date(item.lastError).toLocaleString() : '-'}</TableCell>
+                </TableRow>))}
+            </TableBody>
+        </Table>);
+    }
+
+    render() {
+        return (
+            <Dialog
+                maxWidth="lg"
+                fullWidth={true}
+                open={true}
+                classes={{paper: this.props.classes.dialogPaper}}
+                onClose={() => this.props.onClose()}
+                aria-labelledby="script-stats-dialog-title"
+            >
+                <DialogTitle id="script-stats-dialog-title">{I18n.t('Script statistics')}</DialogTitle>
+                <DialogContent>{this.getTable()}</DialogContent>
+                <DialogActions>
+                    <Button onClick={() => this.props.onClose()} color="primary">{I18n.t('Close')}</Button>
+                </DialogActions>
+            </Dialog>
+        );
+    }
+}
+
+DialogScriptStats.propTypes = {
+    classes: PropTypes.object,
+    onClose: PropTypes.func,
+    instances: PropTypes.array, // running instances
+    connection: PropTypes.object,
+};
+
+export default withStyles(styles)(DialogScriptStats);
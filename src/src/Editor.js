@@ -27,6 +27,11 @@ import {MdClearAll as IconCloseAll} from 'react-icons/md';
 import {MdBuild as IconDebugMenu} from 'react-icons/md';
 import {MdBugReport as IconDebug} from 'react-icons/md';
 import {MdPlaylistAddCheck as IconVerbose} from 'react-icons/md';
+import {MdLock as IconPermissions} from 'react-icons/md';
+import {MdCallSplit as IconIsolated} from 'react-icons/md';
+import {MdTimer as IconDelayedStates} from 'react-icons/md';
+import {MdInfoOutline as IconRuntimeInfo} from 'react-icons/md';
+import {MdErrorOutline as IconErrorPolicy} from 'react-icons/md';
 
 import ImgJS from './assets/js.png';
 import ImgBlockly from './assets/blockly.png';
@@ -37,10 +42,14 @@ import I18n from '@iobroker/adapter-react/i18n';
 import Theme from './Theme';
 import ScriptEditor from './Components/ScriptEditorVanilaMonaco';
 import BlocklyEditor from './Components/BlocklyEditor';
+import RuntimeInfo from './Components/RuntimeInfo';
 import DialogConfirm from '@iobroker/adapter-react/Dialogs/Confirm';
 import DialogSelectID from '@iobroker/adapter-react/Dialogs/SelectID';
 import DialogCron from './Dialogs/Cron';
 import DialogScriptEditor from './Dialogs/ScriptEditor';
+import DialogPermissions from './Dialogs/Permissions';
+import DialogErrorPolicy from './Dialogs/ErrorPolicy';
+import DialogDelayedStates from './Dialogs/DelayedStates';
 
 
 const images = {
@@ -168,6 +177,10 @@ class Editor extends React.Component {
             showSelectId: false,
             showCron: false,
             showScript: false,
+            showPermissions: false,
+            showErrorPolicy: false,
+            showDelayedStates: false,
+            showRuntimeInfo: false,
             insert: '',
             searchText: '',
             theme: this.props.theme,
@@ -558,6 +571,25 @@ class Editor extends React.Component {
         if (options.verbose !== undefined) {
             this.scripts[this.state.selected].verbose = options.verbose;
         }
+        if (options.isolated !== undefined) {
+            this.scripts[this.state.selected].isolated = options.isolated;
+        }
+        if (options.errorPolicy !== undefined) {
+            // null instead of deleting, so that already stored policy will be overwritten
+            if (options.errorPolicy || this.props.objects[this.state.selected].common.errorPolicy) {
+                this.scripts[this.state.selected].errorPolicy = options.errorPolicy;
+            } else {
+                delete this.scripts[this.state.selected].errorPolicy;
+            }
+        }
+        if (options.permissions !== undefined) {
+            // null instead of deleting, so that already stored permissions will be overwritten
+            if (options.permissions || this.props.objects[this.state.selected].common.permissions) {
+                this.scripts[this.state.selected].permissions = options.permissions;
+            } else {
+                delete this.scripts[this.state.selected].permissions;
+            }
+        }
         const _changed = JSON.stringify(this.scripts[this.state.selected]) !== JSON.stringify(this.props.objects[this.state.selected].common);
         if (_changed !== (this.state.changed[this.state.selected] || false)) {
 
@@ -769,6 +801,29 @@ class Editor extends React.Component {
                 <IconVerbose className={this.props.classes.menuIcon} style={{color: COLOR_VERBOSE}}/>
                 {I18n.t('verbose')}
             </MenuItem>
+            <MenuItem key="isolatedEnabled"
+                      title={I18n.t('isolated_help')}
+                      onClick={event => {
+                          event.stopPropagation();
+                          event.preventDefault();
+                          this.onChange({isolated: !(this.scripts[this.state.selected] && this.scripts[this.state.selected].isolated)});
+                          this.setState({showDebugMenu: false, menuDebugAnchorEl: null});
+                      }}>
+                <Checkbox checked={!!(this.scripts[this.state.selected] && this.scripts[this.state.selected].isolated)}/>
+                <IconIsolated className={this.props.classes.menuIcon}/>
+                {I18n.t('isolated')}
+            </MenuItem>
+            <MenuItem key="errorPolicy"
+                      title={I18n.t('error_policy_help')}
+                      onClick={event => {
+                          event.stopPropagation();
+                          event.preventDefault();
+                          this.setState({showDebugMenu: false, menuDebugAnchorEl: null, showErrorPolicy: true});
+                      }}>
+                <Checkbox checked={!!(this.scripts[this.state.selected] && this.scripts[this.state.selected].errorPolicy)}/>
+                <IconErrorPolicy className={this.props.classes.menuIcon}/>
+                {I18n.t('Error policy')}
+            </MenuItem>
         </Menu>);
     }
 
@@ -840,6 +895,29 @@ class Editor extends React.Component {
                                                     onClick={() => this.setState({showBlocklyCode: !this.state.showBlocklyCode})}>
                         <img alt="blockly2js" src={ImgBlockly2Js} /></Button>)}
 
+                    {!this.state.showBlocklyCode && (<IconButton key="permissions" aria-label="Permissions"
+                                                                 title={I18n.t('Script permissions')}
+                                                                 className={this.props.classes.toolbarButtons}
+                                                                 color={this.scripts[this.state.selected] && this.scripts[this.state.selected].permissions ? 'secondary' : 'inherit'}
+                                                                 onClick={() => this.setState({showPermissions: true})}>
+                        <IconPermissions />
+                    </IconButton>)}
+
+                    {!this.state.showBlocklyCode && (<IconButton key="delayedStates" aria-label="Delayed states"
+                                                                 title={I18n.t('Show delayed states')}
+                                                                 className={this.props.classes.toolbarButtons}
+                                                                 onClick={() => this.setState({showDelayedStates: true})}>
+                        <IconDelayedStates />
+                    </IconButton>)}
+
+                    {!this.state.showBlocklyCode && (<IconButton key="runtimeInfo" aria-label="Runtime information"
+                                                                 title={I18n.t('Show timers, schedules and subscriptions of the script')}
+                                                                 className={this.props.classes.toolbarButtons}
+                                                                 color={this.state.showRuntimeInfo ? 'secondary' : 'inherit'}
+                                                                 onClick={() => this.setState({showRuntimeInfo: !this.state.showRuntimeInfo})}>
+                        <IconRuntimeInfo />
+                    </IconButton>)}
+
                     {!this.state.showBlocklyCode && (<IconButton key="debug" aria-label="Debug menu"
                                                                  title={I18n.t('Debug options')}
                                                                  className={this.props.classes.toolbarButtons}
@@ -867,6 +945,7 @@ class Editor extends React.Component {
                     onInserted={() => this.setState({insert: ''})}
                     onForceSave={() => this.onSave()}
                     searchText={this.state.searchText}
+                    gotoLine={this.props.gotoLine}
                     onRegisterSelect={func => this.onRegisterSelect(func)}
                     readOnly={this.state.showBlocklyCode}
                     changed={this.state.changed[this.state.selected]}
@@ -876,6 +955,7 @@ class Editor extends React.Component {
                     onChange={newValue => this.onChange({script: newValue})}
                     language={this.scripts[this.state.selected].engineType === 'TypeScript/ts' ? 'typescript' : 'javascript'}
                 />
+                {this.getRuntimeInfo()}
             </div>);
         } else {
             return null;
@@ -896,12 +976,28 @@ class Editor extends React.Component {
                     code={this.scripts[this.state.selected].source || ''}
                     onChange={newValue => this.onChange({script: newValue})}
                 />
+                {this.getRuntimeInfo()}
             </div>);
         } else {
             return null;
         }
     }
 
+    getRuntimeInfo() {
+        if (this.state.showRuntimeInfo) {
+            const engine = this.scripts[this.state.selected] && this.scripts[this.state.selected].engine;
+            return (<RuntimeInfo
+                key="runtimeInfo"
+                name={this.state.selected}
+                instance={engine ? engine.replace('system.adapter.', '') : ''}
+                connection={this.props.connection}
+                onClose={() => this.setState({showRuntimeInfo: false})}
+            />);
+        } else {
+            return null;
+        }
+    }
+
     getConfirmDialog() {
         if (this.state.confirm) {
             return (<DialogConfirm
@@ -950,6 +1046,7 @@ class Editor extends React.Component {
         if (this.state.showCron) {
             return (<DialogCron
                 key="dialogCron1"
+                connection={this.props.connection}
                 cron={this.cron.callback ? this.cron.initValue || '' : this.getSelect ? this.getSelect() : '* * * * *'}
                 onClose={() => this.setState({showCron: false})}
                 onOk={cron => {
@@ -967,6 +1064,44 @@ class Editor extends React.Component {
         }
     }
 
+    getPermissionsDialog() {
+        if (this.state.showPermissions) {
+            return (<DialogPermissions
+                key="dialogPermissions"
+                permissions={this.scripts[this.state.selected] && this.scripts[this.state.selected].permissions}
+                onClose={() => this.setState({showPermissions: false})}
+                onOk={permissions => this.onChange({permissions})}
+            />);
+        } else {
+            return null;
+        }
+    }
+
+    getErrorPolicyDialog() {
+        if (this.state.showErrorPolicy) {
+            return (<DialogErrorPolicy
+                key="dialogErrorPolicy"
+                errorPolicy={this.scripts[this.state.selected] && this.scripts[this.state.selected].errorPolicy}
+                onClose={() => this.setState({showErrorPolicy: false})}
+                onOk={errorPolicy => this.onChange({errorPolicy})}
+            />);
+        } else {
+            return null;
+        }
+    }
+
+    getDelayedStatesDialog() {
+        if (this.state.showDelayedStates) {
+            return (<DialogDelayedStates
+                key="dialogDelayedStates"
+                connection={this.props.connection}
+                onClose={() => this.setState({showDelayedStates: false})}
+            />);
+        } else {
+            return null;
+        }
+    }
+
     getEditorDialog() {
         if (this.state.showScript) {
             return (<DialogScriptEditor
@@ -1041,6 +1176,9 @@ class Editor extends React.Component {
             this.getSelectIdDialog(),
             this.getCronDialog(),
             this.getEditorDialog(),
+            this.getPermissionsDialog(),
+            this.getErrorPolicyDialog(),
+            this.getDelayedStatesDialog(),
             this.getDebugMenu(),
             this.getToast(),
         ];
@@ -1059,6 +1197,7 @@ Editor.propTypes = {
     runningInstances: PropTypes.object,
     connection: PropTypes.object,
     searchText: PropTypes.string,
+    gotoLine: PropTypes.object,
     theme: PropTypes.string
 };
 
@@ -100,6 +100,10 @@ const styles = theme => ({
         height: 32,
         padding: 4
     },
+    position: {
+        textDecoration: 'underline',
+        cursor: 'pointer'
+    },
     layoutIcon: {
         width: 24,
         height: 24,
@@ -125,6 +129,9 @@ function paddingMs(ms) {
 
 let gText = {};
 
+// position in the script, e.g. "script.js.test:12:5" in the stack of an error
+const POSITION_REGEX = /(script\.js\.[^\s():]+):(\d+)(?::(\d+))?/g;
+
 class Log extends React.Component {
     constructor(props) {
         super(props);
@@ -139,11 +146,33 @@ class Log extends React.Component {
         this.logHandlerBound = this.logHandler.bind(this);
     }
 
+    // the positions in the scripts are links, that open the line in the editor
+    getMessage(text) {
+        if (!this.props.onGotoLine || !text.match(POSITION_REGEX)) {
+            return text;
+        }
+        const parts = [];
+        let last = 0;
+        text.replace(POSITION_REGEX, (position, id, line, column, index) => {
+            parts.push(text.substring(last, index));
+            parts.push(<span
+                key={index}
+                className={this.props.classes.position}
+                title={I18n.t('Show in the editor')}
+                onClick={() => this.props.onGotoLine(id, parseInt(line, 10), parseInt(column, 10) || 1)}
+            >{position}</span>);
+            last = index + position.length;
+            return position;
+        });
+        parts.push(text.substring(last));
+        return parts;
+    }
+
     generateLine(message) {
         return (<tr key={'tr_' + message.ts} className={this.props.classes[message.severity]}>
             <td key="tdTime" className={this.props.classes.trTime}>{getTimeString(new Date(message.ts))}</td>
             <td key="tdSeverity" className={this.props.classes.trSeverity}>{message.severity}</td>
-            <td key="tdMessage">{message.message}</td>
+            <td key="tdMessage">{this.getMessage(message.message)}</td>
         </tr>);
     }
 
@@ -258,6 +287,7 @@ class Log extends React.Component {
 Log.propTypes = {
     selected: PropTypes.string,
     onLayoutChange: PropTypes.func,
+    onGotoLine: PropTypes.func,
     verticalLayout: PropTypes.bool
 };
 
@@ -43,6 +43,7 @@ import {FaFileImport as IconImport} from 'react-icons/fa';
 import {MdPalette as IconDark} from 'react-icons/md';
 import {MdUnfoldMore as IconExpandAll} from 'react-icons/md';
 import {MdUnfoldLess as IconCollapseAll} from 'react-icons/md';
+import {MdEqualizer as IconStats} from 'react-icons/md';
 
 import ImgJS from './assets/js.png';
 import ImgBlockly from './assets/blockly.png';
@@ -55,6 +56,7 @@ import DialogDelete from './Dialogs/Delete';
 import DialogAddNewScript from './Dialogs/AddNewScript';
 import DialogNew from './Dialogs/New';
 import DialogError from './Dialogs/Error';
+import DialogScriptStats from './Dialogs/ScriptStats';
 
 const MENU_ITEM_HEIGHT = 48;
 const COLOR_RUN = green[400];
@@ -316,6 +318,7 @@ class SideDrawer extends React.Component {
             deleting: null,
             choosingType: null,
             errorText: '',
+            showStats: false,
             instances: props.instances || [],
             menuOpened: false,
             menuAnchorEl: null,
@@ -1059,6 +1062,13 @@ class SideDrawer extends React.Component {
                                                    this.onCloseMenu(() => this.props.onImport());
                                                }}><IconImport className={this.props.classes.iconDropdownMenu} />{I18n.t('Import scripts')}
             </MenuItem>)}
+            <MenuItem key="stats"
+                      onClick={event => {
+                          event.stopPropagation();
+                          event.preventDefault();
+                          this.onCloseMenu(() => this.setState({showStats: true}));
+                      }}><IconStats className={this.props.classes.iconDropdownMenu} />{I18n.t('Script statistics')}
+            </MenuItem>
             {this.props.onThemeChange && (<MenuItem key="dark"
                                                     onClick={event => {
                                                         //event.stopPropagation();
@@ -1435,6 +1445,12 @@ class SideDrawer extends React.Component {
                     this.props.onAddNew && this.props.onAddNew(id, name, true);
                 }}
             />) : null,
+            this.state.showStats ? (<DialogScriptStats
+                key="dialog-stats"
+                connection={this.props.connection}
+                instances={this.props.instances.filter(instance => this.props.runningInstances && this.props.runningInstances['system.adapter.javascript.' + instance])}
+                onClose={() => this.setState({showStats: false})}
+            />) : null,
             this.state.errorText ? (<DialogError onClose={() => this.setState({errorText: ''})} text={this.state.errorText}/>) : null
         ];
     }
@@ -27,6 +27,26 @@ selected.getState<number>()!.val.toFixed();
 selected.getBinaryState()!.readInt16BE(0);
 
 schedule({astro: "night"}, () => { });
+on({id: "id", val: true, duration: 600000}, obj => obj.state.val);
+on({id: /^hm-rpc\.0\./, debounce: 500, throttle: 10000}, obj => obj.id);
+
+(async () => {
+	await setStateAsync("id", 1);
+	await setStateAsync("id", 1, true);
+	(await getStateAsync<number>("id"))!.val.toFixed();
+	(await getObjectAsync("id"))!.common.name;
+	await createStateAsync("id", 1, false, {type: "number"});
+	await sendToAsync("email.0", "send", {text: "test"}, {timeout: 1000});
+	(await readFileAsync("vis.0", "main/vis-views.json")).file;
+	(await getHistoryAsync("sql.0", {id: "id"})).length;
+	await messageToAsync("message", {data: 1});
+})();
+
+const objectSubscription = onObject("hm-rpc.0.*", (id, obj, oldObj) => {
+	if (obj && oldObj) obj.common.name.toString() + oldObj.common.name.toString();
+});
+onObjectUnregister(objectSubscription);
+subscribeObject(["enum.rooms.*", /^system\.adapter\./], (id) => id.toLowerCase()).length;
 
 // TODO: Add more tests
 
@@ -0,0 +1,55 @@
+const expect = require('chai').expect;
+const AstroStates = require('../lib/astroStates');
+const {getSunTimes} = require('../lib/sunTimes');
+
+describe('Test AstroStates', function() {
+
+    // adapter, that answers setObjectNotExists only when answerObjects() is called
+    function createAdapter() {
+        const pending = [];
+        return {
+            config: {latitude: 52.52, longitude: 13.4},
+            log: {warn: () => {}, error: text => console.error(text)},
+            states: {},
+            setObjectNotExists: (id, obj, callback) => pending.push(callback),
+            setState(id, val) {
+                this.states[id] = val;
+            },
+            answerObjects: () => pending.splice(0).forEach(callback => callback())
+        };
+    }
+
+    it('Test AstroStates: Should write the states after the objects are created', function () {
+        const adapter = createAdapter();
+        const astroStates = new AstroStates(adapter);
+        astroStates.start();
+        expect(adapter.states).to.be.deep.equal({});
+
+        adapter.answerObjects();
+        expect(adapter.states['astro.isDayTime']).to.be.a('boolean');
+        expect(astroStates.timer).to.be.ok;
+        astroStates.stop();
+        expect(astroStates.timer).to.be.null;
+    });
+
+    it('Test AstroStates: Should not start the timer if stopped before the objects are created', function () {
+        const adapter = createAdapter();
+        const astroStates = new AstroStates(adapter);
+        astroStates.start();
+        astroStates.stop();
+
+        adapter.answerObjects();
+        expect(adapter.states).to.be.deep.equal({});
+        expect(astroStates.timer).to.be.null;
+    });
+
+    it('Test AstroStates: Should use the times of the sandbox', function () {
+        const adapter = createAdapter();
+        const now = new Date(2030, 5, 21, 13, 0);
+        const times = getSunTimes(now, adapter.config.latitude, adapter.config.longitude);
+        const values = new AstroStates(adapter).calculate(now);
+        expect(values['astro.times.sunrise']).to.be.equal(('0' + times.sunrise.getHours()).slice(-2) + ':' + ('0' + times.sunrise.getMinutes()).slice(-2));
+        expect(values['astro.nextSunset']).to.be.equal(times.sunset.getTime());
+        expect(values['astro.isDayTime']).to.be.true;
+    });
+});
@@ -0,0 +1,63 @@
+const expect = require('chai').expect;
+const {restoreDelayedStates, deleteDelayedStates} = require('../lib/delayedStates');
+const ScriptStorage = require('../lib/storage');
+
+describe('Test DelayedStates', function() {
+
+    function createAdapter() {
+        return {
+            namespace: 'javascript.0',
+            log:       {info: () => {}, error: text => console.error(text)},
+            written:   [],
+            writeFile: (id, file, data, callback) => callback && callback(),
+            setForeignState(id, state, isAck, callback) {
+                this.written.push({id, state, isAck});
+                callback && callback();
+            }
+        };
+    }
+
+    function createContext(adapter, delayed) {
+        return {
+            delayedStates: new ScriptStorage(adapter, '.delayedStates', delayed),
+            timers:        {},
+            timerId:       0
+        };
+    }
+
+    it('Test DelayedStates: Should restore the timers and write the overdue states immediately', function (done) {
+        const adapter = createAdapter();
+        const context = createContext(adapter, {
+            a: {id: 'javascript.0.overdue', state: 1, isAck: true, val: 1, ack: true, due: Date.now() - 1000, script: 'script.js.a'},
+            b: {id: 'javascript.0.later', state: 2, isAck: false, val: 2, ack: false, due: Date.now() + 60000, script: 'script.js.b'},
+            c: {state: 3}, // invalid
+            d: {id: 'javascript.0.withoutAck', state: 4, val: 4, due: Date.now() - 1000, script: 'script.js.d'}
+        });
+        restoreDelayedStates(adapter, context);
+
+        expect(context.delayedStates.keys()).to.be.deep.equal(['a', 'b', 'd']);
+        expect(context.timers['javascript.0.later'][0]).to.include({val: 2, ack: false, script: 'script.js.b', persistKey: 'b'});
+
+        setTimeout(() => {
+            expect(adapter.written).to.be.deep.equal([
+                {id: 'javascript.0.overdue', state: 1, isAck: true},
+                {id: 'javascript.0.withoutAck', state: 4, isAck: false}
+            ]);
+            expect(context.timers['javascript.0.overdue']).to.be.undefined;
+            expect(context.delayedStates.keys()).to.be.deep.equal(['b']);
+            clearTimeout(context.timers['javascript.0.later'][0].t);
+            done();
+        }, 50);
+    });
+
+    it('Test DelayedStates: Should delete the timers of a deleted script', function () {
+        const adapter = createAdapter();
+        const context = createContext(adapter, {
+            a: {id: 'javascript.0.a', due: Date.now() + 60000, script: 'script.js.a'},
+            b: {id: 'javascript.0.b', due: Date.now() + 60000, script: 'script.js.b'},
+            c: {id: 'javascript.0.c', due: Date.now() + 60000, script: 'script.js.a'}
+        });
+        deleteDelayedStates(context, 'script.js.a');
+        expect(context.delayedStates.keys()).to.be.deep.equal(['b']);
+    });
+});
@@ -95,6 +95,7 @@ describe('Test JS', function() {
 
             config.native.longitude = 43.273709;
             config.native.latitude  = 6.5798918;
+            config.native.watchdogTime = 1000;
 
             setup.setAdapterConfig(config.common, config.native);
 
@@ -903,6 +904,78 @@ describe('Test JS', function() {
         });
     }).timeout(5000);
 
+    it('Test JS: test error lines of JavaScript and CoffeeScript with the global scripts', done => {
+        // the script, that reads the logs of the errors, e.g. "at script.js.test_errorLineJs:3:1"
+        const watcher = {
+            'common': {
+                'name':         'test error line watcher',
+                'engineType':   'Javascript/js',
+                'source':       `const lines = {};
+onLog('error', data => {
+    const match = (data.message || '').match(/script\\.js\\.test_errorLine(Js|Coffee)[^:]*:(\\d+)/);
+    if (match && !lines[match[1]]) {
+        lines[match[1]] = match[2];
+        createState('testErrorLine' + match[1], match[2]);
+    }
+});`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_errorLineWatcher',
+            'native': {}
+        };
+        // the global scripts are prepended to both scripts, the errors are in the line 3
+        const scripts = [{
+            'common': {
+                'name':         'test error line JS',
+                'engineType':   'Javascript/js',
+                'source':       `const a = 1;
+const b = 2;
+notDefinedFunctionJs(a, b);`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_errorLineJs',
+            'native': {}
+        }, {
+            'common': {
+                'name':         'test error line Coffee',
+                'engineType':   'Coffeescript/coffee',
+                'source':       `a = 1
+b = 2
+notDefinedFunctionCoffee a, b`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_errorLineCoffee',
+            'native': {}
+        }];
+
+        const lines = {};
+        const onStateChanged = function (id, state) {
+            const match = id.match(/^javascript\.0\.testErrorLine(Js|Coffee)$/);
+            if (!match || !state.val) return;
+            lines[match[1]] = state.val;
+            if (Object.keys(lines).length === 2) {
+                removeStateChangedHandler(onStateChanged);
+                expect(lines).to.be.deep.equal({Js: '3', Coffee: '3'});
+                done();
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(watcher._id, watcher, err => {
+            expect(err).to.be.not.ok;
+            // the logs are sent to the watcher, after it has subscribed
+            setTimeout(() => scripts.forEach(script =>
+                objects.setObject(script._id, script, err =>
+                    expect(err).to.be.not.ok)), 1000);
+        });
+    }).timeout(10000);
+
     it('Test JS: test ON default', function (done) {
         // add script
         const script = {
@@ -1425,6 +1498,1219 @@ createState('onMessage', false, () => {
 
     }).timeout(5000);
 
+    it('Test JS: test async functions', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test async functions',
+                'engineType':   'Javascript/js',
+                'source':       `
+(async () => {
+    await createStateAsync('asyncResult', 0);
+    await createStateAsync('asyncState', 4);
+    // the state exists already
+    await createStateAsync('asyncState', 4);
+    await setStateAsync('javascript.0.asyncState', 5, true);
+    const state = await getStateAsync('javascript.0.asyncState');
+    const obj = await getObjectAsync('javascript.0.asyncState');
+    const absent = await getObjectAsync('javascript.0.asyncNotExisting');
+    const withEnums = await getObjectAsync('javascript.0.asyncState', 'rooms');
+    onMessage('asyncMessage', (data, callback) => callback(data + 1));
+    const result = await messageToAsync('asyncMessage', state.val);
+    let error;
+    try {
+        await setStateAsync('javascript.0.asyncNotExisting', 1);
+    } catch (e) {
+        error = e;
+    }
+    if (obj && obj.type === 'state' && absent === null && Array.isArray(withEnums.enumIds) && result === 6 && error) {
+        await setStateAsync('javascript.0.asyncResult', state.val, true);
+    }
+})();`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_async',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id === 'javascript.0.asyncResult' && state.val === 5 && state.ack === true) {
+                removeStateChangedHandler(onStateChanged);
+                done();
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+
+    }).timeout(5000);
+
+    it('Test JS: test onObject', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test onObject',
+                'engineType':   'Javascript/js',
+                'source':       `
+createState('onObjectResult', '', () => {
+    const subscriptionId = onObject('javascript.0.onObjectTest*', (id, obj, oldObj) => {
+        onObjectUnregister(subscriptionId);
+        if (obj && obj.type === 'state' && oldObj === null) {
+            setState('javascript.0.onObjectResult', id, true);
+        }
+    });
+    onObject(/^javascript\\.0\\.onObjectOther$/, () => setState('javascript.0.onObjectResult', 'wrong', true));
+    createState('onObjectTest1', 1);
+});`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_onObject',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id === 'javascript.0.onObjectResult' && state.val && state.ack === true) {
+                removeStateChangedHandler(onStateChanged);
+                expect(state.val).to.be.equal('javascript.0.onObjectTest1');
+                done();
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+
+    }).timeout(5000);
+
+    it('Test JS: test subscribe with debounce, throttle and duration', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test debounce',
+                'engineType':   'Javascript/js',
+                'source':       `
+createState('delayedSource', 0, () => {
+    createState('delayedResult', '', () => {
+        let debounced = 0;
+        let throttled = 0;
+        let lasted = 0;
+        on({id: 'javascript.0.delayedSource', debounce: 200}, obj => {
+            debounced++;
+            setState('javascript.0.delayedResult', 'debounce=' + debounced + ':' + obj.state.val + ';throttle=' + throttled + ';duration=' + lasted, true);
+        });
+        on({id: 'javascript.0.delayedSource', throttle: 1000}, obj => throttled++);
+        on({id: 'javascript.0.delayedSource', valGe: 4, duration: 500}, obj => lasted++);
+
+        setState('javascript.0.delayedSource', 1);
+        setState('javascript.0.delayedSource', 2);
+        setState('javascript.0.delayedSource', 3);
+        setTimeout(() => {
+            // must not trigger duration, because value is changed back to 3 within 500 ms
+            setState('javascript.0.delayedSource', 5);
+            setTimeout(() => setState('javascript.0.delayedSource', 3), 100);
+        }, 300);
+        setTimeout(() => setState('javascript.0.delayedSource', 4), 700);
+        setTimeout(() => setState('javascript.0.delayedSource', 3), 1500);
+    });
+});`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_delayed',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id === 'javascript.0.delayedResult' && state.val && state.ack === true) {
+                console.log('delayedResult: ' + state.val);
+                if (state.val.startsWith('debounce=4:')) {
+                    removeStateChangedHandler(onStateChanged);
+                    expect(state.val).to.be.equal('debounce=4:3;throttle=2;duration=1');
+                    done();
+                }
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+
+    }).timeout(5000);
+
+    it('Test JS: test subscribe with "or" logic', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test or logic',
+                'engineType':   'Javascript/js',
+                'source':       `
+createState('orLogicA', 0, () => {
+    createState('orLogicB', 0, () => {
+        createState('orLogicResult', '', () => {
+            let result = '';
+            on({id: 'javascript.0.orLogicA', valGt: 6, q: 1, logic: 'or'}, obj => {
+                result += obj.id.split('.').pop() + '=' + obj.state.val + ';';
+                setState('javascript.0.orLogicResult', result, true);
+            });
+            on({id: 'javascript.0.orLogicB', val: 1}, obj => {
+                result += 'exact=' + obj.state.val + ';';
+                setState('javascript.0.orLogicResult', result, true);
+            });
+            setState('javascript.0.orLogicB', 7);
+            setState('javascript.0.orLogicB', 1);
+        });
+    });
+});`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_or_logic',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id === 'javascript.0.orLogicResult' && state.val && state.ack === true && state.val.indexOf('exact') !== -1) {
+                removeStateChangedHandler(onStateChanged);
+                // initial value of orLogicA could be delivered too
+                expect(state.val.replace('orLogicA=0;', '')).to.be.equal('orLogicB=7;exact=1;');
+                done();
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+
+    }).timeout(5000);
+
+    it('Test JS: test script permissions', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test permissions',
+                'engineType':   'Javascript/js',
+                'source':       `
+createState('permissionResult', '', () => {
+    const result = [];
+    exec('ls', err => {
+        result.push('exec=' + (err ? 'denied' : 'allowed'));
+        setState('javascript.0.forbiddenState', 1, err => {
+            result.push('write=' + (err ? 'denied' : 'allowed'));
+            result.push('network=' + (request === null && require('http') === null ? 'denied' : 'allowed'));
+            $('javascript.0.forbiddenSelector').setState(2, true, () =>
+                setState('javascript.0.permissionResult', result.join(';'), true));
+        });
+    });
+});`,
+                'permissions':  {
+                    'exec':     false,
+                    'network':  false,
+                    'write':    ['javascript.0.permission*']
+                },
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_permissions',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id === 'javascript.0.permissionResult' && state.val && state.ack === true) {
+                removeStateChangedHandler(onStateChanged);
+                expect(state.val).to.be.equal('exec=denied;write=denied;network=denied');
+                // the state of the selector is not written too
+                states.getState('javascript.0.forbiddenSelector', (err, state) => {
+                    expect(state.val).to.be.equal(1);
+                    done();
+                });
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject('javascript.0.forbiddenSelector', {type: 'state', common: {name: 'forbiddenSelector', type: 'number'}, native: {}}, err => {
+            expect(err).to.be.not.ok;
+            states.setState('javascript.0.forbiddenSelector', {val: 1, ack: true}, err => {
+                expect(err).to.be.not.ok;
+                objects.setObject(script._id, script, err =>
+                    expect(err).to.be.not.ok);
+            });
+        });
+
+    }).timeout(5000);
+
+    it('Test JS: test isolated script', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test isolated',
+                'engineType':   'Javascript/js',
+                'source':       `
+createState('isolatedSource', 0, () => {
+    createState('isolatedResult', '', () => {
+        on({id: 'javascript.0.isolatedSource', change: 'ne'}, async obj => {
+            const state = await getStateAsync('javascript.0.isolatedSource');
+            const ids = [];
+            $('javascript.0.isolated*').each(id => ids.push(id));
+            setState('javascript.0.isolatedResult', 'val=' + obj.state.val + ';async=' + state.val + ';sync=' + getState('javascript.0.isolatedSource').val + ';selector=' + ids.includes('javascript.0.isolatedSource'), true);
+        });
+        setTimeout(() => setState('javascript.0.isolatedSource', 5), 100);
+    });
+});`,
+                'isolated':     true,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_isolated',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id === 'javascript.0.isolatedResult' && state.val && state.ack === true) {
+                removeStateChangedHandler(onStateChanged);
+                expect(state.val).to.be.equal('val=5;async=5;sync=5;selector=true');
+                done();
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+
+    }).timeout(5000);
+
+    it('Test JS: test require of the modules with node: prefix or subpath', done => {
+        const scripts = [
+            {
+                'common': {
+                    'name':         'test denied modules',
+                    'engineType':   'Javascript/js',
+                    'source':       `
+createState('deniedModulesResult', '', () => {
+    const denied = ['node:fs', 'fs/promises', 'node:fs/promises', 'node:http'].filter(md => !require(md));
+    setState('javascript.0.deniedModulesResult', 'denied=' + denied.join(','), true);
+});`,
+                    'permissions':  {
+                        'fs':       false,
+                        'network':  false
+                    },
+                    'isolated':     true,
+                    'enabled':      true,
+                    'engine':       'system.adapter.javascript.0'
+                },
+                'type':             'script',
+                '_id':              'script.js.test_deniedModules',
+                'native': {}
+            },
+            {
+                'common': {
+                    'name':         'test not permitted modules',
+                    'engineType':   'Javascript/js',
+                    'source':       `
+createState('isolatedModulesResult', '', () => {
+    const denied = ['worker_threads', 'node:vm', 'v8', 'inspector', 'typescript'].filter(md => !require(md));
+    const permitted = ['node:path', 'crypto', 'util/types'].filter(md => require(md));
+    setState('javascript.0.isolatedModulesResult', 'denied=' + denied.join(',') + ';permitted=' + permitted.join(','), true);
+});`,
+                    'isolated':     true,
+                    'enabled':      true,
+                    'engine':       'system.adapter.javascript.0'
+                },
+                'type':             'script',
+                '_id':              'script.js.test_isolatedModules',
+                'native': {}
+            }
+        ];
+        // the protected fs in the adapter process and in the worker of an isolated script
+        [false, true].forEach(isolated => scripts.push({
+            'common': {
+                'name':         'test protected fs',
+                'engineType':   'Javascript/js',
+                'source':       `
+createState('protectedFs${isolated ? 'Isolated' : ''}Result', '', () => {
+    const result = [];
+    try {
+        require('node:fs').readFileSync('/tmp/iobroker-data/objects.json');
+    } catch (e) {
+        result.push('node:fs=' + e.message);
+    }
+    require('fs/promises').readFile('/tmp/iobroker-data/objects.json')
+        .catch(e => result.push('fs/promises=' + e.message))
+        .then(() => setState('javascript.0.protectedFs${isolated ? 'Isolated' : ''}Result', result.join(';'), true));
+});`,
+                'isolated':     isolated,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_protectedFs' + (isolated ? 'Isolated' : ''),
+            'native': {}
+        }));
+
+        const expected = {
+            'javascript.0.deniedModulesResult':       'denied=node:fs,fs/promises,node:fs/promises,node:http',
+            'javascript.0.isolatedModulesResult':     'denied=worker_threads,node:vm,v8,inspector,typescript;permitted=node:path,crypto,util/types',
+            'javascript.0.protectedFsResult':         'node:fs=Permission denied;fs/promises=Permission denied',
+            'javascript.0.protectedFsIsolatedResult': 'node:fs=Permission denied;fs/promises=Permission denied'
+        };
+        const results = {};
+        const onStateChanged = function (id, state) {
+            if (expected[id] && state.val && state.ack === true) {
+                results[id] = state.val;
+                if (Object.keys(results).length === Object.keys(expected).length) {
+                    removeStateChangedHandler(onStateChanged);
+                    expect(results).to.be.deep.equal(expected);
+                    done();
+                }
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        scripts.forEach(script => objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok));
+
+    }).timeout(10000);
+
+    it('Test JS: test watchdog of isolated script', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test blocked',
+                'engineType':   'Javascript/js',
+                'source':       `setTimeout(() => {
+    while (true) {}
+}, 100);`,
+                'isolated':     true,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_blocked',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id === 'javascript.0.scriptProblem.test_blocked' && state.val === true) {
+                removeStateChangedHandler(onStateChanged);
+                done();
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+
+    }).timeout(5000);
+
+    it('Test JS: test persistent storage', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test storage',
+                'engineType':   'Javascript/js',
+                'source':       `const counter = storage.get('counter', 0) + 1;
+storage.set('counter', counter);
+createState('testStorage', 0, () => setState('testStorage', counter, true));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_storage',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testStorage' || state.ack !== true) return;
+
+            if (state.val === 1) {
+                // restart the script
+                script.common.name = 'test storage restarted';
+                objects.setObject(script._id, script, err =>
+                    expect(err).to.be.not.ok);
+            } else if (state.val === 2) {
+                removeStateChangedHandler(onStateChanged);
+                // wait till the change is written
+                setTimeout(() =>
+                    objects.readFile('javascript.0.storage', 'test_storage.json', (err, data) => {
+                        expect(err).to.be.not.ok;
+                        expect(JSON.parse(data.toString())).to.be.deep.equal({counter: 2});
+                        done();
+                    }), 1500);
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+
+    }).timeout(8000);
+
+    it('Test JS: test schedule with catchUp', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test catchUp',
+                'engineType':   'Javascript/js',
+                'source':       `schedule('0 22 * * *', {catchUp: true}, () => {});
+schedule('0 22 * * *', {catchUp: 30}, () => {});
+createState('testCatchUp', 0, () => setState('testCatchUp', 1, true));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_catchUp',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testCatchUp' || state.ack !== true || state.val !== 1) return;
+            removeStateChangedHandler(onStateChanged);
+            // the start of the history is written for the next restart
+            setTimeout(() =>
+                objects.readFile('javascript.0.storage', '.lastRuns.json', (err, data) => {
+                    expect(err).to.be.not.ok;
+                    const lastRuns = JSON.parse(data.toString());
+                    expect(Object.keys(lastRuns['script.js.test_catchUp'])).to.be.deep.equal(['0 22 * * *#0', '0 22 * * *#1']);
+                    done();
+                }), 1500);
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(8000);
+
+    it('Test JS: test persistent setStateDelayed', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test persistent delayed',
+                'engineType':   'Javascript/js',
+                'source':       `createState('testDelayedPersistent', 0, () => {
+    setStateDelayed('testDelayedPersistent', 5, 60000, {persistent: true});
+    const timers = getStateDelayed('javascript.0.testDelayedPersistent');
+    createState('testDelayedResult', '', () => setState('testDelayedResult', JSON.stringify(timers), true));
+});`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_delayedPersistent',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testDelayedResult' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            const timers = JSON.parse(state.val);
+            expect(timers.length).to.be.equal(1);
+            expect(timers[0].persistent).to.be.true;
+            expect(timers[0].val).to.be.equal(5);
+            // wait till the timer is written
+            setTimeout(() =>
+                objects.readFile('javascript.0.storage', '.delayedStates.json', (err, data) => {
+                    expect(err).to.be.not.ok;
+                    const delayed = Object.values(JSON.parse(data.toString()));
+                    expect(delayed.length).to.be.equal(1);
+                    expect(delayed[0].id).to.be.equal('javascript.0.testDelayedPersistent');
+                    expect(delayed[0].due).to.be.above(Date.now());
+
+                    // the timers of a deleted script are not restored
+                    objects.delObject(script._id, err => {
+                        expect(err).to.be.not.ok;
+                        setTimeout(() =>
+                            objects.readFile('javascript.0.storage', '.delayedStates.json', (err, data) => {
+                                expect(err).to.be.not.ok;
+                                expect(JSON.parse(data.toString())).to.be.deep.equal({});
+                                done();
+                            }), 1500);
+                    });
+                }), 1500);
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(15000);
+
+    it('Test JS: test getScriptRuntimeInfo', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test runtime info',
+                'engineType':   'Javascript/js',
+                'source':       `createState('testRuntimeInfo', '', () => {
+    on({id: /^javascript\\.0\\.testRuntimeInfoTrigger$/}, () => {});
+    schedule('0 8 * * *', () => {});
+    setTimeout(() => {}, 60000);
+    setInterval(() => {}, 30000);
+    sendTo('javascript.0', 'getScriptRuntimeInfo', {name: 'script.js.test_runtimeInfo'}, result =>
+        setState('testRuntimeInfo', JSON.stringify(result), true));
+});`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_runtimeInfo',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testRuntimeInfo' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            const info = JSON.parse(state.val).scripts['script.js.test_runtimeInfo'];
+            expect(info).to.be.ok;
+            expect(info.subscriptions.length).to.be.equal(1);
+            expect(info.subscriptions[0].pattern.id).to.be.equal('/^javascript\\.0\\.testRuntimeInfoTrigger$/');
+            expect(info.subscriptions[0].triggered).to.be.equal(0);
+            expect(info.schedules.length).to.be.equal(1);
+            expect(info.schedules[0].type).to.be.equal('cron');
+            expect(new Date(info.schedules[0].next).getHours()).to.be.equal(8);
+            expect(info.timeouts.length).to.be.equal(1);
+            expect(info.timeouts[0].ms).to.be.equal(60000);
+            expect(info.timeouts[0].left).to.be.within(50000, 60000);
+            expect(info.intervals.length).to.be.equal(1);
+            expect(info.intervals[0].ms).to.be.equal(30000);
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(8000);
+
+    it('Test JS: test script statistics', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test script statistics',
+                'engineType':   'Javascript/js',
+                'source':       `createState('testScriptStats', '', () => {
+    setTimeout(() => {
+        throw new Error('Expected error for the statistics');
+    }, 10);
+    setTimeout(() => sendTo('javascript.0', 'getScriptStats', null, result =>
+        setState('testScriptStats', JSON.stringify(result.stats['script.js.test_scriptStats']), true)), 100);
+});`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_scriptStats',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testScriptStats' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            const stats = JSON.parse(state.val);
+            // both timeouts
+            expect(stats.calls).to.be.at.least(2);
+            expect(stats.errors).to.be.equal(1);
+            expect(stats.lastError).to.be.ok;
+            expect(stats.execTime).to.be.at.least(stats.maxExecTime);
+            expect(stats.running).to.be.true;
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(8000);
+
+    it('Test JS: test error policy', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test error policy',
+                'engineType':   'Javascript/js',
+                'source':       `setTimeout(() => {
+    throw new Error('Expected first error for the error policy');
+}, 10);
+setTimeout(() => {
+    throw new Error('Expected second error for the error policy');
+}, 20);`,
+                'enabled':      true,
+                'errorPolicy':  {limit: 2, period: 1},
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_errorPolicy',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.scriptEnabled.test_errorPolicy' || state.val !== false) return;
+            removeStateChangedHandler(onStateChanged);
+            objects.getObject(script._id, (err, obj) => {
+                expect(err).to.be.not.ok;
+                expect(obj.common.enabled).to.be.false;
+                done();
+            });
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(8000);
+
+    it('Test JS: test require of script as module', done => {
+        // add not enabled module and the script, that requires it
+        const module = {
+            'common': {
+                'name':         'test module',
+                'engineType':   'Javascript/js',
+                'source':       `let count = 0;
+module.exports = {next: () => ++count, version: 1};`,
+                'enabled':      false,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_module',
+            'native': {}
+        };
+        const script = {
+            'common': {
+                'name':         'test require module',
+                'engineType':   'Javascript/js',
+                'source':       `createState('testRequireModule', '', () => {
+    const first = require('script.js.test_module');
+    const second = require('script.js.test_module');
+    first.next();
+    setState('testRequireModule', second.next() + ';' + second.version + ';' + typeof count, true);
+});`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_requireModule',
+            'native': {}
+        };
+
+        let changed = false;
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testRequireModule' || state.ack !== true || !state.val) return;
+            if (!changed) {
+                // both requires get the same instance, the variables of the module are not visible in the script
+                expect(state.val).to.be.equal('2;1;undefined');
+                changed = true;
+                // the script, that requires the module, is restarted with the new version
+                module.common.source = module.common.source.replace('version: 1', 'version: 2');
+                objects.setObject(module._id, module, err =>
+                    expect(err).to.be.not.ok);
+            } else {
+                removeStateChangedHandler(onStateChanged);
+                expect(state.val).to.be.equal('2;2;undefined');
+                done();
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(module._id, module, err => {
+            expect(err).to.be.not.ok;
+            objects.setObject(script._id, script, err =>
+                expect(err).to.be.not.ok);
+        });
+    }).timeout(8000);
+
+    it('Test JS: test import, export and top-level await', done => {
+        // add not enabled module with exports and the script, that imports it
+        const module = {
+            'common': {
+                'name':         'test ES module',
+                'engineType':   'Javascript/js',
+                'source':       `export let esmCount = 0;
+export function esmNext() {
+    return ++esmCount;
+}
+export default 'esm';`,
+                'enabled':      false,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_esModule',
+            'native': {}
+        };
+        const script = {
+            'common': {
+                'name':         'test import',
+                'engineType':   'Javascript/js',
+                'source':       `import name, {esmNext, esmCount} from 'script.js.test_esModule';
+import * as esm from 'script.js.test_esModule';
+import {join} from 'path';
+
+await new Promise(resolve => setTimeout(resolve, 100));
+esmNext();
+createState('testEsModule', [name, esmCount, esm.esmCount, join('a', 'b')].join(';'));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_esImport',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testEsModule' || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            // the named import and the namespace have the current value
+            expect(state.val).to.be.equal('esm;1;1;a/b');
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(module._id, module, err => {
+            expect(err).to.be.not.ok;
+            objects.setObject(script._id, script, err =>
+                expect(err).to.be.not.ok);
+        });
+    }).timeout(8000);
+
+    it('Test JS: test require of script with top-level await', done => {
+        // the exports of the module are set only after the await
+        const module = {
+            'common': {
+                'name':         'test top-level await module',
+                'engineType':   'Javascript/js',
+                'source':       `export const value = await Promise.resolve(1);`,
+                'enabled':      false,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_tlaModule',
+            'native': {}
+        };
+        const script = {
+            'common': {
+                'name':         'test require top-level await',
+                'engineType':   'Javascript/js',
+                'source':       `let result;
+try {
+    result = require('script.js.test_tlaModule').value;
+} catch (e) {
+    result = e.message;
+}
+createState('testTlaRequire', String(result));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_tlaRequire',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testTlaRequire' || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            expect(state.val).to.be.equal('Script "script.js.test_tlaModule" uses await outside of functions and cannot be required, because its exports are set asynchronously');
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(module._id, module, err => {
+            expect(err).to.be.not.ok;
+            objects.setObject(script._id, script, err =>
+                expect(err).to.be.not.ok);
+        });
+    }).timeout(8000);
+
+    it('Test JS: test getTypeScriptDiagnostics', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test TypeScript diagnostics',
+                'engineType':   'Javascript/js',
+                'source':       `createState('testTsDiagnostics', '', () =>
+    sendTo('javascript.0', 'getTypeScriptDiagnostics', {
+        name: 'script.js.test_tsDiagnosticsSource',
+        source: 'const tsDiagnosticsOk = 1;\\nconst tsDiagnosticsWrong: number = "text";\\n'
+    }, result => setState('testTsDiagnostics', JSON.stringify(result), true)));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_tsDiagnostics',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testTsDiagnostics' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            const diagnostics = JSON.parse(state.val).diagnostics;
+            expect(diagnostics.length).to.be.equal(1);
+            expect(diagnostics[0].line).to.be.equal(2);
+            expect(diagnostics[0].column).to.be.equal(7);
+            expect(diagnostics[0].severity).to.be.equal('error');
+            expect(diagnostics[0].message).to.contain('not assignable');
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(20000);
+
+    it('Test JS: test types of the known states', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test types of the states',
+                'engineType':   'Javascript/js',
+                'source':       `createState('testStateTypes', '', () =>
+    sendTo('javascript.0', 'loadTypings', null, typings =>
+        sendTo('javascript.0', 'getTypeScriptDiagnostics', {
+            name: 'script.js.test_stateTypesSource',
+            source: 'setState("system.adapter.javascript.0.alive", true);\\nsetState("system.adapter.javascript.0.alive", "text");\\n'
+        }, result => setState('testStateTypes', JSON.stringify({
+            declared: typings.typings['states.d.ts'].indexOf('"system.adapter.javascript.0.alive": boolean;') !== -1,
+            diagnostics: result.diagnostics
+        }), true))));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_stateTypes',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testStateTypes' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            const result = JSON.parse(state.val);
+            expect(result.declared).to.be.true;
+            expect(result.diagnostics.length).to.be.equal(1);
+            expect(result.diagnostics[0].line).to.be.equal(2);
+            expect(result.diagnostics[0].message).to.contain('No overload matches this call');
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(20000);
+
+    it('Test JS: test compiler options in the header of TypeScript', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test compiler options',
+                'engineType':   'Javascript/js',
+                'source':       `createState('testTsOptions', '', () =>
+    sendTo('javascript.0', 'getTypeScriptDiagnostics', {
+        name: 'script.js.test_tsOptionsSource',
+        source: 'function tsOptionsDefault(a) { return a; }\\n'
+    }, resultDefault => sendTo('javascript.0', 'getTypeScriptDiagnostics', {
+        name: 'script.js.test_tsOptionsSource',
+        source: '// @noImplicitAny: true\\nfunction tsOptionsChanged(a) { return a; }\\n'
+    }, resultChanged => setState('testTsOptions', JSON.stringify({resultDefault, resultChanged}), true))));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_tsOptions',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testTsOptions' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            const result = JSON.parse(state.val);
+            expect(result.resultDefault.diagnostics.length).to.be.equal(0);
+            expect(result.resultDefault.compilerOptions.noImplicitAny).to.be.false;
+            expect(result.resultChanged.diagnostics.length).to.be.equal(1);
+            expect(result.resultChanged.diagnostics[0].line).to.be.equal(2);
+            expect(result.resultChanged.diagnostics[0].message).to.contain('implicitly has an \'any\' type');
+            expect(result.resultChanged.compilerOptions.noImplicitAny).to.be.true;
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(30000);
+
+    it('Test JS: test getSchedules', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test getSchedules',
+                'engineType':   'Javascript/js',
+                'source':       `schedule('0 8 * * *', () => {});
+schedule({time: {exactTime: true, start: '20:00'}, period: {days: 1}}, () => {});
+const result = getSchedules(2).map(sch => ({type: sch.type, hours: sch.next.map(date => date.getHours())}));
+createState('testGetSchedules', '', () => setState('testGetSchedules', JSON.stringify(result), true));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_getSchedules',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testGetSchedules' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            expect(JSON.parse(state.val)).to.be.deep.equal([
+                {type: 'cron',   hours: [8, 8]},
+                {type: 'wizard', hours: [20, 20]}
+            ]);
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(10000);
+
+    it('Test JS: test astro schedule with limits', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test astro limits',
+                'engineType':   'Javascript/js',
+                'source':       `schedule({astro: 'solarNoon', notBefore: '23:58'}, () => {});
+schedule({time: {exactTime: true, start: 'solarNoon', notAfter: '00:01'}, period: {days: 1}}, () => {});
+const result = getSchedules(2).map(sch => ({type: sch.type, times: sch.next.map(date => date.getHours() + ':' + date.getMinutes())}));
+createState('testAstroLimits', '', () => setState('testAstroLimits', JSON.stringify(result), true));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_astroLimits',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testAstroLimits' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            expect(JSON.parse(state.val)).to.be.deep.equal([
+                {type: 'astro',  times: ['23:58', '23:58']},
+                {type: 'wizard', times: ['0:1', '0:1']}
+            ]);
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(10000);
+
+    it('Test JS: test isHoliday and getHolidays', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test holidays',
+                'engineType':   'Javascript/js',
+                'source':       `const holidays = getHolidays(2025);
+const result = [isHoliday(new Date(2025, 11, 25)), isHoliday(new Date(2025, 11, 27)), isHoliday('2025-05-01T12:00'), holidays[0].id, holidays[holidays.length - 1].id];
+createState('testHolidays', '', () => setState('testHolidays', result.join(';'), true));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_holidays',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testHolidays' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            // the holidays of the default country DE
+            expect(state.val).to.be.equal('true;false;true;newYear;stStephensDay');
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(5000);
+
+    it('Test JS: test clearSchedule of astro schedule', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test astro clear',
+                'engineType':   'Javascript/js',
+                'source':       `const sch = schedule({astro: 'solarNoon'}, () => {});
+const before = getSchedules(1).length;
+const cleared = clearSchedule(sch);
+const result = before + ';' + cleared + ';' + getSchedules(1).length + ';' + clearSchedule(sch);
+createState('testAstroClear', '', () => setState('testAstroClear', result, true));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_astroClear',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testAstroClear' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+            expect(state.val).to.be.equal('1;true;0;false');
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(5000);
+
+    it('Test JS: test getSunPosition and getMoonIllumination', done => {
+        // add script
+        const script = {
+            'common': {
+                'name':         'test sun position',
+                'engineType':   'Javascript/js',
+                // the sun never gets above 90 degrees, so the check of every minute cannot call the callback
+                'source':       `const date = new Date(Date.UTC(2030, 5, 21, 9, 0, 0));
+const sch = on({sunAzimuthGt: 120, sunElevationGt: 90}, obj => log(obj.azimuth));
+const result = {sun: getSunPosition(date), moon: getMoonIllumination(date), cleared: clearSchedule(sch)};
+createState('testSunPosition', '', () => setState('testSunPosition', JSON.stringify(result), true));`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_sunPosition',
+            'native': {}
+        };
+
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testSunPosition' || state.ack !== true || !state.val) return;
+            removeStateChangedHandler(onStateChanged);
+
+            const suncalc = require('suncalc2');
+            const date = new Date(Date.UTC(2030, 5, 21, 9, 0, 0));
+            const position = suncalc.getPosition(date, 6.5798918, 43.273709);
+            const result = JSON.parse(state.val);
+            // a failed expectation ends the test at once and not with the timeout
+            try {
+                expect(result.sun.azimuth).to.be.closeTo(position.azimuth * 180 / Math.PI + 180, 0.1);
+                expect(result.sun.elevation).to.be.closeTo(position.altitude * 180 / Math.PI, 0.1);
+                expect(result.moon.fraction).to.be.closeTo(suncalc.getMoonIllumination(date).fraction, 0.001);
+                expect(result.moon.phaseName).to.be.a('string');
+                expect(result.cleared).to.be.true;
+            } catch (e) {
+                return done(e);
+            }
+            done();
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(script._id, script, err =>
+            expect(err).to.be.not.ok);
+    }).timeout(10000);
+
+    it('Test JS: test astro states', done => {
+        objects.getObject('javascript.0.astro.isDayTime', (err, obj) => {
+            expect(err).to.be.not.ok;
+            expect(obj.common.type).to.be.equal('boolean');
+
+            states.getState('javascript.0.astro.isDayTime', (err, isDayTime) => {
+                expect(err).to.be.not.ok;
+                expect(isDayTime.val).to.be.a('boolean');
+                expect(isDayTime.ack).to.be.true;
+
+                states.getState('javascript.0.astro.nextSunrise', (err, nextSunrise) => {
+                    expect(err).to.be.not.ok;
+                    expect(nextSunrise.val).to.be.above(Date.now() - 60000);
+
+                    states.getState('javascript.0.astro.times.solarNoon', (err, solarNoon) => {
+                        expect(err).to.be.not.ok;
+                        expect(solarNoon.val).to.match(/^\d\d:\d\d$/);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('Test JS: test global scripts are not in modules and restart only the scripts on change', done => {
+        // not enabled module, it is started by require without the global scripts
+        const module = {
+            'common': {
+                'name':         'test global module',
+                'engineType':   'Javascript/js',
+                'source':       `module.exports = {hasGlobal: typeof setTestState};`,
+                'enabled':      false,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_globalModule',
+            'native': {}
+        };
+        // enabled script with export, it gets the global scripts nevertheless
+        const script = {
+            'common': {
+                'name':         'test global user',
+                'engineType':   'Javascript/js',
+                'source':       `export {};
+createState('testGlobalUser', '', () => {
+    const module = require('script.js.test_globalModule');
+    setState('testGlobalUser', module.hasGlobal + ';' + typeof setTestState + ';' + (typeof globalVersion === 'undefined' ? 0 : globalVersion), true);
+});`,
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.test_globalUser',
+            'native': {}
+        };
+        const global = {
+            'common': {
+                'name':         'test global version',
+                'engineType':   'Javascript/js',
+                'source':       'var globalVersion = 2;',
+                'enabled':      true,
+                'engine':       'system.adapter.javascript.0'
+            },
+            'type':             'script',
+            '_id':              'script.js.global.TestGlobalVersion',
+            'native': {}
+        };
+
+        let changed = false;
+        let instanceTs;
+        const onStateChanged = function (id, state) {
+            if (id !== 'javascript.0.testGlobalUser' || state.ack !== true || !state.val) return;
+            if (!changed) {
+                expect(state.val).to.be.equal('undefined;function;0');
+                changed = true;
+                objects.getObject('system.adapter.javascript.0', (err, obj) => {
+                    expect(err).to.be.not.ok;
+                    instanceTs = obj.ts;
+                    objects.setObject(global._id, global, err =>
+                        expect(err).to.be.not.ok);
+                });
+            } else {
+                removeStateChangedHandler(onStateChanged);
+                // the script got the new global script
+                expect(state.val).to.be.equal('undefined;function;2');
+                // the instance was not restarted
+                objects.getObject('system.adapter.javascript.0', (err, obj) => {
+                    expect(err).to.be.not.ok;
+                    expect(obj.ts).to.be.equal(instanceTs);
+                    done();
+                });
+            }
+        };
+        addStateChangedHandler(onStateChanged);
+
+        objects.setObject(module._id, module, err => {
+            expect(err).to.be.not.ok;
+            objects.setObject(script._id, script, err =>
+                expect(err).to.be.not.ok);
+        });
+    }).timeout(20000);
+
     after('Test JS: Stop js-controller', function (done) {
         this.timeout(6000);
 
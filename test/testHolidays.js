@@ -0,0 +1,34 @@
+const expect = require('chai').expect;
+const Holidays = require('../lib/holidays');
+
+describe('Test Holidays', function() {
+
+    it('Test Holidays: Should calculate easter sunday', function () {
+        expect(Holidays.getEasterSunday(2024).getTime()).to.be.equal(new Date(2024, 2, 31).getTime());
+        expect(Holidays.getEasterSunday(2025).getTime()).to.be.equal(new Date(2025, 3, 20).getTime());
+        expect(Holidays.getEasterSunday(2038).getTime()).to.be.equal(new Date(2038, 3, 25).getTime());
+    });
+
+    it('Test Holidays: Should calculate the public holidays', function () {
+        const bavaria = new Holidays('DE', 'BY');
+        expect(bavaria.isHoliday(new Date(2024, 2, 29))).to.be.true;  // Good Friday
+        expect(bavaria.isHoliday(new Date(2024, 4, 30))).to.be.true;  // Corpus Christi
+        expect(bavaria.isHoliday(new Date(2024, 4, 31))).to.be.false;
+        expect(bavaria.getHolidays(2025).map(holiday => holiday.id).slice(0, 4)).to.be.deep.equal(['newYear', 'epiphany', 'goodFriday', 'easterMonday']);
+    });
+
+    it('Test Holidays: Should consider the country and the region', function () {
+        expect(new Holidays('DE').isHoliday(new Date(2024, 4, 30))).to.be.false;
+        expect(new Holidays('DE', 'SN').isHoliday(new Date(2024, 10, 20))).to.be.true; // Day of Repentance and Prayer
+        expect(new Holidays('AT').isHoliday(new Date(2024, 9, 26))).to.be.true;
+        expect(new Holidays('CH', 'VS').isHoliday(new Date(2024, 3, 1))).to.be.false; // no Easter Monday in Valais
+        expect(() => new Holidays('XX')).to.throw('Unknown country for holidays: XX');
+    });
+
+    it('Test Holidays: Should return the names in the language', function () {
+        const holidays = new Holidays('DE');
+        expect(holidays.getHolidays(2025, 'de')[0].name).to.be.equal(holidays.getHoliday(new Date(2025, 0, 1)).name.de);
+        expect(holidays.getHolidays(2025, 'xx')[0].name).to.be.equal(holidays.getHoliday(new Date(2025, 0, 1)).name.en);
+        expect(holidays.getHoliday('invalid date')).to.be.null;
+    });
+});
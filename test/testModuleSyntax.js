@@ -0,0 +1,140 @@
+const expect = require('chai').expect;
+const {transformModuleSyntax, usesTopLevelAwait} = require('../lib/moduleSyntax');
+
+describe('Test ModuleSyntax', function() {
+
+    // executes the converted code like the sandbox with exports, require and __engine
+    function run(source, modules) {
+        const exports = {};
+        const errors = [];
+        const code = transformModuleSyntax(source);
+        new Function('exports', 'require', '__engine', code)(exports, name => modules[name], {__onError: e => errors.push(e)});
+        return {code, exports, errors};
+    }
+
+    it('Test ModuleSyntax: Should not change the scripts without module syntax', function () {
+        const source = 'const a = 1;\nlog(a);';
+        expect(transformModuleSyntax(source)).to.be.equal(source);
+        // the words in strings are parsed, but nothing is changed
+        expect(transformModuleSyntax('log("import export await");')).to.be.equal('log("import export await");');
+    });
+
+    it('Test ModuleSyntax: Should convert all export forms', function () {
+        const other = {x: 1, y: 2, default: 3};
+        const {exports} = run(`export const a = 1, {b, c: [d]} = {b: 2, c: [3]};
+export let e = 4;
+export function f() { return 5; }
+export class G {}
+const h = 6;
+export {h, h as i};
+export {x, y as z} from 'other';
+export * as all from 'other';`, {other});
+
+        expect(exports.__esModule).to.be.true;
+        expect(exports).to.include({a: 1, b: 2, d: 3, e: 4, h: 6, i: 6, x: 1, z: 2});
+        expect(exports.f()).to.be.equal(5);
+        expect(exports.G).to.be.a('function');
+        expect(exports.all).to.be.equal(other);
+    });
+
+    it('Test ModuleSyntax: Should export everything of another module, but not its default and not the own exports', function () {
+        const {exports} = run(`export const a = 1;
+export * from 'other';`, {other: {a: 2, b: 3, default: 4}});
+
+        expect(exports).to.include({a: 1, b: 3});
+        expect(exports.default).to.be.undefined;
+    });
+
+    it('Test ModuleSyntax: Should convert export default', function () {
+        expect(run('export default 1 + 2;', {}).exports.default).to.be.equal(3);
+        expect(run('export default function () { return 4; }', {}).exports.default()).to.be.equal(4);
+        expect(run('export default function named() { return 5; }', {}).exports.default()).to.be.equal(5);
+        expect(run('export default class {}', {}).exports.default).to.be.a('function');
+    });
+
+    it('Test ModuleSyntax: Should keep the exports live', function () {
+        const {exports} = run(`export let count = 0;
+export function next() { count++; }`, {});
+
+        exports.next();
+        exports.next();
+        expect(exports.count).to.be.equal(2);
+    });
+
+    it('Test ModuleSyntax: Should keep the named imports live', function () {
+        const module = {count: 0};
+        module.next = () => module.count++;
+        const {exports} = run(`import {count, next as inc} from 'module';
+export const before = count;
+inc();
+export const after = count;
+export const object = {count};`, {module});
+
+        expect(exports).to.include({before: 0, after: 1});
+        expect(exports.object).to.be.deep.equal({count: 1});
+    });
+
+    it('Test ModuleSyntax: Should not replace the variables, that hide the imports', function () {
+        const {exports} = run(`import {a} from 'module';
+function param(a) { return a; }
+function hoisted() { if (true) { var a = 3; } return a; }
+export const results = [param(2), hoisted(), (() => { let a = 4; return a; })(), a];
+export const object = {a: 5}.a;
+label: for (;;) { break label; }`, {module: {a: 1}});
+
+        expect(exports.results).to.be.deep.equal([2, 3, 4, 1]);
+        expect(exports.object).to.be.equal(5);
+    });
+
+    it('Test ModuleSyntax: Should import the default and the namespace', function () {
+        const {exports} = run(`import esm, * as ns from 'esm';
+import common from 'common';
+import 'side';
+export const values = [esm, ns.a, common.b];`, {esm: {__esModule: true, default: 'default', a: 1}, common: {b: 2}, side: {}});
+
+        expect(exports.values).to.be.deep.equal(['default', 1, 2]);
+    });
+
+    it('Test ModuleSyntax: Should run the script with top-level await in an async function', function (done) {
+        const {exports, errors} = run(`export const a = await Promise.resolve(1);
+for await (const b of [Promise.resolve(2)]) {}
+await Promise.reject(new Error('after await'));`, {});
+
+        // the sandbox does not wait for the async function
+        setImmediate(() => {
+            expect(exports.a).to.be.equal(1);
+            expect(errors.map(e => e.message)).to.be.deep.equal(['after await']);
+            done();
+        });
+    });
+
+    it('Test ModuleSyntax: Should keep the lines and the columns', function () {
+        const source = `import {
+    a
+} from 'module';
+export const b = 1;
+export {
+    b as c
+};
+export default function () {}
+throw new Error('here');`;
+        const lines = transformModuleSyntax(source).split('\n');
+        const sourceLines = source.split('\n');
+
+        expect(lines.length).to.be.equal(sourceLines.length);
+        expect(lines[3].indexOf('b = 1')).to.be.equal(sourceLines[3].indexOf('b = 1'));
+        expect(lines[8]).to.be.equal(sourceLines[8]);
+
+        // with top-level await only one line is added at the end
+        const asyncLines = transformModuleSyntax('await 1;\nthrow new Error();').split('\n');
+        expect(asyncLines.length).to.be.equal(3);
+        expect(asyncLines[1]).to.be.equal('throw new Error();');
+    });
+
+    it('Test ModuleSyntax: Should detect the top-level await', function () {
+        expect(usesTopLevelAwait('await 1;')).to.be.true;
+        expect(usesTopLevelAwait('if (a) { for await (const b of c) {} }')).to.be.true;
+        expect(usesTopLevelAwait('async function a() { await 1; }')).to.be.false;
+        expect(usesTopLevelAwait('const a = async () => await 1;')).to.be.false;
+    });
+});
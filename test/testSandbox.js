@@ -0,0 +1,93 @@
+const expect = require('chai').expect;
+const tk = require('timekeeper');
+const sandBox = require('../lib/sandbox');
+const Scheduler = require('../lib/scheduler');
+const ScriptStorage = require('../lib/storage');
+
+describe('Test Sandbox', function() {
+
+    const name = 'script.js.test';
+    const now = new Date(2030, 0, 15, 12, 0);
+
+    // context with the parts of the adapter, that the schedules and setStateDelayed use
+    function createContext(lastRuns) {
+        const adapter = {
+            namespace: 'javascript.0',
+            instance:  0,
+            config:    {latitude: 52.52, longitude: 13.4},
+            log:       {debug: () => {}, info: () => {}, warn: text => console.warn(text), error: text => console.error(text)},
+            writeFile: (id, file, data, callback) => callback && callback(),
+            setState:  () => {}
+        };
+        return {
+            adapter,
+            mods:          {},
+            states:        {},
+            objects:       {},
+            timers:        {},
+            enums:         [],
+            channels:      {},
+            devices:       {},
+            stateIds:      [],
+            subscriptions: [],
+            scheduler:     new Scheduler(adapter.log, Date),
+            scriptStats:   {addCall: () => {}},
+            lastRuns:      new ScriptStorage(adapter, '.lastRuns', {[name]: lastRuns}),
+            startTime:     now.getTime(),
+            logError:      (msg, e) => console.error(msg, e),
+            onScriptError: () => {}
+        };
+    }
+
+    function createSandbox(context) {
+        return sandBox({timeouts: [], intervals: [], schedules: [], wizards: [], astroSchedules: [], subscribes: {}}, name, false, false, context);
+    }
+
+    afterEach(() => tk.reset());
+
+    it('Test Sandbox: Should catch up a missed run inside of the window once', function (done) {
+        tk.freeze(now);
+        const context = createContext({'0 11 * * *#0': new Date(2030, 0, 14, 11, 0).getTime()});
+        const sandbox = createSandbox(context);
+        let calls = 0;
+        const schedule = sandbox.schedule('0 11 * * *', {catchUp: 120}, () => calls++);
+
+        setTimeout(() => {
+            sandbox.clearSchedule(schedule);
+            expect(calls).to.be.equal(1);
+            expect(context.lastRuns.get(name)['0 11 * * *#0']).to.be.equal(now.getTime());
+            done();
+        }, 100);
+    });
+
+    it('Test Sandbox: Should not catch up a missed run outside of the window', function (done) {
+        tk.freeze(now);
+        const context = createContext({'0 9 * * *#0': new Date(2030, 0, 14, 9, 0).getTime()});
+        const sandbox = createSandbox(context);
+        let calls = 0;
+        const schedule = sandbox.schedule('0 9 * * *', {catchUp: 60}, () => calls++);
+
+        setTimeout(() => {
+            sandbox.clearSchedule(schedule);
+            expect(calls).to.be.equal(0);
+            done();
+        }, 100);
+    });
+
+    it('Test Sandbox: Should keep the history of every schedule with the same pattern', function (done) {
+        tk.freeze(now);
+        // only the first schedule was executed before
+        const context = createContext({'0 11 * * *#0': new Date(2030, 0, 14, 11, 0).getTime()});
+        const sandbox = createSandbox(context);
+        const calls = [0, 0];
+        const schedules = [0, 1].map(i => sandbox.schedule('0 11 * * *', {catchUp: 120}, () => calls[i]++));
+
+        setTimeout(() => {
+            schedules.forEach(schedule => sandbox.clearSchedule(schedule));
+            expect(calls).to.be.deep.equal([1, 0]);
+            // the history of the second schedule starts now
+            expect(context.lastRuns.get(name)['0 11 * * *#1']).to.be.equal(now.getTime());
+            done();
+        }, 100);
+    });
+});
@@ -1,5 +1,6 @@
 const expect = require('chai').expect;
 const Scheduler = require('../lib/scheduler');
+const Holidays = require('../lib/holidays');
 const tk = require('timekeeper');
 
 describe('Test Scheduler', function() {
@@ -29,4 +30,112 @@ describe('Test Scheduler', function() {
         });
         setTimeout(done, 5000);
     }).timeout(65000);
-});
\ No newline at end of file
+
+    // checks if the schedule would trigger at the given time
+    function check(time, schedule, holidays) {
+        tk.freeze(time);
+        const s = new Scheduler({error: text => console.error(text), warn: text => console.warn(text)}, Date, holidays);
+        const id = s.add(schedule, () => {});
+        const result = !!(id && s.checkSchedule(s.getContext(), s.get(id)));
+        id && s.remove(id);
+        tk.reset();
+        return result;
+    }
+
+    it('Test Scheduler: Should trigger only on the dates of the month', function () {
+        const schedule = '{"time":{"exactTime":true,"start":"12:00"},"period":{"months":1,"dates":"[1,15]"}}';
+        expect(check(new Date(2030, 2, 15, 12, 0), schedule)).to.be.true;
+        expect(check(new Date(2030, 3, 1, 12, 0), schedule)).to.be.true;
+        expect(check(new Date(2030, 2, 16, 12, 0), schedule)).to.be.false;
+    });
+
+    it('Test Scheduler: Should trigger only on the dates of the selected months', function () {
+        const schedule = '{"time":{"exactTime":true,"start":"12:00"},"period":{"months":"[3]","dates":"[15]"}}';
+        expect(check(new Date(2030, 2, 15, 12, 0), schedule)).to.be.true;
+        expect(check(new Date(2030, 3, 15, 12, 0), schedule)).to.be.false;
+    });
+
+    it('Test Scheduler: Should not trigger on excluded dates', function () {
+        const schedule = '{"time":{"exactTime":true,"start":"08:00"},"period":{"days":1},"valid":{"exclude":["24.12.2030","01.01"]}}';
+        expect(check(new Date(2030, 11, 24, 8, 0), schedule)).to.be.false;
+        expect(check(new Date(2030, 11, 25, 8, 0), schedule)).to.be.true;
+        expect(check(new Date(2031, 0, 1, 8, 0), schedule)).to.be.false;
+        expect(check(new Date(2032, 0, 1, 8, 0), schedule)).to.be.false;
+    });
+
+    it('Test Scheduler: Should not trigger in excluded date ranges', function () {
+        const schedule = '{"time":{"exactTime":true,"start":"08:00"},"period":{"days":1},"valid":{"exclude":[{"from":"01.08.2030","to":"15.08.2030"},{"from":"24.12","to":"06.01"}]}}';
+        expect(check(new Date(2030, 6, 31, 8, 0), schedule)).to.be.true;
+        expect(check(new Date(2030, 7, 1, 8, 0), schedule)).to.be.false;
+        expect(check(new Date(2030, 7, 15, 8, 0), schedule)).to.be.false;
+        expect(check(new Date(2030, 7, 16, 8, 0), schedule)).to.be.true;
+        expect(check(new Date(2030, 11, 31, 8, 0), schedule)).to.be.false;
+        expect(check(new Date(2031, 0, 6, 8, 0), schedule)).to.be.false;
+        expect(check(new Date(2031, 0, 7, 8, 0), schedule)).to.be.true;
+    });
+
+    it('Test Scheduler: Should reject invalid excluded dates', function () {
+        tk.freeze(new Date(2030, 0, 1, 8, 0));
+        const s = new Scheduler({error: text => console.log(text)}, Date);
+        expect(s.add('{"time":{"exactTime":true,"start":"08:00"},"period":{"days":1},"valid":{"exclude":["tomorrow"]}}', () => {})).to.be.not.ok;
+        tk.reset();
+    });
+
+    it('Test Scheduler: Should calculate the next runs', function () {
+        tk.freeze(new Date(2030, 0, 1, 9, 0));
+        const s = new Scheduler({error: text => console.log(text)}, Date);
+        const schedule = s.parse('{"time":{"exactTime":true,"start":"08:00"},"period":{"days":1},"valid":{"exclude":["03.01.2030"]}}');
+        const runs = s.getNextRuns(schedule, 3);
+        tk.reset();
+        expect(runs.map(date => date.getTime())).to.be.deep.equal([
+            new Date(2030, 0, 2, 8, 0).getTime(),
+            new Date(2030, 0, 4, 8, 0).getTime(),
+            new Date(2030, 0, 5, 8, 0).getTime()
+        ]);
+    });
+
+    it('Test Scheduler: Should calculate the next runs of a yearly schedule', function () {
+        tk.freeze(new Date(2030, 0, 1, 9, 0));
+        const s = new Scheduler({error: text => console.log(text)}, Date);
+        const schedule = s.parse('{"time":{"exactTime":true,"start":"23:59"},"period":{"years":1,"yearDate":31,"yearMonth":12}}');
+        const runs = s.getNextRuns(schedule, 2);
+        tk.reset();
+        expect(runs.map(date => date.getTime())).to.be.deep.equal([
+            new Date(2030, 11, 31, 23, 59).getTime(),
+            new Date(2031, 11, 31, 23, 59).getTime()
+        ]);
+    });
+
+    it('Test Scheduler: Should consider public holidays', function () {
+        const bavaria = new Holidays('DE', 'BY');
+        const exclude = '{"time":{"exactTime":true,"start":"08:00"},"period":{"days":1,"holiday":"exclude"}}';
+        expect(check(new Date(2030, 0, 6, 8, 0), exclude, bavaria)).to.be.false;
+        expect(check(new Date(2030, 0, 7, 8, 0), exclude, bavaria)).to.be.true;
+
+        const only = '{"time":{"exactTime":true,"start":"08:00"},"period":{"days":1,"holiday":"only"}}';
+        expect(check(new Date(2030, 0, 6, 8, 0), only, bavaria)).to.be.true;
+        expect(check(new Date(2030, 0, 7, 8, 0), only, bavaria)).to.be.false;
+    });
+
+    it('Test Scheduler: Should limit and shift the astro time', function () {
+        // sunrise at 07:15 and sunset at 17:40 every day
+        const getAstroTime = (event, date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), event === 'sunrise' ? 7 : 17, event === 'sunrise' ? 15 : 40);
+        const s = new Scheduler(null, Date, null, getAstroTime);
+        const from = new Date(2030, 0, 1, 0, 0);
+        const getRuns = time => s.getNextRuns(s.parse({time, period: {days: 1}}), 2, from).map(date => date.getHours() * 60 + date.getMinutes());
+
+        expect(getRuns({exactTime: true, start: 'sunrise'})).to.be.deep.equal([435, 435]);
+        expect(getRuns({exactTime: true, start: 'sunrise', notAfter: '07:00'})).to.be.deep.equal([420, 420]);
+        expect(getRuns({exactTime: true, start: 'sunrise', notBefore: '07:30'})).to.be.deep.equal([450, 450]);
+
+        const schedule = s.parse({time: {exactTime: true, start: 'sunrise', randomOffset: 10}, period: {days: 1}});
+        const runs = s.getNextRuns(schedule, 3, from);
+        runs.forEach(date => expect(date.getHours() * 60 + date.getMinutes()).to.be.within(425, 445));
+        // the random offset of a day does not change
+        expect(s.getNextRuns(schedule, 3, from).map(date => date.getTime())).to.be.deep.equal(runs.map(date => date.getTime()));
+
+        // every 2 hours from sunset to sunrise
+        const night = s.parse({time: {start: 'sunset', end: 'sunrise', mode: 'hours', interval: 2}, period: {days: 1}});
+        expect(s.getNextRuns(night, 4, from).map(date => date.getHours() * 60 + date.getMinutes())).to.be.deep.equal([100, 220, 340, 1060]);
+    });
+});
@@ -0,0 +1,72 @@
+const expect = require('chai').expect;
+const ts = require('typescript');
+const ScriptSourceMap = require('../lib/sourceMap');
+
+describe('Test SourceMap', function() {
+
+    // the lines 3 and 6 have no JavaScript code
+    const source = `const a: number = 1;
+const b = 'text';
+interface Value {
+    value: number;
+}
+type Text = string;
+function fail(value: Value): Text {
+    throw new Error('fail ' + value.value + a + b);
+}`;
+
+    function transpile() {
+        return ts.transpileModule(source, {compilerOptions: {inlineSourceMap: true, target: ts.ScriptTarget.ES2017}}).outputText;
+    }
+
+    function inlineMap(map, prefix) {
+        return `\n//${prefix || '#'} sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+    }
+
+    it('Test SourceMap: Should remove the inline source map from the compiled code', function () {
+        const compiled = ScriptSourceMap.extract(transpile());
+        expect(compiled.code).to.not.contain('sourceMappingURL');
+        expect(compiled.code).to.contain('function fail(value)');
+        expect(compiled.map.version).to.be.equal(3);
+        expect(compiled.map.mappings).to.be.a('string');
+    });
+
+    it('Test SourceMap: Should read the source map of CoffeeScript with charset and the old comment', function () {
+        const map = {version: 3, sources: ['script.coffee'], names: [], mappings: 'AAAA'};
+        const code = 'var a = 1;' + inlineMap(map, '@').replace('json;', 'json;charset=utf-8;');
+        expect(ScriptSourceMap.extract(code)).to.be.deep.equal({code: 'var a = 1;', map});
+    });
+
+    it('Test SourceMap: Should keep the code without or with an invalid source map', function () {
+        expect(ScriptSourceMap.extract('var a = 1;')).to.be.deep.equal({code: 'var a = 1;', map: null});
+        const invalid = 'var a = 1;\n//# sourceMappingURL=data:application/json;base64,' + Buffer.from('{invalid').toString('base64');
+        expect(ScriptSourceMap.extract(invalid)).to.be.deep.equal({code: 'var a = 1;', map: null});
+    });
+
+    it('Test SourceMap: Should map the positions back to the original source', function () {
+        const compiled = ScriptSourceMap.extract(transpile());
+        const lines = compiled.code.split('\n');
+        const throwLine = lines.findIndex(line => line.includes('throw')) + 1;
+        const throwColumn = lines[throwLine - 1].indexOf('throw') + 1;
+
+        const sourceMap = new ScriptSourceMap(compiled.map);
+        expect(sourceMap.getOriginalPosition(throwLine, throwColumn)).to.be.deep.equal({line: 8, column: 5});
+        // in the indentation before the first mapped code
+        expect(sourceMap.getOriginalPosition(throwLine, 1)).to.be.deep.equal({line: 8, column: 5});
+        // without column
+        expect(sourceMap.getOriginalPosition(throwLine).line).to.be.equal(8);
+    });
+
+    it('Test SourceMap: Should consider the lines of the global scripts', function () {
+        const compiled = ScriptSourceMap.extract(transpile());
+        const throwLine = compiled.code.split('\n').findIndex(line => line.includes('throw')) + 1;
+
+        const sourceMap = new ScriptSourceMap(compiled.map, 10);
+        expect(sourceMap.getOriginalPosition(throwLine + 10, 5)).to.be.deep.equal({line: 8, column: 5});
+        // the position is in the global scripts
+        expect(sourceMap.getOriginalPosition(10, 1)).to.be.null;
+        expect(sourceMap.getOriginalPosition(1, 1)).to.be.null;
+        // the position is after the compiled script, e.g. in the code appended by the adapter
+        expect(sourceMap.getOriginalPosition(compiled.code.split('\n').length + 20, 1)).to.be.null;
+    });
+});
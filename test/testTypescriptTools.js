@@ -0,0 +1,57 @@
+const expect = require('chai').expect;
+const path = require('path');
+const {
+    findTypings,
+    getTypesPackageName,
+    getLibrariesWithTypings,
+    getTypesPackageToInstall
+} = require('../lib/typescriptTools');
+
+describe('Test TypescriptTools', function() {
+
+    it('Test TypescriptTools: Should return the name of the @types package', function () {
+        expect(getTypesPackageName('request')).to.be.equal('@types/request');
+        expect(getTypesPackageName('@iobroker/adapter-core')).to.be.equal('@types/iobroker__adapter-core');
+    });
+
+    it('Test TypescriptTools: Should find the own typings of a package and the ones of the @types package', function () {
+        // typescript brings its own typings
+        const own = findTypings('typescript');
+        expect(own.packageJsonPath).to.be.equal(require.resolve('typescript/package.json'));
+        expect(own.rootTypings).to.be.equal('./lib/typescript.d.ts');
+
+        // request has its typings in @types/request
+        const types = findTypings('request');
+        expect(path.dirname(types.packageJsonPath)).to.match(/[\\/]@types[\\/]request$/);
+        expect(types.rootTypings).to.be.equal('index.d.ts');
+
+        // the package "node" does not exist, but @types/node does
+        expect(findTypings('node').packageJsonPath).to.be.equal(require.resolve('@types/node/package.json'));
+
+        expect(findTypings('suncalc2')).to.be.undefined;
+        expect(findTypings('not-existing-package')).to.be.undefined;
+    });
+
+    it('Test TypescriptTools: Should return the libraries with typings in both formats of the setting', function () {
+        expect(getLibrariesWithTypings({libraries: 'request, suncalc2;typescript', libraryTypings: true}))
+            .to.be.deep.equal(['request', 'suncalc2', 'typescript']);
+        expect(getLibrariesWithTypings({libraries: 'request, suncalc2', libraryTypings: false})).to.be.deep.equal([]);
+        expect(getLibrariesWithTypings({libraries: 'request'})).to.be.deep.equal([]);
+        // former format: list of the modules with typings
+        expect(getLibrariesWithTypings({libraries: 'request, suncalc2, typescript', libraryTypings: 'suncalc2, other'}))
+            .to.be.deep.equal(['suncalc2']);
+        expect(getLibrariesWithTypings({libraryTypings: true})).to.be.deep.equal([]);
+    });
+
+    it('Test TypescriptTools: Should install the @types packages only for the installed libraries without typings and only once', function () {
+        const libraries = ['typescript', 'request', 'not-installed', 'suncalc2', 'not-existing-package'];
+        const isInstalled = lib => lib !== 'not-installed';
+        const attempts = {};
+
+        expect(getTypesPackageToInstall(libraries, isInstalled, attempts)).to.be.equal('@types/suncalc2');
+        attempts['@types/suncalc2'] = 1;
+        expect(getTypesPackageToInstall(libraries, isInstalled, attempts)).to.be.equal('@types/not-existing-package');
+        attempts['@types/not-existing-package'] = 1;
+        expect(getTypesPackageToInstall(libraries, isInstalled, attempts)).to.be.undefined;
+    });
+});